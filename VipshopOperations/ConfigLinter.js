@@ -0,0 +1,630 @@
+/**
+ * 配置检查 - 启动时检查 DataConfig 与 IndexConfig 的一致性
+ *
+ * @class ConfigLinter
+ * @description 配置有误时往往要到读取、保存或导入时才报错，且每次只报一个。本类在启动时
+ * 一次检查全部配置，汇总为一份报告：
+ * - 实体：工作表名称不重复，唯一键、审计键、导入/更新日期、关联引用的字段存在，归档天数有效
+ * - 外键：目标实体和两端字段存在，severity 有效
+ * - 字段：标题非空且不重复，类型有效，计算字段有 compute，验证规则存在且参数完整，默认值通过验证，
+ *   规范化步骤（normalize）存在，别名（aliases）不与其他字段的标题或别名相同
+ * - 计算字段：dependsOn 引用的字段存在，依赖之间没有循环
+ * - 实体规则：规则类型已注册，引用的字段存在，compare 的比较符有效，
+ *   computed 的字段都是计算字段且验证规则有效
+ * - 验证级别：severity 有效
+ * - 导入：导入模式有效，requiredTitles 都是字段标题，追加模式有唯一键，
+ *   两个可导入实体的 requiredTitles 不能互相包含（否则 DataImportService 无法区分）
+ * - 索引：实体存在，索引字段存在（可以是计算字段），类型有效
+ *
+ * 问题分为 errors（运行时会失败）和 warnings（可以运行但可能不符合预期）。
+ *
+ * 该类采用单例模式，确保全局只有一个配置检查实例。
+ *
+ * @example
+ * const linter = ConfigLinter.getInstance();
+ * const report = linter.lint();
+ * // { errors: [{ entity: "Product", message: "唯一键字段【code】不存在" }], warnings: [] }
+ *
+ * if (report.errors.length > 0) {
+ *   throw new Error(linter.formatReport(report));
+ * }
+ */
+class ConfigLinter {
+  /** @type {ConfigLinter} 单例实例 */
+  static _instance = null;
+
+  /** @type {string[]} 字段类型 */
+  static FIELD_TYPES = ["string", "number", "date", "datetime", "computed"];
+
+  /** @type {string[]} 导入模式 */
+  static IMPORT_MODES = ["overwrite", "append"];
+
+  /** @type {string[]} 关联类型 */
+  static RELATION_TYPES = ["oneToMany", "manyToOne"];
+
+  /** @type {string[]} 验证规则和实体规则的级别 */
+  static VALIDATION_SEVERITIES = ["error", "warning"];
+
+  /** @type {string[]} 外键约束级别 */
+  static FOREIGN_KEY_SEVERITIES = ["block", "warn", "ignore"];
+
+  /**
+   * 创建配置检查实例
+   * @param {DataConfig} [dataConfig] - 数据配置，若不提供则自动获取
+   * @param {IndexConfig} [indexConfig] - 索引配置，若不提供则自动获取
+   */
+  constructor(dataConfig, indexConfig) {
+    if (ConfigLinter._instance) {
+      return ConfigLinter._instance;
+    }
+
+    this._config = dataConfig || DataConfig.getInstance();
+    this._indexConfig = indexConfig || IndexConfig.getInstance();
+    this._validationEngine = ValidationEngine.getInstance();
+    this._normalizer = Normalizer.getInstance();
+    this._headerMatcher = HeaderMatcher.getInstance();
+
+    ConfigLinter._instance = this;
+  }
+
+  /**
+   * 获取配置检查的单例实例
+   * @static
+   * @param {DataConfig} [dataConfig] - 数据配置
+   * @param {IndexConfig} [indexConfig] - 索引配置
+   * @returns {ConfigLinter} 配置检查实例
+   */
+  static getInstance(dataConfig, indexConfig) {
+    if (!ConfigLinter._instance) {
+      ConfigLinter._instance = new ConfigLinter(dataConfig, indexConfig);
+    }
+    return ConfigLinter._instance;
+  }
+
+  /**
+   * 检查全部配置
+   * @returns {Object} 检查报告
+   * @returns {Object[]} return.errors - 错误 {entity, message}
+   * @returns {Object[]} return.warnings - 警告 {entity, message}
+   */
+  lint() {
+    const report = { errors: [], warnings: [] };
+    const entities = this._config.getAll();
+
+    this._lintWorksheets(entities, report);
+    Object.entries(entities).forEach(([entityName, entity]) => {
+      const issue = this._reporter(report, entityName);
+      this._lintEntity(entityName, entity, entities, issue);
+      this._lintFields(entity, issue);
+      this._lintDependencies(entity, issue);
+      this._lintRules(entity, issue);
+      this._lintImport(entity, issue);
+    });
+    this._lintImportOverlap(entities, report);
+    this._lintIndexes(entities, report);
+
+    return report;
+  }
+
+  /**
+   * 格式化检查报告
+   * @param {Object} report - lint 的返回值
+   * @returns {string} 供提示的文本，没有问题时返回 "配置检查通过"
+   */
+  formatReport(report) {
+    if (report.errors.length === 0 && report.warnings.length === 0) {
+      return "配置检查通过";
+    }
+
+    const lines = [];
+    const format = (issue) =>
+      `- 【${this._getLabel(issue.entity)}】${issue.message}`;
+
+    if (report.errors.length > 0) {
+      lines.push(`配置错误（${report.errors.length}）：`);
+      report.errors.forEach((issue) => lines.push(format(issue)));
+    }
+    if (report.warnings.length > 0) {
+      if (lines.length > 0) lines.push("");
+      lines.push(`配置警告（${report.warnings.length}）：`);
+      report.warnings.forEach((issue) => lines.push(format(issue)));
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * 创建实体的问题记录函数
+   * @private
+   * @param {Object} report - 检查报告
+   * @param {string} entityName - 实体名称
+   * @returns {Function} (message, isWarning) => void
+   */
+  _reporter(report, entityName) {
+    return (message, isWarning = false) =>
+      (isWarning ? report.warnings : report.errors).push({
+        entity: entityName,
+        message,
+      });
+  }
+
+  /**
+   * 获取实体的显示名称
+   * @private
+   * @param {string} entityName - 实体名称
+   * @returns {string} 工作表名称，没有工作表时为实体名称
+   */
+  _getLabel(entityName) {
+    return this._config.getAll()[entityName]?.worksheet || entityName;
+  }
+
+  /**
+   * 检查工作表名称不重复
+   * @private
+   * @param {Object.<string, Object>} entities - 全部实体配置
+   * @param {Object} report - 检查报告
+   */
+  _lintWorksheets(entities, report) {
+    const owners = new Map();
+    Object.entries(entities).forEach(([entityName, entity]) => {
+      if (!entity.worksheet) return;
+
+      if (owners.has(entity.worksheet)) {
+        report.errors.push({
+          entity: entityName,
+          message: `工作表名称与实体【${owners.get(entity.worksheet)}】重复`,
+        });
+      } else {
+        owners.set(entity.worksheet, entityName);
+      }
+    });
+  }
+
+  /**
+   * 检查实体级配置引用的字段
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object} entity - 实体配置
+   * @param {Object.<string, Object>} entities - 全部实体配置
+   * @param {Function} issue - 问题记录函数
+   */
+  _lintEntity(entityName, entity, entities, issue) {
+    if (!entity.fields || typeof entity.fields !== "object") {
+      issue("缺少 fields 配置");
+      return;
+    }
+
+    this._config
+      .parseUniqueKey(entity.uniqueKey)
+      .fields.filter((field) => !entity.fields[field])
+      .forEach((field) => issue(`唯一键字段【${field}】不存在`));
+
+    if (entity.audit && !entity.fields[entity.audit.keyField]) {
+      issue(`审计键字段【${entity.audit.keyField}】不存在`);
+    }
+
+    const systemFields = entities.SystemRecord?.fields || {};
+    ["importDate", "updateDate"].forEach((key) => {
+      if (entity[key] && !systemFields[entity[key]]) {
+        issue(`${key}【${entity[key]}】不是系统记录的字段`);
+      }
+    });
+
+    if (entity.archive && !(entity.archive.keepDays > 0)) {
+      issue("归档保留天数（archive.keepDays）必须大于0");
+    }
+
+    Object.entries(entity.relations || {}).forEach(([name, relation]) => {
+      const target = entities[relation.entity];
+      if (!ConfigLinter.RELATION_TYPES.includes(relation.type)) {
+        issue(`关联【${name}】的类型【${relation.type}】无效`);
+      }
+      if (entity.fields[name]) {
+        issue(`关联【${name}】与同名字段冲突`);
+      }
+      if (!target) {
+        issue(`关联【${name}】的实体【${relation.entity}】不存在`);
+        return;
+      }
+      if (!entity.fields[relation.localField]) {
+        issue(`关联【${name}】的本地字段【${relation.localField}】不存在`);
+      }
+      if (!target.fields?.[relation.foreignField]) {
+        issue(
+          `关联【${name}】的外部字段【${relation.foreignField}】在【${this._getLabel(relation.entity)}】中不存在`,
+        );
+      }
+    });
+
+    (entity.foreignKeys || []).forEach((foreignKey) => {
+      const label = `外键【${foreignKey.field}】`;
+      const target = entities[foreignKey.entity];
+      if (
+        !ConfigLinter.FOREIGN_KEY_SEVERITIES.includes(
+          foreignKey.severity || "block",
+        )
+      ) {
+        issue(`${label}的级别【${foreignKey.severity}】无效`);
+      }
+      if (!entity.fields[foreignKey.field]) {
+        issue(`${label}的字段不存在`);
+      }
+      if (!target) {
+        issue(`${label}的实体【${foreignKey.entity}】不存在`);
+        return;
+      }
+      if (!target.fields?.[foreignKey.foreignField]) {
+        issue(
+          `${label}的外部字段【${foreignKey.foreignField}】在【${this._getLabel(foreignKey.entity)}】中不存在`,
+        );
+      }
+    });
+  }
+
+  /**
+   * 检查字段配置
+   * @private
+   * @param {Object} entity - 实体配置
+   * @param {Function} issue - 问题记录函数
+   */
+  _lintFields(entity, issue) {
+    const titles = new Map();
+
+    Object.entries(entity.fields || {}).forEach(([fieldName, field]) => {
+      const title = field.title;
+      if (!title) {
+        issue(`字段【${fieldName}】缺少标题`);
+      } else if (titles.has(title)) {
+        issue(
+          `字段【${titles.get(title)}】和【${fieldName}】的标题都是【${title}】`,
+        );
+      } else {
+        titles.set(title, fieldName);
+      }
+
+      if (!ConfigLinter.FIELD_TYPES.includes(field.type)) {
+        issue(`字段【${title || fieldName}】的类型【${field.type}】无效`);
+      }
+      if (field.type === "computed" && typeof field.compute !== "function") {
+        issue(`计算字段【${title || fieldName}】缺少 compute 函数`);
+      }
+      if (field.type !== "computed" && field.compute) {
+        issue(
+          `字段【${title || fieldName}】不是计算字段，compute 不会生效`,
+          true,
+        );
+      }
+
+      (field.validators || []).forEach((validator) => {
+        const problem = this._checkValidator(validator);
+        if (problem) issue(`字段【${title || fieldName}】${problem}`);
+
+        if (field.type === "computed") {
+          issue(
+            `计算字段【${title || fieldName}】不参与验证，验证规则【${validator?.type}】不会生效，请改用 computed 实体规则`,
+            true,
+          );
+        }
+      });
+
+      if (field.normalize !== undefined && field.normalize !== false) {
+        if (!Array.isArray(field.normalize)) {
+          issue(
+            `字段【${title || fieldName}】的 normalize 必须是步骤名数组或 false`,
+          );
+        } else {
+          field.normalize
+            .filter((name) => !this._normalizer.hasStep(name))
+            .forEach((name) =>
+              issue(
+                `字段【${title || fieldName}】的规范化步骤【${name}】不存在`,
+              ),
+            );
+        }
+      }
+
+      if (field.default !== undefined && typeof field.default !== "function") {
+        this._validationEngine
+          .validateField(field.default, field, fieldName)
+          .errors.forEach((message) =>
+            issue(`默认值【${field.default}】不符合验证规则：${message}`),
+          );
+      }
+    });
+
+    this._lintAliases(entity, issue);
+  }
+
+  /**
+   * 检查字段的表头别名
+   * @private
+   * @param {Object} entity - 实体配置
+   * @param {Function} issue - 问题记录函数
+   * @description 别名按 HeaderMatcher 的方式比较，与其他字段的标题或别名相同时无法确定对应的字段
+   */
+  _lintAliases(entity, issue) {
+    const fields = Object.entries(entity.fields || {});
+    const owners = new Map();
+    fields.forEach(([fieldName, field]) => {
+      if (field.title) {
+        owners.set(this._headerMatcher.toKey(field.title), fieldName);
+      }
+    });
+
+    fields.forEach(([fieldName, field]) => {
+      if (field.aliases === undefined) return;
+
+      const label = field.title || fieldName;
+      if (
+        !Array.isArray(field.aliases) ||
+        field.aliases.some(
+          (alias) => typeof alias !== "string" || alias.trim() === "",
+        )
+      ) {
+        issue(`字段【${label}】的 aliases 必须是非空字符串数组`);
+        return;
+      }
+      if (field.type === "computed") {
+        issue(`计算字段【${label}】不从工作表读取，aliases 不会生效`, true);
+      }
+
+      field.aliases.forEach((alias) => {
+        const key = this._headerMatcher.toKey(alias);
+        const owner = owners.get(key);
+        if (owner !== undefined && owner !== fieldName) {
+          issue(
+            `字段【${label}】的别名【${alias}】与字段【${owner}】的标题或别名相同`,
+          );
+        }
+        owners.set(key, fieldName);
+      });
+    });
+  }
+
+  /**
+   * 检查单个验证规则
+   * @private
+   * @param {Object} validator - 验证规则 {type, params}
+   * @returns {string|null} 问题描述，没有问题时返回 null
+   */
+  _checkValidator(validator) {
+    if (!this._validationEngine.hasValidator(validator?.type)) {
+      return `的验证规则【${validator?.type}】不存在`;
+    }
+    if (
+      !ConfigLinter.VALIDATION_SEVERITIES.includes(
+        validator.severity || "error",
+      )
+    ) {
+      return `的验证规则【${validator.type}】的级别【${validator.severity}】无效`;
+    }
+
+    const params = validator.params;
+    switch (validator.type) {
+      case "enum":
+        if (!Array.isArray(params?.values) || params.values.length === 0) {
+          return "的枚举值为空";
+        }
+        break;
+      case "pattern":
+        if (!(params?.regex instanceof RegExp)) {
+          return "的 pattern 规则缺少正则表达式";
+        }
+        break;
+      case "range":
+        if (params?.min == null && params?.max == null) {
+          return "的 range 规则缺少最小值和最大值";
+        }
+        if (params.min > params.max) {
+          return `的范围最小值${params.min}大于最大值${params.max}`;
+        }
+        break;
+    }
+    return null;
+  }
+
+  /**
+   * 检查计算字段的依赖
+   * @private
+   * @param {Object} entity - 实体配置
+   * @param {Function} issue - 问题记录函数
+   * @description 依赖循环会使计算字段递归访问自身，计算失败后值始终为 undefined
+   */
+  _lintDependencies(entity, issue) {
+    const fields = entity.fields || {};
+    const computed = Object.entries(fields).filter(
+      ([, field]) => field.type === "computed",
+    );
+
+    computed.forEach(([fieldName, field]) => {
+      (field.dependsOn || []).forEach((dep) => {
+        if (dep !== "$context" && !fields[dep]) {
+          issue(
+            `计算字段【${field.title || fieldName}】依赖的字段【${dep}】不存在`,
+          );
+        }
+      });
+    });
+
+    // 深度优先查找循环，每个循环只报告一次
+    const state = new Map(); // 字段名 -> "visiting" | "done"
+    const reported = new Set();
+    const visit = (fieldName, path) => {
+      if (state.get(fieldName) === "done") return;
+      if (state.get(fieldName) === "visiting") {
+        const cycle = path.slice(path.indexOf(fieldName));
+        const key = [...cycle].sort().join("|");
+        if (!reported.has(key)) {
+          reported.add(key);
+          issue(
+            `计算字段存在循环依赖：${[...cycle, fieldName]
+              .map((name) => fields[name].title || name)
+              .join(" → ")}`,
+          );
+        }
+        return;
+      }
+
+      state.set(fieldName, "visiting");
+      (fields[fieldName].dependsOn || [])
+        .filter((dep) => fields[dep]?.type === "computed")
+        .forEach((dep) => visit(dep, [...path, fieldName]));
+      state.set(fieldName, "done");
+    };
+    computed.forEach(([fieldName]) => visit(fieldName, []));
+  }
+
+  /**
+   * 检查跨字段规则
+   * @private
+   * @param {Object} entity - 实体配置
+   * @param {Function} issue - 问题记录函数
+   */
+  _lintRules(entity, issue) {
+    (entity.rules || []).forEach((rule, i) => {
+      const label = `规则${i + 1}（${rule.type}）`;
+      if (!this._validationEngine.hasRule(rule.type)) {
+        issue(`${label}的类型未注册`);
+        return;
+      }
+      if (
+        !ConfigLinter.VALIDATION_SEVERITIES.includes(rule.severity || "error")
+      ) {
+        issue(`${label}的级别【${rule.severity}】无效`);
+      }
+
+      (rule.fields || [])
+        .filter((field) => !entity.fields?.[field])
+        .forEach((field) => issue(`${label}的字段【${field}】不存在`));
+
+      if (rule.type === "compare") {
+        if (!Array.isArray(rule.fields) || rule.fields.length < 2) {
+          issue(`${label}至少需要两个字段`);
+        }
+        if (!ValidationEngine.COMPARE_OPERATORS[rule.operator || "<="]) {
+          issue(`${label}的比较符【${rule.operator}】无效`);
+        }
+      }
+
+      if (rule.type === "computed") {
+        (rule.fields || [])
+          .filter(
+            (field) =>
+              entity.fields?.[field] &&
+              entity.fields[field].type !== "computed",
+          )
+          .forEach((field) => issue(`${label}的字段【${field}】不是计算字段`));
+        const problem = this._checkValidator(rule.validator);
+        if (problem) issue(`${label}${problem}`);
+      }
+    });
+  }
+
+  /**
+   * 检查导入配置
+   * @private
+   * @param {Object} entity - 实体配置
+   * @param {Function} issue - 问题记录函数
+   */
+  _lintImport(entity, issue) {
+    const titles = new Set(
+      Object.values(entity.fields || {}).map((field) => field.title),
+    );
+
+    (entity.requiredTitles || [])
+      .filter((title) => !titles.has(title))
+      .forEach((title) => issue(`导入必填标题【${title}】不是字段标题`));
+
+    if (!entity.canImport) return;
+
+    if (!ConfigLinter.IMPORT_MODES.includes(entity.importMode)) {
+      issue(`导入模式【${entity.importMode}】无效`);
+    }
+    if ((entity.requiredTitles || []).length === 0) {
+      issue("可导入实体缺少导入必填标题（requiredTitles），导入时无法识别");
+    }
+    if (entity.importMode === "append" && !entity.uniqueKey) {
+      issue("追加模式导入需要唯一键");
+    }
+  }
+
+  /**
+   * 检查可导入实体的导入必填标题是否互相包含
+   * @private
+   * @param {Object.<string, Object>} entities - 全部实体配置
+   * @param {Object} report - 检查报告
+   * @description 实体 A 的 requiredTitles 包含在实体 B 的之中时，B 的导入数据同样满足 A，
+   * 只能靠 DataImportService 的评分区分，两者得分接近时无法导入
+   */
+  _lintImportOverlap(entities, report) {
+    const importable = Object.entries(entities).filter(
+      ([, entity]) => entity.canImport && entity.requiredTitles?.length > 0,
+    );
+
+    importable.forEach(([nameA, entityA], i) => {
+      importable.slice(i + 1).forEach(([nameB, entityB]) => {
+        const titlesA = new Set(entityA.requiredTitles);
+        const titlesB = new Set(entityB.requiredTitles);
+        const aInB = [...titlesA].every((title) => titlesB.has(title));
+        const bInA = [...titlesB].every((title) => titlesA.has(title));
+        if (!aInB && !bInA) return;
+
+        const [wider, narrower] = aInB ? [nameB, nameA] : [nameA, nameB];
+        report.errors.push({
+          entity: narrower,
+          message: `导入必填标题包含在【${this._getLabel(wider)}】的导入必填标题中，导入时无法区分两者`,
+        });
+      });
+    });
+  }
+
+  /**
+   * 检查索引配置
+   * @private
+   * @param {Object.<string, Object>} entities - 全部实体配置
+   * @param {Object} report - 检查报告
+   */
+  _lintIndexes(entities, report) {
+    Object.entries(this._indexConfig.getAllIndexes()).forEach(
+      ([entityName, indexes]) => {
+        const issue = this._reporter(report, entityName);
+        const entity = entities[entityName];
+        if (!entity) {
+          issue("索引配置的实体不存在");
+          return;
+        }
+
+        const seen = new Set();
+        (indexes || []).forEach((index) => {
+          const fields = index.fields || [];
+          const label = `索引【${fields.join("+")}】`;
+
+          if (fields.length === 0) {
+            issue("索引缺少字段");
+            return;
+          }
+          fields
+            .filter((field) => !entity.fields[field])
+            .forEach((field) => issue(`${label}的字段【${field}】不存在`));
+
+          if (index.type && index.type !== "sorted") {
+            issue(`${label}的类型【${index.type}】无效`);
+          }
+          if (index.type === "sorted" && index.unique) {
+            issue(`${label}是有序索引，unique 不会生效`, true);
+          }
+
+          // 哈希索引与字段顺序无关
+          const key =
+            index.type === "sorted"
+              ? `sorted:${fields.join("|")}`
+              : [...fields].sort().join("|");
+          if (seen.has(key)) {
+            issue(`${label}重复配置`, true);
+          }
+          seen.add(key);
+        });
+      },
+    );
+  }
+}
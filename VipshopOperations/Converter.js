@@ -211,4 +211,55 @@ class Converter {
 
     return `'${year}-${month}-${day}`;
   }
+
+  /**
+   * 将值转换为标准的日期时间字符串（YYYY-MM-DD HH:mm:ss）
+   * @param {*} value - 要转换的值（日期时间字符串、Date对象等）
+   * @returns {string|undefined} 格式化的日期时间字符串，无效值返回undefined
+   * @description
+   * 与 toDateStr 相同，会先去除 Excel 前导单引号再解析。
+   * 此方法用于从 Excel 读取 datetime 类型字段。
+   *
+   * @example
+   * toDateTimeStr("'2024-01-15 08:30:00")      // 返回 "2024-01-15 08:30:00"
+   * toDateTimeStr(new Date(2024,0,15,8,30))     // 返回 "2024-01-15 08:30:00"
+   */
+  toDateTimeStr(value) {
+    if (
+      value == null ||
+      String(value).trim() === "" ||
+      typeof value === "boolean"
+    ) {
+      return undefined;
+    }
+
+    const cleanValue =
+      value instanceof Date ? value : String(value).replace(/^'/, "");
+
+    const date = this.parseDate(cleanValue);
+    if (!date) return undefined;
+
+    const pad = (n) => String(n).padStart(2, "0");
+
+    return (
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+    );
+  }
+
+  /**
+   * 将日期时间格式化为带前导符的字符串（'YYYY-MM-DD HH:mm:ss）
+   * @param {*} value - 要格式化的值（日期时间字符串、Date对象等）
+   * @returns {string|undefined} 带前导符的日期时间字符串，无效值返回undefined
+   * @description 此方法用于向 Excel 写入 datetime 类型字段，前导符可防止被转换为日期序列号。
+   *
+   * @example
+   * formatDateTime(new Date(2024,0,15,8,30)) // 返回 "'2024-01-15 08:30:00"
+   */
+  formatDateTime(value) {
+    const dateTimeStr = this.toDateTimeStr(value);
+    if (!dateTimeStr) return undefined;
+
+    return `'${dateTimeStr}`;
+  }
 }
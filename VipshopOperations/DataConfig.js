@@ -13,7 +13,22 @@
  * - string: 字符串类型
  * - number: 数字类型
  * - date: 日期类型
+ * - datetime: 日期时间类型（YYYY-MM-DD HH:mm:ss）
  * - computed: 计算字段（不持久化，运行时通过 compute 函数计算）
+ *   - 访问字段时才计算（惰性），dependsOn 声明依赖的字段，结果会被缓存，
+ *     依赖字段的值变化时才重新计算；依赖可以是其他计算字段
+ *   - dependsOn 中的 "$context" 表示依赖外部上下文（品牌配置、利润计算器），上下文变化时重新计算
+ *   - 未声明 dependsOn 的计算字段每次访问都重新计算，用于售龄等随日期变化的字段
+ *
+ * 数据规范化（normalize，见 Normalizer）：
+ * - 读取时先按字段类型规范化原始值再转换类型，如去除空格、全角转半角、"1,234"、
+ *   "2025年3月1日"、Excel 日期序列号
+ * - 字段可用 normalize 指定步骤，如 normalize: ["trim"]；normalize: false 表示不做规范化
+ * - 百分比（"12.5%" → 0.125）只用于比率字段，这些字段使用 normalize: DataConfig.RATE_NORMALIZE
+ *
+ * 表头别名（aliases，见 HeaderMatcher）：
+ * - 读取和导入时表头可以是字段标题，也可以是 aliases 中的名称，如 aliases: ["加购人数"]
+ * - 比较时忽略空白、全角/半角和括号写法；去掉末尾括号说明后唯一对应的表头也能匹配
  *
  * 验证规则类型：
  * - required: 必填项验证
@@ -27,11 +42,44 @@
  * - year: 年份范围验证
  * - month: 月份验证（1-12）
  * - week: 周数验证（1-53）
+ * - notFuture: 日期不能晚于今天
+ * - 验证规则和实体规则可设 severity: "warning"，不通过时只记为警告，数据照常保存，
+ *   保存后写入【校验警告】（计算字段不参与字段验证，用 computed 实体规则验证，如利润率不能为负数）
+ *
+ * 实体规则（rules，跨字段验证，见 ValidationEngine）：
+ * - compare: 相邻字段按 operator（<、<=、>、>=、==、!=）比较，
+ *   如 { type: "compare", fields: ["finalPrice", "vipshopPrice", "tagPrice"], operator: "<=" }
+ * - computed: 对计算字段执行一条验证规则，
+ *   如 { type: "computed", fields: ["profitRate"], validator: { type: "nonNegative" }, severity: "warning" }
+ * - 可选 message 替换默认的错误描述（compare）
+ *
+ * 外键约束（foreignKeys，导入和保存时由 Repository 检查）：
+ * - { field, entity, foreignField, severity, message }：field 的非空值必须在目标实体的 foreignField 中存在
+ * - severity: block（阻止保存，默认）、warn（照常保存并提示）、ignore（只出现在孤立数据报告中）
  *
  * 导入模式：
  * - overwrite: 覆盖模式（直接替换目标工作表全部数据）
  * - append: 追加模式（基于主键进行新增或更新）
  *
+ * 宽松导入：
+ * - 只提交通过验证的行，其余行连同行号和原因写入【异常数据】，修改后可重新导入
+ *
+ * 校验结果：
+ * - 验证失败时由 ValidationReportWriter 逐条写入【校验结果】，并可在源工作表中标出出错的单元格
+ *
+ * 数据归档（archive）：
+ * - keepDays: 工作表中保留的天数，更早的数据由 SalesArchiveService 移入按年份的归档工作表
+ *
+ * 字段配置覆盖：
+ * - 启动时从【字段配置】工作表（或 JSON）读取覆盖，通过 applyOverrides 合并到内置配置
+ * - 可覆盖枚举值、正则、范围、必填、验证规则、默认值、标题和导入必填标题，无需修改代码
+ *
+ * 实体关联（relations）：
+ * - oneToMany: 一对多，如 货号 → 常态商品，解析结果为数组
+ * - manyToOne: 多对一，如 常态商品 → 库存，解析结果为单条记录（不存在时为 undefined）
+ * - 通过 localField 与目标实体 foreignField 的值相等建立关联
+ * - 在 Repository.find/query 中用 include 选项加载，如 include: ["regulars.inventory"]
+ *
  * 该类采用单例模式，确保全局只有一个配置实例。
  *
  * @example
@@ -51,6 +99,22 @@ class DataConfig {
   /** @type {DataConfig} 单例实例 */
   static _instance = null;
 
+  /** @type {string[]} 【字段配置】支持覆盖的属性 */
+  static OVERRIDE_PROPERTIES = [
+    "title",
+    "default",
+    "enum",
+    "pattern",
+    "range",
+    "required",
+    "validators",
+    "requiredTitles",
+    "aliases",
+  ];
+
+  /** @type {string[]} 比率字段的规范化步骤（在数字的默认步骤之后识别百分比） */
+  static RATE_NORMALIZE = ["trim", "fullWidth", "thousands", "percent"];
+
   /**
    * 创建数据配置实例
    * @private
@@ -70,6 +134,58 @@ class DataConfig {
       worksheet: "货号总表",
       uniqueKey: "itemNumber",
 
+      // 保存时按字段记录变更到【变更日志】
+      audit: { keyField: "itemNumber" },
+
+      // 品牌SN 必须在【品牌配置】中存在，否则计算利润时找不到品牌配置
+      foreignKeys: [
+        {
+          field: "brandSN",
+          entity: "BrandConfig",
+          foreignField: "brandSN",
+          severity: "block",
+          message: "请先在【品牌配置】中添加该品牌",
+        },
+      ],
+
+      // 最低价 ≤ 白金价，成本价 < 唯品价，到手价 ≤ 唯品价 ≤ 市场价；利润率为负数时只警告
+      rules: [
+        {
+          type: "compare",
+          fields: ["lowestPrice", "silverPrice"],
+          operator: "<=",
+        },
+        {
+          type: "compare",
+          fields: ["costPrice", "vipshopPrice"],
+          operator: "<",
+        },
+        {
+          type: "compare",
+          fields: ["finalPrice", "vipshopPrice", "tagPrice"],
+          operator: "<=",
+        },
+        {
+          type: "computed",
+          fields: ["profitRate"],
+          validator: {
+            type: "nonNegative",
+            params: { message: "为负数，商品亏损" },
+          },
+          severity: "warning",
+        },
+      ],
+
+      // 关联：货号 → 常态商品（每个尺码一条）
+      relations: {
+        regulars: {
+          type: "oneToMany",
+          entity: "RegularProduct",
+          localField: "itemNumber",
+          foreignField: "itemNumber",
+        },
+      },
+
       fields: {
         itemNumber: {
           title: "货号",
@@ -81,6 +197,7 @@ class DataConfig {
         link: {
           title: "链接",
           type: "computed",
+          dependsOn: ["MID"],
           compute: (obj) =>
             obj.MID
               ? `https://detail.vip.com/detail-1234-${obj.MID}.html`
@@ -89,11 +206,15 @@ class DataConfig {
         firstListingTime: {
           title: "首次上架时间",
           type: "date",
-          validators: [{ type: "date" }],
+          validators: [
+            { type: "date" },
+            { type: "notFuture", severity: "warning" },
+          ],
         },
         salesAge: {
           title: "售龄",
           type: "computed",
+          // 随日期变化，不声明 dependsOn，每次访问都重新计算
           compute: (obj) => {
             if (!obj.firstListingTime) return undefined;
             const ts = Date.parse(obj.firstListingTime);
@@ -113,6 +234,15 @@ class DataConfig {
         activityStatus: {
           title: "活动状态",
           type: "computed",
+          dependsOn: [
+            "finalPrice",
+            "vipshopPrice",
+            "directTrainPrice",
+            "goldPrice",
+            "silverPrice",
+            "top3",
+            "silverLimit",
+          ],
           compute: (obj) => {
             switch (obj.finalPrice) {
               case obj.vipshopPrice:
@@ -238,6 +368,7 @@ class DataConfig {
         firstOrderPrice: {
           title: "首单价",
           type: "computed",
+          dependsOn: ["finalPrice", "userOperations1"],
           compute: (obj) =>
             obj.finalPrice
               ? obj.finalPrice - (obj.userOperations1 || 0)
@@ -246,6 +377,7 @@ class DataConfig {
         superVipPrice: {
           title: "超V价",
           type: "computed",
+          dependsOn: ["finalPrice", "brandSN", "userOperations1", "$context"],
           compute: (obj, context) => {
             if (!obj.finalPrice || !context?.brandConfig) return undefined;
             const brand = context.brandConfig[obj.brandSN];
@@ -260,6 +392,7 @@ class DataConfig {
         isPriceBroken: {
           title: "是否破价",
           type: "computed",
+          dependsOn: ["finalPrice", "lowestPrice"],
           compute: (obj) => {
             if (obj.finalPrice && obj.lowestPrice) {
               return obj.lowestPrice > obj.finalPrice ? "是" : "否";
@@ -270,11 +403,21 @@ class DataConfig {
         rejectAndReturnRate: {
           title: "拒退率",
           type: "number",
+          normalize: DataConfig.RATE_NORMALIZE,
           validators: [{ type: "range", params: { min: 0, max: 1 } }],
         },
         profit: {
           title: "利润",
           type: "computed",
+          dependsOn: [
+            "brandSN",
+            "costPrice",
+            "finalPrice",
+            "userOperations1",
+            "userOperations2",
+            "rejectAndReturnRate",
+            "$context",
+          ],
           compute: (obj, context) => {
             return context?.profitCalculator?.calculateProfit(
               obj.brandSN,
@@ -289,19 +432,11 @@ class DataConfig {
         profitRate: {
           title: "利润率",
           type: "computed",
-          compute: (obj, context) => {
-            const profit = context?.profitCalculator?.calculateProfit(
-              obj.brandSN,
-              obj.costPrice,
-              obj.finalPrice,
-              obj.userOperations1,
-              obj.userOperations2,
-              obj.rejectAndReturnRate,
-            );
-            return profit && obj.costPrice
-              ? Number((profit / obj.costPrice).toFixed(5))
-              : undefined;
-          },
+          dependsOn: ["profit", "costPrice"],
+          compute: (obj) =>
+            obj.profit && obj.costPrice
+              ? Number((obj.profit / obj.costPrice).toFixed(5))
+              : undefined,
         },
         directTrainPrice: {
           title: "直通车",
@@ -333,7 +468,10 @@ class DataConfig {
           title: "可售天数",
           type: "number",
           default: 0,
-          validators: [{ type: "nonNegative" }],
+          validators: [
+            { type: "nonNegative" },
+            { type: "range", params: { max: 365 }, severity: "warning" },
+          ],
         },
         isOutOfStock: {
           title: "是否断码",
@@ -342,25 +480,25 @@ class DataConfig {
         totalInventory: {
           title: "合计库存",
           type: "computed",
+          dependsOn: [
+            "finishedGoodsTotalInventory",
+            "generalGoodsTotalInventory",
+          ],
           compute: (obj) =>
-            obj.finishedGoodsMainInventory +
-            obj.finishedGoodsIncomingInventory +
-            obj.finishedGoodsFinishingInventory +
-            obj.finishedGoodsOversoldInventory +
-            obj.finishedGoodsPrepareInventory +
-            obj.finishedGoodsReturnInventory +
-            obj.finishedGoodsPurchaseInventory +
-            obj.generalGoodsMainInventory +
-            obj.generalGoodsIncomingInventory +
-            obj.generalGoodsFinishingInventory +
-            obj.generalGoodsOversoldInventory +
-            obj.generalGoodsPrepareInventory +
-            obj.generalGoodsReturnInventory +
-            obj.generalGoodsPurchaseInventory,
+            obj.finishedGoodsTotalInventory + obj.generalGoodsTotalInventory,
         },
         finishedGoodsTotalInventory: {
           title: "成品合计",
           type: "computed",
+          dependsOn: [
+            "finishedGoodsMainInventory",
+            "finishedGoodsIncomingInventory",
+            "finishedGoodsFinishingInventory",
+            "finishedGoodsOversoldInventory",
+            "finishedGoodsPrepareInventory",
+            "finishedGoodsReturnInventory",
+            "finishedGoodsPurchaseInventory",
+          ],
           compute: (obj) =>
             obj.finishedGoodsMainInventory +
             obj.finishedGoodsIncomingInventory +
@@ -415,6 +553,15 @@ class DataConfig {
         generalGoodsTotalInventory: {
           title: "通货合计",
           type: "computed",
+          dependsOn: [
+            "generalGoodsMainInventory",
+            "generalGoodsIncomingInventory",
+            "generalGoodsFinishingInventory",
+            "generalGoodsOversoldInventory",
+            "generalGoodsPrepareInventory",
+            "generalGoodsReturnInventory",
+            "generalGoodsPurchaseInventory",
+          ],
           compute: (obj) =>
             obj.generalGoodsMainInventory +
             obj.generalGoodsIncomingInventory +
@@ -604,6 +751,37 @@ class DataConfig {
 
       uniqueKey: "productCode",
 
+      // 到手价 ≤ 唯品价 ≤ 市场价
+      rules: [
+        {
+          type: "compare",
+          fields: ["finalPrice", "vipshopPrice", "tagPrice"],
+          operator: "<=",
+        },
+      ],
+
+      // 关联：条码 → 货号、成品库存、组合装
+      relations: {
+        product: {
+          type: "manyToOne",
+          entity: "Product",
+          localField: "itemNumber",
+          foreignField: "itemNumber",
+        },
+        inventory: {
+          type: "manyToOne",
+          entity: "Inventory",
+          localField: "productCode",
+          foreignField: "productCode",
+        },
+        combos: {
+          type: "oneToMany",
+          entity: "ComboProduct",
+          localField: "productCode",
+          foreignField: "productCode",
+        },
+      },
+
       fields: {
         productCode: {
           title: "条码",
@@ -789,6 +967,25 @@ class DataConfig {
 
       uniqueKey: "itemNumber",
 
+      // 货号应在【货号总表】中存在
+      foreignKeys: [
+        {
+          field: "itemNumber",
+          entity: "Product",
+          foreignField: "itemNumber",
+          severity: "warn",
+        },
+      ],
+
+      // 最低价 ≤ 白金价
+      rules: [
+        {
+          type: "compare",
+          fields: ["lowestPrice", "silverPrice"],
+          operator: "<=",
+        },
+      ],
+
       fields: {
         itemNumber: {
           title: "货号",
@@ -918,6 +1115,26 @@ class DataConfig {
         message: "组合商品实体编码与子商品编码组合必须唯一",
       },
 
+      // 子商品编码应在【商品库存】中存在，否则无法计算组合商品库存
+      foreignKeys: [
+        {
+          field: "subProductCode",
+          entity: "Inventory",
+          foreignField: "productCode",
+          severity: "warn",
+        },
+      ],
+
+      // 关联：子商品编码 → 子商品库存（通货库存）
+      relations: {
+        subInventory: {
+          type: "manyToOne",
+          entity: "Inventory",
+          localField: "subProductCode",
+          foreignField: "productCode",
+        },
+      },
+
       fields: {
         productCode: {
           title: "组合商品实体编码",
@@ -961,11 +1178,38 @@ class DataConfig {
       canUpdate: true,
       updateDate: "updateDateOfProductSales",
 
+      // 超过保留天数的销售数据移入【商品销售归档YYYY】，年/月汇总记入【销售汇总】
+      archive: { keepDays: 400 },
+
       uniqueKey: {
         fields: ["itemNumber", "salesDate"],
         message: "同一货号同一天的销售数据只能有一条",
       },
 
+      // 已删除货号的历史销售数据允许保留，只在孤立数据报告中列出
+      foreignKeys: [
+        {
+          field: "itemNumber",
+          entity: "Product",
+          foreignField: "itemNumber",
+          severity: "ignore",
+        },
+      ],
+
+      // 拒退件数 ≤ 销售量，加购UV ≤ 商详UV ≤ 曝光UV
+      rules: [
+        {
+          type: "compare",
+          fields: ["rejectAndReturnCount", "salesQuantity"],
+          operator: "<=",
+        },
+        {
+          type: "compare",
+          fields: ["addToCartUV", "productDetailsUV", "exposureUV"],
+          operator: "<=",
+        },
+      ],
+
       fields: {
         // ----- 基础字段 -----
         salesDate: {
@@ -992,6 +1236,7 @@ class DataConfig {
         },
         addToCartUV: {
           title: "加购UV(加购用户数)",
+          aliases: ["加购人数", "加购用户数"],
           type: "number",
           default: 0,
           validators: [{ type: "nonNegative" }],
@@ -1023,7 +1268,10 @@ class DataConfig {
         firstListingTime: {
           title: "首次上架时间",
           type: "date",
-          validators: [{ type: "date" }],
+          validators: [
+            { type: "date" },
+            { type: "notFuture", severity: "warning" },
+          ],
         },
 
         // ========== 索引字段（计算字段，用于快速查询）==========
@@ -1035,6 +1283,7 @@ class DataConfig {
         salesYear: {
           title: "所属年份",
           type: "computed",
+          dependsOn: ["salesDate"],
           persist: false,
           compute: (obj) => {
             if (!obj.salesDate) return undefined;
@@ -1046,6 +1295,7 @@ class DataConfig {
         yearMonth: {
           title: "年月",
           type: "computed",
+          dependsOn: ["salesDate"],
           persist: false,
           compute: (obj) => {
             if (!obj.salesDate) return undefined;
@@ -1060,6 +1310,7 @@ class DataConfig {
         yearWeek: {
           title: "年周",
           type: "computed",
+          dependsOn: ["salesDate"],
           persist: false,
           compute: (obj) => {
             if (!obj.salesDate) return undefined;
@@ -1078,6 +1329,7 @@ class DataConfig {
         daysSinceSale: {
           title: "距今天数",
           type: "computed",
+          // 随日期变化，不声明 dependsOn，每次访问都重新计算
           persist: false,
           compute: (obj) => {
             if (!obj.salesDate) return undefined;
@@ -1105,6 +1357,7 @@ class DataConfig {
         recordDate: {
           title: "记录日期",
           type: "computed",
+          // 当前时间，不声明 dependsOn，每次访问都重新计算
           compute: () => {
             return new Date();
           },
@@ -1126,6 +1379,11 @@ class DataConfig {
         updateDateOfProductPrice: { title: "商品价格更新日期", type: "string" },
         updateDateOfInventory: { title: "商品库存更新日期", type: "string" },
         updateDateOfProductSales: { title: "商品销售更新日期", type: "string" },
+
+        archivedThroughDateOfProductSales: {
+          title: "商品销售归档截止日期",
+          type: "date",
+        },
       },
     };
 
@@ -1164,21 +1422,25 @@ class DataConfig {
         vipDiscountRate: {
           title: "超V折扣率",
           type: "number",
+          normalize: DataConfig.RATE_NORMALIZE,
           validators: [{ type: "required" }, { type: "nonNegative" }],
         },
         vipDiscountBearingRatio: {
           title: "超V承担比例",
           type: "number",
+          normalize: DataConfig.RATE_NORMALIZE,
           validators: [{ type: "required" }, { type: "nonNegative" }],
         },
         platformCommission: {
           title: "平台扣点",
           type: "number",
+          normalize: DataConfig.RATE_NORMALIZE,
           validators: [{ type: "required" }, { type: "positive" }],
         },
         brandCommission: {
           title: "品牌扣点",
           type: "number",
+          normalize: DataConfig.RATE_NORMALIZE,
           validators: [{ type: "required" }, { type: "positive" }],
         },
       },
@@ -1209,6 +1471,136 @@ class DataConfig {
       },
     };
 
+    // ========== 11. 变更日志实体 ==========
+    this.CHANGE_LOG = {
+      worksheet: "变更日志",
+      uniqueKey: null,
+
+      fields: {
+        changeTime: { title: "变更时间", type: "datetime" },
+        operation: { title: "操作", type: "string" },
+        operator: { title: "操作人", type: "string" },
+        entity: { title: "数据表", type: "string" },
+        itemNumber: { title: "货号", type: "string" },
+        field: { title: "字段", type: "string" },
+        fieldTitle: { title: "字段标题", type: "string" },
+        oldValue: { title: "原值", type: "string" },
+        newValue: { title: "新值", type: "string" },
+      },
+    };
+
+    // ========== 12. 结构版本实体 ==========
+    this.SCHEMA_VERSION = {
+      worksheet: "结构版本",
+      uniqueKey: "version",
+
+      fields: {
+        version: { title: "版本", type: "number" },
+        description: { title: "说明", type: "string" },
+        migratedAt: { title: "迁移时间", type: "datetime" },
+        details: { title: "迁移内容", type: "string" },
+      },
+    };
+
+    // ========== 13. 销售汇总实体 ==========
+    // 已归档销售数据的年/月汇总，month 为 0 的记录是全年汇总
+    this.SALES_SUMMARY = {
+      worksheet: "销售汇总",
+      uniqueKey: ["itemNumber", "year", "month"],
+
+      fields: {
+        itemNumber: {
+          title: "货号",
+          type: "string",
+          validators: [{ type: "required" }],
+        },
+        year: {
+          title: "年份",
+          type: "number",
+          validators: [{ type: "required" }, { type: "year" }],
+        },
+        month: {
+          title: "月份",
+          type: "number",
+          validators: [{ type: "range", params: { min: 0, max: 12 } }],
+        },
+        salesQuantity: { title: "销售量", type: "number" },
+        salesAmount: { title: "销售额", type: "number" },
+      },
+    };
+
+    // ========== 14. 字段配置实体 ==========
+    // 每行覆盖一个属性，实体级属性（requiredTitles）的字段列留空
+    this.FIELD_CONFIG = {
+      worksheet: "字段配置",
+
+      fields: {
+        entity: {
+          title: "实体",
+          type: "string",
+          validators: [{ type: "required" }],
+        },
+        field: { title: "字段", type: "string" },
+        property: {
+          title: "属性",
+          type: "string",
+          validators: [
+            { type: "required" },
+            {
+              type: "enum",
+              params: { values: DataConfig.OVERRIDE_PROPERTIES },
+            },
+          ],
+        },
+        value: { title: "值", type: "string" },
+        description: { title: "说明", type: "string" },
+      },
+    };
+
+    // ========== 15. 校验警告实体 ==========
+    // 保存时替换该表（新增、更新、删除时为变化记录）的警告记录，反映当前数据的警告
+    this.VALIDATION_WARNING = {
+      worksheet: "校验警告",
+      uniqueKey: null,
+
+      fields: {
+        worksheet: { title: "工作表", type: "string" },
+        rowNumber: { title: "行号", type: "number" },
+        key: { title: "主键", type: "string" },
+        message: { title: "警告", type: "string" },
+        checkedAt: { title: "检查时间", type: "datetime" },
+      },
+    };
+
+    // ========== 16. 异常数据实体 ==========
+    // 宽松导入时未通过验证的行，列为 目标表、原行号、原因 加上原导入数据的各列
+    this.QUARANTINE = {
+      worksheet: "异常数据",
+      uniqueKey: null,
+      fields: {},
+    };
+
+    // ========== 17. 校验结果实体 ==========
+    // 导入或保存未通过验证时的错误明细，每次生成时整表替换
+    this.VALIDATION_RESULT = {
+      worksheet: "校验结果",
+      uniqueKey: null,
+
+      fields: {
+        worksheet: { title: "工作表", type: "string" },
+        rowNumber: { title: "行号", type: "number" },
+        columns: { title: "列号", type: "string" },
+        key: { title: "主键", type: "string" },
+        field: { title: "字段", type: "string" },
+        value: { title: "值", type: "string" },
+        rule: { title: "规则", type: "string" },
+        message: { title: "错误信息", type: "string" },
+      },
+    };
+
+    // 覆盖前的配置备份，重复应用覆盖时用于恢复
+    this._overrideBackups = [];
+
     DataConfig._instance = this;
   }
 
@@ -1297,6 +1689,13 @@ class DataConfig {
    * - BrandConfig: 品牌配置
    * - ImportData: 导入数据
    * - ReportTemplate: 报表模板
+   * - ChangeLog: 变更日志
+   * - SchemaVersion: 结构版本
+   * - SalesSummary: 销售汇总
+   * - FieldConfig: 字段配置
+   * - ValidationWarning: 校验警告
+   * - Quarantine: 异常数据
+   * - ValidationResult: 校验结果
    */
   getAll() {
     return {
@@ -1310,6 +1709,13 @@ class DataConfig {
       BrandConfig: this.BRAND_CONFIG,
       ImportData: this.IMPORT_DATA,
       ReportTemplate: this.REPORT_TEMPLATE,
+      ChangeLog: this.CHANGE_LOG,
+      SchemaVersion: this.SCHEMA_VERSION,
+      SalesSummary: this.SALES_SUMMARY,
+      FieldConfig: this.FIELD_CONFIG,
+      ValidationWarning: this.VALIDATION_WARNING,
+      Quarantine: this.QUARANTINE,
+      ValidationResult: this.VALIDATION_RESULT,
     };
   }
 
@@ -1338,6 +1744,11 @@ class DataConfig {
    * - updateDate: {string} 更新日期字段名
    * - fields: {Object} 字段配置映射
    * - defaultSort: {Function} 默认排序函数
+   * - audit: {Object} 变更审计配置 { keyField }，保存时将字段级变更写入【变更日志】
+   * - relations: {Object} 实体关联 { 关联名: { type, entity, localField, foreignField } }
+   * - archive: {Object} 数据归档配置 { keepDays }
+   * - rules: {Object[]} 跨字段验证规则 [{ type, fields, operator, message }]
+   * - foreignKeys: {Object[]} 外键约束 [{ field, entity, foreignField, severity, message }]
    *
    * @example
    * const config = dataConfig.get("Product");
@@ -1438,6 +1849,539 @@ class DataConfig {
     return null;
   }
 
+  /**
+   * 应用字段配置覆盖
+   * @param {Object[]|Object} overrides - 覆盖配置，支持两种格式：
+   * - 数组：【字段配置】中的记录 {entity, field, property, value, description}
+   * - 对象（JSON）：{ 实体名: { requiredTitles: [...], fields: { 字段名: { 属性: 值 } } } }
+   * @returns {Object} 应用结果
+   * @returns {number} return.applied - 覆盖的属性数
+   * @returns {string[]} return.entities - 涉及的实体名
+   * @returns {Object[]} return.renames - 修改的标题 {entityName, fieldName, from, to}，供 SchemaMigrator 修改表头
+   * @throws {Error} 覆盖有误时抛出并列出全部问题，此时不应用任何覆盖
+   *
+   * @description
+   * 实体可以写实体名或工作表名，字段可以写字段名或标题。支持的属性：
+   * - title: 字段标题，requiredTitles 中的旧标题同步更新；删除标题覆盖后需要手动改回表头
+   * - default: 默认值，按字段类型转换，留空表示取消默认值
+   * - enum: 枚举值，用换行、逗号或顿号分隔，也可以是 JSON 数组
+   * - pattern: 正则表达式，如 ^69\d{17}$ 或 /^spu-/i，说明列作为格式说明
+   * - range: 数值范围 "最小值,最大值"，一侧可以留空
+   * - required: 是否必填（是/否）
+   * - validators: 验证规则的 JSON 数组，整体替换字段的验证规则
+   * - requiredTitles: 导入必填标题，字段列留空，整体替换
+   * - aliases: 表头别名，用换行、逗号或顿号分隔，整体替换
+   *
+   * 一致性检查：
+   * - 实体、字段、属性必须存在，同一属性不能重复配置，计算字段只能修改标题
+   * - 覆盖后实体内的标题不能重复，别名不能与其他字段的标题或别名相同
+   * - 默认值必须通过覆盖后的验证规则（如修改枚举后默认值仍在枚举中）
+   * - 导入必填标题必须是实体的字段标题
+   *
+   * 重复调用时先恢复内置配置再应用，已删除的覆盖不会残留。
+   *
+   * @example
+   * config.applyOverrides([
+   *   { entity: "货号总表", field: "三级品类", property: "enum", value: "儿童棉服、儿童羽绒服" },
+   *   { entity: "Product", field: "MID", property: "pattern", value: "^69\\d{17}$", description: "69开头的19位数字" },
+   * ]);
+   */
+  applyOverrides(overrides) {
+    this._restoreOverrides();
+
+    const rows = Array.isArray(overrides)
+      ? overrides
+      : this._flattenOverrides(overrides || {});
+
+    // 1.逐行解析：实体名 -> { requiredTitles?, fields: Map<字段名, 属性覆盖> }
+    const errors = [];
+    const plans = new Map();
+    rows.forEach((row, i) => {
+      try {
+        const override = this._parseOverride(row);
+        if (!plans.has(override.entityName)) {
+          plans.set(override.entityName, { fields: new Map() });
+        }
+
+        const plan = plans.get(override.entityName);
+        let target = plan;
+        if (override.fieldName) {
+          if (!plan.fields.has(override.fieldName)) {
+            plan.fields.set(override.fieldName, {});
+          }
+          target = plan.fields.get(override.fieldName);
+        }
+
+        if (override.property in target) {
+          throw new Error(`属性【${override.property}】重复配置`);
+        }
+        target[override.property] = override.value;
+      } catch (e) {
+        const where = row._rowNumber ? `第${row._rowNumber}行` : `第${i + 1}项`;
+        errors.push(`${where}：${e.message}`);
+      }
+    });
+
+    // 2.合并并检查一致性
+    const merged = new Map();
+    if (errors.length === 0) {
+      plans.forEach((plan, entityName) => {
+        const result = this._mergeOverrides(entityName, plan);
+        errors.push(...result.errors);
+        merged.set(entityName, result);
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new Error(
+        `【字段配置】有误，未应用任何覆盖：\n${errors.join("\n")}`,
+      );
+    }
+
+    // 3.应用（保留原对象，其他模块持有的引用同样生效）
+    let applied = 0;
+    const renames = [];
+    merged.forEach(({ fields, requiredTitles }, entityName) => {
+      const entity = this.getAll()[entityName];
+
+      fields.forEach((field, fieldName) => {
+        const from = entity.fields[fieldName].title || fieldName;
+        if (field.title !== from) {
+          renames.push({ entityName, fieldName, from, to: field.title });
+        }
+
+        this._backupForOverride(entity.fields[fieldName]);
+        Object.assign(entity.fields[fieldName], field);
+        if (field.default === undefined)
+          delete entity.fields[fieldName].default;
+      });
+
+      if (requiredTitles !== entity.requiredTitles) {
+        this._backupForOverride(entity);
+        entity.requiredTitles = requiredTitles;
+      }
+
+      const plan = plans.get(entityName);
+      applied +=
+        ("requiredTitles" in plan ? 1 : 0) +
+        [...plan.fields.values()].reduce(
+          (sum, props) => sum + Object.keys(props).length,
+          0,
+        );
+    });
+
+    return { applied, entities: [...merged.keys()], renames };
+  }
+
+  /**
+   * 将 JSON 格式的覆盖转换为记录数组
+   * @private
+   * @param {Object} overrides - { 实体名: { requiredTitles, fields: { 字段名: { 属性: 值 } } } }
+   * @returns {Object[]} 记录数组 {entity, field, property, value}
+   */
+  _flattenOverrides(overrides) {
+    const rows = [];
+
+    Object.entries(overrides).forEach(([entity, config]) => {
+      Object.entries(config || {}).forEach(([property, value]) => {
+        if (property !== "fields") {
+          rows.push({ entity, property, value });
+        }
+      });
+
+      Object.entries(config?.fields || {}).forEach(([field, props]) => {
+        Object.entries(props || {}).forEach(([property, value]) => {
+          rows.push({ entity, field, property, value });
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * 解析一条覆盖记录
+   * @private
+   * @param {Object} row - 覆盖记录 {entity, field, property, value, description}
+   * @returns {Object} {entityName, fieldName, property, value}，实体级属性没有 fieldName
+   * @throws {Error} 实体、字段、属性不存在或值无效时抛出
+   */
+  _parseOverride(row) {
+    const { entity: entityRef, field: fieldRef, property } = row;
+
+    const all = this.getAll();
+    const entityName = Object.keys(all).find(
+      (name) => name === entityRef || all[name].worksheet === entityRef,
+    );
+    if (!entityName) {
+      throw new Error(`不存在实体【${entityRef ?? ""}】`);
+    }
+    if (entityName === "FieldConfig") {
+      throw new Error("【字段配置】本身不能被覆盖");
+    }
+    if (!DataConfig.OVERRIDE_PROPERTIES.includes(property)) {
+      throw new Error(`不支持的属性【${property ?? ""}】`);
+    }
+
+    const entity = all[entityName];
+    if (property === "requiredTitles") {
+      if (fieldRef) {
+        throw new Error("requiredTitles 是实体属性，字段列应留空");
+      }
+      return { entityName, property, value: this._parseList(row.value) };
+    }
+
+    const fieldName = entity.fields[fieldRef]
+      ? fieldRef
+      : this.findFieldByTitle(entityName, fieldRef);
+    if (!fieldName) {
+      throw new Error(
+        `【${entity.worksheet}】中不存在字段【${fieldRef ?? ""}】`,
+      );
+    }
+
+    const field = entity.fields[fieldName];
+    if (field.type === "computed" && property !== "title") {
+      throw new Error(`计算字段【${field.title}】只能修改标题`);
+    }
+
+    return {
+      entityName,
+      fieldName,
+      property,
+      value: this._parseOverrideValue(property, row, field),
+    };
+  }
+
+  /**
+   * 按属性解析覆盖值
+   * @private
+   * @param {string} property - 属性
+   * @param {Object} row - 覆盖记录
+   * @param {Object} field - 字段配置
+   * @returns {*} 解析后的值
+   * @throws {Error} 值无效时抛出
+   */
+  _parseOverrideValue(property, row, field) {
+    const value = typeof row.value === "string" ? row.value.trim() : row.value;
+
+    switch (property) {
+      case "title": {
+        const title = this._converter.toString(value);
+        if (!title) throw new Error("标题不能为空");
+        return title;
+      }
+
+      case "default": {
+        if (value == null || value === "") return undefined;
+
+        const converted =
+          field.type === "number"
+            ? this._converter.toNumber(value)
+            : field.type === "date"
+              ? this._converter.toDateStr(value)
+              : field.type === "datetime"
+                ? this._converter.toDateTimeStr(value)
+                : this._converter.toString(value);
+        if (converted === undefined) {
+          throw new Error(`默认值【${value}】不是有效的${field.type}`);
+        }
+        return converted;
+      }
+
+      case "enum": {
+        let values = this._parseList(value);
+        if (values.length === 0) throw new Error("枚举值不能为空");
+        if (field.type === "number") {
+          values = values.map((v) => {
+            const num = this._converter.toNumber(v);
+            if (num === undefined) throw new Error(`枚举值【${v}】不是数字`);
+            return num;
+          });
+        }
+
+        const duplicates = values.filter((v, i) => values.indexOf(v) !== i);
+        if (duplicates.length > 0) {
+          throw new Error(`枚举值重复：${[...new Set(duplicates)].join("、")}`);
+        }
+        return { values };
+      }
+
+      case "pattern":
+        if (value && typeof value === "object" && !(value instanceof RegExp)) {
+          return {
+            regex: this._parseRegex(value.regex),
+            description: value.description,
+          };
+        }
+        return {
+          regex: this._parseRegex(value),
+          description: row.description || undefined,
+        };
+
+      case "range": {
+        const [min, max] =
+          value && typeof value === "object"
+            ? [value.min, value.max]
+            : String(value ?? "").split(/[,，~]/);
+        const range = {};
+        [
+          ["min", min],
+          ["max", max],
+        ].forEach(([key, bound]) => {
+          if (bound == null || String(bound).trim() === "") return;
+          range[key] = this._converter.toNumber(bound);
+          if (range[key] === undefined) {
+            throw new Error(`范围【${value}】不是有效的数字`);
+          }
+        });
+
+        if (range.min === undefined && range.max === undefined) {
+          throw new Error("范围至少需要最小值或最大值");
+        }
+        if (range.min > range.max) {
+          throw new Error(`范围的最小值${range.min}大于最大值${range.max}`);
+        }
+        return range;
+      }
+
+      case "required": {
+        const text = String(value ?? "").toLowerCase();
+        if (["是", "true", "1", "y"].includes(text)) return true;
+        if (["否", "false", "0", "n"].includes(text)) return false;
+        throw new Error(`必填只能是"是"或"否"，当前为【${value ?? ""}】`);
+      }
+
+      case "aliases":
+        return this._parseList(value);
+
+      case "validators": {
+        let validators = value;
+        if (typeof value === "string") {
+          try {
+            validators = JSON.parse(value);
+          } catch (e) {
+            throw new Error(`验证规则不是有效的 JSON：${e.message}`);
+          }
+        }
+        if (!Array.isArray(validators)) {
+          throw new Error("验证规则必须是数组");
+        }
+
+        const engine = ValidationEngine.getInstance();
+        return validators.map((validator) => {
+          if (!engine.hasValidator(validator?.type)) {
+            throw new Error(`未知的验证规则【${validator?.type ?? ""}】`);
+          }
+          if (validator.type === "pattern") {
+            return {
+              ...validator,
+              params: {
+                ...validator.params,
+                regex: this._parseRegex(validator.params?.regex),
+              },
+            };
+          }
+          return validator;
+        });
+      }
+    }
+  }
+
+  /**
+   * 解析列表值
+   * @private
+   * @param {*} value - 数组、JSON 数组字符串，或用换行/逗号/顿号分隔的字符串
+   * @returns {string[]} 去掉空白项后的列表
+   * @throws {Error} JSON 无效时抛出
+   */
+  _parseList(value) {
+    let list = value;
+    if (typeof value === "string" && value.trim().startsWith("[")) {
+      try {
+        list = JSON.parse(value);
+      } catch (e) {
+        throw new Error(`列表不是有效的 JSON：${e.message}`);
+      }
+    }
+    if (!Array.isArray(list)) {
+      list = String(list ?? "").split(/[\n,，、]/);
+    }
+
+    return list
+      .map((item) => String(item ?? "").trim())
+      .filter((item) => item !== "");
+  }
+
+  /**
+   * 解析正则表达式
+   * @private
+   * @param {RegExp|string} value - 正则对象、"/源码/标志" 或正则源码
+   * @returns {RegExp} 正则对象
+   * @throws {Error} 为空或无效时抛出
+   */
+  _parseRegex(value) {
+    if (value instanceof RegExp) return value;
+
+    const text = String(value ?? "").trim();
+    if (!text) throw new Error("正则表达式不能为空");
+
+    const literal = text.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(text);
+    } catch (e) {
+      throw new Error(`正则表达式【${text}】无效：${e.message}`);
+    }
+  }
+
+  /**
+   * 合并实体的覆盖并检查一致性
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object} plan - 解析后的覆盖 { requiredTitles?, fields: Map<字段名, 属性覆盖> }
+   * @returns {Object} {errors, fields: Map<字段名, 合并后的字段配置>, requiredTitles}
+   */
+  _mergeOverrides(entityName, plan) {
+    const entity = this.getAll()[entityName];
+    const errors = [];
+
+    const fields = new Map();
+    plan.fields.forEach((props, fieldName) => {
+      fields.set(fieldName, this._mergeField(entity.fields[fieldName], props));
+    });
+
+    // 覆盖后的标题不能重复
+    const titles = new Map();
+    Object.entries(entity.fields).forEach(([fieldName, field]) => {
+      const title = (fields.get(fieldName) || field).title || fieldName;
+      if (titles.has(title)) {
+        errors.push(
+          `【${entity.worksheet}】字段【${titles.get(title)}】和【${fieldName}】的标题都是【${title}】`,
+        );
+      }
+      titles.set(title, fieldName);
+    });
+
+    // 别名不能与其他字段的标题或别名相同（按表头的比较方式）
+    const matcher = HeaderMatcher.getInstance();
+    const owners = new Map();
+    Object.entries(entity.fields).forEach(([fieldName, field]) => {
+      const title = (fields.get(fieldName) || field).title || fieldName;
+      owners.set(matcher.toKey(title), fieldName);
+    });
+    Object.entries(entity.fields).forEach(([fieldName, field]) => {
+      ((fields.get(fieldName) || field).aliases || []).forEach((alias) => {
+        const key = matcher.toKey(alias);
+        const owner = owners.get(key);
+        if (owner !== undefined && owner !== fieldName) {
+          errors.push(
+            `【${entity.worksheet}】字段【${fieldName}】的别名【${alias}】与字段【${owner}】的标题或别名相同`,
+          );
+        }
+        owners.set(key, fieldName);
+      });
+    });
+
+    // 默认值必须通过覆盖后的验证规则
+    const engine = ValidationEngine.getInstance();
+    fields.forEach((field, fieldName) => {
+      if (field.default === undefined) return;
+      engine
+        .validateField(field.default, field, fieldName)
+        .errors.forEach((message) =>
+          errors.push(
+            `【${entity.worksheet}】默认值【${field.default}】不符合验证规则：${message}`,
+          ),
+        );
+    });
+
+    // 导入必填标题：未覆盖时跟随字段标题的修改
+    let requiredTitles = entity.requiredTitles;
+    if ("requiredTitles" in plan) {
+      requiredTitles = plan.requiredTitles;
+    } else if (requiredTitles) {
+      requiredTitles = requiredTitles.map((title) => {
+        const fieldName = this.findFieldByTitle(entityName, title);
+        return fields.get(fieldName)?.title ?? title;
+      });
+    }
+    (requiredTitles || [])
+      .filter((title) => !titles.has(title))
+      .forEach((title) =>
+        errors.push(
+          `【${entity.worksheet}】导入必填标题【${title}】不是实体的字段标题`,
+        ),
+      );
+
+    return { errors, fields, requiredTitles };
+  }
+
+  /**
+   * 将属性覆盖合并到字段配置的副本
+   * @private
+   * @param {Object} field - 字段配置
+   * @param {Object} props - 属性覆盖
+   * @returns {Object} 合并后的字段配置（不修改原配置）
+   */
+  _mergeField(field, props) {
+    const merged = { ...field, validators: [...(field.validators || [])] };
+
+    if ("validators" in props) merged.validators = [...props.validators];
+
+    ["enum", "pattern", "range"].forEach((type) => {
+      if (!(type in props)) return;
+
+      const index = merged.validators.findIndex((v) => v.type === type);
+      const params =
+        type === "enum"
+          ? { ...merged.validators[index]?.params, ...props[type] }
+          : props[type];
+      if (index === -1) {
+        merged.validators.push({ type, params });
+      } else {
+        merged.validators[index] = { ...merged.validators[index], params };
+      }
+    });
+
+    if ("required" in props) {
+      merged.validators = merged.validators.filter(
+        (v) => v.type !== "required",
+      );
+      if (props.required) merged.validators.unshift({ type: "required" });
+    }
+
+    if ("title" in props) merged.title = props.title;
+    if ("default" in props) merged.default = props.default;
+    if ("aliases" in props) merged.aliases = [...props.aliases];
+
+    return merged;
+  }
+
+  /**
+   * 备份即将被覆盖的配置对象
+   * @private
+   * @param {Object} target - 字段配置或实体配置
+   */
+  _backupForOverride(target) {
+    if (!this._overrideBackups.some((backup) => backup.target === target)) {
+      this._overrideBackups.push({ target, original: { ...target } });
+    }
+  }
+
+  /**
+   * 恢复被覆盖的配置
+   * @private
+   */
+  _restoreOverrides() {
+    this._overrideBackups.forEach(({ target, original }) => {
+      Object.keys(target).forEach((key) => {
+        if (!(key in original)) delete target[key];
+      });
+      Object.assign(target, original);
+    });
+    this._overrideBackups = [];
+  }
+
   /**
    * 获取ISO周数
    * @private
@@ -3,18 +3,23 @@
  *
  * @class DataImportService
  * @description 作为系统的数据导入核心，提供以下功能：
- * - 自动识别导入数据的实体类型（基于表头匹配必填字段）
+ * - 自动识别导入数据的实体类型（按必填字段、其他字段和未知列为各实体评分），
+ *   多个实体都符合而无法区分时拒绝导入，调用方可通过 targetEntity 指定目标表
+ * - 表头匹配：除字段标题外还接受字段别名（aliases）和去掉括号说明的近似标题（见 HeaderMatcher），
+ *   导入结果列出通过别名或近似标题对应的列和被忽略的列
  * - 支持两种导入模式：
  *   - overwrite（覆盖模式）：直接覆盖目标工作表的全部数据
  *   - append（追加模式）：基于主键进行新增或更新（存在则更新，不存在则新增）
  * - 数据验证：导入前对数据进行完整性校验
+ * - 宽松导入：只提交通过验证的行，其余行连同原行号和原因写入【异常数据】工作表，
+ *   修改后通过 reimportQuarantine 只重新导入这些行
  * - 系统记录更新：导入成功后更新对应实体的导入日期
  * - 清空临时数据：导入完成后自动清空"导入数据"工作表
  *
  * 导入流程：
  * 1. 读取"导入数据"工作表的内容
  * 2. 提取表头并标准化（去除空格）
- * 3. 遍历可导入实体，匹配必填字段
+ * 3. 按表头为可导入实体评分，选出唯一符合必填字段的实体（多个实体都符合时拒绝导入，可指定目标表）
  * 4. 根据实体配置的导入模式执行导入
  * 5. 更新系统记录
  * 6. 清空临时数据
@@ -32,11 +37,27 @@
  * } catch (e) {
  *   MsgBox("导入失败：" + e.message);
  * }
+ *
+ * // 宽松导入，修改【异常数据】后重新导入
+ * importService.import({ lenient: true });
+ * importService.reimportQuarantine();
+ *
+ * // 表头同时符合多个工作表时指定目标表
+ * importService.import({ targetEntity: "商品库存" });
  */
 class DataImportService {
   /** @type {DataImportService} 单例实例 */
   static _instance = null;
 
+  /** @type {string[]} 【异常数据】工作表中位于原导入数据各列之前的列 */
+  static QUARANTINE_TITLES = ["目标表", "原行号", "原因"];
+
+  /** @type {Object.<string, number>} 识别导入数据类型时的评分权重：每个必填列、其他字段列、未知列 */
+  static IDENTIFY_WEIGHTS = { required: 2, optional: 1, unknown: -1 };
+
+  /** @type {number} 多个实体都符合时，得分最高者至少领先的分数，否则视为无法区分 */
+  static AMBIGUITY_MARGIN = 3;
+
   /**
    * 创建数据导入服务实例
    * @param {Repository} [repository] - 数据仓库实例，若不提供则自动获取
@@ -53,6 +74,8 @@ class DataImportService {
     this._importableEntities = this._config.getImportableEntities();
 
     this._validationEngine = ValidationEngine.getInstance();
+    this._normalizer = Normalizer.getInstance();
+    this._headerMatcher = HeaderMatcher.getInstance();
 
     DataImportService._instance = this;
   }
@@ -95,57 +118,132 @@ class DataImportService {
   }
 
   /**
-   * 检查表头是否匹配实体的必填字段
+   * 按表头为可导入实体评分并排序
    * @private
-   * @param {string} entityName - 实体名称
-   * @param {string[]} headers - 表头数组
-   * @returns {boolean} true=匹配，false=不匹配
+   * @param {Array<*>} headers - 表头数组
+   * @returns {Object[]} 候选实体，符合导入必填标题的在前，其余按得分从高到低（同分保持声明顺序）
+   * @returns {string} return[].entityName - 实体名称
+   * @returns {string} return[].worksheet - 工作表名称
+   * @returns {boolean} return[].complete - 表头是否包含全部导入必填标题
+   * @returns {number} return[].required - 匹配到的导入必填标题数
+   * @returns {number} return[].optional - 匹配到的其他字段数
+   * @returns {number} return[].unknown - 不属于该实体的列数
+   * @returns {string[]} return[].missing - 缺少的导入必填标题
+   * @returns {number[]} return[].columns - 对应到该实体字段的列下标
+   * @returns {number[]} return[].requiredColumns - 其中导入必填标题所在的列下标
+   * @returns {number} return[].score - 得分，权重见 IDENTIFY_WEIGHTS
    * @description
-   * 匹配规则：表头必须包含实体配置中 requiredTitles 定义的所有字段
-   * 例如：
-   * - 商品导入需要包含：货号、款号、颜色等必填字段
-   * - 库存导入需要包含：条码、主库存、在途库存等必填字段
+   * 表头通过 HeaderMatcher 按标题、别名或近似标题对应到字段（空白、全角字符、括号写法不影响匹配）。
+   * 例如库存导入数据对【商品库存】而言全部是必填和可选列，对【组合商品】而言缺少"组合商品实体编码"，
+   * 且多出"进货仓库存"等未知列。
    */
-  _matchesEntity(entityName, headers) {
-    const entity = this._config.get(entityName);
-    if (!entity) return false;
-
-    const requiredTitles = entity.requiredTitles || [];
-    if (requiredTitles.length === 0) return false;
-
-    // 检查是否包含所有必填字段
-    return requiredTitles.every((title) => headers.includes(title));
+  _rankCandidates(headers) {
+    const weights = DataImportService.IDENTIFY_WEIGHTS;
+
+    return this._importableEntities
+      .map((entityName) => {
+        const entityConfig = this._config.get(entityName);
+        const requiredTitles = entityConfig.requiredTitles || [];
+        const match = this._headerMatcher.match(entityConfig, headers);
+
+        const matchedTitles = new Set(
+          match.mapping.map((entry) => entry.title),
+        );
+        const missing = requiredTitles.filter(
+          (title) => !matchedTitles.has(title),
+        );
+        const requiredColumns = match.mapping
+          .filter((entry) => requiredTitles.includes(entry.title))
+          .map((entry) => entry.index);
+        const required = requiredColumns.length;
+        const optional = match.mapping.length - required;
+        const unknown = match.ignored.length;
+
+        return {
+          entityName,
+          worksheet: entityConfig.worksheet,
+          complete: requiredTitles.length > 0 && missing.length === 0,
+          required,
+          optional,
+          unknown,
+          missing,
+          columns: match.mapping.map((entry) => entry.index),
+          requiredColumns,
+          score:
+            required * weights.required +
+            optional * weights.optional +
+            unknown * weights.unknown,
+        };
+      })
+      .sort((a, b) => b.complete - a.complete || b.score - a.score);
   }
 
   /**
    * 识别导入数据的实体类型
    * @private
-   * @param {string[]} headers - 表头数组
-   * @returns {string|null} 实体名称，无法识别时返回null
+   * @param {Array<*>} headers - 表头数组
+   * @returns {string|null} 实体名称，没有实体符合时返回null
+   * @throws {Error} 多个实体符合且无法区分时抛出，
+   *   error.candidates 为这些候选实体（见 _rankCandidates），可通过 import 的 targetEntity 指定
    * @description
    * 识别流程：
-   * 1. 标准化表头：去除每个表头的前后空格
-   * 2. 遍历所有可导入实体
-   * 3. 对每个实体调用 _matchesEntity 检查是否匹配
-   * 4. 返回第一个匹配的实体名称
-   *
-   * 注意：如果有多个实体匹配，返回第一个。因此实体的匹配规则应该互斥。
+   * 1. 调用 _rankCandidates 为所有可导入实体评分
+   * 2. 只有一个实体的导入必填标题全部匹配时返回该实体
+   * 3. 多个实体都符合时，以下情况拒绝识别，避免同时包含两个实体列的导入数据被导入到其中一个：
+   *    - 其他实体的必填列不属于得分最高的实体（导入时会被忽略）
+   *    - 得分最高者领先不足 AMBIGUITY_MARGIN 分
    */
   _identify(headers) {
     if (!headers || headers.length === 0) {
       return null;
     }
 
-    // 标准化表头：去除前后空格
-    const normalizedHeaders = headers.map((h) => String(h).trim());
+    const complete = this._rankCandidates(headers).filter(
+      (candidate) => candidate.complete,
+    );
+    if (complete.length === 0) {
+      return null;
+    }
 
-    for (const entityName of this._importableEntities) {
-      if (this._matchesEntity(entityName, normalizedHeaders)) {
-        return entityName;
-      }
+    const [best] = complete;
+    const used = new Set(best.columns);
+    const tied = complete.filter(
+      (candidate) =>
+        candidate === best ||
+        candidate.requiredColumns.some((index) => !used.has(index)) ||
+        best.score - candidate.score < DataImportService.AMBIGUITY_MARGIN,
+    );
+    if (tied.length > 1) {
+      const lines = tied.map(
+        (candidate) =>
+          `  【${candidate.worksheet}】${candidate.score}分（必填列${candidate.required}个，其他列${candidate.optional}个，未知列${candidate.unknown}个）`,
+      );
+      const error = new Error(
+        `导入数据同时符合多个工作表，无法确定导入类型：\n${lines.join("\n")}\n请指定目标表后重新导入`,
+      );
+      error.candidates = tied;
+      throw error;
     }
 
-    return null;
+    return best.entityName;
+  }
+
+  /**
+   * 解析导入的目标实体
+   * @private
+   * @param {string} target - 实体名称或工作表名称
+   * @returns {string} 实体名称
+   * @throws {Error} 实体不存在时抛出
+   */
+  _resolveTarget(target) {
+    const all = this._config.getAll();
+    const entityName = Object.keys(all).find(
+      (name) => name === target || all[name].worksheet === target,
+    );
+    if (!entityName) {
+      throw new Error(`不存在实体【${target}】`);
+    }
+    return entityName;
   }
 
   /**
@@ -161,13 +259,21 @@ class DataImportService {
    * @returns {string} return.message - 导入结果消息
    * @description
    * 覆盖模式特点：
-   * - 直接调用 repository.save 覆盖目标工作表的全部数据
+   * - 先验证导入数据，错误指向"导入数据"工作表中的行
+   * - 通过事务覆盖目标工作表的全部数据并更新系统记录的导入日期
    * - 不保留历史数据
    * - 适用于需要完全替换的场景（如每日全量导入）
    */
   _overwriteData(entityName, items) {
-    // 直接保存（覆盖）
-    this._repository.save(entityName, items);
+    this._validateItems(entityName, items);
+
+    // 直接保存（覆盖），与导入日期在同一事务中提交
+    this._repository.saveWithSystemRecord(
+      entityName,
+      items,
+      entityName,
+      "importDate",
+    );
 
     const entityConfig = this._config.get(entityName);
     return {
@@ -202,7 +308,7 @@ class DataImportService {
    * 4. 基于主键建立映射：
    *    - 主键存在于历史数据中 -> 更新
    *    - 主键不存在于历史数据中 -> 新增
-   * 5. 合并数据并保存
+   * 5. 合并数据，与系统记录的导入日期在同一事务中保存
    *
    * 适用于需要保留历史数据、增量更新的场景。
    */
@@ -217,18 +323,7 @@ class DataImportService {
     }
 
     // 提前验证新数据
-    const validationResult = this._validationEngine.validateAll(
-      newItems,
-      entityConfig,
-    );
-
-    if (!validationResult.valid) {
-      const errorMsg = this._validationEngine.formatErrors(
-        validationResult,
-        entityConfig.worksheet,
-      );
-      throw new Error(errorMsg);
-    }
+    this._validateItems(entityName, newItems);
 
     // 读取历史数据
     let existingItems = [];
@@ -266,8 +361,13 @@ class DataImportService {
       }
     });
 
-    // 保存
-    this._repository.save(entityName, mergedItems);
+    // 保存，与导入日期在同一事务中提交
+    this._repository.saveWithSystemRecord(
+      entityName,
+      mergedItems,
+      entityName,
+      "importDate",
+    );
 
     return {
       success: true,
@@ -280,8 +380,43 @@ class DataImportService {
     };
   }
 
+  /**
+   * 验证导入的数据
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} items - 解析后的导入数据
+   * @throws {Error} 验证失败时抛出，error.validations 指向"导入数据"工作表中的行（见 ValidationReportWriter）
+   */
+  _validateItems(entityName, items) {
+    const entityConfig = this._config.get(entityName);
+    const validationResult = this._validationEngine.validateAll(
+      items,
+      entityConfig,
+    );
+
+    if (!validationResult.valid) {
+      const error = new Error(
+        this._validationEngine.formatErrors(
+          validationResult,
+          entityConfig.worksheet,
+        ),
+      );
+      error.validations = [
+        {
+          entityName,
+          worksheet: this._config.get("ImportData").worksheet,
+          result: validationResult,
+        },
+      ];
+      throw error;
+    }
+  }
+
   /**
    * 执行数据导入
+   * @param {Object} [options] - 导入选项
+   * @param {boolean} [options.lenient=false] - 宽松导入：只提交通过验证的行，其余行移入【异常数据】
+   * @param {string} [options.targetEntity] - 目标实体名称或工作表名称，指定时不再按表头识别
    * @returns {Object} 导入结果
    * @returns {boolean} return.success - 是否成功
    * @returns {string} return.entityName - 工作表名称
@@ -289,26 +424,37 @@ class DataImportService {
    * @returns {number} return.total - 导入数据总数
    * @returns {number} [return.new] - 新增数据条数（追加模式）
    * @returns {number} [return.updated] - 更新数据条数（追加模式）
+   * @returns {number} [return.rejected] - 移入【异常数据】的行数（宽松导入）
+   * @returns {number} return.normalized - 被规范化改写的单元格数，改写内容附在 message 之后
+   * @returns {Object[]} return.mapping - 列映射 [{field, title, header, index, via}]（见 HeaderMatcher.match），
+   *   通过别名或近似标题匹配的列和被忽略的列附在 message 之后
    * @returns {string} return.message - 导入结果消息
    * @throws {Error} 当以下情况时抛出错误：
    * - 找不到"导入数据"工作表
    * - 工作表中没有数据
-   * - 无法识别实体类型
+   * - 无法识别实体类型，或多个实体都符合而无法区分（error.candidates 为候选实体）
+   * - 指定的目标实体不存在
    * - 实体不支持导入
-   * - 数据验证失败
+   * - 数据验证失败（宽松导入时不因验证失败抛出）
    * - 追加模式但实体未配置主键
    *
    * @description
    * 完整的导入流程：
    * 1. 获取"导入数据"工作表并验证
    * 2. 提取表头（第一行）
-   * 3. 识别实体类型（基于表头匹配）
+   * 3. 识别实体类型（基于表头评分，见 _identify），或使用 options.targetEntity
    * 4. 验证实体是否支持导入
    * 5. 获取导入模式（覆盖/追加）
-   * 6. 读取数据（调用 ExcelDAO.read）
-   * 7. 根据模式执行导入（覆盖或追加）
-   * 8. 更新系统记录的导入日期
-   * 9. 清空"导入数据"工作表
+   * 6. 解析数据（调用 ExcelDAO.parseRows，表头按标题、别名或近似标题对应到字段，
+   *    验证前先按字段类型规范化，如 "1,234"、"2025年3月1日"）
+   * 7. 根据模式执行导入（覆盖或追加），与系统记录的导入日期在同一事务中保存，
+   *    任一写入失败时全部回滚
+   * 8. 清空"导入数据"工作表
+   *
+   * 第7、8步作为一次操作记入操作日志，撤销时同时恢复目标工作表、系统记录和"导入数据"工作表。
+   *
+   * 宽松导入时第7步只导入通过验证（含 block 级别外键约束）的行，覆盖模式下目标工作表只保留这些行；
+   * 其余行写入【异常数据】（替换其中原有内容），同样记入这次操作。
    *
    * @example
    * // 执行导入
@@ -317,21 +463,13 @@ class DataImportService {
    *   MsgBox(result.message);
    * }
    */
-  import() {
+  import(options = {}) {
     // 1. 获取导入数据
-    const wb = this._excelDAO.getWorkbook();
-    const sheet = wb.Sheets("导入数据");
-
-    if (!sheet) {
-      throw new Error("未找到【导入数据】工作表");
-    }
-
-    const usedRange = sheet.UsedRange;
-    if (!usedRange || usedRange.Value2 == null) {
+    const data = this._excelDAO.readRaw("ImportData");
+    if (data.length === 0) {
       throw new Error("【导入数据】工作表中没有数据");
     }
 
-    const data = usedRange.Value2;
     if (data.length < 2) {
       throw new Error("【导入数据】工作表中只有标题行，没有数据");
     }
@@ -339,8 +477,10 @@ class DataImportService {
     // 2. 提取表头
     const headers = data[0].map((h) => String(h).trim());
 
-    // 3. 识别实体类型
-    const entityName = this._identify(headers);
+    // 3. 识别实体类型（或使用指定的目标表）
+    const entityName = options.targetEntity
+      ? this._resolveTarget(options.targetEntity)
+      : this._identify(headers);
 
     if (!entityName) {
       const requiredTitles = this._importableEntities
@@ -349,9 +489,17 @@ class DataImportService {
           return `【${entityConfig.worksheet}】: ${entityConfig.requiredTitles.toString()}`;
         })
         .join("\n");
+
+      // 提示最接近的实体缺少哪些列
+      const [nearest] = this._rankCandidates(headers);
+      const hint =
+        nearest?.required > 0
+          ? `\n最接近【${nearest.worksheet}】，缺少：${nearest.missing.join("、")}`
+          : "";
       throw new Error(
         "无法识别导入数据的类型，请确保表头包含以下必填字段之一：\n" +
-          requiredTitles,
+          requiredTitles +
+          hint,
       );
     }
 
@@ -363,23 +511,255 @@ class DataImportService {
     // 5. 获取导入模式
     const mode = this._getImportMode(entityName);
 
-    // 6. 读取数据
-    const items = this._excelDAO.read(entityName, "导入数据");
+    // 6. 解析数据
+    const mapping = this._headerMatcher.match(
+      this._config.get(entityName),
+      data[0],
+    );
+    const normalized = [];
+    const items = this._excelDAO.parseRows(entityName, data, "导入数据", {
+      normalize: true,
+      report: normalized,
+    });
 
-    // 7. 根据模式处理数据
-    let result;
-    if (mode === "append") {
-      result = this._appendData(entityName, items);
-    } else {
-      result = this._overwriteData(entityName, items);
+    // 7. 根据模式处理数据，并清空导入数据表（作为一次可撤销的操作）
+    const worksheet = this._config.get(entityName).worksheet;
+    if (options.lenient) {
+      // 与 parseRows 一样去掉空行，使 _rowNumber 对应这里的下标
+      const rows = data.filter((row) => !this._isEmptyRow(row));
+      const imported = this._importLenient(entityName, items, {
+        label: `导入【${worksheet}】`,
+        titles: rows[0],
+        source: (item) => ({
+          rowNumber: item._rowNumber,
+          cells: rows[item._rowNumber - 1],
+        }),
+        merge: mode === "append",
+        clearImportData: true,
+      });
+      this._reportMapping(imported, mapping);
+      return this._reportNormalization(imported, normalized);
     }
 
-    // 8.更新系统记录
-    this._repository.updateSystemRecord(entityName, "importDate");
+    const imported = this._repository.runOperation(
+      `导入【${worksheet}】`,
+      () => {
+        let result;
+        if (mode === "append") {
+          result = this._appendData(entityName, items);
+        } else {
+          result = this._overwriteData(entityName, items);
+        }
+
+        // 8. 清空导入数据表
+        this._repository.clear("ImportData");
 
-    // 9. 清空导入数据表
-    this._excelDAO.clear("ImportData");
+        return result;
+      },
+    );
+    this._reportMapping(imported, mapping);
+    return this._reportNormalization(imported, normalized);
+  }
 
+  /**
+   * 重新导入【异常数据】中的行
+   * @returns {Object} 导入结果，结构同 import
+   * @throws {Error} 【异常数据】中没有数据或无法识别目标表时抛出
+   * @description
+   * 修改【异常数据】中的数据后调用：
+   * 1. 按"目标表"列确定实体，去掉前三列后按原导入数据的表头解析
+   * 2. 与宽松导入一样验证，通过的行按主键合并到目标工作表（覆盖模式的实体也只合并，不覆盖其余数据）
+   * 3. 仍未通过的行留在【异常数据】中并更新原因，全部通过时清空【异常数据】
+   */
+  reimportQuarantine() {
+    let data = [];
+    try {
+      data = this._excelDAO.readRaw("Quarantine");
+    } catch (e) {
+      // 工作表不存在
+    }
+
+    const rows = data.filter((row) => !this._isEmptyRow(row));
+    if (rows.length < 2) {
+      throw new Error("【异常数据】中没有待重新导入的数据");
+    }
+
+    const offset = DataImportService.QUARANTINE_TITLES.length;
+    const worksheet = String(rows[1][0] ?? "").trim();
+    const entityName = this._importableEntities.find(
+      (name) => this._config.get(name).worksheet === worksheet,
+    );
+    if (!entityName) {
+      throw new Error(`【异常数据】的目标表【${worksheet}】不支持导入`);
+    }
+
+    const normalized = [];
+    const items = this._excelDAO.parseRows(
+      entityName,
+      rows.map((row) => row.slice(offset)),
+      "异常数据",
+      { normalize: true, report: normalized },
+    );
+
+    const imported = this._importLenient(entityName, items, {
+      label: `重新导入【${worksheet}】`,
+      titles: rows[0].slice(offset),
+      source: (item) => ({
+        rowNumber: rows[item._rowNumber - 1][1],
+        cells: rows[item._rowNumber - 1].slice(offset),
+      }),
+      merge: true,
+      clearImportData: false,
+    });
+    return this._reportNormalization(imported, normalized);
+  }
+
+  /**
+   * 在导入结果中附加列映射报告
+   * @private
+   * @param {Object} result - 导入结果
+   * @param {Object} mapping - HeaderMatcher.match 的结果
+   * @returns {Object} 原导入结果
+   */
+  _reportMapping(result, mapping) {
+    result.mapping = mapping.mapping;
+    const report = this._headerMatcher.formatReport(mapping);
+    if (report) {
+      result.message += `\n${report}`;
+    }
+    return result;
+  }
+
+  /**
+   * 在导入结果中附加规范化报告
+   * @private
+   * @param {Object} result - 导入结果
+   * @param {Object[]} normalized - ExcelDAO.parseRows 记录的规范化改写
+   * @returns {Object} 原导入结果
+   */
+  _reportNormalization(result, normalized) {
+    result.normalized = normalized.length;
+    if (normalized.length > 0) {
+      result.message += `\n${this._normalizer.formatReport(normalized)}`;
+    }
     return result;
   }
+
+  /**
+   * 宽松导入：提交通过验证的行，其余行写入【异常数据】
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} items - 解析后的数据
+   * @param {Object} options - 导入选项
+   * @param {string} options.label - 操作名称（用于操作日志）
+   * @param {Array<*>} options.titles - 原导入数据的表头
+   * @param {Function} options.source - (item) => {rowNumber, cells}，返回记录的原行号和原始单元格
+   * @param {boolean} options.merge - true=按主键合并，false=覆盖目标工作表
+   * @param {boolean} options.clearImportData - 是否清空"导入数据"工作表
+   * @returns {Object} 导入结果
+   * @description 没有通过验证的行时不修改目标工作表
+   */
+  _importLenient(entityName, items, options) {
+    const { accepted, rejected } = this._partition(entityName, items);
+    const worksheet = this._config.get(entityName).worksheet;
+
+    const quarantine =
+      rejected.length > 0
+        ? [
+            [...DataImportService.QUARANTINE_TITLES, ...options.titles],
+            ...rejected.map(({ item, reasons }) => {
+              const { rowNumber, cells } = options.source(item);
+              return [
+                worksheet,
+                rowNumber,
+                reasons.join("；"),
+                ...cells.map((cell) => this._asText(cell)),
+              ];
+            }),
+          ]
+        : [];
+
+    return this._repository.runOperation(options.label, () => {
+      let result;
+      if (accepted.length === 0) {
+        result = {
+          success: true,
+          entityName: worksheet,
+          mode: options.merge ? "append" : "overwrite",
+          total: 0,
+          message: `【${worksheet}】没有通过验证的数据`,
+        };
+      } else if (options.merge) {
+        result = this._appendData(entityName, accepted);
+      } else {
+        result = this._overwriteData(entityName, accepted);
+      }
+
+      this._repository.saveRaw("Quarantine", quarantine);
+      if (options.clearImportData) {
+        this._repository.clear("ImportData");
+      }
+
+      result.rejected = rejected.length;
+      if (rejected.length > 0) {
+        result.message += `\n${rejected.length}行数据未通过验证，已移入【异常数据】，修改后可重新导入`;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * 按验证结果拆分数据
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} items - 解析后的数据
+   * @returns {Object} {accepted: Object[], rejected: [{item, reasons: string[]}]}
+   * @description 字段验证、跨字段规则、主键重复和 block 级别的外键约束不通过的行都会被拒绝
+   */
+  _partition(entityName, items) {
+    const entityConfig = this._config.get(entityName);
+    const reasons = new Map();
+
+    this._validationEngine
+      .validateAll(items, entityConfig)
+      .items.filter((result) => !result.valid)
+      .forEach((result) => {
+        reasons.set(result.data, Object.values(result.errors).flat());
+      });
+
+    const candidates = items.filter((item) => !reasons.has(item));
+    this._repository
+      .checkForeignKeys(entityName, candidates)
+      .forEach((errors, item) => reasons.set(item, errors));
+
+    return {
+      accepted: items.filter((item) => !reasons.has(item)),
+      rejected: items
+        .filter((item) => reasons.has(item))
+        .map((item) => ({ item, reasons: reasons.get(item) })),
+    };
+  }
+
+  /**
+   * 判断原始行是否为空行（与 ExcelDAO.parseRows 的规则一致）
+   * @private
+   * @param {Array<*>} row - 原始行
+   * @returns {boolean} true=空行
+   */
+  _isEmptyRow(row) {
+    return !(
+      row && row.some((cell) => cell != null && String(cell).trim() !== "")
+    );
+  }
+
+  /**
+   * 文本单元格加前导单引号，避免写入【异常数据】时被转换为数字或日期
+   * @private
+   * @param {*} value - 单元格的值
+   * @returns {*} 写入的值
+   */
+  _asText(value) {
+    return typeof value === "string" && value !== "" ? `'${value}` : value;
+  }
 }
@@ -14,6 +14,11 @@
  *
  * // 将处理后的数据写回 "Product" 工作表
  * excelDAO.write("Product", updatedProducts);
+ *
+ * // 在 Node 中使用文件存储后端（须在首次 getInstance 之前传入）
+ * const fileDAO = ExcelDAO.getInstance(
+ *   new FileStorageBackend("/data/商品运营表【史努比】"),
+ * );
  */
 class ExcelDAO {
   /** @type {ExcelDAO} 单例实例 */
@@ -23,15 +28,21 @@ class ExcelDAO {
    * 创建 ExcelDAO 实例。
    * 私有构造函数，防止外部使用 `new` 创建实例。
    * @private
+   * @param {StorageBackend} [backend] - 存储后端，默认使用 WpsStorageBackend
    */
-  constructor() {
+  constructor(backend) {
     if (ExcelDAO._instance) {
       return ExcelDAO._instance;
     }
 
     this._config = DataConfig.getInstance();
-    this._workbookName = this._detectWorkbookName();
+    this._backend = StorageBackend.assertImplemented(
+      backend || new WpsStorageBackend(this._config.getAppName()),
+    );
+    this._workbookName = this._backend.getWorkbookName();
     this._converter = Converter.getInstance();
+    this._normalizer = Normalizer.getInstance();
+    this._headerMatcher = HeaderMatcher.getInstance();
 
     ExcelDAO._instance = this;
   }
@@ -39,57 +50,37 @@ class ExcelDAO {
   /**
    * 获取 ExcelDAO 的单例实例。
    * @static
+   * @param {StorageBackend} [backend] - 存储后端，仅在首次创建实例时生效
    * @returns {ExcelDAO} ExcelDAO 的单例实例。
    */
-  static getInstance() {
+  static getInstance(backend) {
     if (!ExcelDAO._instance) {
-      ExcelDAO._instance = new ExcelDAO();
+      ExcelDAO._instance = new ExcelDAO(backend);
     }
     return ExcelDAO._instance;
   }
 
   /**
-   * 自动检测并返回符合要求的工作簿名称。
-   * @private
-   * @returns {string} 找到的工作簿名称。
-   * @throws {Error} 如果未找到包含配置的应用名称（如“商品运营表”）的工作簿，则抛出错误。
-   * @description
-   * 检测策略如下：
-   * 1. 优先检查当前活动工作簿 (`ActiveWorkbook`)，验证其名称是否包含配置的应用名称。
-   * 2. 如果活动工作簿不符合要求，则遍历所有已打开的工作簿，查找名称中包含应用名称的工作簿。
-   * 3. 如果都未找到，则抛出错误。
+   * 获取当前使用的存储后端。
+   * @returns {StorageBackend} 存储后端实例。
    */
-  _detectWorkbookName() {
-    const appName = this._config.getAppName();
-    try {
-      // 1. 尝试获取当前活动工作簿
-      const activeWb = ActiveWorkbook;
-      if (activeWb?.Name) {
-        // 验证文件名格式：必须包含"商品运营表"
-        if (!activeWb.Name.includes(appName)) {
-          throw new Error(
-            `工作簿名称必须包含"${appName}"，当前名称：${activeWb.Name}`,
-          );
-        }
-        return activeWb.Name;
-      }
-    } catch (e) {
-      // 忽略，继续尝试其他方法
-    }
+  getBackend() {
+    return this._backend;
+  }
 
-    // 2. 遍历所有打开的工作簿
-    try {
-      for (let i = 1; i <= Workbooks.Count; i++) {
-        const wb = Workbooks(i);
-        if (wb.Name.includes(appName)) {
-          return wb.Name;
-        }
-      }
-    } catch (e) {
-      // 忽略
+  /**
+   * 获取实体配置，不存在时抛出错误。
+   * @private
+   * @param {string} entityName - 实体名称。
+   * @returns {Object} 实体配置。
+   * @throws {Error} 如果实体不存在，则抛出错误。
+   */
+  _getEntityConfig(entityName) {
+    const entityConfig = this._config.get(entityName);
+    if (!entityConfig) {
+      throw new Error(`未知实体：${entityName}`);
     }
-
-    throw new Error(`未找到包含"${appName}"的工作簿，请先打开文件`);
+    return entityConfig;
   }
 
   /**
@@ -118,15 +109,78 @@ class ExcelDAO {
   }
 
   /**
-   * 获取当前工作簿的 Excel 对象。
-   * @returns {Excel.Workbook} Excel 工作簿对象。
+   * 获取当前工作簿的句柄。
+   * @returns {Excel.Workbook|Object} WPS 后端下为 Excel 工作簿对象，其他后端为后端自身的工作簿句柄。
    * @throws {Error} 如果根据存储的名称找不到对应的工作簿，则抛出错误。
    */
   getWorkbook() {
+    return this._backend.getWorkbook();
+  }
+
+  /**
+   * 获取实体对应工作表的原生对象（仅 WPS 后端可用）。
+   * @param {string} entityName - 实体名称。
+   * @param {Excel.Workbook} [workbook] - 可选，工作簿句柄。
+   * @returns {Excel.Worksheet|null} 工作表对象，后端不支持或工作表不存在时返回 null。
+   */
+  getSheet(entityName, workbook = null) {
+    const entityConfig = this._getEntityConfig(entityName);
+    return this._backend.getSheet?.(entityConfig.worksheet, workbook) || null;
+  }
+
+  /**
+   * 读取实体对应工作表的原始二维数组（不做任何转换）。
+   * @param {string} entityName - 实体名称。
+   * @param {string} [wsName] - 可选，工作表名称，默认使用实体配置中的 `worksheet`。
+   * @param {Excel.Workbook} [workbook] - 可选，工作簿句柄，默认当前工作簿。
+   * @returns {Array<Array<*>>} 二维数组（首行为标题），工作表为空时返回空数组。
+   * @throws {Error} 如果实体不存在或工作表读取失败，则抛出错误。
+   */
+  readRaw(entityName, wsName = null, workbook = null) {
+    const entityConfig = this._getEntityConfig(entityName);
+    wsName = wsName || entityConfig.worksheet;
+
     try {
-      return Workbooks(this._workbookName);
+      return this._backend.readSheet(wsName, workbook) || [];
     } catch (e) {
-      throw new Error(`找不到工作簿：${this._workbookName}`);
+      throw new Error(`读取工作表【${wsName}】失败：${e.message}`);
+    }
+  }
+
+  /**
+   * 将原始二维数组原样写回实体对应的工作表（用于恢复快照等场景）。
+   * 日期/日期时间列的文本值与 `write` 一样加前导单引号，避免 "2024-01-15" 被 Excel 转换为日期序列号。
+   * @param {string} entityName - 实体名称。
+   * @param {Array<Array<*>>} rows - 二维数组（首行为标题）。
+   * @param {Excel.Workbook} [workbook] - 可选，目标工作簿。如果不提供，则写入当前工作簿并自动保存。
+   * @throws {Error} 如果实体不存在，则抛出错误。
+   */
+  writeRaw(entityName, rows, workbook = null) {
+    const entityConfig = this._getEntityConfig(entityName);
+
+    const dateTitles = new Set(
+      Object.values(entityConfig.fields)
+        .filter((field) => field.type === "date" || field.type === "datetime")
+        .map((field) => field.title),
+    );
+    const header = rows?.[0] || [];
+    const values = (rows || []).map((row, rowIndex) =>
+      rowIndex === 0
+        ? row
+        : row.map((value, col) =>
+            dateTitles.has(header[col]) &&
+            typeof value === "string" &&
+            value !== "" &&
+            !value.startsWith("'")
+              ? `'${value}`
+              : value,
+          ),
+    );
+
+    this._backend.writeSheet(entityConfig.worksheet, values, workbook);
+
+    if (!workbook) {
+      this._backend.save();
     }
   }
 
@@ -134,6 +188,7 @@ class ExcelDAO {
    * 从指定的工作表读取实体数据。
    * @param {string} entityName - 实体名称，用于从配置中获取字段映射和工作表名称。
    * @param {string} [wsName] - 可选，要读取的工作表名称。如果不提供，则使用实体配置中的 `worksheet` 属性。
+   * @param {Excel.Workbook} [workbook] - 可选，要读取的工作簿句柄，默认当前工作簿。
    * @returns {Object[]} 返回一个对象数组，每个对象对应数据表中的一行，键为字段名，值为经过类型转换后的数据。
    * 每个对象还会包含一个特殊的 `_rowNumber` 属性，表示该行数据在 Excel 中的实际行号（从2开始，因为第1行是标题）。
    * @throws {Error} 如果实体不存在、工作表读取失败、工作表中无数据或找不到配置的列，则抛出错误。
@@ -141,45 +196,48 @@ class ExcelDAO {
    * @description
    * 读取流程如下：
    * 1. 根据 `entityName` 获取实体配置。
-   * 2. 获取目标工作表及其已使用区域 (`UsedRange`)。
-   * 3. 过滤掉完全为空的行。
-   * 4. 将第一行作为标题行，并根据实体配置中 `type !== "computed"` 的字段，建立字段名到列索引的映射。
-   * 5. 遍历数据行，根据字段配置的 `type`（如 'number', 'date'）使用 `Converter` 进行类型转换。
-   * 6. 如果转换后值为 `undefined` 且字段配置了 `default`，则应用默认值。
-   * 7. 为计算字段 (`type: "computed"`) 预留 `undefined` 占位符。
-   * 8. 为每行数据添加 `_rowNumber` 属性。
+   * 2. 通过存储后端读取目标工作表的已使用区域 (`readRaw`)。
+   * 3. 解析原始数据 (`parseRows`)。
    */
-  read(entityName, wsName = null) {
-    const entityConfig = this._config.get(entityName);
-    if (!entityConfig) {
-      throw new Error(`未知实体：${entityName}`);
-    }
-
+  read(entityName, wsName = null, workbook = null) {
+    const entityConfig = this._getEntityConfig(entityName);
     wsName = wsName || entityConfig.worksheet;
-    const fields = entityConfig.fields;
-
-    // 获取需要持久化的字段映射
-    const keyToTitle = {};
-    Object.entries(fields).forEach(([key, config]) => {
-      if (config.type !== "computed") {
-        keyToTitle[key] = config.title || key;
-      }
-    });
 
-    // 读取工作表
-    let data = [];
-    try {
-      const sheet = this.getWorkbook().Sheets(wsName);
-      const usedRange = sheet.UsedRange;
+    const data = this.readRaw(entityName, wsName, workbook);
+    if (data.length === 0) {
+      return [];
+    }
 
-      if (!usedRange || usedRange.Value2 == null) {
-        return [];
-      }
+    return this.parseRows(entityName, data, wsName);
+  }
 
-      data = usedRange.Value2;
-    } catch (e) {
-      throw new Error(`读取工作表【${wsName}】失败：${e.message}`);
-    }
+  /**
+   * 将工作表的原始二维数组解析为实体对象数组。
+   * @param {string} entityName - 实体名称。
+   * @param {Array<Array<*>>} data - 原始二维数组（首行为标题）。
+   * @param {string} [wsName] - 可选，工作表名称，仅用于错误信息。
+   * @param {Object} [options] - 可选，解析选项。
+   * @param {boolean} [options.normalize=false] - 是否先用 `Normalizer` 规范化原始值，仅用于导入外部数据；
+   *   已保存的工作表不做规范化，以免改写用户填写的内容（如备注中的全角数字）。
+   * @param {Object[]} [options.report] - 规范化时传入数组，被改写的单元格记入其中 `{rowNumber, field, title, from, to}`。
+   * @returns {Object[]} 实体对象数组，每个对象带有 `_rowNumber` 属性。
+   * @throws {Error} 如果工作表中无数据或找不到配置的列，则抛出错误。
+   *
+   * @description
+   * 解析流程如下：
+   * 1. 过滤掉完全为空的行。
+   * 2. 将第一行作为标题行，通过 `HeaderMatcher` 为 `type !== "computed"` 的字段建立字段名到列索引的映射
+   *   （按标题、别名 `aliases`、去掉括号说明的近似标题依次匹配，全角字符、空白不影响匹配）。
+   * 3. 遍历数据行，指定 `options.normalize` 时先用 `Normalizer` 按字段类型规范化原始值（千分位、百分比、中文日期等），
+   *    再根据字段配置的 `type`（如 'number', 'date', 'datetime'）使用 `Converter` 进行类型转换。
+   * 4. 如果转换后值为 `undefined` 且字段配置了 `default`，则应用默认值。
+   * 5. 为计算字段 (`type: "computed"`) 预留 `undefined` 占位符。
+   * 6. 为每行数据添加 `_rowNumber` 属性。
+   */
+  parseRows(entityName, data, wsName = null, options = {}) {
+    const entityConfig = this._getEntityConfig(entityName);
+    wsName = wsName || entityConfig.worksheet;
+    const fields = entityConfig.fields;
 
     // 过滤空行
     data = data.filter(
@@ -191,18 +249,14 @@ class ExcelDAO {
       throw new Error(`【${wsName}】中没有任何数据`);
     }
 
-    // 标题行
-    const titleRow = data.shift();
-
-    // 构建列索引
-    const columnIndex = {};
-    Object.entries(keyToTitle).forEach(([key, title]) => {
-      const index = titleRow.findIndex((t) => String(t).trim() === title);
-      if (index === -1) {
-        throw new Error(`【${wsName}】中找不到列：${title}`);
-      }
-      columnIndex[key] = index;
-    });
+    // 按标题、别名和近似标题构建列索引
+    const { columns: columnIndex, missing } = this._headerMatcher.match(
+      entityConfig,
+      data.shift(),
+    );
+    if (missing.length > 0) {
+      throw new Error(`【${wsName}】中找不到列：${missing.join("、")}`);
+    }
 
     // 转换数据
     const results = [];
@@ -211,9 +265,22 @@ class ExcelDAO {
 
       Object.keys(columnIndex).forEach((key) => {
         const colIdx = columnIndex[key];
-        const rawValue = row[colIdx];
         const fieldConfig = fields[key];
 
+        // 规范化（仅导入时）
+        const rawValue = options.normalize
+          ? this._normalizer.normalize(row[colIdx], fieldConfig)
+          : row[colIdx];
+        if (options.report && rawValue !== row[colIdx]) {
+          options.report.push({
+            rowNumber: idx + 2,
+            field: key,
+            title: fields[key].title || key,
+            from: row[colIdx],
+            to: rawValue,
+          });
+        }
+
         // 类型转换
         switch (fieldConfig?.type) {
           case "number":
@@ -222,6 +289,9 @@ class ExcelDAO {
           case "date":
             obj[key] = this._converter.toDateStr(rawValue);
             break;
+          case "datetime":
+            obj[key] = this._converter.toDateTimeStr(rawValue);
+            break;
           default:
             obj[key] = this._converter.toString(rawValue);
         }
@@ -257,25 +327,73 @@ class ExcelDAO {
    *
    * @description
    * 写入流程如下：
-   * 1. 根据 `entityName` 获取实体配置。
-   * 2. 确定需要持久化的字段 (`config.persist !== false`)，并获取它们的标题 (`title`)。
-   * 3. 构建输出数据数组，第一行为标题行。
-   * 4. 遍历输入的数据数组，为每一行构建数据行。对于每个字段：
-   *    - 值为 `null`、`undefined`、空字符串或布尔值时，输出 `undefined`（Excel 中将显示为空单元格）。
-   *    - 如果值等于字段配置的 `default` 值，也输出 `undefined`（避免写入默认值，保持整洁）。
-   *    - 根据字段配置的 `type` 对值进行格式化（如数字转 Number，日期用 `Converter.formatDate` 格式化）。
-   * 5. 清空目标工作表的原内容 (`ClearContents`)。
-   * 6. 将构建好的二维数组一次性写入工作表，从 A1 单元格开始。
-   * 7. 如果未指定 `targetWorkbook`，则自动保存当前工作簿。
+   * 1. 通过 `toRows` 将数据转换为二维数组（首行为标题）。
+   * 2. 通过存储后端清空目标工作表的原内容并从 A1 单元格开始一次性写入。
+   * 3. 如果未指定 `targetWorkbook`，则自动保存当前工作簿。
    */
   write(entityName, data, targetWorkbook = null) {
-    const entityConfig = this._config.get(entityName);
-    if (!entityConfig) {
-      throw new Error(`未知实体：${entityName}`);
+    const entityConfig = this._getEntityConfig(entityName);
+
+    // 写入
+    this._backend.writeSheet(
+      entityConfig.worksheet,
+      this.toRows(entityName, data),
+      targetWorkbook,
+    );
+
+    // 自动保存
+    if (!targetWorkbook) {
+      this._backend.save();
     }
+  }
 
-    const wsName = entityConfig.worksheet;
-    const fields = entityConfig.fields;
+  /**
+   * 将实体数据追加到工作表末尾（用于只增不改的日志类工作表）。
+   * @param {string} entityName - 实体名称。
+   * @param {Object[]} data - 要追加的数据对象数组。
+   * @throws {Error} 如果实体不存在，则抛出错误。
+   *
+   * @description
+   * 通过存储后端的 `appendRows` 只写入新增的行，不读取和重写已有内容。
+   * 后端不支持追加或工作表的表头与字段配置不一致（如列被调整过顺序）时，
+   * 读取原有数据后整表写入。写入后自动保存当前工作簿。
+   */
+  append(entityName, data) {
+    const entityConfig = this._getEntityConfig(entityName);
+    const rows = this.toRows(entityName, data);
+
+    if (this._backend.appendRows?.(entityConfig.worksheet, rows)) {
+      this._backend.save();
+      return;
+    }
+
+    let existing = [];
+    try {
+      existing = this.read(entityName);
+    } catch (e) {
+      // 工作表不存在或为空
+    }
+    this.write(entityName, [...existing, ...data]);
+  }
+
+  /**
+   * 将实体数据转换为可写入工作表的二维数组。
+   * @param {string} entityName - 实体名称。
+   * @param {Object[]} data - 数据对象数组。
+   * @returns {Array<Array<*>>} 二维数组，第一行为标题行。
+   * @throws {Error} 如果实体不存在，则抛出错误。
+   *
+   * @description
+   * 转换规则如下：
+   * 1. 确定需要持久化的字段 (`config.persist !== false`)，并获取它们的标题 (`title`)。
+   * 2. 构建输出数据数组，第一行为标题行。
+   * 3. 遍历输入的数据数组，为每一行构建数据行。对于每个字段：
+   *    - 值为 `null`、`undefined`、空字符串或布尔值时，输出 `undefined`（Excel 中将显示为空单元格）。
+   *    - 如果值等于字段配置的 `default` 值，也输出 `undefined`（避免写入默认值，保持整洁）。
+   *    - 根据字段配置的 `type` 对值进行格式化（如数字转 Number，日期用 `Converter.formatDate` 格式化）。
+   */
+  toRows(entityName, data) {
+    const fields = this._getEntityConfig(entityName).fields;
 
     // 获取需要持久化的字段
     const persistFields = [];
@@ -322,6 +440,8 @@ class ExcelDAO {
             return Number(value);
           case "date":
             return this._converter.formatDate(value);
+          case "datetime":
+            return this._converter.formatDateTime(value);
           default:
             return String(value);
         }
@@ -329,23 +449,7 @@ class ExcelDAO {
       outputData.push(row);
     });
 
-    // 写入Excel
-    const wb = targetWorkbook || this.getWorkbook();
-    const sheet = wb.Sheets(wsName);
-
-    sheet.Cells.ClearContents();
-
-    if (outputData.length > 0) {
-      const range = sheet
-        .Range("A1")
-        .Resize(outputData.length, outputData[0].length);
-      range.Value2 = outputData;
-    }
-
-    // 自动保存
-    if (!targetWorkbook) {
-      wb.Save();
-    }
+    return outputData;
   }
 
   /**
@@ -354,46 +458,86 @@ class ExcelDAO {
    * @param {Excel.Workbook} [targetWorkbook] - 可选，目标工作簿。如果不提供，则操作当前工作簿。
    * @throws {Error} 如果实体不存在，则抛出错误。
    * @description
-   * 此方法会清除工作表中的所有内容和格式 (`Cells.Clear()`)。
+   * 此方法会清除工作表中的所有内容和格式。
    * 如果未指定 `targetWorkbook`，则自动保存当前工作簿。
    */
   clear(entityName, targetWorkbook = null) {
-    const entityConfig = this._config.get(entityName);
-    if (!entityConfig) {
-      throw new Error(`未知实体：${entityName}`);
-    }
+    const entityConfig = this._getEntityConfig(entityName);
 
-    const wb = targetWorkbook || this.getWorkbook();
-    wb.Sheets(entityConfig.worksheet).Cells.Clear();
+    this._backend.clearSheet(entityConfig.worksheet, targetWorkbook);
 
     if (!targetWorkbook) {
-      wb.Save();
+      this._backend.save();
     }
   }
 
   /**
    * 将源实体对应的工作表复制到目标工作簿的末尾。
    * @param {string} sourceEntityName - 源实体名称。
-   * @param {Excel.Workbook} targetWorkbook - 目标工作簿。
-   * @returns {Excel.Worksheet} 新复制的工作表对象（复制后将成为活动工作表）。
+   * @param {Excel.Workbook} targetWorkbook - 目标工作簿句柄。
+   * @param {string} [sheetName] - 可选，新工作表的名称。
+   * @returns {string} 新复制的工作表名称。
    * @throws {Error} 如果源实体不存在，则抛出错误。
    *
    * @example
    * // 将当前工作簿中的 "Product" 模板表复制到一个新工作簿
-   * const newWb = Workbooks.Add();
-   * const newSheet = excelDAO.copySheet("Product", newWb);
-   * newSheet.Name = "生成报表"; // 重命名新工作表
+   * const newWb = excelDAO.createWorkbook("Product");
+   * const sheetName = excelDAO.copySheet("Product", newWb, "生成报表");
    */
-  copySheet(sourceEntityName, targetWorkbook) {
-    const entityConfig = this._config.get(sourceEntityName);
-    if (!entityConfig) {
-      throw new Error(`未知实体：${sourceEntityName}`);
-    }
+  copySheet(sourceEntityName, targetWorkbook, sheetName = null) {
+    const entityConfig = this._getEntityConfig(sourceEntityName);
+    return this._backend.copySheet(
+      entityConfig.worksheet,
+      targetWorkbook,
+      sheetName,
+    );
+  }
 
-    const sourceWb = this.getWorkbook();
-    sourceWb
-      .Sheets(entityConfig.worksheet)
-      .Copy(null, targetWorkbook.Sheets(targetWorkbook.Sheets.Count));
-    return ActiveSheet;
+  /**
+   * 以实体对应的工作表为模板创建一个新工作簿。
+   * @param {string} entityName - 模板实体名称。
+   * @returns {Excel.Workbook|Object} 新工作簿句柄，其中只包含该工作表的副本。
+   * @throws {Error} 如果实体不存在，则抛出错误。
+   */
+  createWorkbook(entityName) {
+    const entityConfig = this._getEntityConfig(entityName);
+    return this._backend.createWorkbook(entityConfig.worksheet);
+  }
+
+  /**
+   * 按工作表名称写入原始二维数组（用于报表等动态命名的工作表）。
+   * @param {string} wsName - 工作表名称。
+   * @param {Array<Array<*>>} rows - 二维数组。
+   * @param {Excel.Workbook} workbook - 目标工作簿句柄。
+   */
+  writeSheet(wsName, rows, workbook) {
+    this._backend.writeSheet(wsName, rows, workbook);
+  }
+
+  /**
+   * 设置工作表格式（列宽、数字格式、标题颜色、标题行样式）。
+   * @param {string} wsName - 工作表名称。
+   * @param {Object} format - 格式配置，参见 StorageBackend.formatSheet。
+   * @param {Excel.Workbook} workbook - 目标工作簿句柄。
+   */
+  formatSheet(wsName, format, workbook) {
+    this._backend.formatSheet?.(wsName, format, workbook);
+  }
+
+  /**
+   * 删除工作簿中的工作表。
+   * @param {string} wsName - 工作表名称。
+   * @param {Excel.Workbook} workbook - 工作簿句柄。
+   */
+  deleteSheet(wsName, workbook) {
+    this._backend.deleteSheet(wsName, workbook);
+  }
+
+  /**
+   * 保存工作簿。
+   * @param {Excel.Workbook} [workbook] - 可选，工作簿句柄，默认当前工作簿。
+   */
+  saveWorkbook(workbook = null) {
+    this._backend.save(workbook);
   }
 }
@@ -0,0 +1,437 @@
+/**
+ * 文件存储后端 - 基于 .xlsx 文件或 CSV 文件夹的存储实现
+ *
+ * @class FileStorageBackend
+ * @implements {StorageBackend}
+ * @description 用于在 Node 环境中脱离 WPS 运行（夜间批处理、测试等）。
+ * 支持两种存储格式：
+ * - .xlsx 文件：每个 DataConfig 工作表对应文件中的一个工作表（需要安装 `xlsx` 包）
+ * - CSV 文件夹：每个工作表对应文件夹中的一个 `<工作表名>.csv` 文件（UTF-8，带 BOM）
+ *
+ * 工作簿名称取自文件名或文件夹名，必须与 WPS 下一样包含应用名称及【品牌】，
+ * 例如 `/data/商品运营表【史努比】.xlsx` 或 `/data/商品运营表【史努比】/`。
+ *
+ * 数据先读入内存，写入只修改内存副本，调用 save() 时才落盘。
+ * 由于文件中没有“文本单元格”的概念，写入时会去掉 Excel 的前导单引号。
+ *
+ * @example
+ * // Node 环境（所有类文件已加载到同一全局作用域）
+ * const backend = new FileStorageBackend("/data/商品运营表【史努比】.xlsx");
+ * const excelDAO = ExcelDAO.getInstance(backend);
+ * const repository = Repository.getInstance(excelDAO);
+ * ProductService.getInstance(repository).updateAll();
+ */
+class FileStorageBackend {
+  /**
+   * 创建文件存储后端
+   * @param {string} path - .xlsx 文件路径或 CSV 文件夹路径
+   * @param {Object} [options] - 选项
+   * @param {string} [options.appName] - 应用名称，提供时校验工作簿名称
+   */
+  constructor(path, options = {}) {
+    this._fs = require("fs");
+    this._path = require("path");
+    this._appName = options.appName || null;
+    this._workbook = this._openWorkbook(path);
+
+    if (this._appName && !this._workbook.Name.includes(this._appName)) {
+      throw new Error(
+        `工作簿名称必须包含"${this._appName}"，当前名称：${this._workbook.Name}`,
+      );
+    }
+  }
+
+  /**
+   * 打开（或在内存中新建）一个文件工作簿
+   * @private
+   * @param {string} filePath - 文件或文件夹路径
+   * @returns {Object} 工作簿句柄 {Name, path, format, sheets, loaded}
+   */
+  _openWorkbook(filePath) {
+    const format = /\.xlsx$/i.test(filePath) ? "xlsx" : "csv";
+    return {
+      Name: this._path.basename(filePath),
+      path: filePath,
+      format,
+      sheets: new Map(),
+      loaded: false,
+    };
+  }
+
+  /**
+   * 按需从磁盘加载工作簿内容
+   * @private
+   * @param {Object} workbook - 工作簿句柄
+   */
+  _ensureLoaded(workbook) {
+    if (workbook.loaded) return;
+    workbook.loaded = true;
+
+    if (!this._fs.existsSync(workbook.path)) return;
+
+    if (workbook.format === "xlsx") {
+      const XLSX = this._requireXlsx();
+      const book = XLSX.readFile(workbook.path);
+      book.SheetNames.forEach((name) => {
+        const rows = XLSX.utils.sheet_to_json(book.Sheets[name], {
+          header: 1,
+          raw: true,
+          defval: null,
+        });
+        workbook.sheets.set(name, { rows, columns: [] });
+      });
+      return;
+    }
+
+    this._fs
+      .readdirSync(workbook.path)
+      .filter((file) => /\.csv$/i.test(file))
+      .sort()
+      .forEach((file) => {
+        const text = this._fs.readFileSync(
+          this._path.join(workbook.path, file),
+          "utf8",
+        );
+        workbook.sheets.set(file.replace(/\.csv$/i, ""), {
+          rows: this._parseCsv(text),
+          columns: [],
+        });
+      });
+  }
+
+  /**
+   * 加载 xlsx 依赖
+   * @private
+   * @returns {Object} SheetJS 模块
+   * @throws {Error} 未安装时抛出
+   */
+  _requireXlsx() {
+    try {
+      return require("xlsx");
+    } catch (e) {
+      throw new Error("读写 .xlsx 文件需要安装 xlsx 包，或改用 CSV 文件夹");
+    }
+  }
+
+  /**
+   * 获取工作表记录
+   * @private
+   * @param {string} wsName - 工作表名称
+   * @param {Object} [workbook] - 工作簿句柄
+   * @returns {Object|undefined} 工作表记录 {rows, columns}
+   */
+  _getSheetEntry(wsName, workbook = null) {
+    const wb = workbook || this._workbook;
+    this._ensureLoaded(wb);
+    return wb.sheets.get(wsName);
+  }
+
+  /**
+   * 解析 CSV 文本（支持引号、转义引号及字段内换行）
+   * @private
+   * @param {string} text - CSV 文本
+   * @returns {Array<Array<string|null>>} 二维数组，空单元格为 null
+   */
+  _parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    text = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        row.push(cell === "" ? null : cell);
+        cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell === "" ? null : cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+
+    if (cell !== "" || row.length > 0) {
+      row.push(cell === "" ? null : cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * 将二维数组序列化为 CSV 文本
+   * @private
+   * @param {Array<Array<*>>} rows - 二维数组
+   * @returns {string} CSV 文本
+   */
+  _toCsv(rows) {
+    return rows
+      .map((row) =>
+        row
+          .map((value) => {
+            if (value == null) return "";
+            const str = String(value);
+            return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+          })
+          .join(","),
+      )
+      .join("\r\n");
+  }
+
+  /**
+   * 规范化写入的单元格值
+   * @private
+   * @param {*} value - 单元格值
+   * @returns {*} 去掉前导单引号后的值
+   */
+  _normalizeCell(value) {
+    if (typeof value === "string" && value.startsWith("'")) {
+      return value.substring(1);
+    }
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * 获取主工作簿名称
+   * @returns {string} 文件名或文件夹名
+   */
+  getWorkbookName() {
+    return this._workbook.Name;
+  }
+
+  /**
+   * 获取主工作簿句柄
+   * @returns {Object} 工作簿句柄
+   */
+  getWorkbook() {
+    return this._workbook;
+  }
+
+  /**
+   * 文件工作表没有原生对象
+   * @returns {null}
+   */
+  getSheet() {
+    return null;
+  }
+
+  /**
+   * 读取工作表
+   * @param {string} wsName - 工作表名称
+   * @param {Object} [workbook] - 工作簿句柄
+   * @returns {Array<Array<*>>|null} 二维数组副本，工作表为空时返回 null
+   * @throws {Error} 工作表不存在时抛出
+   */
+  readSheet(wsName, workbook = null) {
+    const entry = this._getSheetEntry(wsName, workbook);
+    if (!entry) {
+      throw new Error(`工作表【${wsName}】不存在`);
+    }
+    if (entry.rows.length === 0) {
+      return null;
+    }
+    return entry.rows.map((row) => [...row]);
+  }
+
+  /**
+   * 写入工作表（覆盖原内容，保留列格式）
+   * @param {string} wsName - 工作表名称
+   * @param {Array<Array<*>>} rows - 二维数组
+   * @param {Object} [workbook] - 工作簿句柄
+   */
+  writeSheet(wsName, rows, workbook = null) {
+    const wb = workbook || this._workbook;
+    const entry = this._getSheetEntry(wsName, wb);
+    const normalized = rows.map((row) =>
+      row.map((value) => this._normalizeCell(value)),
+    );
+
+    if (entry) {
+      entry.rows = normalized;
+    } else {
+      wb.sheets.set(wsName, { rows: normalized, columns: [] });
+    }
+  }
+
+  /**
+   * 在工作表末尾追加数据行
+   * @param {string} wsName - 工作表名称
+   * @param {Array<Array<*>>} rows - 二维数组，首行为标题行
+   * @param {Object} [workbook] - 工作簿句柄
+   * @returns {boolean} 是否已追加，表头与工作表不一致时返回 false
+   */
+  appendRows(wsName, rows, workbook = null) {
+    const entry = this._getSheetEntry(wsName, workbook);
+    if (!entry || entry.rows.length === 0) {
+      this.writeSheet(wsName, rows, workbook);
+      return true;
+    }
+
+    const header = rows[0] || [];
+    if (header.some((title, index) => title !== entry.rows[0][index])) {
+      return false;
+    }
+
+    rows
+      .slice(1)
+      .forEach((row) =>
+        entry.rows.push(row.map((value) => this._normalizeCell(value))),
+      );
+    return true;
+  }
+
+  /**
+   * 清空工作表的内容和格式
+   * @param {string} wsName - 工作表名称
+   * @param {Object} [workbook] - 工作簿句柄
+   */
+  clearSheet(wsName, workbook = null) {
+    const entry = this._getSheetEntry(wsName, workbook);
+    if (!entry) {
+      throw new Error(`工作表【${wsName}】不存在`);
+    }
+    entry.rows = [];
+    entry.columns = [];
+  }
+
+  /**
+   * 复制工作表到目标工作簿末尾
+   * @param {string} wsName - 源工作表名称
+   * @param {Object} targetWorkbook - 目标工作簿句柄
+   * @param {string} [newName] - 新工作表名称，默认按“名称 (2)”规则生成
+   * @returns {string} 新工作表名称
+   */
+  copySheet(wsName, targetWorkbook, newName = null) {
+    const entry = this._getSheetEntry(wsName);
+    if (!entry) {
+      throw new Error(`工作表【${wsName}】不存在`);
+    }
+
+    this._ensureLoaded(targetWorkbook);
+
+    let name = newName || wsName;
+    for (let i = 2; !newName && targetWorkbook.sheets.has(name); i++) {
+      name = `${wsName} (${i})`;
+    }
+
+    targetWorkbook.sheets.set(name, {
+      rows: entry.rows.map((row) => [...row]),
+      columns: entry.columns.map((col) => ({ ...col })),
+    });
+    return name;
+  }
+
+  /**
+   * 以工作表为模板创建新工作簿（与主工作簿同目录、同格式，保存前不落盘）
+   * @param {string} wsName - 模板工作表名称
+   * @returns {Object} 新工作簿句柄
+   */
+  createWorkbook(wsName) {
+    const dir = this._path.dirname(this._workbook.path);
+    const stamp = new Date()
+      .toISOString()
+      .replace(/[-:T]/g, "")
+      .substring(0, 14);
+    const fileName =
+      this._workbook.format === "xlsx"
+        ? `${wsName}_${stamp}.xlsx`
+        : `${wsName}_${stamp}`;
+
+    const workbook = this._openWorkbook(this._path.join(dir, fileName));
+    workbook.loaded = true;
+    this.copySheet(wsName, workbook);
+    return workbook;
+  }
+
+  /**
+   * 删除工作表
+   * @param {string} wsName - 工作表名称
+   * @param {Object} [workbook] - 工作簿句柄
+   */
+  deleteSheet(wsName, workbook = null) {
+    const wb = workbook || this._workbook;
+    this._ensureLoaded(wb);
+    wb.sheets.delete(wsName);
+  }
+
+  /**
+   * 记录列宽（仅 .xlsx 保存时生效，颜色与数字格式不保存）
+   * @param {string} wsName - 工作表名称
+   * @param {Object} format - 格式配置 {columns, header}
+   * @param {Object} [workbook] - 工作簿句柄
+   */
+  formatSheet(wsName, format, workbook = null) {
+    const entry = this._getSheetEntry(wsName, workbook);
+    if (!entry) return;
+
+    (format.columns || []).forEach((col, index) => {
+      entry.columns[index] = { ...entry.columns[index], ...col };
+    });
+  }
+
+  /**
+   * 将工作簿写入磁盘
+   * @param {Object} [workbook] - 工作簿句柄
+   */
+  save(workbook = null) {
+    const wb = workbook || this._workbook;
+    this._ensureLoaded(wb);
+
+    if (wb.format === "xlsx") {
+      const XLSX = this._requireXlsx();
+      const book = XLSX.utils.book_new();
+      wb.sheets.forEach((entry, name) => {
+        const sheet = XLSX.utils.aoa_to_sheet(entry.rows);
+        if (entry.columns.length > 0) {
+          sheet["!cols"] = entry.columns.map((col) => ({
+            wch: col?.width || 10,
+          }));
+        }
+        XLSX.utils.book_append_sheet(book, sheet, name);
+      });
+      XLSX.writeFile(book, wb.path);
+      return;
+    }
+
+    this._fs.mkdirSync(wb.path, { recursive: true });
+
+    // 删除已不存在的工作表对应的文件
+    this._fs
+      .readdirSync(wb.path)
+      .filter((file) => /\.csv$/i.test(file))
+      .forEach((file) => {
+        if (!wb.sheets.has(file.replace(/\.csv$/i, ""))) {
+          this._fs.unlinkSync(this._path.join(wb.path, file));
+        }
+      });
+
+    wb.sheets.forEach((entry, name) => {
+      this._fs.writeFileSync(
+        this._path.join(wb.path, `${name}.csv`),
+        "\uFEFF" + this._toCsv(entry.rows),
+        "utf8",
+      );
+    });
+  }
+}
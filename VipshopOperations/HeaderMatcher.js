@@ -0,0 +1,216 @@
+/**
+ * 表头匹配器 - 将工作表的表头列对应到实体字段
+ *
+ * @class HeaderMatcher
+ * @description 唯品会和 ERP 导出的表头常有细微差异（"商品编码 "、"加购UV（加购用户数）"），
+ * 或者改了名称（"加购人数"），逐字比较会导致找不到列。本类按以下顺序匹配，已匹配的列不再参与后续匹配：
+ * 1. 标题：表头与字段标题规范化后相同
+ * 2. 别名：表头与字段的 aliases 之一规范化后相同
+ * 3. 近似：去掉末尾括号内的说明后相同，如 "加购UV" 与 "加购UV(加购用户数)"，
+ *    只在双方都唯一对应时采用，避免 "到手价" 同时对应 "到手价(含券)" 和 "到手价(不含券)"
+ *
+ * 规范化：全角转半角、去掉所有空白、【】[]〔〕统一为圆括号、英文字母不区分大小写。
+ *
+ * 该类采用单例模式，确保全局只有一个表头匹配器实例。
+ *
+ * @example
+ * const matcher = HeaderMatcher.getInstance();
+ * const match = matcher.match(config.get("Inventory"), ["商品编码 ", "数量", "备注"]);
+ * // match.columns: { productCode: 0, mainInventory: 1 }
+ * // match.mapping: [{ field: "productCode", title: "商品编码", header: "商品编码 ", index: 0, via: "title" }, ...]
+ * // match.ignored: [{ header: "备注", index: 2 }]
+ *
+ * // 字段配置中的别名
+ * // addToCartUV: { title: "加购UV(加购用户数)", aliases: ["加购人数"], type: "number" }
+ */
+class HeaderMatcher {
+  /** @type {HeaderMatcher} 单例实例 */
+  static _instance = null;
+
+  /** @type {Object.<string, string>} 匹配方式的说明 */
+  static VIA_TEXT = {
+    title: "标题",
+    alias: "别名",
+    fuzzy: "近似",
+  };
+
+  /**
+   * 创建表头匹配器实例
+   * @private
+   */
+  constructor() {
+    if (HeaderMatcher._instance) {
+      return HeaderMatcher._instance;
+    }
+
+    this._normalizer = Normalizer.getInstance();
+
+    HeaderMatcher._instance = this;
+  }
+
+  /**
+   * 获取表头匹配器的单例实例
+   * @static
+   * @returns {HeaderMatcher} 表头匹配器实例
+   */
+  static getInstance() {
+    if (!HeaderMatcher._instance) {
+      HeaderMatcher._instance = new HeaderMatcher();
+    }
+    return HeaderMatcher._instance;
+  }
+
+  /**
+   * 获取表头用于比较的键
+   * @param {*} title - 表头或字段标题
+   * @returns {string} 规范化后的键，空表头返回空字符串
+   *
+   * @example
+   * matcher.toKey(" 加购UV（加购用户数） "); // "加购uv(加购用户数)"
+   * matcher.toKey("【商品】编码"); // "(商品)编码"
+   */
+  toKey(title) {
+    return this._normalizer
+      .normalizeTitle(title)
+      .replace(/\s+/g, "")
+      .replace(/[【\[〔]/g, "(")
+      .replace(/[】\]〕]/g, ")")
+      .toLowerCase();
+  }
+
+  /**
+   * 匹配表头与实体字段（计算字段不参与匹配）
+   * @param {Object} entityConfig - 实体配置
+   * @param {Array<*>} headers - 表头（工作表的首行）
+   * @returns {Object} 匹配结果
+   * @returns {Object.<string, number>} return.columns - 字段名 -> 列下标（从 0 开始）
+   * @returns {Object[]} return.mapping - 按列顺序的对应关系 [{field, title, header, index, via}]，
+   *   via 为 title/alias/fuzzy
+   * @returns {string[]} return.missing - 未找到对应列的字段标题
+   * @returns {Object[]} return.ignored - 没有对应字段的非空表头 [{header, index}]
+   */
+  match(entityConfig, headers) {
+    const keys = headers.map((header) => this.toKey(header));
+    const fields = Object.entries(entityConfig.fields).filter(
+      ([, config]) => config.type !== "computed",
+    );
+
+    const columns = {};
+    const via = {};
+    const used = new Set();
+    const assign = (fieldName, index, how) => {
+      columns[fieldName] = index;
+      via[fieldName] = how;
+      used.add(index);
+    };
+
+    // 1.标题 2.别名（同名表头取第一列）
+    [
+      ["title", (name, config) => [config.title || name]],
+      ["alias", (name, config) => config.aliases || []],
+    ].forEach(([how, getTitles]) => {
+      fields.forEach(([fieldName, config]) => {
+        if (fieldName in columns) return;
+
+        const candidates = new Set(
+          getTitles(fieldName, config).map((t) => this.toKey(t)),
+        );
+        const index = keys.findIndex(
+          (key, i) => !used.has(i) && key !== "" && candidates.has(key),
+        );
+        if (index !== -1) assign(fieldName, index, how);
+      });
+    });
+
+    // 3.近似：双方唯一对应
+    const fieldsByBase = new Map();
+    fields.forEach(([fieldName, config]) => {
+      if (fieldName in columns) return;
+      const base = this._toBaseKey(config.title || fieldName);
+      if (!fieldsByBase.has(base)) fieldsByBase.set(base, []);
+      fieldsByBase.get(base).push(fieldName);
+    });
+    const indexesByBase = new Map();
+    keys.forEach((key, i) => {
+      if (used.has(i) || key === "") return;
+      const base = this._toBaseKey(key);
+      if (!indexesByBase.has(base)) indexesByBase.set(base, []);
+      indexesByBase.get(base).push(i);
+    });
+    fieldsByBase.forEach((fieldNames, base) => {
+      const indexes = indexesByBase.get(base) || [];
+      if (base !== "" && fieldNames.length === 1 && indexes.length === 1) {
+        assign(fieldNames[0], indexes[0], "fuzzy");
+      }
+    });
+
+    const mapping = fields
+      .filter(([fieldName]) => fieldName in columns)
+      .map(([fieldName, config]) => ({
+        field: fieldName,
+        title: config.title || fieldName,
+        header: headers[columns[fieldName]],
+        index: columns[fieldName],
+        via: via[fieldName],
+      }))
+      .sort((a, b) => a.index - b.index);
+
+    return {
+      columns,
+      mapping,
+      missing: fields
+        .filter(([fieldName]) => !(fieldName in columns))
+        .map(([fieldName, config]) => config.title || fieldName),
+      ignored: headers
+        .map((header, index) => ({ header, index }))
+        .filter(({ index }) => !used.has(index) && keys[index] !== ""),
+    };
+  }
+
+  /**
+   * 格式化列映射报告
+   * @param {Object} match - match 的返回值
+   * @param {number} [limit=10] - 最多列出的忽略列数
+   * @returns {string} 通过别名或近似匹配的列以及被忽略的列，全部按标题匹配时返回空字符串
+   *
+   * @example
+   * // 列映射：
+   * //   "加购人数" → 【加购UV(加购用户数)】（别名）
+   * // 忽略的列：备注、序号
+   */
+  formatReport(match, limit = 10) {
+    const lines = match.mapping
+      .filter((entry) => entry.via !== "title")
+      .map(
+        (entry) =>
+          `  "${entry.header}" → 【${entry.title}】（${HeaderMatcher.VIA_TEXT[entry.via]}）`,
+      );
+
+    const sections = [];
+    if (lines.length > 0) {
+      sections.push(`列映射：\n${lines.join("\n")}`);
+    }
+    if (match.ignored.length > 0) {
+      const ignored = match.ignored
+        .slice(0, limit)
+        .map((entry) => this._normalizer.normalizeTitle(entry.header))
+        .join("、");
+      sections.push(
+        match.ignored.length > limit
+          ? `忽略的列：${ignored}等${match.ignored.length}列`
+          : `忽略的列：${ignored}`,
+      );
+    }
+    return sections.join("\n");
+  }
+
+  /**
+   * 获取去掉末尾括号说明后的键
+   * @private
+   * @param {string} title - 表头、字段标题或已规范化的键
+   * @returns {string} 基础键，如 "加购uv(加购用户数)" → "加购uv"
+   */
+  _toBaseKey(title) {
+    return this.toKey(title).replace(/\([^()]*\)$/, "");
+  }
+}
@@ -13,6 +13,9 @@
  * - 复合索引：如 [{ fields: ["productCode", "subProductCode"], unique: true }]
  * - 唯一索引：unique: true 表示该索引字段组合的值必须唯一
  * - 非唯一索引：unique: false 允许重复值
+ * - 有序索引：type: "sorted"，用于范围查询（$gt、$lte、$between 等）
+ *   字段顺序有意义：前面的字段为等值条件，最后一个字段为范围条件，
+ *   如 { fields: ["itemNumber", "salesDate"], type: "sorted" } 可查询某货号某段时间的销售
  *
  * 该类采用单例模式，确保全局只有一个索引配置实例。
  *
@@ -44,6 +47,10 @@ class IndexConfig {
       { fields: ["styleNumber"], unique: false },
       { fields: ["thirdLevelCategory"], unique: false },
       { fields: ["fourthLevelCategory"], unique: false },
+
+      // 有序索引 - 按上架日期范围筛选商品（售龄随日期变化，不能建索引，
+      // 售龄条件转换为上架日期范围后使用该索引）
+      { fields: ["firstListingTime"], type: "sorted" },
     ];
 
     // ========== 商品价格实体索引配置 ==========
@@ -74,6 +81,12 @@ class IndexConfig {
 
       // 按货号+年周索引 - 快速查询某货号某周的数据
       { fields: ["itemNumber", "yearWeek"], unique: false },
+
+      // 有序索引：货号 + 日期 - 查询某货号最近N天或某段时间的数据
+      { fields: ["itemNumber", "salesDate"], type: "sorted" },
+
+      // 有序索引：日期 - 查询所有货号某段时间的数据
+      { fields: ["salesDate"], type: "sorted" },
     ];
 
     // ========== 品牌配置实体索引配置 ==========
@@ -85,6 +98,12 @@ class IndexConfig {
       { fields: ["templateName", "fieldName"], unique: true },
     ];
 
+    // ========== 变更日志实体索引配置 ==========
+    this.CHANGE_LOG_INDEXES = [
+      { fields: ["itemNumber"], unique: false },
+      { fields: ["itemNumber", "field"], unique: false },
+    ];
+
     IndexConfig._instance = this;
   }
 
@@ -113,6 +132,7 @@ class IndexConfig {
    *    - [{ fields: ["styleNumber"], unique: false }] - 款号索引
    *    - [{ fields: ["thirdLevelCategory"], unique: false }] - 三级品类索引
    *    - [{ fields: ["fourthLevelCategory"], unique: false }] - 四级品类索引
+   *    - [{ fields: ["firstListingTime"], type: "sorted" }] - 上架日期有序索引
    *
    * 2. ProductPrice（商品价格）
    *    - [{ fields: ["itemNumber"], unique: true }] - 货号唯一索引
@@ -132,6 +152,8 @@ class IndexConfig {
    *    - [{ fields: ["itemNumber", "salesYear"], unique: false }] - 货号+年份索引
    *    - [{ fields: ["itemNumber", "yearMonth"], unique: false }] - 货号+年月索引
    *    - [{ fields: ["itemNumber", "yearWeek"], unique: false }] - 货号+年周索引
+   *    - [{ fields: ["itemNumber", "salesDate"], type: "sorted" }] - 货号+日期有序索引
+   *    - [{ fields: ["salesDate"], type: "sorted" }] - 日期有序索引
    *
    * 7. BrandConfig（品牌配置）
    *    - [{ fields: ["brandSN"], unique: true }] - 品牌编号唯一索引
@@ -139,6 +161,10 @@ class IndexConfig {
    * 8. ReportTemplate（报表模板）
    *    - [{ fields: ["templateName"], unique: false }] - 模板名称索引
    *    - [{ fields: ["templateName", "fieldName"], unique: true }] - 模板字段唯一索引
+   *
+   * 9. ChangeLog（变更日志）
+   *    - [{ fields: ["itemNumber"], unique: false }] - 货号索引
+   *    - [{ fields: ["itemNumber", "field"], unique: false }] - 货号+字段索引
    */
 
   getIndexes(entityName) {
@@ -159,6 +185,8 @@ class IndexConfig {
         return this.BRAND_CONFIG_INDEXES;
       case "ReportTemplate":
         return this.REPORT_TEMPLATE_INDEXES;
+      case "ChangeLog":
+        return this.CHANGE_LOG_INDEXES;
       default:
         return [];
     }
@@ -187,6 +215,7 @@ class IndexConfig {
       ProductSales: this.PRODUCT_SALES_INDEXES,
       BrandConfig: this.BRAND_CONFIG_INDEXES,
       ReportTemplate: this.REPORT_TEMPLATE_INDEXES,
+      ChangeLog: this.CHANGE_LOG_INDEXES,
     };
   }
 
@@ -0,0 +1,249 @@
+/**
+ * 数据规范化器 - 在解析和验证之前统一单元格的写法
+ *
+ * @class Normalizer
+ * @description 唯品会和 ERP 导出的数据常见以下写法，直接转换会失败或验证不通过：
+ * - 前后空格、全角数字和括号（如 "１２３"、"（"）
+ * - 千分位（"1,234"）、百分比（"12.5%"）
+ * - 日期带前导单引号、中文日期（"2025年3月1日"）、Excel 日期序列号（45717）
+ *
+ * 导入数据时（DataImportService.import、reimportQuarantine），ExcelDAO.parseRows
+ * 按字段类型依次执行规范化步骤（管道），再做类型转换；读取已保存的工作表时不做规范化：
+ * - string: trim → fullWidthAlnum（只转换全角数字和字母，不改动中文标点）
+ * - number: trim → fullWidth → thousands
+ * - date/datetime: trim → fullWidth → apostrophe → chineseDate → excelSerial
+ *
+ * 字段可通过 normalize 指定自己的管道（步骤名数组），normalize: false 表示不做规范化。
+ * percent 不在默认管道中（金额列中的 "5%" 多半是录错，不应变成 0.05），只用于比率字段，
+ * 如 normalize: ["trim", "fullWidth", "thousands", "percent"]。
+ * 每个步骤只处理能识别的值，其余值原样返回。
+ *
+ * 该类采用单例模式，确保全局只有一个规范化器实例。
+ *
+ * @example
+ * const normalizer = Normalizer.getInstance();
+ * normalizer.normalize("1,234", { type: "number" }); // "1234"
+ * normalizer.normalize("12.5%", { type: "number" }); // "12.5%"（之后转换失败，验证时报错）
+ * normalizer.normalize("12.5%", { type: "number", normalize: DataConfig.RATE_NORMALIZE }); // 0.125
+ * normalizer.normalize("2025年3月1日", { type: "date" }); // "2025-03-01"
+ *
+ * // 注册自定义步骤并用于某个字段
+ * normalizer.registerStep("upper", (value) =>
+ *   typeof value === "string" ? value.toUpperCase() : value,
+ * );
+ * // fields: { itemNumber: { title: "货号", type: "string", normalize: ["trim", "upper"] } }
+ */
+class Normalizer {
+  /** @type {Normalizer} 单例实例 */
+  static _instance = null;
+
+  /** @type {Object.<string, string[]>} 各字段类型的默认管道 */
+  static DEFAULT_PIPELINES = {
+    string: ["trim", "fullWidthAlnum"],
+    number: ["trim", "fullWidth", "thousands"],
+    date: ["trim", "fullWidth", "apostrophe", "chineseDate", "excelSerial"],
+    datetime: ["trim", "fullWidth", "apostrophe", "chineseDate", "excelSerial"],
+  };
+
+  /**
+   * 创建规范化器实例
+   * @private
+   */
+  constructor() {
+    if (Normalizer._instance) {
+      return Normalizer._instance;
+    }
+
+    this._pipelines = { ...Normalizer.DEFAULT_PIPELINES };
+
+    // 内置步骤：(value, fieldConfig) => value
+    this._steps = {
+      trim: (value) => (typeof value === "string" ? value.trim() : value),
+
+      fullWidth: (value) =>
+        typeof value === "string"
+          ? value
+              .replace(/[！-～]/g, (ch) =>
+                String.fromCharCode(ch.charCodeAt(0) - 0xfee0),
+              )
+              .replace(/　/g, " ")
+          : value,
+
+      fullWidthAlnum: (value) =>
+        typeof value === "string"
+          ? value.replace(/[０-９Ａ-Ｚａ-ｚ]/g, (ch) =>
+              String.fromCharCode(ch.charCodeAt(0) - 0xfee0),
+            )
+          : value,
+
+      thousands: (value) =>
+        typeof value === "string" &&
+        /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)
+          ? value.replace(/,/g, "")
+          : value,
+
+      percent: (value) => {
+        const match =
+          typeof value === "string" && value.match(/^([-+]?\d+(?:\.(\d+))?)%$/);
+        if (!match) return value;
+
+        // 按原有小数位数取整，避免 14.1% 得到 0.14100000000000001
+        const digits = (match[2] || "").length + 2;
+        return Number((Number(match[1]) / 100).toFixed(digits));
+      },
+
+      apostrophe: (value) =>
+        typeof value === "string" ? value.replace(/^'/, "") : value,
+
+      chineseDate: (value) => {
+        const match =
+          typeof value === "string" &&
+          value.match(/^(\d{4})年(\d{1,2})月(\d{1,2})日?(?:\s*(\S.*))?$/);
+        if (!match) return value;
+
+        const [, year, month, day, time] = match;
+        const date = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+        return time ? `${date} ${time}` : date;
+      },
+
+      excelSerial: (value, fieldConfig) => {
+        const serial =
+          typeof value === "string" && /^\d+(\.\d+)?$/.test(value)
+            ? Number(value)
+            : value;
+        // 1 ~ 2958465 对应 1900-01-01 ~ 9999-12-31
+        if (typeof serial !== "number" || !(serial >= 1 && serial <= 2958465)) {
+          return value;
+        }
+
+        // 以 1899-12-30 为起点可同时兼容 Excel 的 1900 年闰年错误
+        const date = new Date(Math.round((serial - 25569) * 86400000));
+        const pad = (n) => String(n).padStart(2, "0");
+        const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+        return fieldConfig?.type === "datetime"
+          ? `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`
+          : day;
+      },
+    };
+
+    Normalizer._instance = this;
+  }
+
+  /**
+   * 获取规范化器的单例实例
+   * @static
+   * @returns {Normalizer} 规范化器实例
+   */
+  static getInstance() {
+    if (!Normalizer._instance) {
+      Normalizer._instance = new Normalizer();
+    }
+    return Normalizer._instance;
+  }
+
+  /**
+   * 注册自定义规范化步骤
+   * @param {string} name - 步骤名称
+   * @param {Function} stepFn - 步骤函数 (value, fieldConfig) => value，不能识别的值应原样返回
+   */
+  registerStep(name, stepFn) {
+    this._steps[name] = stepFn;
+  }
+
+  /**
+   * 检查规范化步骤是否存在
+   * @param {string} name - 步骤名称
+   * @returns {boolean} 内置或已注册的步骤返回 true
+   */
+  hasStep(name) {
+    return typeof this._steps[name] === "function";
+  }
+
+  /**
+   * 设置字段类型的默认管道
+   * @param {string} type - 字段类型（string/number/date/datetime）
+   * @param {string[]} steps - 步骤名称数组，空数组表示该类型不做规范化
+   * @throws {Error} 步骤不存在时抛出
+   */
+  setPipeline(type, steps) {
+    steps.forEach((name) => {
+      if (!this.hasStep(name)) {
+        throw new Error(`规范化步骤【${name}】不存在`);
+      }
+    });
+    this._pipelines[type] = [...steps];
+  }
+
+  /**
+   * 获取字段使用的管道
+   * @param {Object} fieldConfig - 字段配置
+   * @returns {string[]} 步骤名称数组
+   */
+  getPipeline(fieldConfig) {
+    if (fieldConfig?.normalize === false) return [];
+    if (Array.isArray(fieldConfig?.normalize)) return fieldConfig.normalize;
+    return this._pipelines[fieldConfig?.type || "string"] || [];
+  }
+
+  /**
+   * 按字段配置规范化单元格的值
+   * @param {*} value - 单元格的原始值
+   * @param {Object} fieldConfig - 字段配置
+   * @returns {*} 规范化后的值
+   * @throws {Error} 管道中的步骤不存在时抛出
+   */
+  normalize(value, fieldConfig) {
+    if (value == null) return value;
+
+    return this.getPipeline(fieldConfig).reduce((current, name) => {
+      const step = this._steps[name];
+      if (!step) {
+        throw new Error(`规范化步骤【${name}】不存在`);
+      }
+      return step(current, fieldConfig);
+    }, value);
+  }
+
+  /**
+   * 规范化表头（去除空格，全角字符转半角），用于与字段标题比较
+   * @param {*} title - 表头单元格的值
+   * @returns {string} 规范化后的表头
+   */
+  normalizeTitle(title) {
+    return String(this._steps.fullWidth(String(title ?? ""))).trim();
+  }
+
+  /**
+   * 格式化规范化报告
+   * @param {Object[]} report - 规范化记录 [{rowNumber, field, title, from, to}]
+   * @param {number} [limit=10] - 最多列出的字段数
+   * @returns {string} 按字段汇总的文本，没有记录时返回空字符串
+   *
+   * @example
+   * // 已规范化 3 个单元格：
+   * // 【销售额】2个，如第2行 "1,234" → 1234
+   * // 【日期】1个，如第3行 "2025年3月1日" → 2025-03-01
+   */
+  formatReport(report, limit = 10) {
+    if (report.length === 0) return "";
+
+    const byTitle = new Map();
+    report.forEach((entry) => {
+      if (!byTitle.has(entry.title)) byTitle.set(entry.title, []);
+      byTitle.get(entry.title).push(entry);
+    });
+
+    const lines = [...byTitle]
+      .slice(0, limit)
+      .map(
+        ([title, entries]) =>
+          `【${title}】${entries.length}个，如第${entries[0].rowNumber}行 "${entries[0].from}" → ${entries[0].to}`,
+      );
+    if (byTitle.size > limit) {
+      lines.push(`等${byTitle.size}个字段`);
+    }
+
+    return `已规范化 ${report.length} 个单元格：\n${lines.join("\n")}`;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * 操作日志 - 记录最近几次数据操作修改前的工作表内容，用于撤销
+ *
+ * @class OperationJournal
+ * @description 为“撤销上一步”提供数据支持：
+ * - 一次操作（导入、一键更新、保存等）对应一条日志
+ * - 操作过程中第一次写入某个工作表前，记录该工作表的原始二维数组
+ * - 嵌套执行的操作并入最外层操作，如一键更新中的四个更新步骤只记为一条
+ * - 只保留最近 N 条日志，超出时丢弃最早的记录
+ *
+ * 日志只保存在内存中，关闭工作簿后失效。
+ *
+ * 该类采用单例模式，确保全局只有一个操作日志实例。
+ *
+ * @example
+ * const journal = OperationJournal.getInstance();
+ *
+ * journal.run("导入【商品价格】", () => {
+ *   journal.capture("ProductPrice", () => excelDAO.readRaw("ProductPrice"));
+ *   excelDAO.write("ProductPrice", items);
+ * });
+ *
+ * const last = journal.pop();
+ * // { label: "导入【商品价格】", time: Date, sheets: Map { "ProductPrice" => [[...]] } }
+ */
+class OperationJournal {
+  /** @type {OperationJournal} 单例实例 */
+  static _instance = null;
+
+  /** @type {number} 默认保留的操作条数 */
+  static DEFAULT_CAPACITY = 5;
+
+  /**
+   * 创建操作日志实例
+   * @private
+   * @param {number} [capacity] - 保留的操作条数
+   */
+  constructor(capacity = OperationJournal.DEFAULT_CAPACITY) {
+    if (OperationJournal._instance) {
+      return OperationJournal._instance;
+    }
+
+    this._capacity = capacity;
+    this._entries = [];
+    this._current = null;
+
+    OperationJournal._instance = this;
+  }
+
+  /**
+   * 获取操作日志的单例实例
+   * @static
+   * @param {number} [capacity] - 保留的操作条数（仅首次创建时生效）
+   * @returns {OperationJournal} 操作日志实例
+   */
+  static getInstance(capacity) {
+    if (!OperationJournal._instance) {
+      OperationJournal._instance = new OperationJournal(capacity);
+    }
+    return OperationJournal._instance;
+  }
+
+  /**
+   * 作为一次操作执行函数
+   * @param {string} label - 操作名称，如 "导入【商品价格】"
+   * @param {Function} fn - 要执行的函数
+   * @returns {*} fn 的返回值
+   * @description
+   * - 已处于某个操作中时直接执行，修改并入外层操作
+   * - 执行结束后，有工作表被修改才记录日志
+   * - 执行失败时同样记录（名称后标注“失败”），以便撤销失败前已写入的部分
+   */
+  run(label, fn) {
+    if (this._current) {
+      return fn();
+    }
+
+    const entry = { label, time: new Date(), sheets: new Map() };
+    this._current = entry;
+
+    let failed = true;
+    try {
+      const result = fn();
+      failed = false;
+      return result;
+    } finally {
+      this._current = null;
+
+      if (entry.sheets.size > 0) {
+        if (failed) {
+          entry.label = `${label}（失败）`;
+        }
+        this._entries.push(entry);
+        if (this._entries.length > this._capacity) {
+          this._entries.shift();
+        }
+      }
+    }
+  }
+
+  /**
+   * 执行函数但不记录日志
+   * @param {Function} fn - 要执行的函数
+   * @returns {*} fn 的返回值
+   * @description
+   * 用于初始化时写入的默认配置等不需要撤销的修改，避免其占用撤销列表。
+   * 已处于某个操作中时直接执行，修改并入外层操作
+   */
+  runUnrecorded(fn) {
+    if (this._current) {
+      return fn();
+    }
+
+    // 占位的操作使其中的保存不再单独记录，结束后丢弃
+    this._current = { label: null, time: new Date(), sheets: new Map() };
+    try {
+      return fn();
+    } finally {
+      this._current = null;
+    }
+  }
+
+  /**
+   * 在当前操作中记录工作表修改前的内容（每个工作表只记录第一次）
+   * @param {string} entityName - 实体名称
+   * @param {Function} readSheet - 读取工作表原始二维数组的函数
+   * @description 不在操作中时忽略；工作表不存在时记为空表
+   */
+  capture(entityName, readSheet) {
+    if (!this._current || this._current.sheets.has(entityName)) {
+      return;
+    }
+
+    let rows;
+    try {
+      rows = readSheet() || [];
+    } catch (e) {
+      rows = [];
+    }
+    this._current.sheets.set(entityName, rows);
+  }
+
+  /**
+   * 获取最近一次操作（不移除）
+   * @returns {Object|null} 日志条目 {label, time, sheets}，没有时返回 null
+   */
+  peek() {
+    return this._entries[this._entries.length - 1] || null;
+  }
+
+  /**
+   * 取出最近一次操作
+   * @returns {Object|null} 日志条目 {label, time, sheets}，没有时返回 null
+   */
+  pop() {
+    return this._entries.pop() || null;
+  }
+
+  /**
+   * 获取所有可撤销的操作（最近的在前）
+   * @returns {Array<Object>} 操作摘要 {label, time, entities}
+   */
+  list() {
+    return this._entries
+      .map((entry) => ({
+        label: entry.label,
+        time: entry.time,
+        entities: [...entry.sheets.keys()],
+      }))
+      .reverse();
+  }
+
+  /**
+   * 清空所有日志
+   */
+  clear() {
+    this._entries = [];
+  }
+}
@@ -9,6 +9,7 @@
  * - 从销售表同步销售数据和拒退率
  * - 数据过期检查（12小时内未更新视为过期）
  * - 一键更新所有产品数据
+ * - 白金价变化时自动重算活动价（货号总表的 beforeSave 钩子，随同一次写入保存）
  *
  * 该类采用单例模式，确保全局只有一个产品服务实例。
  *
@@ -27,6 +28,14 @@ class ProductService {
   /** @type {ProductService} 单例实例 */
   static _instance = null;
 
+  /** @type {Object.<string, string>} 活动价字段与活动等级 */
+  static ACTIVITY_PRICE_LEVELS = {
+    directTrainPrice: "直通车",
+    goldPrice: "黄金促",
+    top3: "TOP3",
+    silverLimit: "白金限量",
+  };
+
   /**
    * 创建产品服务实例
    * @param {Repository} [repository] - 数据仓库实例，若不提供则自动获取
@@ -43,6 +52,8 @@ class ProductService {
 
     this._validationEngine = ValidationEngine.getInstance();
 
+    this._registerReactions();
+
     ProductService._instance = this;
   }
 
@@ -280,25 +291,67 @@ class ProductService {
     }
 
     // 活动价
-    const activityPrices = {
-      directTrainPrice: "直通车",
-      goldPrice: "黄金促",
-      top3: "TOP3",
-      silverLimit: "白金限量",
-    };
+    if (this._applyActivityPrices(product)) {
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * 根据白金价计算产品的活动价
+   * @private
+   * @param {Object} product - 产品对象
+   * @param {boolean} [overwrite=false] - 是否覆盖已有的活动价
+   * @returns {boolean} 是否有活动价被更新
+   */
+  _applyActivityPrices(product, overwrite = false) {
+    let changed = false;
+
+    for (const [field, level] of Object.entries(
+      ProductService.ACTIVITY_PRICE_LEVELS,
+    )) {
+      if (product[field] && !overwrite) continue;
 
-    for (const [ap, level] of Object.entries(activityPrices)) {
-      if (product[ap]) continue;
-      product[ap] = this._profitCalculator.calculateActivityPrice(
+      const price = this._profitCalculator.calculateActivityPrice(
         product.silverPrice,
         level,
       );
-      changed = true;
+      if (product[field] !== price) {
+        product[field] = price;
+        changed = true;
+      }
     }
 
     return changed;
   }
 
+  /**
+   * 注册数据变化时的联动处理
+   * @private
+   * @description
+   * - 货号总表写入前，白金价发生变化的货号重新计算活动价（覆盖原有活动价），与白金价在同一次写入中保存
+   */
+  _registerReactions() {
+    this._repository.registerHooks("Product", {
+      beforeSave: (products) => this._refreshActivityPrices(products),
+    });
+  }
+
+  /**
+   * 白金价变化的产品重新计算活动价
+   * @private
+   * @param {Object[]} products - 即将写入的产品数组
+   * @description 依赖货号总表的审计快照判断白金价是否变化（见 Repository.isFieldChanged），新增的货号不处理
+   */
+  _refreshActivityPrices(products) {
+    products.forEach((product) => {
+      if (this._repository.isFieldChanged("Product", product, "silverPrice")) {
+        this._applyActivityPrices(product, true);
+      }
+    });
+  }
+
   /**
    * 重置产品的所有库存相关字段为0
    * @private
@@ -335,25 +388,19 @@ class ProductService {
    * 计算产品的成品库存
    * @private
    * @param {Object} product - 产品对象
+   * @param {Object[]} regulars - 该货号的常态商品（已加载 inventory 关联）
    * @returns {number} 成品库存总和
    * @description
    * 计算逻辑：
-   * 1. 查找该货号的所有常态商品（每个尺码一个）
-   * 2. 通过每个常态商品的 productCode 查找库存记录
+   * 1. 遍历该货号的所有常态商品（每个尺码一个）
+   * 2. 取每个常态商品关联的库存记录（inventory）
    * 3. 累加所有7种库存类型到对应的 finishedGoods* 字段
    * 4. 返回所有库存类型的总和
    */
-  _calculateFinishedGoods(product) {
-    // 查找该货号的所有常态商品
-    const regulars = this._repository.findRegularProductsByItemNumber(
-      product.itemNumber,
-    );
-
-    if (regulars.length === 0) return 0;
-
+  _calculateFinishedGoods(product, regulars) {
     // 累加成品条码的库存
     regulars.forEach((r) => {
-      const inv = this._repository.findInventory(r.productCode);
+      const inv = r.inventory;
       if (!inv) return;
 
       product.finishedGoodsMainInventory += inv.mainInventory;
@@ -380,11 +427,12 @@ class ProductService {
    * 计算产品的通货库存
    * @private
    * @param {Object} product - 产品对象
+   * @param {Object[]} regulars - 该货号的常态商品（已加载 combos.subInventory 关联）
    * @returns {number} 通货库存总和
    * @description
    * 计算逻辑：
-   * 1. 查找该货号的所有常态商品
-   * 2. 查找每个常态商品的组合装
+   * 1. 遍历该货号的所有常态商品
+   * 2. 遍历每个常态商品的组合装（combos）
    * 3. 排除以"YH"（赠品）或"FL"（辅料）开头的子商品
    * 4. 根据子商品数量和库存计算分摊库存（库存 / 数量）
    * 5. 累加所有7种库存类型到对应的 generalGoods* 字段
@@ -394,24 +442,15 @@ class ProductService {
    * // 如果一个组合装包含2个相同的子商品
    * // 子商品库存为100，则分摊到产品的通货库存为50
    */
-  _calculateGeneralGoods(product) {
-    // 查找该货号的所有常态商品
-    const regulars = this._repository.findRegularProductsByItemNumber(
-      product.itemNumber,
-    );
-
-    if (regulars.length === 0) return 0;
-
+  _calculateGeneralGoods(product, regulars) {
     regulars.forEach((r) => {
-      const combos = this._repository.findComboProducts(r.productCode);
-      if (combos.length === 0) return;
-      combos.forEach((combo) => {
+      r.combos.forEach((combo) => {
         const subPC = combo.subProductCode;
 
         if (subPC.startsWith("YH") || subPC.startsWith("FL")) return;
 
         const quantity = combo.subProductQuantity;
-        const subInv = this._repository.findInventory(subPC);
+        const subInv = combo.subInventory;
         if (!subInv) return;
 
         product.generalGoodsMainInventory += subInv.mainInventory / quantity;
@@ -554,8 +593,7 @@ class ProductService {
    * 2. 获取所有现有产品
    * 3. 更新现有产品的信息（基于货号匹配）
    * 4. 扫描所有常态商品中的货号，发现新货号则创建新产品
-   * 5. 合并新旧数据并保存
-   * 6. 更新系统记录中的常态商品更新日期
+   * 5. 合并新旧数据，与系统记录中的常态商品更新日期在同一事务中保存
    */
   updateFromRegularProducts() {
     const result = {
@@ -601,8 +639,12 @@ class ProductService {
     // 5.合并数据
     const allProducts = [...updatedProducts, ...newProducts];
 
-    this._repository.save("Product", allProducts);
-    this._repository.updateSystemRecord("RegularProduct", "updateDate");
+    this._repository.saveWithSystemRecord(
+      "Product",
+      allProducts,
+      "RegularProduct",
+      "updateDate",
+    );
 
     return { regular: result };
   }
@@ -639,8 +681,12 @@ class ProductService {
       }
     });
 
-    this._repository.save("Product", products);
-    this._repository.updateSystemRecord("ProductPrice", "updateDate");
+    this._repository.saveWithSystemRecord(
+      "Product",
+      products,
+      "ProductPrice",
+      "updateDate",
+    );
 
     return { price: result };
   }
@@ -674,12 +720,19 @@ class ProductService {
     products.forEach((product) => {
       const before = product.totalInventory;
 
+      // 查找该货号的所有常态商品及其成品库存、组合装子商品库存
+      const regulars = this._repository.find(
+        "RegularProduct",
+        { itemNumber: product.itemNumber },
+        { include: ["inventory", "combos.subInventory"] },
+      );
+
       // 重置库存
       this._resetInventoryFields(product);
       // 计算成品库存
-      const finishedGoodsTI = this._calculateFinishedGoods(product);
+      const finishedGoodsTI = this._calculateFinishedGoods(product, regulars);
       // 计算通货库存
-      const GeneralGoodsTI = this._calculateGeneralGoods(product);
+      const GeneralGoodsTI = this._calculateGeneralGoods(product, regulars);
 
       const after = finishedGoodsTI + GeneralGoodsTI;
 
@@ -687,8 +740,12 @@ class ProductService {
       if (after === 0) result.zeroInventory++;
     });
 
-    this._repository.save("Product", products);
-    this._repository.updateSystemRecord("Inventory", "updateDate");
+    this._repository.saveWithSystemRecord(
+      "Product",
+      products,
+      "Inventory",
+      "updateDate",
+    );
 
     return { inventory: result };
   }
@@ -725,8 +782,12 @@ class ProductService {
       }
     });
 
-    this._repository.save("Product", products);
-    this._repository.updateSystemRecord("ProductSales", "updateDate");
+    this._repository.saveWithSystemRecord(
+      "Product",
+      products,
+      "ProductSales",
+      "updateDate",
+    );
 
     return { sales: result };
   }
@@ -747,7 +808,11 @@ class ProductService {
    * 3. 更新商品库存
    * 4. 更新商品销售
    *
+   * 每一步都通过 repository 事务保存货号总表和系统记录，某一步失败时该步写入的数据会全部回滚，
+   * 不会留下更新了一半的货号总表。
+   *
    * 所有步骤执行完毕后返回汇总结果，包含各步骤的统计和错误信息。
+   * 整个一键更新记为一次操作，可通过 repository.undoLast() 一起撤销。
    *
    * @example
    * const results = productService.updateAll();
@@ -758,6 +823,16 @@ class ProductService {
    * }
    */
   updateAll() {
+    return this._repository.runOperation("一键更新", () => this._updateAll());
+  }
+
+  /**
+   * 依次执行所有更新步骤
+   * @private
+   * @returns {Object} 所有更新操作的汇总结果
+   * @see updateAll
+   */
+  _updateAll() {
     const results = { errors: [] };
     let result = {};
 
@@ -0,0 +1,582 @@
+/**
+ * 查询引擎 - 解析并执行统一的查询条件语法
+ *
+ * @class QueryEngine
+ * @description Repository.find、Repository.query 以及 UI 筛选条件共用的查询语法，
+ * 提供以下功能：
+ * - 将查询条件编译为判断函数，对数据逐条求值
+ * - 支持逻辑组合（$and、$or、$not）与字段级多操作符
+ * - 从查询条件中提取可走索引的等值条件与范围条件，供 Repository 规划索引查询
+ *
+ * 查询条件语法：
+ * - 函数：(item) => boolean，整条记录自定义过滤
+ * - 对象：各键之间为 AND 关系，键为字段名或逻辑操作符
+ *   - $and: [条件, ...]  全部满足
+ *   - $or: [条件, ...]   任一满足
+ *   - $not: 条件         不满足
+ *
+ * 字段条件：
+ * - 普通值：等值匹配（"1" 与 1 视为相等，undefined 条件忽略）
+ * - 数组：等于其中任一值（同 $in）
+ * - 正则表达式：同 $regex
+ * - 函数：(value, item) => boolean
+ * - 操作符对象：同一字段的多个操作符之间为 AND 关系
+ *   - $eq / $ne: 等于 / 不等于
+ *   - $gt / $gte / $lt / $lte: 比较（数字按数值、日期按时间、其他按字符串比较）
+ *   - $between: [min, max] 闭区间，任一端为 undefined 时不限制该端
+ *   - $in / $nin: 在 / 不在数组中
+ *   - $like: 模糊匹配，% 匹配任意字符，_ 匹配单个字符（不区分大小写）
+ *   - $regex: 正则匹配，可配合 $options（如 "i"）
+ *   - $exists: true 为非空，false 为空（null、undefined、空字符串均视为空）
+ *   - $not: 操作符对象取反
+ *
+ * 该类采用单例模式，确保全局只有一个查询引擎实例。
+ *
+ * @example
+ * const engine = QueryEngine.getInstance();
+ *
+ * const match = engine.compile({
+ *   salesAge: { $gte: 10, $lte: 50 },
+ *   $or: [{ itemStatus: "商品上线" }, { sellableInventory: { $gt: 0 } }],
+ *   offlineReason: { $exists: false },
+ * });
+ * const results = products.filter(match);
+ */
+class QueryEngine {
+  /** @type {QueryEngine} 单例实例 */
+  static _instance = null;
+
+  /** @type {string[]} 支持的字段操作符 */
+  static FIELD_OPERATORS = [
+    "$eq",
+    "$ne",
+    "$gt",
+    "$gte",
+    "$lt",
+    "$lte",
+    "$between",
+    "$in",
+    "$nin",
+    "$like",
+    "$regex",
+    "$options",
+    "$exists",
+    "$not",
+  ];
+
+  /**
+   * 创建查询引擎实例
+   * @private
+   */
+  constructor() {
+    if (QueryEngine._instance) {
+      return QueryEngine._instance;
+    }
+
+    QueryEngine._instance = this;
+  }
+
+  /**
+   * 获取查询引擎的单例实例
+   * @static
+   * @returns {QueryEngine} 查询引擎实例
+   */
+  static getInstance() {
+    if (!QueryEngine._instance) {
+      QueryEngine._instance = new QueryEngine();
+    }
+    return QueryEngine._instance;
+  }
+
+  /**
+   * 将查询条件编译为判断函数
+   * @param {Object|Function} [filter] - 查询条件
+   * @returns {Function} (item) => boolean
+   * @throws {Error} 使用了不支持的操作符时抛出
+   */
+  compile(filter) {
+    if (filter == null) {
+      return () => true;
+    }
+
+    if (typeof filter === "function") {
+      return filter;
+    }
+
+    if (typeof filter !== "object" || Array.isArray(filter)) {
+      throw new Error(`查询条件必须是对象或函数，当前为：${String(filter)}`);
+    }
+
+    const predicates = Object.entries(filter).map(([key, condition]) => {
+      switch (key) {
+        case "$and":
+          return this._compileList(key, condition, "every");
+        case "$or":
+          return this._compileList(key, condition, "some");
+        case "$not": {
+          const predicate = this.compile(condition);
+          return (item) => !predicate(item);
+        }
+        default:
+          if (key.startsWith("$")) {
+            throw new Error(`不支持的逻辑操作符：${key}`);
+          }
+          return this._compileField(key, condition);
+      }
+    });
+
+    return (item) => predicates.every((predicate) => predicate(item));
+  }
+
+  /**
+   * 判断单条记录是否满足查询条件
+   * @param {Object} item - 数据项
+   * @param {Object|Function} filter - 查询条件
+   * @returns {boolean} 是否满足
+   */
+  matches(item, filter) {
+    return this.compile(filter)(item);
+  }
+
+  /**
+   * 过滤数据
+   * @param {Object[]} data - 数据数组
+   * @param {Object|Function} [filter] - 查询条件
+   * @returns {Object[]} 满足条件的记录（新数组）
+   */
+  filter(data, filter) {
+    const predicate = this.compile(filter);
+    return data.filter((item) => predicate(item));
+  }
+
+  /**
+   * 提取可走索引的等值条件
+   * @param {Object|Function} [filter] - 查询条件
+   * @returns {Object.<string, *>} 字段名到等值的映射
+   * @description
+   * 只提取顶层（以及顶层 $and 中）必须满足的等值条件：普通值或 { $eq: 值 }。
+   * $or、$not 中的条件不能保证必须满足，不参与索引规划。
+   *
+   * @example
+   * extractEqualities({ itemNumber: "A001", salesDate: { $gte: "2024-01-01" } })
+   * // 返回 { itemNumber: "A001" }
+   */
+  extractEqualities(filter) {
+    const equalities = {};
+    if (!filter || typeof filter !== "object") {
+      return equalities;
+    }
+
+    Object.entries(filter).forEach(([key, condition]) => {
+      if (key === "$and" && Array.isArray(condition)) {
+        condition.forEach((sub) =>
+          Object.assign(equalities, this.extractEqualities(sub)),
+        );
+        return;
+      }
+      if (key.startsWith("$")) return;
+
+      const value = this._isOperatorObject(condition)
+        ? condition.$eq
+        : condition;
+      if (this.isIndexable(value)) {
+        equalities[key] = value;
+      }
+    });
+
+    return equalities;
+  }
+
+  /**
+   * 提取顶层的多值条件（数组或 $in）
+   * @param {Object|Function} [filter] - 查询条件
+   * @returns {Object.<string, Array>} 字段名到候选值数组的映射
+   */
+  extractInLists(filter) {
+    const lists = {};
+    if (!filter || typeof filter !== "object") {
+      return lists;
+    }
+
+    Object.entries(filter).forEach(([key, condition]) => {
+      if (key.startsWith("$")) return;
+
+      if (Array.isArray(condition)) {
+        lists[key] = condition;
+      } else if (
+        this._isOperatorObject(condition) &&
+        Array.isArray(condition.$in)
+      ) {
+        lists[key] = condition.$in;
+      }
+    });
+
+    return lists;
+  }
+
+  /**
+   * 提取顶层（以及顶层 $and 中）的范围条件
+   * @param {Object|Function} [filter] - 查询条件
+   * @returns {Object.<string, Object>} 字段名到范围的映射 {min, max, minExclusive, maxExclusive}
+   * @description 来自 $gt、$gte、$lt、$lte、$between；提取的范围只用于缩小候选记录，
+   * 最终结果仍由完整条件过滤
+   *
+   * @example
+   * extractRanges({ itemNumber: "A001", salesDate: { $gte: "2024-01-01" } })
+   * // 返回 { salesDate: { min: "2024-01-01", minExclusive: false } }
+   */
+  extractRanges(filter) {
+    const ranges = {};
+    if (!filter || typeof filter !== "object") {
+      return ranges;
+    }
+
+    Object.entries(filter).forEach(([key, condition]) => {
+      if (key === "$and" && Array.isArray(condition)) {
+        condition.forEach((sub) =>
+          Object.entries(this.extractRanges(sub)).forEach(([field, range]) => {
+            ranges[field] = Object.assign(ranges[field] || {}, range);
+          }),
+        );
+        return;
+      }
+      if (key.startsWith("$") || !this._isOperatorObject(condition)) return;
+
+      const range = {};
+      const setMin = (value, exclusive) => {
+        if (value == null) return;
+        range.min = value;
+        range.minExclusive = exclusive;
+      };
+      const setMax = (value, exclusive) => {
+        if (value == null) return;
+        range.max = value;
+        range.maxExclusive = exclusive;
+      };
+
+      if (Array.isArray(condition.$between)) {
+        setMin(condition.$between[0], false);
+        setMax(condition.$between[1], false);
+      }
+      setMin(condition.$gte, false);
+      setMin(condition.$gt, true);
+      setMax(condition.$lte, false);
+      setMax(condition.$lt, true);
+
+      if (Object.keys(range).length > 0) {
+        ranges[key] = Object.assign(ranges[key] || {}, range);
+      }
+    });
+
+    return ranges;
+  }
+
+  /**
+   * 获取值的排序键
+   * @param {*} value - 值
+   * @returns {Object|null} {kind: "number"|"date", key: number}，无法排序时返回 null
+   * @description 与比较操作符的规则一致：能转为数字的按数值，能解析为日期的按时间。
+   * 同一种类的排序键之间的大小关系与 $gt、$lt 等比较结果相同，供有序索引使用
+   */
+  toOrderKey(value) {
+    if (this._isEmpty(value)) return null;
+
+    const num = this._toComparableNumber(value);
+    if (num !== null) {
+      return { kind: "number", key: num };
+    }
+
+    const time = this._toTimestamp(value);
+    if (time !== null) {
+      return { kind: "date", key: time };
+    }
+
+    return null;
+  }
+
+  /**
+   * 编译逻辑操作符的条件列表
+   * @private
+   * @param {string} operator - 操作符名称
+   * @param {Array} conditions - 条件数组
+   * @param {string} method - "every" 或 "some"
+   * @returns {Function} 判断函数
+   */
+  _compileList(operator, conditions, method) {
+    if (!Array.isArray(conditions)) {
+      throw new Error(`${operator} 的值必须是数组`);
+    }
+
+    const predicates = conditions.map((condition) => this.compile(condition));
+    return (item) => predicates[method]((predicate) => predicate(item));
+  }
+
+  /**
+   * 编译字段条件
+   * @private
+   * @param {string} field - 字段名
+   * @param {*} condition - 字段条件
+   * @returns {Function} 判断函数
+   */
+  _compileField(field, condition) {
+    if (condition === undefined) {
+      return () => true;
+    }
+
+    if (typeof condition === "function") {
+      return (item) => condition(item[field], item);
+    }
+
+    if (Array.isArray(condition)) {
+      return (item) => this._in(item[field], condition);
+    }
+
+    if (condition instanceof RegExp) {
+      return (item) =>
+        !this._isEmpty(item[field]) && condition.test(String(item[field]));
+    }
+
+    if (this._isOperatorObject(condition)) {
+      const test = this._compileOperators(field, condition);
+      return (item) => test(item[field]);
+    }
+
+    return (item) => this._equals(item[field], condition);
+  }
+
+  /**
+   * 编译字段的操作符对象
+   * @private
+   * @param {string} field - 字段名（用于错误信息）
+   * @param {Object} operators - 操作符对象
+   * @returns {Function} (value) => boolean
+   */
+  _compileOperators(field, operators) {
+    const tests = [];
+
+    Object.entries(operators).forEach(([op, operand]) => {
+      if (operand === undefined) return;
+
+      switch (op) {
+        case "$eq":
+          tests.push((v) => this._equals(v, operand));
+          break;
+        case "$ne":
+          tests.push((v) => !this._equals(v, operand));
+          break;
+        case "$gt":
+          tests.push((v) => this._compare(v, operand) > 0);
+          break;
+        case "$gte":
+          tests.push((v) => this._compare(v, operand) >= 0);
+          break;
+        case "$lt":
+          tests.push((v) => this._compare(v, operand) < 0);
+          break;
+        case "$lte":
+          tests.push((v) => this._compare(v, operand) <= 0);
+          break;
+        case "$between": {
+          if (!Array.isArray(operand) || operand.length !== 2) {
+            throw new Error(
+              `字段【${field}】的 $between 必须是 [最小值, 最大值]`,
+            );
+          }
+          const [min, max] = operand;
+          tests.push(
+            (v) =>
+              (min == null || this._compare(v, min) >= 0) &&
+              (max == null || this._compare(v, max) <= 0),
+          );
+          break;
+        }
+        case "$in":
+        case "$nin": {
+          if (!Array.isArray(operand)) {
+            throw new Error(`字段【${field}】的 ${op} 必须是数组`);
+          }
+          tests.push(
+            op === "$in"
+              ? (v) => this._in(v, operand)
+              : (v) => !this._in(v, operand),
+          );
+          break;
+        }
+        case "$like": {
+          const regex = this._likeToRegExp(operand);
+          tests.push((v) => !this._isEmpty(v) && regex.test(String(v)));
+          break;
+        }
+        case "$regex": {
+          const regex =
+            operand instanceof RegExp
+              ? operand
+              : new RegExp(operand, operators.$options || "");
+          tests.push((v) => !this._isEmpty(v) && regex.test(String(v)));
+          break;
+        }
+        case "$options":
+          break;
+        case "$exists":
+          tests.push((v) => this._isEmpty(v) !== Boolean(operand));
+          break;
+        case "$not": {
+          const inner = this._isOperatorObject(operand)
+            ? this._compileOperators(field, operand)
+            : (v) => this._equals(v, operand);
+          tests.push((v) => !inner(v));
+          break;
+        }
+        default:
+          throw new Error(`字段【${field}】使用了不支持的操作符：${op}`);
+      }
+    });
+
+    return (value) => tests.every((test) => test(value));
+  }
+
+  /**
+   * 判断是否为操作符对象（所有键均以 $ 开头）
+   * @private
+   * @param {*} condition - 条件
+   * @returns {boolean}
+   */
+  _isOperatorObject(condition) {
+    if (
+      !condition ||
+      typeof condition !== "object" ||
+      Array.isArray(condition) ||
+      condition instanceof Date ||
+      condition instanceof RegExp
+    ) {
+      return false;
+    }
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every((key) => key.startsWith("$"));
+  }
+
+  /**
+   * 判断值是否可用于索引查找（非空字符串或有限数字）
+   * @param {*} value - 值
+   * @returns {boolean}
+   * @description 索引不收录空值，因此空值条件不能走索引
+   */
+  isIndexable(value) {
+    return (
+      (typeof value === "string" && value !== "") ||
+      (typeof value === "number" && isFinite(value))
+    );
+  }
+
+  /**
+   * 判断值是否为空（null、undefined、空字符串）
+   * @private
+   * @param {*} value - 值
+   * @returns {boolean}
+   */
+  _isEmpty(value) {
+    return value == null || String(value).trim() === "";
+  }
+
+  /**
+   * 宽松相等（"1" 与 1 相等，空值之间相等）
+   * @private
+   * @param {*} a - 值a
+   * @param {*} b - 值b
+   * @returns {boolean}
+   */
+  _equals(a, b) {
+    if (this._isEmpty(a) || this._isEmpty(b)) {
+      return this._isEmpty(a) && this._isEmpty(b);
+    }
+    if (a instanceof Date || b instanceof Date) {
+      return this._compare(a, b) === 0;
+    }
+    return a == b;
+  }
+
+  /**
+   * 判断值是否在候选数组中
+   * @private
+   * @param {*} value - 值
+   * @param {Array} list - 候选数组
+   * @returns {boolean}
+   */
+  _in(value, list) {
+    return list.some((candidate) => this._equals(value, candidate));
+  }
+
+  /**
+   * 比较两个值
+   * @private
+   * @param {*} a - 值a
+   * @param {*} b - 值b
+   * @returns {number} a<b 为负数，a=b 为0，a>b 为正数；任一为空时返回 NaN（所有比较均不成立）
+   * @description
+   * - 两个值都可以转为数字时按数值比较
+   * - 两个值都可以解析为日期时按时间比较
+   * - 其他情况按字符串比较
+   */
+  _compare(a, b) {
+    if (this._isEmpty(a) || this._isEmpty(b)) return NaN;
+
+    const numA = this._toComparableNumber(a);
+    const numB = this._toComparableNumber(b);
+    if (numA !== null && numB !== null) {
+      return numA - numB;
+    }
+
+    const dateA = this._toTimestamp(a);
+    const dateB = this._toTimestamp(b);
+    if (dateA !== null && dateB !== null) {
+      return dateA - dateB;
+    }
+
+    return String(a).localeCompare(String(b));
+  }
+
+  /**
+   * 转为可比较的数字
+   * @private
+   * @param {*} value - 值
+   * @returns {number|null} 数字，无法转换时返回 null
+   */
+  _toComparableNumber(value) {
+    if (typeof value === "number") return isFinite(value) ? value : null;
+    if (typeof value !== "string") return null;
+
+    const num = Number(value.trim());
+    return isFinite(num) ? num : null;
+  }
+
+  /**
+   * 转为时间戳
+   * @private
+   * @param {*} value - 值
+   * @returns {number|null} 时间戳，无法解析时返回 null
+   */
+  _toTimestamp(value) {
+    if (value instanceof Date) {
+      const time = value.getTime();
+      return isNaN(time) ? null : time;
+    }
+    if (typeof value !== "string") return null;
+
+    const time = Date.parse(value.replace(/^'/, ""));
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * 将 $like 模式转为正则表达式
+   * @private
+   * @param {string} pattern - 模式，如 "%T恤%"
+   * @returns {RegExp}
+   */
+  _likeToRegExp(pattern) {
+    const source = String(pattern)
+      .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/%/g, ".*")
+      .replace(/_/g, ".");
+    return new RegExp(`^${source}$`, "i");
+  }
+}
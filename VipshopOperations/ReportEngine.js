@@ -6,6 +6,7 @@
  * - 基于模板的报表列配置管理
  * - 统计字段的动态计算和展开（如"近N天销量"展开为多个具体字段）
  * - 数据分组和筛选
+ * - 聚合报表（按维度汇总，如库存 by 款号）
  * - 自动创建报表工作簿
  * - 模板的保存、加载和管理
  *
@@ -176,9 +177,12 @@ class ReportEngine {
    * - 利润分析报表
    *
    * 这些模板会被保存到 Excel 的配置工作表中。
+   * 启动时写入的默认模板不记入操作日志，不会出现在撤销列表中。
    */
   initializeTemplates() {
-    return this._templateManager.initializeDefaultTemplates();
+    return this._repository.runUnrecorded(() =>
+      this._templateManager.initializeDefaultTemplates(),
+    );
   }
 
   /**
@@ -286,7 +290,7 @@ class ReportEngine {
    *     - 按分组值将产品分组
    *     - 为每个组复制一个工作表
    *     - 工作表命名为分组值（过滤非法字符，限制长度≤31）
-   * 12. 删除原始模板工作表
+   * 12. 删除原始模板工作表（仅分组输出时）
    *
    * @example
    * // 生成按年份分组的报表
@@ -363,13 +367,14 @@ class ReportEngine {
     // }
 
     // ----- 6. 获取数据 -----
-    const products = this._repository.query("Product", this._context.query);
+    const products = this._repository.query("Product", {
+      filter: this._context.query,
+    });
 
     // ----- 9. 创建新工作簿 -----
-    const sourceWb = this._excelDAO.getWorkbook();
-    sourceWb.Sheets(this._config.get("Product").worksheet).Copy();
-    const newWb = ActiveWorkbook;
-    newWb.Sheets(this._config.get("Product").worksheet).Cells.Clear();
+    const worksheet = this._config.get("Product").worksheet;
+    const newWb = this._excelDAO.createWorkbook("Product");
+    this._excelDAO.clear("Product", newWb);
 
     // ----- 10. 获取可见列 -----
     const visibleColumns = expandedColumns.filter(
@@ -398,37 +403,102 @@ class ReportEngine {
       });
 
       Object.entries(groups).forEach(([groupValue, groupProducts]) => {
-        this._excelDAO.copySheet("Product", newWb);
-        const sheet = ActiveSheet;
-
         let sheetName = String(groupValue).replace(/[\\/:*?\"<>|]/g, "");
         if (sheetName.length > 31) sheetName = sheetName.substring(0, 31);
-        sheet.Name = sheetName;
 
-        this._writeReportSheet(sheet, groupProducts, visibleColumns);
+        sheetName = this._excelDAO.copySheet("Product", newWb, sheetName);
+        this._writeReportSheet(newWb, sheetName, groupProducts, visibleColumns);
       });
+
+      // ----- 12. 删除原始工作表 -----
+      try {
+        this._excelDAO.deleteSheet(worksheet, newWb);
+      } catch (e) {
+        // 忽略删除错误
+      }
     } else {
-      const sheet = newWb.Sheets(1);
-      this._writeReportSheet(sheet, products, visibleColumns);
+      this._writeReportSheet(newWb, worksheet, products, visibleColumns);
     }
 
-    // ----- 12. 删除原始工作表 -----
-    try {
-      Application.DisplayAlerts = false;
-      newWb.Sheets(this._config.get("Product").worksheet).Delete();
-    } catch (e) {
-      // 忽略删除错误
-    } finally {
-      Application.DisplayAlerts = true;
-    }
+    return newWb;
+  }
+
+  /**
+   * 生成聚合报表
+   * @param {string} entityName - 实体名称
+   * @param {Object} options - 聚合选项，参见 Repository.aggregate
+   * @returns {Excel.Workbook} 生成的报表工作簿
+   * @throws {Error} 聚合配置错误时抛出（如字段不存在、聚合方式不支持）
+   *
+   * @description
+   * 以实体工作表为模板创建新工作簿，清空后写入聚合结果，每个分组一行。
+   * 列标题取字段配置的 title，度量列为 "标题（聚合方式）"，如 "销售额（合计）"。
+   *
+   * @example
+   * // 库存 by 款号
+   * const wb = reportEngine.generateAggregateReport("Product", {
+   *   groupBy: "styleNumber",
+   *   measures: { sum: ["sellableInventory", "totalInventory"] },
+   *   sort: { field: "sellableInventory_sum", order: "desc" },
+   * });
+   * wb.Activate();
+   */
+  generateAggregateReport(entityName, options) {
+    const rows = this._repository.aggregate(entityName, options);
+    const columns = this._buildAggregateColumns(entityName, rows);
+
+    const worksheet = this._config.get(entityName).worksheet;
+    const newWb = this._excelDAO.createWorkbook(entityName);
+    this._excelDAO.clear(entityName, newWb);
+
+    this._writeReportSheet(newWb, worksheet, rows, columns);
 
     return newWb;
   }
 
+  /**
+   * 根据聚合结果构建列配置
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} rows - 聚合结果
+   * @returns {Array<Object>} 列配置数组 {field, title}
+   */
+  _buildAggregateColumns(entityName, rows) {
+    const fields = this._config.get(entityName).fields;
+    const measureTitles = {
+      sum: "合计",
+      avg: "平均",
+      min: "最小",
+      max: "最大",
+      distinctCount: "个数",
+    };
+
+    return Object.keys(rows[0] || {}).map((key) => {
+      if (fields[key]) {
+        return { field: key, title: fields[key].title };
+      }
+
+      if (key === "count") {
+        return { field: key, title: "记录数" };
+      }
+
+      const match = key.match(/^(.+)_(sum|avg|min|max|distinctCount)$/);
+      if (match && fields[match[1]]) {
+        return {
+          field: key,
+          title: `${fields[match[1]].title}（${measureTitles[match[2]]}）`,
+        };
+      }
+
+      return { field: key, title: key };
+    });
+  }
+
   /**
    * 写入报表工作表
    * @private
-   * @param {Excel.Worksheet} sheet - 目标工作表
+   * @param {Excel.Workbook} workbook - 目标工作簿句柄
+   * @param {string} sheetName - 目标工作表名称
    * @param {Object[]} products - 产品数据数组
    * @param {Array<Object>} columns - 列配置数组
    * @description
@@ -439,15 +509,14 @@ class ReportEngine {
    * 2. 数值处理：
    *    - 保留两位小数
    *    - 利润率字段保持原样（不四舍五入）
-   * 3. 清空工作表原有内容
-   * 4. 写入数据（从 A1 单元格开始）
-   * 5. 设置列格式：
+   * 3. 通过 ExcelDAO 清空工作表原有内容并写入数据（从 A1 单元格开始）
+   * 4. 设置列格式：
    *    - 列宽（默认10）
    *    - 数字格式（如果配置了 format）
    *    - 标题行颜色（如果配置了 color）
-   * 6. 设置标题行格式：加粗、行高20
+   * 5. 设置标题行格式：加粗、行高20
    */
-  _writeReportSheet(sheet, products, columns) {
+  _writeReportSheet(workbook, sheetName, products, columns) {
     const outputData = [];
 
     // 标题行
@@ -471,34 +540,19 @@ class ReportEngine {
       outputData.push(row);
     });
 
-    sheet.Cells.ClearContents();
-
-    if (outputData.length > 0) {
-      const range = sheet
-        .Range("A1")
-        .Resize(outputData.length, outputData[0].length);
-      range.Value2 = outputData;
-
-      columns.forEach((col, index) => {
-        const columnIndex = index + 1;
-        const column = sheet.Columns(columnIndex);
-
-        column.ColumnWidth = col.width || 10;
-
-        if (col.format) {
-          column.NumberFormat = col.format;
-        }
-
-        if (col.color) {
-          const headerCell = sheet.Cells(1, columnIndex);
-          excelColorReader.applyColorToRange(headerCell, col.color);
-        }
-      });
-
-      const headerRange = sheet.Rows("1:1");
-      headerRange.Font.Bold = true;
-      headerRange.RowHeight = 20;
-    }
+    this._excelDAO.writeSheet(sheetName, outputData, workbook);
+    this._excelDAO.formatSheet(
+      sheetName,
+      {
+        columns: columns.map((col) => ({
+          width: col.width || 10,
+          format: col.format,
+          color: col.color,
+        })),
+        header: { bold: true, rowHeight: 20 },
+      },
+      workbook,
+    );
   }
 
   /**
@@ -463,8 +463,7 @@ class ReportTemplateManager {
     try {
       // 1.获取工作表中的模板字段对象
       const templateItems = this._repository.findAll("ReportTemplate");
-      const wb = this._excelDAO.getWorkbook();
-      const sheet = wb.Sheets("报表配置");
+      const sheet = this._excelDAO.getSheet("ReportTemplate");
 
       // 2.工作表没有数据则返回空Map
       if (!templateItems || templateItems.length === 0) {
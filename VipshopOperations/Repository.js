@@ -5,11 +5,16 @@
  * @description 作为系统的数据访问核心，提供以下功能：
  * - 数据缓存管理，减少 Excel 重复读取
  * - 多字段索引的自动建立和查询优化
- * - 支持精确匹配、前缀匹配的索引查询
+ * - 支持精确匹配、前缀匹配的索引查询，以及有序索引上的范围查询
  * - 复杂查询（过滤、排序、分页）
+ * - 分组聚合（求和、平均、最值、计数）
  * - 数据验证和计算字段处理
  * - CRUD 操作（增删改查）
  * - 事务性批量操作
+ * - 字段级变更审计（配置了 audit 的实体保存时写入【变更日志】）
+ * - 操作日志与撤销（记录最近几次操作修改前的工作表内容）
+ * - 乐观并发检查（保存前检测读取后工作表被手工修改的内容并合并）
+ * - 生命周期钩子（beforeValidate/beforeSave/afterSave/afterDelete）与变更订阅
  *
  * 该类采用单例模式，确保全局只有一个数据仓库实例。
  *
@@ -34,6 +39,14 @@ class Repository {
   /** @type {Repository} 单例实例 */
   static _instance = null;
 
+  /** @type {string[]} 支持的生命周期钩子 */
+  static HOOK_NAMES = [
+    "beforeValidate",
+    "beforeSave",
+    "afterSave",
+    "afterDelete",
+  ];
+
   /**
    * 创建仓库实例
    * @param {ExcelDAO} [excelDAO] - Excel 数据访问对象，若不提供则自动获取
@@ -49,15 +62,50 @@ class Repository {
     this._updatableEntities = this._config.getUpdatableEntities();
     this._validationEngine = ValidationEngine.getInstance();
     this._converter = Converter.getInstance();
+    this._queryEngine = QueryEngine.getInstance();
 
     this._cache = new Map();
     this._indexes = new Map();
     this._indexConfigs = new Map();
+    // 哈希索引定义：实体 -> Map<索引键, {fields, unique, primary}>
+    this._indexDefinitions = new Map();
 
     this._context = {
       brandConfig: null,
       profitCalculator: null,
     };
+    // 上下文版本，上下文变化时递增，使依赖 "$context" 的计算字段重新计算
+    this._contextVersion = 0;
+
+    // 变更审计：实体 -> Map<记录键, 已持久化的字段值>
+    this._auditSnapshots = new Map();
+    this._pendingChanges = [];
+    this._operation = null;
+
+    // 操作日志（撤销）
+    this._journal = OperationJournal.getInstance();
+
+    // 乐观并发：实体 -> 读取/写入时的工作表状态 {fingerprint, records}
+    this._sheetStates = new Map();
+
+    // 生命周期钩子：实体 -> {钩子名: 函数数组}
+    this._hooks = new Map();
+    // 变更订阅：实体（"*" 表示所有实体）-> Set<监听函数>
+    this._listeners = new Map();
+    // 正在派发事件的实体，防止钩子中保存同一实体时循环触发
+    this._dispatching = new Set();
+
+    // 未读取的警告（如 warn 级别的外键问题），由 drainWarnings 取出
+    this._warnings = [];
+    // 待写入【校验警告】的验证警告：实体 -> {warnings: [{item, messages}], records}，
+    // records 为只替换警告的记录（新增、更新、删除时），未提供时替换该实体的全部警告
+    this._pendingValidationWarnings = new Map();
+
+    // 品牌配置保存后，计算字段使用的品牌配置上下文随之失效
+    this.subscribe("BrandConfig", () => {
+      this._context.brandConfig = null;
+      this._contextVersion++;
+    });
 
     Repository._instance = this;
   }
@@ -109,7 +157,8 @@ class Repository {
    * 根据索引配置建立多字段索引：
    * - 自动添加主键索引（如果配置了uniqueKey）
    * - 支持唯一索引和非唯一索引
-   * - 索引键为排序后的字段组合
+   * - 哈希索引的键为排序后的字段组合
+   * - 有序索引（type: "sorted"）的键为 "sorted:" + 按声明顺序的字段组合
    */
   _buildAllIndexes(entityName, data) {
     if (!this._indexes.has(entityName)) {
@@ -121,6 +170,10 @@ class Repository {
 
     const entityConfig = this._config.get(entityName);
 
+    const definitions = new Map();
+    this._indexDefinitions.set(entityName, definitions);
+    let primaryKey = null;
+
     // 检查索引配置中是否有配置主键索引,没有则添加
     if (entityConfig?.uniqueKey) {
       const uniqueKeyConfig = this._config.parseUniqueKey(
@@ -129,10 +182,13 @@ class Repository {
       const fields = uniqueKeyConfig.fields;
 
       if (fields.length > 0) {
+        primaryKey = [...fields].sort().join("|");
+
         const exists = indexConfigs.some(
           (config) =>
+            config.type !== "sorted" &&
             JSON.stringify([...config.fields].sort()) ===
-            JSON.stringify([...fields].sort()),
+              JSON.stringify([...fields].sort()),
         );
 
         if (!exists) {
@@ -146,6 +202,15 @@ class Repository {
 
     // 根据索引配置建立索引
     indexConfigs.forEach((config) => {
+      if (config.type === "sorted") {
+        const indexKey = `sorted:${config.fields.join("|")}`;
+        if (!entityIndexes.has(indexKey)) {
+          entityIndexes.set(indexKey, new SortedIndex(config.fields));
+        }
+        entityIndexes.get(indexKey).build(data);
+        return;
+      }
+
       const sortedFields = [...config.fields].sort();
       const indexKey = sortedFields.join("|");
 
@@ -153,26 +218,454 @@ class Repository {
         entityIndexes.set(indexKey, new Map());
       }
 
+      const definition = {
+        fields: sortedFields,
+        unique: Boolean(config.unique),
+        primary: indexKey === primaryKey,
+      };
+      definitions.set(indexKey, definition);
+
       const index = entityIndexes.get(indexKey);
       index.clear();
 
-      data.forEach((item) => {
-        // 构建组合索引值
-        const value = this._getCompositeKey(item, sortedFields);
-
-        if (value != undefined && String(value).trim() !== "") {
-          // 唯一性索引值直接覆盖
-          if (config.unique) {
-            index.set(value, item);
-          } else {
-            if (!index.has(value)) {
-              index.set(value, []);
-            }
-            index.get(value).push(item);
-          }
+      data.forEach((item) => this._addToHashIndex(index, definition, item));
+    });
+  }
+
+  /**
+   * 将记录加入哈希索引
+   * @private
+   * @param {Map} index - 哈希索引
+   * @param {Object} definition - 索引定义 {fields, unique}
+   * @param {Object} item - 数据项
+   */
+  _addToHashIndex(index, definition, item) {
+    // 构建组合索引值
+    const value = this._getCompositeKey(item, definition.fields);
+    if (value == undefined || String(value).trim() === "") return;
+
+    // 唯一性索引值直接覆盖
+    if (definition.unique) {
+      index.set(value, item);
+    } else {
+      if (!index.has(value)) {
+        index.set(value, []);
+      }
+      index.get(value).push(item);
+    }
+  }
+
+  /**
+   * 将记录从哈希索引中移除
+   * @private
+   * @param {Map} index - 哈希索引
+   * @param {Object} definition - 索引定义 {fields, unique}
+   * @param {Object} item - 数据项（与加入索引时为同一对象）
+   * @description 记录加入索引后被修改过索引字段时，会遍历整个索引查找
+   */
+  _removeFromHashIndex(index, definition, item) {
+    const remove = (value) => {
+      const entry = index.get(value);
+      if (definition.unique) {
+        if (entry !== item) return false;
+        index.delete(value);
+        return true;
+      }
+
+      const position = entry ? entry.indexOf(item) : -1;
+      if (position === -1) return false;
+      entry.splice(position, 1);
+      if (entry.length === 0) {
+        index.delete(value);
+      }
+      return true;
+    };
+
+    if (remove(this._getCompositeKey(item, definition.fields))) return;
+
+    for (const value of [...index.keys()]) {
+      if (remove(value)) return;
+    }
+  }
+
+  /**
+   * 增量更新实体的所有索引
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object} delta - 变化的记录
+   * @param {Object[]} [delta.inserted] - 新增的记录
+   * @param {Object[]} [delta.removed] - 删除的记录（更新视为删除旧记录、新增新记录）
+   * @returns {boolean} 是否已增量更新，索引尚未建立时返回 false
+   */
+  _updateIndexes(entityName, { inserted = [], removed = [] }) {
+    const entityIndexes = this._indexes.get(entityName);
+    const definitions = this._indexDefinitions.get(entityName);
+    if (!entityIndexes || !definitions) return false;
+
+    entityIndexes.forEach((index, indexKey) => {
+      if (index instanceof SortedIndex) {
+        removed.forEach((item) => index.remove(item));
+        inserted.forEach((item) => index.insert(item));
+        return;
+      }
+
+      const definition = definitions.get(indexKey);
+      removed.forEach((item) =>
+        this._removeFromHashIndex(index, definition, item),
+      );
+      inserted.forEach((item) => this._addToHashIndex(index, definition, item));
+    });
+
+    return true;
+  }
+
+  /**
+   * 检查记录是否违反唯一索引
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object} item - 待写入的记录
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.replaced] - 被该记录替换的旧记录（更新时），不视为重复
+   * @param {Map} [options.seen] - 同一批次中已检查的索引值 Map<索引键, Set>，用于批次内查重
+   * @returns {string[]} 错误信息，没有错误时为空数组
+   * @description
+   * 直接用唯一索引查找，无需遍历全表：
+   * - 主键索引的字段为空时报错
+   * - 索引中已有其他记录，或同一批次中已出现相同的值时报错
+   */
+  _checkUniqueIndexes(entityName, item, { replaced, seen } = {}) {
+    const entityIndexes = this._indexes.get(entityName);
+    const definitions = this._indexDefinitions.get(entityName);
+    if (!entityIndexes || !definitions) return [];
+
+    const entityConfig = this._config.get(entityName);
+    const titleOf = (field) => entityConfig.fields[field]?.title || field;
+    const errors = [];
+
+    definitions.forEach((definition, indexKey) => {
+      if (!definition.unique) return;
+
+      const missing = definition.fields.filter(
+        (field) =>
+          item[field] == undefined || String(item[field]).trim() === "",
+      );
+      if (missing.length > 0) {
+        if (definition.primary) {
+          errors.push(
+            `联合主键字段【${missing.map(titleOf).join("、")}】不能为空`,
+          );
+        }
+        return;
+      }
+
+      const value = this._getCompositeKey(item, definition.fields);
+      const existing = entityIndexes.get(indexKey).get(value);
+
+      let seenValues = null;
+      if (seen) {
+        if (!seen.has(indexKey)) seen.set(indexKey, new Set());
+        seenValues = seen.get(indexKey);
+      }
+
+      const duplicated =
+        (existing && existing !== replaced && existing !== item) ||
+        seenValues?.has(value);
+
+      if (duplicated) {
+        const uniqueKeyConfig = definition.primary
+          ? this._config.parseUniqueKey(entityConfig.uniqueKey)
+          : {};
+        const valueParts = definition.fields.map(
+          (field) => `${titleOf(field)}:${item[field]}`,
+        );
+        errors.push(
+          uniqueKeyConfig.message ||
+            `【${definition.fields.map(titleOf).join("、")}】的组合值(${valueParts.join(" ")})已存在`,
+        );
+      }
+
+      seenValues?.add(value);
+    });
+
+    return errors;
+  }
+
+  /**
+   * 验证单条待写入的记录（字段规则 + 唯一索引）
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object} item - 数据项
+   * @param {Object} [options] - 唯一索引检查选项，参见 _checkUniqueIndexes
+   * @returns {Object} 验证结果，结构同 ValidationEngine.validateEntity，
+   *   警告由调用方传给 _saveDelta 记入【校验警告】
+   */
+  _validateRecord(entityName, item, options) {
+    const entityConfig = this._config.get(entityName);
+
+    // 实体规则可能用到计算字段（如利润率）
+    this._computeFields([item], entityConfig);
+
+    const result = this._validationEngine.validateEntity(item, entityConfig);
+    const keyErrors = this._checkUniqueIndexes(entityName, item, options);
+
+    if (keyErrors.length > 0) {
+      result.errors._composite = keyErrors;
+      result.valid = false;
+    }
+
+    const foreignKeyErrors = this._checkForeignKeys(entityName, [item]);
+    if (foreignKeyErrors.length > 0) {
+      result.errors._foreignKeys = foreignKeyErrors;
+      result.valid = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * 收集单条记录的验证警告
+   * @private
+   * @param {Object[]} warnings - 收集到的警告 [{item, messages}]
+   * @param {Object} item - 数据项
+   * @param {Object} result - _validateRecord 的验证结果
+   */
+  _collectRecordWarnings(warnings, item, result) {
+    const messages = Object.values(result.warnings).flat();
+    if (messages.length > 0) {
+      warnings.push({ item, messages });
+    }
+  }
+
+  /**
+   * 检查外键约束
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} items - 待检查的记录
+   * @param {Object.<string, Object[]>} [pending] - 同一事务中一起保存的数据，优先于已保存的数据
+   * @returns {string[]} block 级别的错误信息
+   * @description
+   * 按实体配置的 foreignKeys 检查字段值在目标实体中是否存在（空值不检查）：
+   * - block: 返回错误，阻止保存
+   * - warn: 记入警告（见 drainWarnings），照常保存
+   * - ignore: 不检查，只出现在 findOrphans 的报告中
+   */
+  _checkForeignKeys(entityName, items, pending = {}) {
+    const entityConfig = this._config.get(entityName);
+    const errors = [];
+
+    (entityConfig.foreignKeys || []).forEach((foreignKey) => {
+      const severity = foreignKey.severity || "block";
+      if (severity === "ignore") return;
+
+      const orphans = this._collectOrphans(
+        foreignKey,
+        items,
+        pending[foreignKey.entity],
+      );
+      if (orphans.size === 0) return;
+
+      // 单条记录的行号已由验证结果给出
+      if (items.length === 1) {
+        orphans.forEach((rows) => rows.splice(0));
+      }
+
+      const message = this._formatOrphans(entityConfig, foreignKey, orphans);
+      if (severity === "block") {
+        errors.push(message);
+      } else {
+        this._warnings.push(`【${entityConfig.worksheet}】${message}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * 收集外键值在目标实体中不存在的记录
+   * @private
+   * @param {Object} foreignKey - 外键配置 {field, entity, foreignField}
+   * @param {Object[]} items - 待检查的记录
+   * @param {Object[]} [targetData] - 目标实体的数据，默认读取已保存的数据
+   * @returns {Map<string, number[]>} 不存在的值 -> 行号数组
+   * @description 单条记录通过目标实体的索引查找，多条记录时一次读取目标实体的全部值
+   */
+  _collectOrphans(foreignKey, items, targetData) {
+    const { field, entity, foreignField } = foreignKey;
+
+    let exists;
+    if (targetData || items.length > 1) {
+      const values = new Set(
+        (targetData || this._findAllOrEmpty(entity)).map((target) =>
+          String(target[foreignField] ?? ""),
+        ),
+      );
+      exists = (value) => values.has(String(value));
+    } else {
+      exists = (value) => {
+        try {
+          return this.find(entity, { [foreignField]: value }).length > 0;
+        } catch (e) {
+          // 目标工作表不存在
+          return false;
         }
+      };
+    }
+
+    const orphans = new Map();
+    items.forEach((item) => {
+      const value = item[field];
+      if (value == null || String(value).trim() === "" || exists(value)) {
+        return;
+      }
+
+      const key = String(value);
+      if (!orphans.has(key)) orphans.set(key, []);
+      if (item._rowNumber) orphans.get(key).push(item._rowNumber);
+    });
+
+    return orphans;
+  }
+
+  /**
+   * 格式化外键问题
+   * @private
+   * @param {Object} entityConfig - 实体配置
+   * @param {Object} foreignKey - 外键配置
+   * @param {Map<string, number[]>} orphans - 不存在的值 -> 行号数组
+   * @returns {string} 如 "【货号】A001（第3行）、A002（第5、6行）在【货号总表】中不存在"
+   */
+  _formatOrphans(entityConfig, foreignKey, orphans) {
+    const limit = 10;
+    const title =
+      entityConfig.fields[foreignKey.field]?.title || foreignKey.field;
+
+    const values = [...orphans]
+      .slice(0, limit)
+      .map(([value, rows]) =>
+        rows.length > 0 ? `${value}（第${rows.join("、")}行）` : value,
+      )
+      .join("、");
+    const more = orphans.size > limit ? `等${orphans.size}个值` : "";
+
+    return (
+      `【${title}】${values}${more}在【${this._getWorksheet(foreignKey.entity)}】中不存在` +
+      (foreignKey.message ? `：${foreignKey.message}` : "")
+    );
+  }
+
+  /**
+   * 逐条检查记录是否违反 block 级别的外键约束
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} items - 待检查的记录
+   * @returns {Map<Object, string[]>} 违反约束的记录 -> 错误信息数组
+   * @description 供宽松导入在保存前剔除会导致整批保存失败的记录
+   */
+  checkForeignKeys(entityName, items) {
+    const entityConfig = this._config.get(entityName);
+    const violations = new Map();
+
+    (entityConfig.foreignKeys || [])
+      .filter((foreignKey) => (foreignKey.severity || "block") === "block")
+      .forEach((foreignKey) => {
+        const orphans = this._collectOrphans(foreignKey, items);
+        if (orphans.size === 0) return;
+
+        items.forEach((item) => {
+          const value = String(item[foreignKey.field] ?? "");
+          if (!orphans.has(value)) return;
+
+          const message = this._formatOrphans(
+            entityConfig,
+            foreignKey,
+            new Map([[value, []]]),
+          );
+          violations.set(item, [...(violations.get(item) || []), message]);
+        });
+      });
+
+    return violations;
+  }
+
+  /**
+   * 取出并清空未读取的警告
+   * @returns {string[]} 警告信息数组
+   * @description 保存时 warn 级别的外键问题不阻止保存，记为警告，由界面在操作完成后提示
+   *
+   * @example
+   * const result = importService.import();
+   * const warnings = repository.drainWarnings();
+   */
+  drainWarnings() {
+    const warnings = this._warnings;
+    this._warnings = [];
+    return warnings;
+  }
+
+  /**
+   * 查找外键值在目标实体中不存在的记录（孤立数据）
+   * @param {string} [entityName] - 实体名称，不指定时检查所有配置了外键的实体
+   * @returns {Object[]} 孤立数据报告，每项为
+   *   {entityName, field, targetEntity, severity, orphans: [{value, rowNumbers}]}，
+   *   只包含存在孤立数据的外键；包括 ignore 级别
+   */
+  findOrphans(entityName) {
+    const entityNames = entityName
+      ? [entityName]
+      : Object.keys(this._config.getAll());
+    const report = [];
+
+    entityNames.forEach((name) => {
+      const foreignKeys = this._config.get(name)?.foreignKeys || [];
+      if (foreignKeys.length === 0) return;
+
+      const data = this._findAllOrEmpty(name);
+      foreignKeys.forEach((foreignKey) => {
+        const orphans = this._collectOrphans(foreignKey, data);
+        if (orphans.size === 0) return;
+
+        report.push({
+          entityName: name,
+          field: foreignKey.field,
+          targetEntity: foreignKey.entity,
+          severity: foreignKey.severity || "block",
+          orphans: [...orphans].map(([value, rowNumbers]) => ({
+            value,
+            rowNumbers,
+          })),
+        });
       });
     });
+
+    return report;
+  }
+
+  /**
+   * 格式化孤立数据报告
+   * @param {Object[]} report - findOrphans 的返回值
+   * @returns {string} 供提示的文本
+   */
+  formatOrphanReport(report) {
+    if (report.length === 0) {
+      return "没有发现孤立数据";
+    }
+
+    const severityNames = { block: "阻止", warn: "警告", ignore: "忽略" };
+    return report
+      .map((entry) => {
+        const entityConfig = this._config.get(entry.entityName);
+        const orphans = new Map(
+          entry.orphans.map(({ value, rowNumbers }) => [value, rowNumbers]),
+        );
+        return `【${entityConfig.worksheet}】（${severityNames[entry.severity] || entry.severity}）${this._formatOrphans(
+          entityConfig,
+          {
+            field: entry.field,
+            entity: entry.targetEntity,
+          },
+          orphans,
+        )}`;
+      })
+      .join("\n");
   }
 
   /**
@@ -269,61 +762,182 @@ class Repository {
   }
 
   /**
-   * 全表扫描查询
+   * 通过有序索引查询数据
    * @private
-   * @param {Object[]} data - 数据数组
-   * @param {Object} condition - 查询条件
-   * @returns {Object[]} 符合条件的记录
+   * @param {string} entityName - 实体名称
+   * @param {Object} equalities - 等值条件 {字段: 值}
+   * @param {Object} ranges - 范围条件 {字段: {min, max, minExclusive, maxExclusive}}
+   * @returns {Object[]|null} 候选记录，无可用有序索引时返回null
    *
    * @description
-   * 支持的条件类型：
-   * - 精确匹配：{ field: value }
-   * - 数组匹配：{ field: [value1, value2] }（满足任一值）
-   * - undefined值自动忽略
-   */
-  _fullScan(data, condition) {
-    return data.filter((item) => {
-      return Object.entries(condition).every(([key, val]) => {
-        if (val == undefined) return true;
-        if (Array.isArray(val)) {
-          return val.includes(item[key]);
-        }
-        return item[key] == val;
+   * 有序索引可用的条件：最后一个字段有范围条件，其余字段都有等值条件。
+   * 有多个可用索引时选择字段最多的（前缀越长，候选越少）。
+   *
+   * @example
+   * // 使用 [itemNumber, salesDate] 有序索引
+   * _queryBySortedIndex(
+   *   "ProductSales",
+   *   { itemNumber: "A001" },
+   *   { salesDate: { min: "2024-01-01", minExclusive: false } }
+   * )
+   */
+  _queryBySortedIndex(entityName, equalities, ranges) {
+    const entityIndexes = this._indexes.get(entityName);
+    if (!entityIndexes) return null;
+
+    const candidates = [...entityIndexes.values()]
+      .filter(
+        (index) =>
+          index instanceof SortedIndex &&
+          ranges[index.rangeField] &&
+          index.prefixFields.every((field) => field in equalities),
+      )
+      .sort((a, b) => b.fields.length - a.fields.length);
+
+    for (const index of candidates) {
+      const result = index.lookup(
+        index.prefixFields.map((field) => equalities[field]),
+        ranges[index.rangeField],
+      );
+      if (result != null) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 规划索引查询，获取候选记录
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object|Function} filter - 查询条件
+   * @returns {Object[]|null} 候选记录（仍需用完整条件过滤），无可用索引时返回null
+   *
+   * @description
+   * 规划策略（按优先级）：
+   * 1. 范围条件命中有序索引（其余索引字段均有等值条件）时走 _queryBySortedIndex
+   * 2. 顶层必须满足的等值条件（含 $and 中的等值条件）走 _queryByIndex
+   * 3. 顶层多值条件（数组或 $in）命中单字段索引时，合并各值的索引结果
+   * 4. 都不可用时返回null，由调用方全表扫描
+   */
+  _planQuery(entityName, filter) {
+    const equalities = this._queryEngine.extractEqualities(filter);
+
+    const ranges = this._queryEngine.extractRanges(filter);
+    if (Object.keys(ranges).length > 0) {
+      const ranged = this._queryBySortedIndex(entityName, equalities, ranges);
+      if (ranged != null) {
+        return ranged;
+      }
+    }
+    if (Object.keys(equalities).length > 0) {
+      const indexed = this._queryByIndex(entityName, equalities);
+      if (indexed != null) {
+        return indexed;
+      }
+    }
+
+    const entityIndexes = this._indexes.get(entityName);
+    if (!entityIndexes) return null;
+
+    const inLists = this._queryEngine.extractInLists(filter);
+    for (const [field, values] of Object.entries(inLists)) {
+      const index = entityIndexes.get(field);
+      if (!index) continue;
+      if (!values.every((v) => this._queryEngine.isIndexable(v))) continue;
+
+      const results = new Set();
+      values.forEach((value) => {
+        const matched = index.get(String(value));
+        if (matched == null) return;
+        (Array.isArray(matched) ? matched : [matched]).forEach((item) =>
+          results.add(item),
+        );
       });
-    });
+      return [...results];
+    }
+
+    return null;
   }
 
   /**
-   * 计算实体的计算字段
+   * 安装实体的计算字段
    * @private
    * @param {Object[]} data - 数据数组
    * @param {Object} entityConfig - 实体配置
    * @description
-   * 根据字段配置中的compute函数计算字段值
+   * 计算字段以 getter 的形式安装在每条记录上，访问时才调用 compute 函数（惰性计算）：
+   * - 声明了 dependsOn 的字段缓存计算结果，依赖字段的值不变时直接返回缓存
+   * - 依赖 "$context" 的字段在上下文变化（setContext、品牌配置重新加载）后重新计算
+   * - 未声明 dependsOn 的字段每次访问都重新计算
    * 计算函数可访问this._context提供的外部上下文（如品牌配置、利润计算器）
    */
   _computeFields(data, entityConfig) {
-    const computedFields = {};
-
-    Object.entries(entityConfig.fields).forEach(([key, config]) => {
-      if (config.type === "computed" && config.compute) {
-        computedFields[key] = config.compute;
-      }
-    });
+    const computedFields = Object.entries(entityConfig.fields).filter(
+      ([, config]) => config.type === "computed" && config.compute,
+    );
 
-    if (Object.keys(computedFields).length === 0) {
+    if (computedFields.length === 0) {
       return;
     }
 
     data.forEach((item) => {
-      Object.entries(computedFields).forEach(([key, computeFn]) => {
+      computedFields.forEach(([key, config]) => {
+        this._defineComputedField(item, key, config);
+      });
+    });
+  }
+
+  /**
+   * 在记录上定义惰性计算字段
+   * @private
+   * @param {Object} item - 数据项
+   * @param {string} key - 字段名
+   * @param {Object} fieldConfig - 字段配置 {compute, dependsOn}
+   * @description
+   * - 计算失败时值为 undefined
+   * - 直接给字段赋值会替换为普通属性，下次保存时重新安装为计算字段
+   */
+  _defineComputedField(item, key, fieldConfig) {
+    const repository = this;
+    const dependsOn = fieldConfig.dependsOn;
+    let memo = null;
+
+    Object.defineProperty(item, key, {
+      enumerable: true,
+      configurable: true,
+      get() {
+        const inputs = dependsOn?.map((dep) =>
+          dep === "$context" ? repository._contextVersion : item[dep],
+        );
+
+        if (
+          memo &&
+          inputs.every((value, i) => Object.is(value, memo.inputs[i]))
+        ) {
+          return memo.value;
+        }
+
+        let value;
         try {
           // 为计算函数提供上下文
-          item[key] = computeFn(item, this._context);
+          value = fieldConfig.compute(item, repository._context);
         } catch (e) {
-          // 计算失败时不设置值
+          value = undefined;
         }
-      });
+
+        memo = inputs ? { inputs, value } : null;
+        return value;
+      },
+      set(value) {
+        Object.defineProperty(item, key, {
+          value,
+          writable: true,
+          enumerable: true,
+          configurable: true,
+        });
+      },
     });
   }
 
@@ -401,6 +1015,7 @@ class Repository {
    */
   setContext(context) {
     Object.assign(this._context, context);
+    this._contextVersion++;
   }
 
   /**
@@ -422,6 +1037,7 @@ class Repository {
         }
       });
       this._context.brandConfig = brandMap;
+      this._contextVersion++;
       return brandMap;
     } catch (e) {
       throw new Error(
@@ -436,8 +1052,10 @@ class Repository {
    */
   refreshBrandConfig() {
     this._context.brandConfig = null;
+    this._contextVersion++;
     this._cache.delete("BrandConfig");
     this._indexes.delete("BrandConfig");
+    this._sheetStates.delete("BrandConfig");
     return this.getBrandConfigMap();
   }
 
@@ -451,6 +1069,7 @@ class Repository {
    * - 优先从缓存读取
    * - 缓存不存在时从Excel读取
    * - 读取后自动建立索引和计算字段
+   * - 读取后记录工作表指纹，保存前据此检测手工修改
    */
   findAll(entityName) {
     if (this._cache.has(entityName)) {
@@ -462,12 +1081,19 @@ class Repository {
       throw new Error(`未知实体：${entityName}`);
     }
 
-    const data = this._excelDAO.read(entityName);
+    const rows = this._excelDAO.readRaw(entityName);
+    const data =
+      rows.length > 0 ? this._excelDAO.parseRows(entityName, rows) : [];
+    this._sheetStates.set(
+      entityName,
+      this._buildSheetState(entityName, data, rows),
+    );
 
-    // 计算计算字段
+    // 安装计算字段（访问时惰性计算）
     this._computeFields(data, entityConfig);
     this._cache.set(entityName, data);
     this._buildAllIndexes(entityName, data);
+    this._takeAuditSnapshot(entityName, data);
 
     return data;
   }
@@ -475,12 +1101,16 @@ class Repository {
   /**
    * 查询符合条件的实体对象
    * @param {string} entityName - 实体名称
-   * @param {Object} [condition] - 查询条件
+   * @param {Object|Function} [condition] - 查询条件（语法见 QueryEngine）
+   * @param {Object} [options] - 查询选项
+   * @param {string|string[]} [options.include] - 要加载的关联（见 _resolveIncludes）
    * @returns {Object[]} 符合条件的记录数组
    * @description
    * 查询策略：
-   * - 优先通过索引查询（性能最优）
+   * - 优先通过索引缩小候选范围（性能最优）
    * - 无可用索引时执行全表扫描
+   * - 候选记录统一由 QueryEngine 按完整条件过滤
+   * - 返回的是缓存中的记录本身（非副本），指定 include 时关联数据直接附加在这些记录上
    *
    * @example
    * // 单条件查询
@@ -489,143 +1119,175 @@ class Repository {
    * // 多条件查询（AND关系）
    * repository.find("Product", { brand: "A", year: 2024 });
    *
+   * // 组合条件
+   * repository.find("Product", {
+   *   $or: [{ itemStatus: "商品上线" }, { sellableInventory: { $gt: 0 } }],
+   * });
+   *
    * // 无条件返回所有
    * repository.find("Product");
+   *
+   * // 加载关联：货号的常态商品及其库存
+   * repository.find("Product", { itemNumber: "A001" }, {
+   *   include: "regulars.inventory",
+   * });
+   * // [{ itemNumber: "A001", ..., regulars: [{ productCode: "...", inventory: {...} }] }]
    */
-  find(entityName, condition) {
+  find(entityName, condition, options = {}) {
     const data = this.findAll(entityName);
 
-    if (!condition || Object.keys(condition).length === 0) {
-      return data;
-    }
-
-    // 优先通过索引查询数据
-    const indexedResult = this._queryByIndex(entityName, condition);
-    if (indexedResult != null) {
-      return indexedResult;
+    let results;
+    if (
+      !condition ||
+      (typeof condition === "object" && Object.keys(condition).length === 0)
+    ) {
+      results = data;
+    } else {
+      // 优先通过索引缩小范围，再用完整条件过滤
+      const candidates = this._planQuery(entityName, condition) || data;
+      results = this._queryEngine.filter(candidates, condition);
     }
 
-    // 索引无数据遍历全表
-    return this._fullScan(data, condition);
+    return options.include
+      ? this._resolveIncludes(entityName, results, options.include)
+      : results;
   }
 
   /**
-   * 复杂查询（支持过滤、排序、分页）
+   * 加载关联数据
+   * @private
    * @param {string} entityName - 实体名称
-   * @param {Object} [options] - 查询选项
-   * @param {Object|Function} [options.filter] - 过滤条件
-   * @param {Object|Array} [options.sort] - 排序规则
-   * @param {number} [options.limit] - 限制返回数量
-   * @param {number} [options.offset] - 偏移量（用于分页）
-   * @returns {Object[]} 查询结果
+   * @param {Object[]} items - 数据数组
+   * @param {string|string[]|Object} include - 关联路径
+   * @returns {Object[]} 传入的 items 本身（已附加关联数据）
+   * @throws {Error} 关联未在 DataConfig.relations 中定义时抛出
    *
    * @description
-   * 支持的过滤操作符：
-   * - $in: 包含于数组
-   * - $between: 介于两值之间
-   * - $gt: 大于
-   * - $gte: 大于等于
-   * - $lt: 小于
-   * - $lte: 小于等于
-   * - $ne: 不等于
-   * - $like: 模糊匹配（支持%通配符）
-   * - 函数: 自定义过滤函数
+   * 关联路径用 "." 表示嵌套，如 "regulars.combos.subInventory"：
+   * 先加载 regulars，再为每个常态商品加载 combos，再为每个组合装加载 subInventory。
+   * 多个路径用数组传入，共同的前缀只加载一次。
    *
-   * @example
-   * // 复杂查询示例
-   * repository.query("Product", {
-   *   filter: {
-   *     price: { $gt: 100, $lt: 500 },
-   *     status: { $in: ["上线", "预售"] },
-   *     name: { $like: "%T恤%" }
-   *   },
-   *   sort: [
-   *     { field: "price", order: "desc" },
-   *     { field: "name", order: "asc" }
-   *   ],
-   *   limit: 20,
-   *   offset: 40
-   * });
+   * 关联记录通过 find(目标实体, { foreignField: 值 }) 获取，命中目标实体的索引。
+   * oneToMany 关联为数组，manyToOne 关联为单条记录（不存在时为 undefined）。
+   *
+   * 关联以不可枚举属性附加在缓存记录上，不复制记录，也不触发计算字段：
+   * - 记录仍是缓存中的活动对象，修改后可直接保存
+   * - 展开、序列化与写表都不会带上关联数据
+   * - 关联是加载时的快照，关联数据变更后需重新 include
    */
-  query(entityName, options = {}) {
-    let results = this.findAll(entityName);
+  _resolveIncludes(entityName, items, include) {
+    const tree = this._parseIncludes(include);
+    const names = Object.keys(tree);
+    if (names.length === 0) return items;
+
+    const relations = this._config.get(entityName)?.relations || {};
+    names.forEach((name) => {
+      if (!relations[name]) {
+        throw new Error(`实体【${entityName}】未定义关联【${name}】`);
+      }
+    });
 
-    if (options.filter) {
-      results = results.filter((item) => {
-        return Object.entries(options.filter).every(([key, condition]) => {
-          const value = item[key];
+    items.forEach((item) => {
+      names.forEach((name) => {
+        const relation = relations[name];
+        const value = item[relation.localField];
+
+        const related =
+          value == null || String(value).trim() === ""
+            ? []
+            : this.find(relation.entity, { [relation.foreignField]: value });
+        const resolved = this._resolveIncludes(
+          relation.entity,
+          related,
+          tree[name],
+        );
 
-          if (typeof condition === "function") {
-            return condition(value);
-          }
+        Object.defineProperty(item, name, {
+          value: relation.type === "oneToMany" ? resolved : resolved[0],
+          configurable: true,
+          writable: true,
+          enumerable: false,
+        });
+      });
+    });
 
-          if (condition && typeof condition === "object") {
-            if (condition.$in && Array.isArray(condition.$in)) {
-              return condition.$in.includes(value);
-            }
+    return items;
+  }
 
-            if (condition.$between && condition.$between.length === 2) {
-              const num = Number(value);
-              return (
-                num >= condition.$between[0] && num <= condition.$between[1]
-              );
-            }
+  /**
+   * 解析关联路径为树结构
+   * @private
+   * @param {string|string[]|Object} include - 关联路径
+   * @returns {Object} 关联树，如 { regulars: { inventory: {}, combos: { subInventory: {} } } }
+   */
+  _parseIncludes(include) {
+    if (include && typeof include === "object" && !Array.isArray(include)) {
+      return include;
+    }
 
-            if (condition.$gt !== undefined)
-              return Number(value) > condition.$gt;
-            if (condition.$gte !== undefined)
-              return Number(value) >= condition.$gte;
-            if (condition.$lt !== undefined)
-              return Number(value) < condition.$lt;
-            if (condition.$lte !== undefined)
-              return Number(value) <= condition.$lte;
-            if (condition.$ne !== undefined) return value != condition.$ne;
-            if (condition.$like) {
-              const pattern = condition.$like.replace(/%/g, ".*");
-              return new RegExp(pattern, "i").test(String(value));
-            }
-          }
+    const tree = {};
+    (Array.isArray(include) ? include : [include]).forEach((path) => {
+      if (!path) return;
 
-          return value == condition;
+      let node = tree;
+      String(path)
+        .split(".")
+        .forEach((name) => {
+          node[name] = node[name] || {};
+          node = node[name];
         });
-      });
-    }
+    });
+    return tree;
+  }
 
-    if (options.sort) {
-      const sortFields = Array.isArray(options.sort)
-        ? options.sort
-        : [options.sort];
-
-      results.sort((a, b) => {
-        for (const sort of sortFields) {
-          let field,
-            order = 1;
-
-          if (typeof sort === "string") {
-            field = sort;
-          } else {
-            field = sort.field;
-            order = sort.order === "desc" ? -1 : 1;
-          }
+  /**
+   * 复杂查询（支持过滤、排序、分页）
+   * @param {string} entityName - 实体名称
+   * @param {Object} [options] - 查询选项
+   * @param {Object|Function} [options.filter] - 过滤条件（语法见 QueryEngine）
+   * @param {Object|Array} [options.sort] - 排序规则
+   * @param {number} [options.limit] - 限制返回数量
+   * @param {number} [options.offset] - 偏移量（用于分页）
+   * @param {string|string[]} [options.include] - 要加载的关联（同 find）
+   * @returns {Object[]} 查询结果
+   *
+   * @description
+   * 过滤条件与 find 共用 QueryEngine，支持：
+   * - 逻辑组合：$and、$or、$not
+   * - 字段操作符：$eq、$ne、$gt、$gte、$lt、$lte、$between、$in、$nin、
+   *   $like（%通配符）、$regex、$exists，同一字段可同时使用多个操作符
+   * - 函数: 自定义过滤函数
+   *
+   * @example
+   * // 复杂查询示例
+   * repository.query("Product", {
+   *   filter: {
+   *     silverPrice: { $gt: 100, $lt: 500 },
+   *     itemStatus: { $in: ["商品上线", "部分上线"] },
+   *     $or: [
+   *       { marketingPositioning: "引流款" },
+   *       { styleNumber: { $like: "A2%" } },
+   *     ],
+   *   },
+   *   sort: [
+   *     { field: "silverPrice", order: "desc" },
+   *     { field: "itemNumber", order: "asc" }
+   *   ],
+   *   limit: 20,
+   *   offset: 40
+   * });
+   */
+  query(entityName, options = {}) {
+    let results = options.filter
+      ? this.find(entityName, options.filter)
+      : this.findAll(entityName);
 
-          let valA = a[field];
-          let valB = b[field];
-
-          if (typeof valA === "number" && typeof valB === "number") {
-            if (valA !== valB) return (valA - valB) * order;
-          } else if (field.includes("Date") || field.includes("Time")) {
-            const dateA = Date.parse(valA) || 0;
-            const dateB = Date.parse(valB) || 0;
-            if (dateA !== dateB) return (dateA - dateB) * order;
-          } else {
-            valA = String(valA || "");
-            valB = String(valB || "");
-            const compare = valA.localeCompare(valB);
-            if (compare !== 0) return compare * order;
-          }
-        }
-        return 0;
-      });
+    if (options.sort) {
+      // 不改变缓存中的顺序
+      if (results === this._cache.get(entityName)) {
+        results = [...results];
+      }
+      this._sortItems(results, options.sort);
     }
 
     if (options.limit) {
@@ -633,177 +1295,1186 @@ class Repository {
       results = results.slice(start, start + options.limit);
     }
 
+    if (options.include) {
+      results = this._resolveIncludes(entityName, results, options.include);
+    }
+
     return results;
   }
 
   /**
-   * 保存实体数据到工作表
+   * 排序数据（原地排序）
+   * @private
+   * @param {Object[]} items - 数据数组
+   * @param {Object|string|Array} sort - 排序规则，如 "itemNumber"、{ field, order } 或其数组
+   * @returns {Object[]} 排序后的数组（即 items 本身）
+   */
+  _sortItems(items, sort) {
+    const sortFields = Array.isArray(sort) ? sort : [sort];
+
+    return items.sort((a, b) => {
+      for (const sort of sortFields) {
+        let field,
+          order = 1;
+
+        if (typeof sort === "string") {
+          field = sort;
+        } else {
+          field = sort.field;
+          order = sort.order === "desc" ? -1 : 1;
+        }
+
+        let valA = a[field];
+        let valB = b[field];
+
+        if (typeof valA === "number" && typeof valB === "number") {
+          if (valA !== valB) return (valA - valB) * order;
+        } else if (field.includes("Date") || field.includes("Time")) {
+          const dateA = Date.parse(valA) || 0;
+          const dateB = Date.parse(valB) || 0;
+          if (dateA !== dateB) return (dateA - dateB) * order;
+        } else {
+          valA = String(valA || "");
+          valB = String(valB || "");
+          const compare = valA.localeCompare(valB);
+          if (compare !== 0) return compare * order;
+        }
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * 分组聚合
    * @param {string} entityName - 实体名称
-   * @param {Object[]} data - 要保存的数据数组
-   * @returns {Object[]} 保存后的数据
-   * @throws {Error} 验证失败时抛出详细错误信息
+   * @param {Object} [options] - 聚合选项
+   * @param {Object|Function} [options.match] - 过滤条件（语法同 find）
+   * @param {string|Object|Array} [options.groupBy] - 分组维度，可以是：
+   *   - 字段名，如 "styleNumber"
+   *   - { as: 输出字段名, by: 字段名或函数 (item) => 分组值 }
+   *   - 以上两种的数组（多级分组）
+   * @param {Object} [options.measures] - 度量，键为聚合方式，值为字段名、{ field, as } 或其数组：
+   *   - sum: 求和（非数字的值忽略）
+   *   - avg: 平均值（只统计数字值，没有数字时为 undefined）
+   *   - min / max: 最小值 / 最大值（数字或日期）
+   *   - distinctCount: 不重复的非空值个数
+   *   - count: true，统计记录数
+   * @param {Object|Array} [options.sort] - 排序规则（同 query）
+   * @param {number} [options.limit] - 限制返回行数
+   * @returns {Object[]} 聚合结果，每个分组一行：
+   *   分组字段 + 度量字段（默认命名为 `${字段}_${聚合方式}`，记录数为 count）
+   * @throws {Error} 字段不存在或聚合方式不支持时抛出
+   *
    * @description
-   * 保存流程：
-   * 1. 执行数据验证
-   * 2. 重新计算计算字段
-   * 3. 按默认排序规则排序
-   * 4. 写入Excel并更新缓存
-   * 5. 重建索引
+   * 一次遍历完成分组和所有度量的计算。
+   * 没有 groupBy 时返回只有一行的汇总结果（即使没有匹配的记录）。
+   *
+   * @example
+   * // 库存 by 款号
+   * repository.aggregate("Product", {
+   *   groupBy: "styleNumber",
+   *   measures: { sum: ["sellableInventory", "totalInventory"], count: true },
+   *   sort: { field: "sellableInventory_sum", order: "desc" },
+   * });
+   * // [{ styleNumber: "S01", sellableInventory_sum: 120, totalInventory_sum: 150, count: 3 }, ...]
+   *
+   * // 销售额 by 三级品类 by 年月
+   * const products = new Map(
+   *   repository.findAll("Product").map((p) => [p.itemNumber, p]),
+   * );
+   * repository.aggregate("ProductSales", {
+   *   match: { salesDate: { $gte: "2024-01-01" } },
+   *   groupBy: [
+   *     {
+   *       as: "thirdLevelCategory",
+   *       by: (sale) => products.get(sale.itemNumber)?.thirdLevelCategory,
+   *     },
+   *     "yearMonth",
+   *   ],
+   *   measures: {
+   *     sum: [{ field: "salesAmount", as: "销售额" }, "salesQuantity"],
+   *     distinctCount: "itemNumber",
+   *   },
+   *   sort: ["thirdLevelCategory", "yearMonth"],
+   * });
    */
-  save(entityName, data) {
-    const entityConfig = this._config.get(entityName);
-    if (!entityConfig) {
-      throw new Error(`未知实体：${entityName}`);
-    }
-
-    // 验证数据
-    const validationResult = this._validationEngine.validateAll(
-      data,
-      entityConfig,
-    );
+  aggregate(entityName, options = {}) {
+    const dimensions = this._parseGroupBy(entityName, options.groupBy);
+    const measures = this._parseMeasures(entityName, options.measures);
+
+    const items = options.match
+      ? this.find(entityName, options.match)
+      : this.findAll(entityName);
+
+    const groups = new Map();
+    const getGroup = (values) => {
+      const key = values
+        .map((v) => (v != undefined ? String(v) : ""))
+        .join("¦");
+      if (!groups.has(key)) {
+        const row = {};
+        dimensions.forEach((dimension, i) => (row[dimension.as] = values[i]));
+        groups.set(key, { row, states: measures.map((m) => m.init()) });
+      }
+      return groups.get(key);
+    };
 
-    if (!validationResult.valid) {
-      const errorMsg = this._validationEngine.formatErrors(
-        validationResult,
-        entityConfig.worksheet,
-      );
-      throw new Error(errorMsg);
+    if (dimensions.length === 0) {
+      getGroup([]);
     }
 
-    // 计算计算字段
-    this._computeFields(data, entityConfig);
+    items.forEach((item) => {
+      const group = getGroup(dimensions.map((dimension) => dimension.by(item)));
+      measures.forEach((measure, i) => {
+        group.states[i] = measure.add(group.states[i], item);
+      });
+    });
 
-    // 按默认排序规则排序
-    if (entityConfig?.defaultSort) {
-      data.sort(entityConfig.defaultSort);
+    let rows = [...groups.values()].map(({ row, states }) => {
+      measures.forEach((measure, i) => {
+        row[measure.as] = measure.result(states[i]);
+      });
+      return row;
+    });
+
+    if (options.sort) {
+      this._sortItems(rows, options.sort);
     }
 
-    this._excelDAO.write(entityName, data);
-    this._cache.set(entityName, data);
-    this._buildAllIndexes(entityName, data);
+    if (options.limit) {
+      rows = rows.slice(0, options.limit);
+    }
 
-    return data;
+    return rows;
   }
 
   /**
-   * 清空实体所有数据
+   * 解析聚合的分组维度
+   * @private
    * @param {string} entityName - 实体名称
+   * @param {string|Object|Array} [groupBy] - 分组维度
+   * @returns {Array<Object>} 维度数组 {as, by: (item) => 分组值}
    */
-  clear(entityName) {
-    this._excelDAO.clear(entityName);
-    this._cache.delete(entityName);
-    this._indexes.delete(entityName);
+  _parseGroupBy(entityName, groupBy) {
+    if (groupBy == null) return [];
+
+    return (Array.isArray(groupBy) ? groupBy : [groupBy]).map((dimension) => {
+      if (typeof dimension === "string") {
+        this._assertField(entityName, dimension);
+        return { as: dimension, by: (item) => item[dimension] };
+      }
+
+      if (typeof dimension?.by === "function") {
+        if (!dimension.as) {
+          throw new Error("函数分组维度必须指定输出字段名 as");
+        }
+        return { as: dimension.as, by: dimension.by };
+      }
+
+      if (typeof dimension?.by === "string") {
+        this._assertField(entityName, dimension.by);
+        return {
+          as: dimension.as || dimension.by,
+          by: (item) => item[dimension.by],
+        };
+      }
+
+      throw new Error(`无效的分组维度：${JSON.stringify(dimension)}`);
+    });
   }
 
   /**
-   * 清空所有缓存和索引
+   * 解析聚合的度量
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object} [measures] - 度量配置
+   * @returns {Array<Object>} 度量数组 {as, init, add, result}
    */
-  clearAllCache() {
-    this._cache.clear();
-    this._indexes.clear();
+  _parseMeasures(entityName, measures = {}) {
+    const toNumber = (value) => {
+      if (value == null || String(value).trim() === "") return null;
+      const num = Number(value);
+      return isFinite(num) ? num : null;
+    };
+
+    const pick = (better) => (state, value) => {
+      const orderKey = this._queryEngine.toOrderKey(value);
+      if (!orderKey) return state;
+      if (!state || better(orderKey.key, state.key)) {
+        return { key: orderKey.key, value };
+      }
+      return state;
+    };
+
+    const reducers = {
+      sum: {
+        init: () => 0,
+        add: (state, value) => state + (toNumber(value) ?? 0),
+        result: (state) => state,
+      },
+      avg: {
+        init: () => ({ total: 0, count: 0 }),
+        add: (state, value) => {
+          const num = toNumber(value);
+          if (num === null) return state;
+          return { total: state.total + num, count: state.count + 1 };
+        },
+        result: (state) =>
+          state.count > 0 ? state.total / state.count : undefined,
+      },
+      min: {
+        init: () => null,
+        add: pick((key, current) => key < current),
+        result: (state) => state?.value,
+      },
+      max: {
+        init: () => null,
+        add: pick((key, current) => key > current),
+        result: (state) => state?.value,
+      },
+      distinctCount: {
+        init: () => new Set(),
+        add: (state, value) => {
+          if (value != null && String(value).trim() !== "") {
+            state.add(String(value));
+          }
+          return state;
+        },
+        result: (state) => state.size,
+      },
+    };
+
+    const result = [];
+
+    Object.entries(measures).forEach(([op, targets]) => {
+      if (op === "count") {
+        if (!targets) return;
+        result.push({
+          as: typeof targets === "string" ? targets : "count",
+          init: () => 0,
+          add: (state) => state + 1,
+          result: (state) => state,
+        });
+        return;
+      }
+
+      const reducer = reducers[op];
+      if (!reducer) {
+        throw new Error(`不支持的聚合方式：${op}`);
+      }
+
+      (Array.isArray(targets) ? targets : [targets]).forEach((target) => {
+        const field = typeof target === "string" ? target : target?.field;
+        this._assertField(entityName, field);
+
+        result.push({
+          as: target.as || `${field}_${op}`,
+          init: reducer.init,
+          add: (state, item) => reducer.add(state, item[field]),
+          result: reducer.result,
+        });
+      });
+    });
+
+    return result;
   }
 
   /**
-   * 刷新实体缓存和索引
+   * 检查实体是否包含指定字段
+   * @private
    * @param {string} entityName - 实体名称
-   * @returns {Object[]} 刷新后的数据
-   * @description 强制从Excel重新读取数据，更新缓存和索引
+   * @param {string} field - 字段名
+   * @throws {Error} 实体或字段不存在时抛出
    */
-  refresh(entityName) {
-    this._cache.delete(entityName);
-    this._indexes.delete(entityName);
-    return this.findAll(entityName);
+  _assertField(entityName, field) {
+    const entityConfig = this._config.get(entityName);
+    if (!entityConfig) {
+      throw new Error(`未知实体：${entityName}`);
+    }
+    if (!field || !entityConfig.fields[field]) {
+      throw new Error(`实体【${entityName}】中不存在字段【${field}】`);
+    }
   }
 
   /**
-   * 批量保存多个实体数据（事务性）
-   * @param {Object.<string, Object[]>} operations - 操作对象，键为实体名，值为数据数组
-   * @returns {Object.<string, Object[]>} 各实体保存结果
-   * @throws {Error} 任一实体保存失败时抛出汇总错误
-   *
-   * @example
-   * repository.transaction({
-   *   Product: [{ name: "产品1" }, { name: "产品2" }],
-   *   Inventory: [{ productCode: "001", quantity: 100 }]
-   * });
+   * 保存实体数据到工作表
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 要保存的数据数组
+   * @returns {Object[]} 保存后的数据
+   * @throws {Error} 验证失败时抛出详细错误信息
+   * @description
+   * 保存流程：
+   * 1. 检查工作表在读取后是否被手工修改，不冲突的修改合并到 data 中（见 _mergeExternalEdits）
+   * 2. 执行数据验证
+   * 3. 重新计算计算字段
+   * 4. 按默认排序规则排序
+   * 5. 执行 beforeSave 钩子
+   * 6. 写入Excel并更新缓存
+   * 7. 重建索引
+   * 8. 执行 afterSave 钩子并通知订阅者
    */
-  transaction(operations) {
-    const results = {};
-    const errors = [];
-
-    for (const [entityName, data] of Object.entries(operations)) {
-      try {
-        results[entityName] = this.save(entityName, data);
-      } catch (e) {
-        errors.push(`【${entityName}】保存失败：${e.message}`);
-      }
-    }
+  save(entityName, data) {
+    const { rows } = this._mergeExternalEdits(entityName, data);
+    this._prepare(entityName, data);
 
-    if (errors.length > 0) {
-      throw new Error(`批量操作失败：\n${errors.join("\n")}`);
-    }
+    return this._journal.run(
+      `保存【${this._getWorksheet(entityName)}】`,
+      () => {
+        let event;
+        try {
+          this._runHooks(entityName, "beforeSave", data, { entityName });
+          this._persist(entityName, data, null, rows);
+          event = this._createEvent("save", entityName, data);
+          this._flushChangeLog();
+          this._flushValidationWarnings();
+        } finally {
+          this._pendingChanges = [];
+          this._pendingValidationWarnings.clear();
+        }
 
-    return results;
+        this._dispatch(event);
+        return data;
+      },
+    );
   }
 
-  // ==================== 数据修改操作 ====================
+  /**
+   * 获取实体对应的工作表名称
+   * @private
+   * @param {string} entityName - 实体名称
+   * @returns {string} 工作表名称，实体不存在时返回实体名称
+   */
+  _getWorksheet(entityName) {
+    return this._config.get(entityName)?.worksheet || entityName;
+  }
 
   /**
-   * 新增单条记录
+   * 保存前的准备：验证数据、计算计算字段并排序
+   * @private
    * @param {string} entityName - 实体名称
-   * @param {Object} item - 要新增的数据项
-   * @param {Object} [options] - 选项
-   * @param {boolean} [options.validateOnly=false] - 仅验证不保存
-   * @returns {Object|boolean} 验证通过返回true，保存返回操作结果 { insert: [item] }
-   * @throws {Error} 验证失败时抛出
-   * @description
-   * 新增流程：
-   * - 自动生成行号(_rowNumber)
-   * - 应用字段默认值
-   * - 执行数据验证（包括唯一性验证）
+   * @param {Object[]} data - 要保存的数据数组
+   * @param {Object.<string, Object[]>} [pending] - 同一事务中一起保存的数据（用于外键检查）
+   * @returns {Object[]} 准备好的数据（原数组）
+   * @throws {Error} 实体不存在、验证失败或违反 block 级别的外键约束时抛出，
+   *   验证失败时 error.validations 为 [{entityName, worksheet, result}]（result 为 validateAll 的结果）
+   * @description 验证警告不阻止保存，暂存后由 _flushValidationWarnings 在写入后记入【校验警告】
    */
-  add(entityName, item, options = {}) {
+  _prepare(entityName, data, pending) {
     const entityConfig = this._config.get(entityName);
     if (!entityConfig) {
-      throw new Error(`未知业务实体：${entityName}`);
+      throw new Error(`未知实体：${entityName}`);
     }
 
-    // 获取当前数据
-    const currentData = this.findAll(entityName);
-
-    // 自动生成行号
-    const maxRowNumber = currentData.reduce(
-      (max, item) => Math.max(max, item._rowNumber || 0),
-      0,
-    );
-    item._rowNumber = maxRowNumber + 1;
+    this._runHooks(entityName, "beforeValidate", data, {
+      entityName,
+      action: "save",
+    });
 
-    // 处理默认值
-    this._applyDefaultValues(item, entityConfig);
+    // 安装计算字段（访问时惰性计算），实体规则可能用到计算字段（如利润率）
+    this._computeFields(data, entityConfig);
 
-    // 验证单条数据
-    const validationResult = this._validationEngine.validateEntity(
-      item,
+    // 验证数据
+    const validationResult = this._validationEngine.validateAll(
+      data,
       entityConfig,
-      { allData: currentData }, // 传入现有数据用于唯一性验证
     );
 
     if (!validationResult.valid) {
-      const errorMsg = this._validationEngine.formatErrors(
-        { items: [{ ...validationResult }] },
-        entityConfig.worksheet,
+      const error = new Error(
+        this._validationEngine.formatErrors(
+          validationResult,
+          entityConfig.worksheet,
+        ),
       );
-      throw new Error(errorMsg);
+      // 供 ValidationReportWriter 生成【校验结果】
+      error.validations = [
+        {
+          entityName,
+          worksheet: entityConfig.worksheet,
+          result: validationResult,
+        },
+      ];
+      throw error;
     }
 
-    if (options.validateOnly) {
-      return true;
+    // 外键约束
+    const foreignKeyErrors = this._checkForeignKeys(entityName, data, pending);
+    if (foreignKeyErrors.length > 0) {
+      throw new Error(
+        `【${entityConfig.worksheet}】外键检查失败：\n${foreignKeyErrors.join("\n")}`,
+      );
     }
 
+    // 验证警告在写入后（行号确定时）记入【校验警告】
+    this._pendingValidationWarnings.set(entityName, {
+      warnings: validationResult.warnings.map(({ data: item, messages }) => ({
+        item,
+        messages,
+      })),
+    });
+
+    // 按默认排序规则排序
+    if (entityConfig?.defaultSort) {
+      data.sort(entityConfig.defaultSort);
+    }
+
+    return data;
+  }
+
+  /**
+   * 保存单条或少量记录的修改（新增、更新、删除），增量维护索引
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 修改后的完整数据数组
+   * @param {Object} delta - 变化的记录 {inserted, removed}，已逐条通过 _validateRecord
+   * @param {string} [type="save"] - 派发的事件类型："save" 或 "delete"
+   * @param {Object[]} [warnings=[]] - 新增记录的验证警告 [{item, messages}]（见 _collectRecordWarnings）
+   * @returns {Object[]} 保存后的数据
+   * @description
+   * 与 save 的区别：
+   * - 只安装新增记录的计算字段，不重新验证未变化的记录
+   * - 索引按 delta 增量更新，不重建
+   * - 【校验警告】中只替换变化记录的警告，其余记录的警告保留
+   * 工作表在读取后被手工修改并合并到 data 时，退回到 save 的完整流程
+   */
+  _saveDelta(entityName, data, delta, type = "save", warnings = []) {
+    const { merged, rows } = this._mergeExternalEdits(entityName, data);
+    if (merged) {
+      this._prepare(entityName, data);
+      delta = null;
+    } else {
+      const entityConfig = this._config.get(entityName);
+      this._computeFields(delta.inserted || [], entityConfig);
+      if (entityConfig.defaultSort) {
+        data.sort(entityConfig.defaultSort);
+      }
+      this._pendingValidationWarnings.set(entityName, {
+        warnings,
+        records: [...(delta.inserted || []), ...(delta.removed || [])],
+      });
+    }
+
+    return this._journal.run(
+      `保存【${this._getWorksheet(entityName)}】`,
+      () => {
+        let event;
+        try {
+          this._runHooks(entityName, "beforeSave", data, {
+            entityName,
+            ...delta,
+          });
+          this._persist(entityName, data, delta, rows);
+          event = this._createEvent(type, entityName, data, delta);
+          this._flushChangeLog();
+          this._flushValidationWarnings();
+        } finally {
+          this._pendingChanges = [];
+          this._pendingValidationWarnings.clear();
+        }
+
+        this._dispatch(event);
+        return data;
+      },
+    );
+  }
+
+  /**
+   * 将已准备好的数据写入工作表，并更新缓存和索引
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 已通过 _prepare 的数据数组
+   * @param {Object} [delta] - 变化的记录 {inserted, removed}，提供时增量更新索引和工作表状态，否则重建
+   * @param {Array<Array<*>>} [rows] - 写入前已读取的原始内容（见 _mergeExternalEdits），用于操作日志
+   * @returns {Object[]} 保存后的数据
+   */
+  _persist(entityName, data, delta, rows) {
+    this._captureSheet(entityName, rows);
+    this._collectChanges(entityName, data);
+
+    this._excelDAO.write(entityName, data);
+
+    // 写入后行号与数组顺序一致
+    data.forEach((item, index) => {
+      item._rowNumber = index + 2;
+    });
+
+    const cached = this._cache.get(entityName) === data;
+    this._cache.set(entityName, data);
+    if (!delta || !cached || !this._updateIndexes(entityName, delta)) {
+      this._buildAllIndexes(entityName, data);
+    }
+    this._takeAuditSnapshot(entityName, data);
+    this._updateSheetState(entityName, data, cached ? delta : null);
+
+    return data;
+  }
+
+  /**
+   * 判断记录的字段相对上次读取/写入时是否发生变化
+   * @param {string} entityName - 实体名称
+   * @param {Object} item - 数据项（通常是缓存中被直接修改的对象）
+   * @param {string} field - 字段名
+   * @returns {boolean} 已持久化的记录中该字段值不同时返回 true；新增记录或实体未配置审计时返回 false
+   * @description
+   * 比较基准与变更日志相同（见 _collectChanges），适合在 beforeSave 钩子中根据字段变化修正同一次写入的数据。
+   *
+   * @example
+   * repository.registerHooks("Product", {
+   *   beforeSave: (data) => {
+   *     data
+   *       .filter((p) => repository.isFieldChanged("Product", p, "silverPrice"))
+   *       .forEach((p) => recalculate(p));
+   *   },
+   * });
+   */
+  isFieldChanged(entityName, item, field) {
+    const entityConfig = this._config.get(entityName);
+    const keyField = entityConfig?.audit?.keyField;
+    const fieldConfig = entityConfig?.fields[field];
+    if (!keyField || !fieldConfig) return false;
+
+    const key = this._converter.toString(item[keyField]);
+    const before = this._getAuditSnapshot(entityName).get(key);
+    return (
+      !!before && before[field] !== this._auditValue(item[field], fieldConfig)
+    );
+  }
+
+  /**
+   * 获取字段的审计值（与写入工作表后再读回的值保持一致）
+   * @private
+   * @param {*} value - 字段值
+   * @param {Object} fieldConfig - 字段配置
+   * @returns {string} 规范化后的字符串，空值返回空字符串
+   */
+  _auditValue(value, fieldConfig) {
+    // 空值按默认值处理（写入时省略默认值，读取时再补上）
+    if (
+      (value == null || String(value).trim() === "") &&
+      fieldConfig.default !== undefined
+    ) {
+      value = fieldConfig.default;
+    }
+
+    let result;
+    switch (fieldConfig.type) {
+      case "number":
+        result = this._converter.toNumber(value);
+        break;
+      case "date":
+        result = this._converter.toDateStr(value);
+        break;
+      case "datetime":
+        result = this._converter.toDateTimeStr(value);
+        break;
+      default:
+        result = this._converter.toString(value);
+    }
+    return result === undefined ? "" : String(result);
+  }
+
+  /**
+   * 构建实体数据的审计快照
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 实体数据数组
+   * @returns {Map<string, Object>|null} 记录键到字段值的映射，实体未配置审计时返回 null
+   */
+  _buildAuditSnapshot(entityName, data) {
+    const entityConfig = this._config.get(entityName);
+    const keyField = entityConfig?.audit?.keyField;
+    if (!keyField) return null;
+
+    const snapshot = new Map();
+    data.forEach((item) => {
+      const key = this._converter.toString(item[keyField]);
+      if (key === undefined) return;
+
+      snapshot.set(key, this._storedValues(item, entityConfig));
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * 获取记录中所有存储字段（非计算字段）的规范化值
+   * @private
+   * @param {Object} item - 数据项
+   * @param {Object} entityConfig - 实体配置
+   * @returns {Object.<string, string>} 字段名到规范化值的映射
+   */
+  _storedValues(item, entityConfig) {
+    const values = {};
+    Object.entries(entityConfig.fields).forEach(([field, config]) => {
+      if (config.type === "computed" || config.persist === false) return;
+      values[field] = this._auditValue(item[field], config);
+    });
+    return values;
+  }
+
+  /**
+   * 记录实体当前已持久化的状态，作为下次保存时的比较基准
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 实体数据数组
+   */
+  _takeAuditSnapshot(entityName, data) {
+    const snapshot = this._buildAuditSnapshot(entityName, data);
+    if (snapshot) {
+      this._auditSnapshots.set(entityName, snapshot);
+    }
+  }
+
+  /**
+   * 获取实体的审计快照，从未读取过的实体先从工作表读取
+   * @private
+   * @param {string} entityName - 实体名称（须已配置审计）
+   * @returns {Map<string, Object>} 记录键到字段值的映射
+   */
+  _getAuditSnapshot(entityName) {
+    if (!this._auditSnapshots.has(entityName)) {
+      let persisted = [];
+      try {
+        persisted = this._excelDAO.read(entityName);
+      } catch (e) {
+        // 工作表不存在或为空时，所有记录视为新增
+      }
+      this._takeAuditSnapshot(entityName, persisted);
+    }
+    return this._auditSnapshots.get(entityName);
+  }
+
+  /**
+   * 对比审计快照，将字段级变更加入待写入的变更日志
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 即将写入的数据数组
+   * @description
+   * 调用方通常直接修改缓存中的对象，因此比较基准是上次读取/写入时的快照，而不是缓存本身。
+   * 从未读取过的实体会先从工作表读取基准。
+   * - 新增的记录记为一条“新增记录”
+   * - 删除的记录记为一条“删除记录”
+   * - 已有记录逐字段比较，每个变化的字段记一条
+   */
+  _collectChanges(entityName, data) {
+    const entityConfig = this._config.get(entityName);
+    const current = this._buildAuditSnapshot(entityName, data);
+    if (!current) return;
+
+    const previous = this._getAuditSnapshot(entityName);
+
+    const base = {
+      changeTime: this._converter.toDateTimeStr(new Date()),
+      operation: this._operation || "保存",
+      operator: this._getOperator(),
+      entity: entityConfig.worksheet,
+    };
+
+    current.forEach((values, key) => {
+      const before = previous.get(key);
+      if (!before) {
+        this._pendingChanges.push({
+          ...base,
+          itemNumber: key,
+          fieldTitle: "新增记录",
+        });
+        return;
+      }
+
+      Object.keys(values).forEach((field) => {
+        if (values[field] === before[field]) return;
+        this._pendingChanges.push({
+          ...base,
+          itemNumber: key,
+          field,
+          fieldTitle: entityConfig.fields[field].title,
+          // 空值与从工作表读回的记录一致，记为 undefined
+          oldValue: before[field] || undefined,
+          newValue: values[field] || undefined,
+        });
+      });
+    });
+
+    previous.forEach((_, key) => {
+      if (!current.has(key)) {
+        this._pendingChanges.push({
+          ...base,
+          itemNumber: key,
+          fieldTitle: "删除记录",
+        });
+      }
+    });
+  }
+
+  /**
+   * 将待写入的变更追加到【变更日志】
+   * @private
+   * @returns {boolean} 是否有变更写入
+   * @description
+   * 变更日志只增不改，只在工作表末尾写入新的行，不读取和重写已有日志。
+   * 变更日志已缓存时，新行同步追加到缓存和索引；变更日志不做审计，
+   * 也不检测手工修改（追加后丢弃其工作表指纹）。
+   */
+  _flushChangeLog() {
+    if (this._pendingChanges.length === 0) return false;
+
+    const changes = this._pendingChanges;
+    this._pendingChanges = [];
+
+    this._excelDAO.append("ChangeLog", changes);
+    this._sheetStates.delete("ChangeLog");
+
+    const logs = this._cache.get("ChangeLog");
+    if (logs) {
+      changes.forEach((change) => {
+        logs.push(change);
+        change._rowNumber = logs.length + 1;
+      });
+      if (!this._updateIndexes("ChangeLog", { inserted: changes })) {
+        this._buildAllIndexes("ChangeLog", logs);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 将暂存的验证警告写入【校验警告】
+   * @private
+   * @description
+   * - 整表保存时替换该实体原有的警告记录；新增、更新、删除时只替换变化记录的警告，
+   *   保留的警告按主键更新行号，记录已不存在的丢弃
+   * - 其他实体的记录保留
+   * - 写入失败不影响已保存的数据，只记为警告
+   * - 有警告时在 drainWarnings 中附上摘要
+   */
+  _flushValidationWarnings() {
+    if (this._pendingValidationWarnings.size === 0) return;
+
+    const pending = this._pendingValidationWarnings;
+    this._pendingValidationWarnings = new Map();
+
+    const checkedAt = this._converter.toDateTimeStr(new Date());
+
+    const rows = [];
+    // 工作表 -> 保留哪些原有警告：null 表示全部替换，否则为 {replaced: 重新验证的记录键, rowNumbers: 键 -> 当前行号}
+    const scopes = new Map();
+    pending.forEach(({ warnings, records }, entityName) => {
+      const entityConfig = this._config.get(entityName);
+      const getKey = this._getRecordKeyFn(entityConfig);
+
+      let scope = null;
+      if (records) {
+        scope = {
+          replaced: new Set(records.map(getKey)),
+          rowNumbers: new Map(
+            (this._cache.get(entityName) || []).map((item) => [
+              getKey(item),
+              item._rowNumber,
+            ]),
+          ),
+        };
+      }
+      scopes.set(entityConfig.worksheet, scope);
+
+      warnings.forEach(({ item, messages }) => {
+        messages.forEach((message) => {
+          rows.push({
+            worksheet: entityConfig.worksheet,
+            rowNumber: item._rowNumber,
+            key: getKey(item) || undefined,
+            message,
+            checkedAt,
+          });
+        });
+      });
+
+      if (warnings.length > 0) {
+        const examples = warnings
+          .slice(0, 3)
+          .map(
+            ({ item, messages }) =>
+              `  第${item._rowNumber}行：${messages.join("；")}`,
+          );
+        this._warnings.push(
+          `【${entityConfig.worksheet}】${warnings.length}行数据有校验警告，详见【校验警告】：\n${examples.join("\n")}`,
+        );
+      }
+    });
+
+    try {
+      const existing = this._findAllOrEmpty("ValidationWarning");
+      let renumbered = false;
+      const kept = existing.filter((row) => {
+        if (!scopes.has(row.worksheet)) return true;
+
+        const scope = scopes.get(row.worksheet);
+        const key = row.key == null ? null : String(row.key);
+        if (!scope || !key || scope.replaced.has(key)) return false;
+        if (!scope.rowNumbers.has(key)) return false;
+
+        const rowNumber = scope.rowNumbers.get(key);
+        if (row.rowNumber !== rowNumber) {
+          row.rowNumber = rowNumber;
+          renumbered = true;
+        }
+        return true;
+      });
+      if (rows.length === 0 && kept.length === existing.length && !renumbered) {
+        return;
+      }
+
+      this._persist("ValidationWarning", [...kept, ...rows]);
+    } catch (e) {
+      this._warnings.push(`写入【校验警告】失败：${e.message}`);
+    }
+  }
+
+  /**
+   * 查询实体的所有数据，工作表不存在时返回空数组
+   * @private
+   * @param {string} entityName - 实体名称
+   * @returns {Object[]} 实体数据数组
+   * @description 用于【变更日志】等按需创建的工作表，首次写入时由存储后端自动创建
+   */
+  _findAllOrEmpty(entityName) {
+    try {
+      return this.findAll(entityName);
+    } catch (e) {
+      try {
+        this._excelDAO.readRaw(entityName);
+      } catch (readError) {
+        // 工作表不存在
+        this._cache.set(entityName, []);
+        this._buildAllIndexes(entityName, []);
+        return this._cache.get(entityName);
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * 获取当前操作人（WPS 用户名）
+   * @private
+   * @returns {string|undefined} 操作人
+   */
+  _getOperator() {
+    try {
+      return Application.UserName || undefined;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * 在指定操作名称下执行保存，变更日志中的【操作】列记录该名称
+   * @param {string} operation - 操作名称，如 "手工调价"
+   * @param {Function} fn - 要执行的函数
+   * @returns {*} fn 的返回值
+   *
+   * @example
+   * repository.withOperation("手工调价", () => {
+   *   repository.update("Product", { itemNumber: "A001" }, { silverPrice: 199 });
+   * });
+   */
+  withOperation(operation, fn) {
+    const previous = this._operation;
+    this._operation = operation;
+    try {
+      return fn();
+    } finally {
+      this._operation = previous;
+    }
+  }
+
+  /**
+   * 清空实体所有数据
+   * @param {string} entityName - 实体名称
+   */
+  clear(entityName) {
+    this._journal.run(`清空【${this._getWorksheet(entityName)}】`, () => {
+      this._captureSheet(entityName);
+      this._excelDAO.clear(entityName);
+    });
+    this._cache.delete(entityName);
+    this._indexes.delete(entityName);
+    this._auditSnapshots.delete(entityName);
+    this._sheetStates.delete(entityName);
+  }
+
+  /**
+   * 将原始二维数组写入实体对应的工作表（不解析、不验证）
+   * @param {string} entityName - 实体名称
+   * @param {Array<Array<*>>} rows - 二维数组（首行为标题），为空时清空工作表
+   * @description 用于列不固定的工作表（如【异常数据】），写入记入操作日志，可以撤销
+   */
+  saveRaw(entityName, rows) {
+    this._journal.run(`保存【${this._getWorksheet(entityName)}】`, () => {
+      this._captureSheet(entityName);
+      this._excelDAO.writeRaw(entityName, rows);
+    });
+    this._cache.delete(entityName);
+    this._indexes.delete(entityName);
+    this._sheetStates.delete(entityName);
+  }
+
+  /**
+   * 清空所有缓存和索引
+   */
+  clearAllCache() {
+    this._cache.clear();
+    this._indexes.clear();
+    this._sheetStates.clear();
+  }
+
+  /**
+   * 刷新实体缓存和索引
+   * @param {string} entityName - 实体名称
+   * @returns {Object[]} 刷新后的数据
+   * @description 强制从Excel重新读取数据，更新缓存和索引
+   */
+  refresh(entityName) {
+    this._cache.delete(entityName);
+    this._indexes.delete(entityName);
+    this._sheetStates.delete(entityName);
+    return this.findAll(entityName);
+  }
+
+  /**
+   * 批量保存多个实体数据（事务性，全部成功或全部回滚）
+   * @param {Object.<string, Object[]>} operations - 操作对象，键为实体名，值为数据数组
+   * @returns {Object.<string, Object[]>} 各实体保存结果
+   * @throws {Error} 任一实体验证失败时抛出汇总错误（不写入任何工作表）；
+   * 写入过程中失败时回滚已写入的工作表后抛出
+   * @description
+   * 事务流程：
+   * 1. 合并读取后的手工修改并验证所有实体数据，任一冲突或失败则不写入任何数据
+   * 2. 快照所有涉及的工作表（原始二维数组）
+   * 3. 依次执行 beforeSave 钩子、写入各实体并更新缓存和索引
+   * 4. 追加本次产生的变更日志
+   * 5. 任一写入失败时，用快照恢复工作表，并从恢复后的工作表重建缓存和索引
+   *    （变更日志最后追加，追加失败时不会写入，无需恢复）
+   * 6. 全部写入成功后，依次执行各实体的 afterSave 钩子并通知订阅者
+   *
+   * 调用方通常会直接修改缓存中的对象，因此失败后（包括验证失败）
+   * 涉及实体的缓存都会丢弃并按工作表重新加载，保证内存与工作表一致。
+   *
+   * @example
+   * repository.transaction({
+   *   Product: [{ name: "产品1" }, { name: "产品2" }],
+   *   Inventory: [{ productCode: "001", quantity: 100 }]
+   * });
+   */
+  transaction(operations) {
+    const worksheets = Object.keys(operations).map((entityName) =>
+      this._getWorksheet(entityName),
+    );
+
+    return this._journal.run(`保存【${worksheets.join("、")}】`, () =>
+      this._runTransaction(operations),
+    );
+  }
+
+  /**
+   * 执行事务
+   * @private
+   * @param {Object.<string, Object[]>} operations - 操作对象，键为实体名，值为数据数组
+   * @returns {Object.<string, Object[]>} 各实体保存结果
+   * @see transaction
+   */
+  _runTransaction(operations) {
+    const entityNames = Object.keys(operations);
+    const errors = [];
+    const conflicts = [];
+    const validations = [];
+    // 合并手工修改时读取的原始内容，用作快照
+    const sheetRows = new Map();
+
+    // 1.合并手工修改并验证所有实体
+    entityNames.forEach((entityName) => {
+      try {
+        const { rows } = this._mergeExternalEdits(
+          entityName,
+          operations[entityName],
+        );
+        if (rows) sheetRows.set(entityName, rows);
+        this._prepare(entityName, operations[entityName], operations);
+      } catch (e) {
+        errors.push(`【${entityName}】保存失败：${e.message}`);
+        if (e.conflicts) conflicts.push(...e.conflicts);
+        if (e.validations) validations.push(...e.validations);
+      }
+    });
+
+    if (errors.length > 0) {
+      this._pendingChanges = [];
+      this._pendingValidationWarnings.clear();
+      this._reloadCaches(entityNames);
+      const error = new Error(`批量操作失败：\n${errors.join("\n")}`);
+      if (conflicts.length > 0) error.conflicts = conflicts;
+      if (validations.length > 0) error.validations = validations;
+      throw error;
+    }
+
+    // 2.快照涉及的工作表
+    const snapshots = new Map();
+    entityNames.forEach((entityName) => {
+      let snapshot = sheetRows.get(entityName) || [];
+      if (!sheetRows.has(entityName)) {
+        try {
+          snapshot = this._excelDAO.readRaw(entityName);
+        } catch (e) {
+          // 工作表尚未创建，写入时自动创建
+        }
+      }
+      snapshots.set(entityName, snapshot);
+    });
+
+    // 3.写入
+    const results = {};
+    const written = [];
+    const events = [];
+    try {
+      entityNames.forEach((entityName) => {
+        const data = operations[entityName];
+        this._runHooks(entityName, "beforeSave", data, { entityName });
+        written.push(entityName);
+        results[entityName] = this._persist(
+          entityName,
+          data,
+          null,
+          snapshots.get(entityName),
+        );
+        events.push(this._createEvent("save", entityName, data));
+      });
+
+      // 4.变更日志与业务数据一起提交（最后一步，追加失败时不会留下部分日志，无需快照）
+      this._flushChangeLog();
+    } catch (e) {
+      // 5.回滚
+      this._pendingChanges = [];
+      this._pendingValidationWarnings.clear();
+      const rollbackErrors = [];
+      written.forEach((entityName) => {
+        try {
+          this._excelDAO.writeRaw(entityName, snapshots.get(entityName));
+        } catch (re) {
+          rollbackErrors.push(`【${entityName}】${re.message}`);
+        }
+      });
+      this._reloadCaches([...new Set([...entityNames, ...written])]);
+
+      if (rollbackErrors.length > 0) {
+        throw new Error(
+          `事务失败且回滚未完成：${e.message}\n回滚失败：\n${rollbackErrors.join("\n")}`,
+        );
+      }
+      throw new Error(`事务失败，已回滚：${e.message}`);
+    }
+
+    // 6.事务已提交，校验警告写入失败、钩子和订阅者中的失败不再回滚
+    this._flushValidationWarnings();
+    events.forEach((event) => this._dispatch(event));
+
+    return results;
+  }
+
+  /**
+   * 丢弃实体的缓存和索引，已缓存的实体立即从工作表重新加载
+   * @private
+   * @param {string[]} entityNames - 实体名称数组
+   */
+  _reloadCaches(entityNames) {
+    entityNames.forEach((entityName) => {
+      const wasCached = this._cache.has(entityName);
+      this._cache.delete(entityName);
+      this._indexes.delete(entityName);
+      this._auditSnapshots.delete(entityName);
+      this._sheetStates.delete(entityName);
+
+      if (entityName === "BrandConfig") {
+        this._context.brandConfig = null;
+        this._contextVersion++;
+      }
+
+      if (wasCached) {
+        try {
+          this.findAll(entityName);
+        } catch (e) {
+          // 重新加载失败时保持缓存为空，下次访问时再读取
+        }
+      }
+    });
+  }
+
+  // ==================== 数据修改操作 ====================
+
+  /**
+   * 新增单条记录
+   * @param {string} entityName - 实体名称
+   * @param {Object} item - 要新增的数据项
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.validateOnly=false] - 仅验证不保存
+   * @returns {Object|boolean} 验证通过返回true，保存返回操作结果 { insert: [item] }
+   * @throws {Error} 验证失败时抛出
+   * @description
+   * 新增流程：
+   * - 自动生成行号(_rowNumber)
+   * - 应用字段默认值
+   * - 执行数据验证（唯一性通过唯一索引检查）
+   * - 保存并增量更新索引
+   */
+  add(entityName, item, options = {}) {
+    const entityConfig = this._config.get(entityName);
+    if (!entityConfig) {
+      throw new Error(`未知业务实体：${entityName}`);
+    }
+
+    // 获取当前数据
+    const currentData = this.findAll(entityName);
+
+    // 自动生成行号
+    const maxRowNumber = currentData.reduce(
+      (max, item) => Math.max(max, item._rowNumber || 0),
+      0,
+    );
+    item._rowNumber = maxRowNumber + 1;
+
+    // 处理默认值
+    this._applyDefaultValues(item, entityConfig);
+
+    // 验证单条数据
+    this._runHooks(entityName, "beforeValidate", [item], {
+      entityName,
+      action: "add",
+    });
+    const validationResult = this._validateRecord(entityName, item);
+
+    if (!validationResult.valid) {
+      const errorMsg = this._validationEngine.formatErrors(
+        { items: [{ ...validationResult }] },
+        entityConfig.worksheet,
+      );
+      throw new Error(errorMsg);
+    }
+
+    if (options.validateOnly) {
+      return true;
+    }
+
+    const warnings = [];
+    this._collectRecordWarnings(warnings, item, validationResult);
+
     // 添加到数据集中
     currentData.push(item);
     // 保存所有数据
-    this.save(entityName, currentData);
+    this._saveDelta(
+      entityName,
+      currentData,
+      { inserted: [item] },
+      "save",
+      warnings,
+    );
 
     return { insert: [item] };
   }
@@ -834,6 +2505,8 @@ class Repository {
     );
 
     const errors = [];
+    const warnings = [];
+    const seen = new Map(); // 本批次中已出现的唯一索引值
 
     items.forEach((newItem, index) => {
       try {
@@ -843,12 +2516,14 @@ class Repository {
         // 处理默认值
         this._applyDefaultValues(newItem, entityConfig);
 
-        // 提前验证数据
-        const validationResult = this._validationEngine.validateEntity(
-          newItem,
-          entityConfig,
-          { allData: [...currentData, ...newItems] }, // 包括之前验证通过的新记录
-        );
+        // 提前验证数据（包括与本批次之前的新记录比较唯一性）
+        this._runHooks(entityName, "beforeValidate", [newItem], {
+          entityName,
+          action: "add",
+        });
+        const validationResult = this._validateRecord(entityName, newItem, {
+          seen,
+        });
 
         if (!validationResult.valid) {
           throw new Error(
@@ -858,6 +2533,7 @@ class Repository {
             ),
           );
         }
+        this._collectRecordWarnings(warnings, newItem, validationResult);
       } catch (e) {
         errors.push(`第${index + 1}条记录：${e.message}`);
       }
@@ -872,8 +2548,14 @@ class Repository {
     }
 
     // 合并并保存所有数据到缓存
-    const updatedData = [...currentData, ...items];
-    this.save(entityName, updatedData);
+    currentData.push(...items);
+    this._saveDelta(
+      entityName,
+      currentData,
+      { inserted: items },
+      "save",
+      warnings,
+    );
 
     return { insert: items };
   }
@@ -933,6 +2615,8 @@ class Repository {
     const currentData = this.findAll(entityName);
     const updatedRecords = [];
     const errors = [];
+    const warnings = [];
+    const seen = new Map(); // 本次更新后的唯一索引值
 
     records.forEach((record) => {
       try {
@@ -952,11 +2636,15 @@ class Repository {
           _rowNumber: currentData[index]._rowNumber, // 保持行号不变
         };
 
-        // 验证更新后的数据
-        const validationResult = this._validationEngine.validateEntity(
+        // 验证更新后的数据（排除被更新的业务对象自身）
+        this._runHooks(entityName, "beforeValidate", [updatedRecord], {
+          entityName,
+          action: "update",
+        });
+        const validationResult = this._validateRecord(
+          entityName,
           updatedRecord,
-          entityConfig,
-          { allData: currentData.filter((_, i) => i !== index) }, // 排除被更新的业务对象自身
+          { replaced: currentData[index], seen },
         );
 
         if (!validationResult.valid) {
@@ -968,7 +2656,8 @@ class Repository {
           );
         }
 
-        updatedRecords.push({ index: updatedRecord });
+        this._collectRecordWarnings(warnings, updatedRecord, validationResult);
+        updatedRecords.push({ index, record: updatedRecord });
       } catch (e) {
         errors.push(e.message);
       }
@@ -983,11 +2672,19 @@ class Repository {
     }
 
     // 替换并保存所有数据到缓存
-    for (const [index, updatedRecord] of Object.entries(updatedRecords)) {
-      currentData[Number(index)] = updatedRecord;
-      result.update.push(updatedRecord);
-    }
-    this.save(entityName, currentData);
+    const removed = [];
+    updatedRecords.forEach(({ index, record }) => {
+      removed.push(currentData[index]);
+      currentData[index] = record;
+      result.update.push(record);
+    });
+    this._saveDelta(
+      entityName,
+      currentData,
+      { inserted: result.update, removed },
+      "save",
+      warnings,
+    );
 
     return result;
   }
@@ -1096,22 +2793,22 @@ class Repository {
 
     const currentData = this.findAll(entityName);
 
-    // 过滤掉要删除的记录
-    const newData = currentData.filter((item) => {
-      const shouldDelete = recordsToDelete.some((record) =>
-        this._isSameRecord(item, record, entityConfig),
-      );
-      return !shouldDelete;
-    });
+    // 找出要删除的记录
+    const removed = currentData.filter((item) =>
+      recordsToDelete.some((record) =>
+        this._isSameRecord(item, record, entityConfig),
+      ),
+    );
 
-    if (newData.length === currentData.length) {
+    if (removed.length === 0) {
       return 0;
     }
 
-    // 保存所有数据
-    this.save(entityName, newData);
+    // 原地删除并保存所有数据
+    removed.forEach((item) => currentData.splice(currentData.indexOf(item), 1));
+    this._saveDelta(entityName, currentData, { removed }, "delete");
 
-    return currentData.length - newData.length;
+    return removed.length;
   }
 
   // ==================== 快捷查询方法 ====================
@@ -1192,206 +2889,890 @@ class Repository {
   }
 
   /**
-   * 获取所有（符合条件）的商品价格
-   * @param {Object} [query] - 查询条件
-   * @returns {Object[]} 商品价格数组
+   * 获取所有（符合条件）的商品价格
+   * @param {Object} [query] - 查询条件
+   * @returns {Object[]} 商品价格数组
+   */
+  findProductPrices(query = {}) {
+    return this.find("ProductPrice", query);
+  }
+
+  /**
+   * 通过货号获取产品价格
+   * @param {string} itemNumber - 货号
+   * @returns {Object|undefined} 产品价格对象
+   */
+  findPriceByItemNumber(itemNumber) {
+    return this.find("ProductPrice", { itemNumber })[0];
+  }
+
+  /**
+   * 获取所有（符合条件）的常态商品
+   * @param {Object} [query] - 查询条件
+   * @returns {Object[]} 常态商品数组
+   */
+  findRegularProducts(query = {}) {
+    return this.find("RegularProduct", query);
+  }
+
+  /**
+   * 通过货号获取常态商品
+   * @param {string} itemNumber - 货号
+   * @returns {Object[]} 常态商品数组
+   */
+  findRegularProductsByItemNumber(itemNumber) {
+    return this.find("RegularProduct", { itemNumber });
+  }
+
+  /**
+   * 通过条码获取库存
+   * @param {string} productCode - 商品条码
+   * @returns {Object|undefined} 库存对象
+   */
+  findInventory(productCode) {
+    return this.find("Inventory", { productCode })[0];
+  }
+
+  /**
+   * 通过条码获取组合商品
+   * @param {string} productCode - 商品条码
+   * @returns {Object[]} 组合商品数组
+   */
+  findComboProducts(productCode) {
+    return this.find("ComboProduct", { productCode });
+  }
+
+  /**
+   * 获取指定货号在某个年份的销售记录
+   * @param {string} itemNumber - 货号
+   * @param {number|string} year - 年份
+   * @returns {Object[]} 销售记录数组
+   */
+  findSalesByItemAndYear(itemNumber, year) {
+    return this.find("ProductSales", {
+      itemNumber,
+      salesYear: year,
+    });
+  }
+
+  /**
+   * 获取指定货号在某个年月的销售记录
+   * @param {string} itemNumber - 货号
+   * @param {number|string} year - 年份
+   * @param {number|string} month - 月份（1-12）
+   * @returns {Object[]} 销售记录数组
+   */
+  findSalesByItemAndYearMonth(itemNumber, year, month) {
+    const monthStr = String(month).padStart(2, "0");
+    const yearMonth = `${year}-${monthStr}`;
+
+    return this.find("ProductSales", {
+      itemNumber,
+      yearMonth,
+    });
+  }
+
+  /**
+   * 获取指定货号在某个年周的销售记录
+   * @param {string} itemNumber - 货号
+   * @param {number|string} year - 年份
+   * @param {number|string} week - 周数
+   * @returns {Object[]} 销售记录数组
+   */
+  findSalesByItemAndYearWeek(itemNumber, year, week) {
+    const weekStr = String(week).padStart(2, "0");
+    const yearWeek = `${year}-${weekStr}`;
+
+    return this.find("ProductSales", {
+      itemNumber,
+      yearWeek,
+    });
+  }
+
+  /**
+   * 获取指定货号在指定日期的销售记录
+   * @param {string} itemNumber - 货号
+   * @param {Date|string} date - 日期
+   * @returns {Object|undefined} 销售记录对象
+   */
+  findSalesByItemAndDate(itemNumber, date) {
+    const dateStr = this._converter.toDateStr(date);
+
+    return this.find("ProductSales", { itemNumber, salesDate: dateStr })[0];
+  }
+
+  /**
+   * 获取指定货号最近N天内的商品销售记录
+   * @param {string} itemNumber - 货号
+   * @param {number} days - 天数
+   * @returns {Object[]} 销售记录数组（按销售日期倒序）
+   */
+  findSalesLastNDays(itemNumber, days) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    return this.query("ProductSales", {
+      filter: {
+        itemNumber,
+        salesDate: { $gte: this._converter.toDateStr(startDate) },
+      },
+      sort: { field: "salesDate", order: "desc" },
+    });
+  }
+
+  /**
+   * 获取指定时间段的商品销售记录
+   * @param {Date|string} startDate - 开始日期
+   * @param {Date|string} endDate - 结束日期
+   * @returns {Object[]} 销售记录数组（按销售日期正序）
+   */
+  findSalesByDateRange(startDate, endDate) {
+    return this.query("ProductSales", {
+      filter: {
+        salesDate: {
+          $between: [
+            this._converter.toDateStr(startDate),
+            this._converter.toDateStr(endDate),
+          ],
+        },
+      },
+      sort: { field: "salesDate", order: "asc" },
+    });
+  }
+
+  /**
+   * 查询变更日志
+   * @param {Object} [query] - 查询条件
+   * @param {string} [query.itemNumber] - 货号
+   * @param {string} [query.field] - 字段名或字段标题，如 "silverPrice" 或 "白金价"
+   * @param {string} [query.operation] - 操作名称，如 "商品价格更新"
+   * @param {Date|string} [query.since] - 起始时间（含）
+   * @param {Date|string} [query.until] - 截止时间（含）
+   * @returns {Object[]} 变更记录数组（按变更时间倒序）
+   *
+   * @example
+   * // 最近一周 A001 的白金价被谁、在哪个操作中修改过
+   * const lastWeek = new Date();
+   * lastWeek.setDate(lastWeek.getDate() - 7);
+   * repository.findChanges({ itemNumber: "A001", field: "白金价", since: lastWeek });
+   */
+  findChanges(query = {}) {
+    this._findAllOrEmpty("ChangeLog");
+
+    const condition = {};
+    if (query.itemNumber) condition.itemNumber = String(query.itemNumber);
+
+    const since = query.since
+      ? this._converter.toDateTimeStr(query.since)
+      : null;
+    const until = query.until
+      ? this._converter.toDateTimeStr(query.until)
+      : null;
+
+    return this.find("ChangeLog", condition)
+      .filter((change) => {
+        if (
+          query.field &&
+          change.field !== query.field &&
+          change.fieldTitle !== query.field
+        ) {
+          return false;
+        }
+        if (query.operation && change.operation !== query.operation) {
+          return false;
+        }
+        if (since && (change.changeTime || "") < since) return false;
+        if (until && (change.changeTime || "") > until) return false;
+        return true;
+      })
+      .sort(
+        (a, b) =>
+          String(b.changeTime || "").localeCompare(
+            String(a.changeTime || ""),
+          ) || (b._rowNumber || 0) - (a._rowNumber || 0),
+      );
+  }
+
+  /**
+   * 获取系统记录
+   * @returns {Object} 系统记录对象（单条）
+   * @description 如果不存在系统记录，则创建一个空记录并缓存
+   */
+  getSystemRecord() {
+    const records = this.findAll("SystemRecord");
+    if (records.length > 0) {
+      return records[0];
+    }
+
+    const entityConfig = this._config.get("SystemRecord");
+
+    const fields = entityConfig.fields;
+    const newRecord = {};
+
+    Object.keys(fields).forEach((f) => (newRecord[f] = undefined));
+
+    this._cache.set("SystemRecord", [newRecord]);
+    return newRecord;
+  }
+
+  /**
+   * 在内存中更新系统记录的日期字段（不保存）
+   * @param {string} entityName - 实体名称
+   * @param {string} dateField - 日期字段类型（'importDate' 或 'updateDate'）
+   * @returns {Object|null} 更新后的系统记录，实体不需要记录时返回 null
+   * @description 用于与业务数据放在同一事务中保存：
+   * repository.transaction({ Product: products, SystemRecord: [record] })
+   */
+  touchSystemRecord(entityName, dateField) {
+    if (
+      !this._importableEntities.includes(entityName) &&
+      dateField === "importDate"
+    )
+      return null;
+    if (
+      !this._updatableEntities.includes(entityName) &&
+      dateField === "updateDate"
+    )
+      return null;
+
+    const entityConfig = this._config.get(entityName);
+    const updateField = entityConfig?.[dateField];
+    if (!updateField) return null;
+
+    const systemRecord = this.getSystemRecord();
+    systemRecord[updateField] = new Date();
+
+    return systemRecord;
+  }
+
+  /**
+   * 更新系统记录中的日期字段
+   * @param {string} entityName - 实体名称
+   * @param {string} dateField - 日期字段类型（'importDate' 或 'updateDate'）
+   * @description
+   * - 仅对可导入/可更新的实体生效
+   * - 根据实体配置更新对应的系统字段为当前时间
+   */
+  updateSystemRecord(entityName, dateField) {
+    const systemRecord = this.touchSystemRecord(entityName, dateField);
+    if (!systemRecord) return;
+
+    this.save("SystemRecord", [systemRecord]);
+  }
+
+  /**
+   * 将业务数据与系统记录的日期更新放在同一事务中保存
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 要保存的数据数组
+   * @param {string} recordEntityName - 记录日期的实体名称
+   * @param {string} dateField - 日期字段类型（'importDate' 或 'updateDate'）
+   * @returns {Object.<string, Object[]>} 各实体保存结果
+   * @description 未通过 withOperation 指定操作名称时，变更日志的【操作】记为“常态商品更新”“商品价格导入”等
+   * @see transaction
+   *
+   * @example
+   * // 保存货号总表，同时记录常态商品的更新日期
+   * repository.saveWithSystemRecord("Product", products, "RegularProduct", "updateDate");
+   */
+  saveWithSystemRecord(entityName, data, recordEntityName, dateField) {
+    const operations = { [entityName]: data };
+    const systemRecord = this.touchSystemRecord(recordEntityName, dateField);
+    if (systemRecord) {
+      operations.SystemRecord = [systemRecord];
+    }
+
+    const worksheet = this._config.get(recordEntityName)?.worksheet;
+    const operation =
+      this._operation ||
+      `${worksheet}${dateField === "importDate" ? "导入" : "更新"}`;
+
+    return this.runOperation(operation, () =>
+      this.withOperation(operation, () => this.transaction(operations)),
+    );
+  }
+
+  // ==================== 乐观并发检查 ====================
+
+  /**
+   * 获取实体用于合并的记录键函数
+   * @private
+   * @param {Object} entityConfig - 实体配置
+   * @returns {Function} (item) => string|null
+   * @description
+   * - 主键字段均为存储字段时，按主键匹配记录
+   * - 无主键或主键包含计算字段（如系统记录）时，按行号匹配记录
+   * - 新增且尚未写入的记录没有行号，返回 null
+   */
+  _getRecordKeyFn(entityConfig) {
+    if (!this._isKeyedByRowNumber(entityConfig)) {
+      const { fields } = this._config.parseUniqueKey(entityConfig.uniqueKey);
+      return (item) => {
+        const key = this._getCompositeKey(item, fields);
+        return key.replace(/¦/g, "") === "" ? null : key;
+      };
+    }
+    return (item) => (item._rowNumber ? `#${item._rowNumber}` : null);
+  }
+
+  /**
+   * 判断实体的记录是否按行号匹配（见 _getRecordKeyFn）
+   * @private
+   * @param {Object} entityConfig - 实体配置
+   * @returns {boolean} 无主键或主键包含计算字段时返回 true
+   */
+  _isKeyedByRowNumber(entityConfig) {
+    const fields = entityConfig.uniqueKey
+      ? this._config.parseUniqueKey(entityConfig.uniqueKey).fields
+      : [];
+    return (
+      fields.length === 0 ||
+      fields.some((f) => entityConfig.fields[f]?.type === "computed")
+    );
+  }
+
+  /**
+   * 构建工作表状态（原始内容的指纹及规范化的记录快照）
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 与工作表内容一致的数据数组
+   * @param {Array<Array<*>>} rows - 工作表的原始二维数组
+   * @returns {{fingerprint: string, records: Map<string, Object>}} 工作表状态
+   * @description
+   * 指纹按原始二维数组计算，保存前只需读取原始内容即可判断工作表是否被修改，无需解析。
+   * 记录快照只包含存储字段，作为工作表被修改时三方合并的基准。
+   */
+  _buildSheetState(entityName, data, rows) {
+    const entityConfig = this._config.get(entityName);
+    const keyOf = this._getRecordKeyFn(entityConfig);
+
+    const records = new Map();
+    data.forEach((item) => {
+      const key = keyOf(item);
+      if (key !== null) {
+        records.set(key, this._storedValues(item, entityConfig));
+      }
+    });
+
+    return { fingerprint: this._fingerprintRows(rows), records };
+  }
+
+  /**
+   * 计算工作表原始内容的指纹（FNV-1a）
+   * @private
+   * @param {Array<Array<*>>} rows - 工作表的原始二维数组
+   * @returns {string} 指纹
    */
-  findProductPrices(query = {}) {
-    return this.find("ProductPrice", query);
+  _fingerprintRows(rows) {
+    let hash = 0x811c9dc5;
+    rows.forEach((row) => {
+      const text = `${JSON.stringify(row)}\u0002`;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+    });
+    return (hash >>> 0).toString(16);
   }
 
   /**
-   * 通过货号获取产品价格
-   * @param {string} itemNumber - 货号
-   * @returns {Object|undefined} 产品价格对象
+   * 写入后更新工作表状态
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 已写入的数据数组
+   * @param {Object} [delta] - 变化的记录 {inserted, removed}
+   * @description
+   * - 指纹按写入后读回的原始内容计算（写入时 Excel 会转换数字、日期等值，不能按写入的数组计算）
+   * - 提供 delta 时只更新变化记录的快照；整表保存或记录按行号匹配（行号会随插入变化）时重建
    */
-  findPriceByItemNumber(itemNumber) {
-    return this.find("ProductPrice", { itemNumber })[0];
+  _updateSheetState(entityName, data, delta) {
+    let rows = [];
+    try {
+      rows = this._excelDAO.readRaw(entityName);
+    } catch (e) {
+      // 读取失败时指纹不匹配，下次保存前按手工修改处理
+    }
+
+    const entityConfig = this._config.get(entityName);
+    const state = this._sheetStates.get(entityName);
+    if (!delta || !state || this._isKeyedByRowNumber(entityConfig)) {
+      this._sheetStates.set(
+        entityName,
+        this._buildSheetState(entityName, data, rows),
+      );
+      return;
+    }
+
+    const keyOf = this._getRecordKeyFn(entityConfig);
+    (delta.removed || []).forEach((item) => {
+      const key = keyOf(item);
+      if (key !== null) state.records.delete(key);
+    });
+    (delta.inserted || []).forEach((item) => {
+      const key = keyOf(item);
+      if (key !== null) {
+        state.records.set(key, this._storedValues(item, entityConfig));
+      }
+    });
+    state.fingerprint = this._fingerprintRows(rows);
   }
 
   /**
-   * 获取所有（符合条件）的常态商品
-   * @param {Object} [query] - 查询条件
-   * @returns {Object[]} 常态商品数组
+   * 合并读取后工作表中的手工修改
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Object[]} data - 即将写入的数据数组（原地合并）
+   * @returns {{merged: boolean, rows: Array<Array<*>>|null}} 合并结果
+   * @returns {boolean} return.merged - 是否有手工修改合并到了 data
+   * @returns {Array<Array<*>>|null} return.rows - 读取的原始内容（供操作日志和事务快照复用），
+   *   实体未读取过或工作表无法读取时为 null
+   * @throws {Error} 存在冲突时抛出，error.conflicts 为冲突单元格列表
+   * @description
+   * 先只读取工作表的原始内容，与读取（或上次写入）时的指纹比较：
+   * - 指纹未变化：直接返回，不解析工作表
+   *
+   * 指纹变化时才解析工作表，以读取时的记录快照为基准，与当前工作表、本次数据三方比较：
+   * - 只有工作表修改了某个单元格：把修改合并到 data
+   * - 工作表与本次数据改成了相同的值：无需处理
+   * - 双方改成了不同的值：冲突
+   * - 工作表中新增的记录：追加到 data；本次也新增了同一记录且内容不同：冲突
+   * - 工作表中删除的记录：本次未修改则从 data 中删除，否则冲突
+   * - 本次删除但工作表中已修改的记录：冲突
+   *
+   * 配置了审计的实体，合并进来的手工修改以“手工修改”记入变更日志。
    */
-  findRegularProducts(query = {}) {
-    return this.find("RegularProduct", query);
+  _mergeExternalEdits(entityName, data) {
+    const base = this._sheetStates.get(entityName);
+    if (!base) return { merged: false, rows: null };
+
+    let rows;
+    let theirsData;
+    try {
+      rows = this._excelDAO.readRaw(entityName);
+      if (this._fingerprintRows(rows) === base.fingerprint) {
+        return { merged: false, rows };
+      }
+      theirsData =
+        rows.length > 0 ? this._excelDAO.parseRows(entityName, rows) : [];
+    } catch (e) {
+      // 工作表被删除或无法读取时不合并，写入时会重新创建
+      return { merged: false, rows: rows || null };
+    }
+
+    const theirs = this._buildSheetState(entityName, theirsData, rows);
+    let merged = false;
+
+    const entityConfig = this._config.get(entityName);
+    const keyOf = this._getRecordKeyFn(entityConfig);
+
+    const ours = new Map();
+    data.forEach((item) => {
+      const key = keyOf(item);
+      if (key !== null) ours.set(key, item);
+    });
+    const theirItems = new Map();
+    theirsData.forEach((item) => theirItems.set(keyOf(item), item));
+
+    const conflicts = [];
+    const addConflict = (key, row, field, baseValue, sheetValue, value) => {
+      conflicts.push({
+        worksheet: entityConfig.worksheet,
+        key,
+        row,
+        field,
+        title: field ? entityConfig.fields[field].title : null,
+        baseValue,
+        sheetValue,
+        value,
+      });
+    };
+    const isModified = (item, values) => {
+      const current = this._storedValues(item, entityConfig);
+      return Object.keys(values).some((f) => current[f] !== values[f]);
+    };
+
+    theirs.records.forEach((theirValues, key) => {
+      const theirItem = theirItems.get(key);
+      const baseValues = base.records.get(key);
+      const ourItem = ours.get(key);
+
+      // 工作表中新增的记录
+      if (!baseValues) {
+        if (!ourItem) {
+          data.push(theirItem);
+          merged = true;
+          return;
+        }
+        const ourValues = this._storedValues(ourItem, entityConfig);
+        Object.keys(theirValues).forEach((f) => {
+          if (ourValues[f] !== theirValues[f]) {
+            addConflict(
+              key,
+              theirItem._rowNumber,
+              f,
+              undefined,
+              theirValues[f],
+              ourValues[f],
+            );
+          }
+        });
+        return;
+      }
+
+      // 本次删除的记录
+      if (!ourItem) {
+        if (isModified(theirItem, baseValues)) {
+          addConflict(
+            key,
+            theirItem._rowNumber,
+            null,
+            "",
+            "（已修改）",
+            "（已删除）",
+          );
+        }
+        return;
+      }
+
+      const ourValues = this._storedValues(ourItem, entityConfig);
+      Object.keys(theirValues).forEach((f) => {
+        const b = baseValues[f];
+        const t = theirValues[f];
+        const o = ourValues[f];
+        if (t === b || t === o) return;
+
+        if (o === b) {
+          ourItem[f] = theirItem[f];
+          merged = true;
+        } else {
+          addConflict(key, theirItem._rowNumber, f, b, t, o);
+        }
+      });
+    });
+
+    // 工作表中删除的记录
+    base.records.forEach((baseValues, key) => {
+      if (theirs.records.has(key)) return;
+      const ourItem = ours.get(key);
+      if (!ourItem) return;
+
+      if (isModified(ourItem, baseValues)) {
+        addConflict(
+          key,
+          ourItem._rowNumber,
+          null,
+          "",
+          "（已删除）",
+          "（已修改）",
+        );
+      } else {
+        data.splice(data.indexOf(ourItem), 1);
+        merged = true;
+      }
+    });
+
+    if (conflicts.length > 0) {
+      const lines = conflicts.slice(0, 20).map((c) => {
+        const cell = c.field ? `【${c.title}】` : "整行";
+        return `  第${c.row}行（${c.key}）${cell}：读取时「${c.baseValue ?? ""}」，表中现为「${c.sheetValue ?? ""}」，本次为「${c.value ?? ""}」`;
+      });
+      if (conflicts.length > 20) {
+        lines.push(`  ……共 ${conflicts.length} 处冲突`);
+      }
+
+      const error = new Error(
+        `【${entityConfig.worksheet}】在读取后被修改，以下内容与本次保存冲突，请刷新后重试：\n${lines.join("\n")}`,
+      );
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    // 手工修改记入变更日志，并作为新的比较基准
+    if (this._auditSnapshots.has(entityName)) {
+      this.withOperation("手工修改", () =>
+        this._collectChanges(entityName, theirsData),
+      );
+      this._takeAuditSnapshot(entityName, theirsData);
+    }
+    this._sheetStates.set(entityName, theirs);
+    return { merged, rows };
   }
 
+  // ==================== 操作日志与撤销 ====================
+
   /**
-   * 通过货号获取常态商品
-   * @param {string} itemNumber - 货号
-   * @returns {Object[]} 常态商品数组
+   * 在当前操作中记录工作表修改前的内容
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {Array<Array<*>>} [rows] - 已读取的原始内容，不提供时从工作表读取
+   * @description 变更日志不参与撤销，撤销本身会作为新的变更记入日志
    */
-  findRegularProductsByItemNumber(itemNumber) {
-    return this.find("RegularProduct", { itemNumber });
+  _captureSheet(entityName, rows) {
+    if (entityName === "ChangeLog") return;
+    this._journal.capture(
+      entityName,
+      () => rows || this._excelDAO.readRaw(entityName),
+    );
   }
 
   /**
-   * 通过条码获取库存
-   * @param {string} productCode - 商品条码
-   * @returns {Object|undefined} 库存对象
+   * 作为一次可撤销的操作执行函数
+   * @param {string} label - 操作名称，如 "一键更新"
+   * @param {Function} fn - 要执行的函数
+   * @returns {*} fn 的返回值
+   * @description 函数内的所有保存/清空并入同一条操作日志，撤销时一起恢复
+   *
+   * @example
+   * repository.runOperation("一键更新", () => {
+   *   productService.updateFromRegularProducts();
+   *   productService.updateFromPriceData();
+   * });
    */
-  findInventory(productCode) {
-    return this.find("Inventory", { productCode })[0];
+  runOperation(label, fn) {
+    return this._journal.run(label, fn);
   }
 
   /**
-   * 通过条码获取组合商品
-   * @param {string} productCode - 商品条码
-   * @returns {Object[]} 组合商品数组
+   * 执行函数，其中的保存/清空不记入操作日志（不可撤销）
+   * @param {Function} fn - 要执行的函数
+   * @returns {*} fn 的返回值
+   * @see OperationJournal.runUnrecorded
    */
-  findComboProducts(productCode) {
-    return this.find("ComboProduct", { productCode });
+  runUnrecorded(fn) {
+    return this._journal.runUnrecorded(fn);
   }
 
   /**
-   * 获取指定货号在某个年份的销售记录
-   * @param {string} itemNumber - 货号
-   * @param {number|string} year - 年份
-   * @returns {Object[]} 销售记录数组
+   * 获取可撤销的操作列表
+   * @returns {Array<Object>} 操作摘要 {label, time, entities, worksheets}（最近的在前）
    */
-  findSalesByItemAndYear(itemNumber, year) {
-    return this.find("ProductSales", {
-      itemNumber,
-      salesYear: year,
-    });
+  getUndoableOperations() {
+    return this._journal.list().map((operation) => ({
+      ...operation,
+      worksheets: operation.entities.map((entityName) =>
+        this._getWorksheet(entityName),
+      ),
+    }));
   }
 
   /**
-   * 获取指定货号在某个年月的销售记录
-   * @param {string} itemNumber - 货号
-   * @param {number|string} year - 年份
-   * @param {number|string} month - 月份（1-12）
-   * @returns {Object[]} 销售记录数组
+   * 撤销最近一次操作
+   * @returns {Object} 撤销结果 {label, time, worksheets}
+   * @throws {Error} 没有可撤销的操作时抛出
+   * @description
+   * 撤销流程：
+   * 1. 取出最近一次操作的日志
+   * 2. 对配置了审计的实体，计算恢复前后的差异并记入变更日志（操作为“撤销：xxx”）
+   * 3. 将操作前的内容写回各工作表
+   * 4. 丢弃相关缓存和索引，并从恢复后的工作表重新加载
    */
-  findSalesByItemAndYearMonth(itemNumber, year, month) {
-    const monthStr = String(month).padStart(2, "0");
-    const yearMonth = `${year}-${monthStr}`;
+  undoLast() {
+    const entry = this._journal.pop();
+    if (!entry) {
+      throw new Error("没有可撤销的操作");
+    }
 
-    return this.find("ProductSales", {
-      itemNumber,
-      yearMonth,
+    const entityNames = [...entry.sheets.keys()];
+
+    this.withOperation(`撤销：${entry.label}`, () => {
+      entityNames.forEach((entityName) => {
+        const rows = entry.sheets.get(entityName);
+        try {
+          const restored =
+            rows.length > 0 ? this._excelDAO.parseRows(entityName, rows) : [];
+          this._collectChanges(entityName, restored);
+        } catch (e) {
+          // 无法解析的工作表不记录变更
+        }
+      });
     });
+
+    try {
+      entityNames.forEach((entityName) => {
+        this._excelDAO.writeRaw(entityName, entry.sheets.get(entityName));
+      });
+      this._reloadCaches(entityNames);
+      this._flushChangeLog();
+    } finally {
+      this._pendingChanges = [];
+    }
+
+    return {
+      label: entry.label,
+      time: entry.time,
+      worksheets: entityNames.map((entityName) =>
+        this._getWorksheet(entityName),
+      ),
+    };
   }
 
+  // ==================== 生命周期钩子与变更事件 ====================
+
   /**
-   * 获取指定货号在某个年周的销售记录
-   * @param {string} itemNumber - 货号
-   * @param {number|string} year - 年份
-   * @param {number|string} week - 周数
-   * @returns {Object[]} 销售记录数组
+   * 注册实体的生命周期钩子
+   * @param {string} entityName - 实体名称
+   * @param {Object} hooks - 钩子函数
+   * @param {Function} [hooks.beforeValidate] - (records, {entityName, action}) 验证前调用，可规范化待验证的记录；
+   * action 为 "save"/"add"/"update"，同一记录可能被调用多次，应保持幂等
+   * @param {Function} [hooks.beforeSave] - (data, {entityName, inserted, removed}) 写入前调用，抛出错误可阻止保存
+   * @param {Function} [hooks.afterSave] - (event) 新增、更新、保存写入后调用
+   * @param {Function} [hooks.afterDelete] - (event) 删除写入后调用
+   * @returns {Function} 注销这些钩子的函数
+   * @throws {Error} 实体不存在或钩子名称无效时抛出
+   * @description
+   * after 钩子在同一操作日志内执行，钩子中的保存与触发它的保存一起撤销。
+   * 事件结构见 subscribe。
+   *
+   * @example
+   * repository.registerHooks("ProductPrice", {
+   *   beforeValidate: (records) => {
+   *     records.forEach((r) => (r.itemNumber = String(r.itemNumber).trim()));
+   *   },
+   * });
    */
-  findSalesByItemAndYearWeek(itemNumber, year, week) {
-    const weekStr = String(week).padStart(2, "0");
-    const yearWeek = `${year}-${weekStr}`;
+  registerHooks(entityName, hooks) {
+    if (!this._config.get(entityName)) {
+      throw new Error(`未知实体：${entityName}`);
+    }
 
-    return this.find("ProductSales", {
-      itemNumber,
-      yearWeek,
+    Object.entries(hooks).forEach(([name, fn]) => {
+      if (!Repository.HOOK_NAMES.includes(name)) {
+        throw new Error(
+          `未知钩子【${name}】，可用钩子：${Repository.HOOK_NAMES.join("、")}`,
+        );
+      }
+      if (typeof fn !== "function") {
+        throw new Error(`实体【${entityName}】的钩子【${name}】必须是函数`);
+      }
     });
-  }
 
-  /**
-   * 获取指定货号在指定日期的销售记录
-   * @param {string} itemNumber - 货号
-   * @param {Date|string} date - 日期
-   * @returns {Object|undefined} 销售记录对象
-   */
-  findSalesByItemAndDate(itemNumber, date) {
-    const dateStr = this._converter.toDateStr(date);
+    if (!this._hooks.has(entityName)) {
+      this._hooks.set(entityName, {});
+    }
+    const entityHooks = this._hooks.get(entityName);
 
-    return this.find("ProductSales", { itemNumber, salesDate: dateStr })[0];
+    Object.entries(hooks).forEach(([name, fn]) => {
+      (entityHooks[name] = entityHooks[name] || []).push(fn);
+    });
+
+    return () => {
+      Object.entries(hooks).forEach(([name, fn]) => {
+        const list = entityHooks[name] || [];
+        const index = list.indexOf(fn);
+        if (index !== -1) list.splice(index, 1);
+      });
+    };
   }
 
   /**
-   * 获取指定货号最近N天内的商品销售记录
-   * @param {string} itemNumber - 货号
-   * @param {number} days - 天数
-   * @returns {Object[]} 销售记录数组（按销售日期倒序）
+   * 订阅实体的数据变化
+   * @param {string} entityName - 实体名称，"*" 表示所有实体
+   * @param {Function} listener - 监听函数 (event) => void
+   * @returns {Function} 取消订阅的函数
+   * @description
+   * 每次写入工作表后（在 after 钩子之后）通知，事件结构：
+   * - type: "save"（新增、更新、保存）或 "delete"
+   * - entityName: 实体名称
+   * - data: 写入后的完整数据
+   * - inserted/removed: 新增/删除的记录（仅 add/update/delete 提供；update 中旧记录在 removed，新记录在 inserted）
+   * - changes: 本次字段级变更 [{itemNumber, field, oldValue, newValue, ...}]，实体未配置审计时为 null
+   * - operation: 当前操作名称（见 withOperation）
+   *
+   * 事件派发期间再次保存同一实体（如监听函数修正数据后保存）不会重复通知该实体的订阅者。
+   *
+   * @example
+   * const unsubscribe = repository.subscribe("BrandConfig", (event) => {
+   *   console.log(`品牌配置已保存，共${event.data.length}条`);
+   * });
    */
-  findSalesLastNDays(itemNumber, days) {
-    return this.query("ProductSales", {
-      filter: {
-        itemNumber,
-        daysSinceSale: { $lte: days },
-      },
-      sort: { field: "salesDate", order: "desc" },
-    });
+  subscribe(entityName, listener) {
+    if (typeof listener !== "function") {
+      throw new Error("订阅的监听函数必须是函数");
+    }
+
+    if (!this._listeners.has(entityName)) {
+      this._listeners.set(entityName, new Set());
+    }
+    this._listeners.get(entityName).add(listener);
+
+    return () => this.unsubscribe(entityName, listener);
   }
 
   /**
-   * 获取指定时间段的商品销售记录
-   * @param {Date|string} startDate - 开始日期
-   * @param {Date|string} endDate - 结束日期
-   * @returns {Object[]} 销售记录数组（按销售日期正序）
+   * 取消订阅
+   * @param {string} entityName - 实体名称，"*" 表示所有实体
+   * @param {Function} listener - subscribe 时传入的监听函数
+   * @returns {boolean} 是否找到并取消了订阅
    */
-  findSalesByDateRange(startDate, endDate) {
-    const start = Date.parse(startDate) || 0;
-    const end = Date.parse(endDate) || Infinity;
-
-    return this.query("ProductSales", {
-      filter: {
-        salesDate: (value) => {
-          const dateTs = Date.parse(value) || 0;
-          return dateTs >= start && dateTs <= end;
-        },
-      },
-      sort: { field: "salesDate", order: "asc" },
-    });
+  unsubscribe(entityName, listener) {
+    return this._listeners.get(entityName)?.delete(listener) || false;
   }
 
   /**
-   * 获取系统记录
-   * @returns {Object} 系统记录对象（单条）
-   * @description 如果不存在系统记录，则创建一个空记录并缓存
+   * 执行实体的某类钩子
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {string} name - 钩子名称
+   * @param {...*} args - 传给钩子的参数
    */
-  getSystemRecord() {
-    const records = this.findAll("SystemRecord");
-    if (records.length > 0) {
-      return records[0];
-    }
-
-    const entityConfig = this._config.get("SystemRecord");
-
-    const fields = entityConfig.fields;
-    const newRecord = {};
-
-    Object.keys(fields).forEach((f) => (newRecord[f] = undefined));
+  _runHooks(entityName, name, ...args) {
+    const list = this._hooks.get(entityName)?.[name];
+    if (!list || list.length === 0) return;
 
-    this._cache.set("SystemRecord", [newRecord]);
-    return newRecord;
+    [...list].forEach((fn) => fn(...args));
   }
 
   /**
-   * 更新系统记录中的日期字段
+   * 创建变更事件（须在变更日志写入前调用，以便取得本次的字段级变更）
+   * @private
+   * @param {string} type - 事件类型："save" 或 "delete"
    * @param {string} entityName - 实体名称
-   * @param {string} dateField - 日期字段类型（'importDate' 或 'updateDate'）
-   * @description
-   * - 仅对可导入/可更新的实体生效
-   * - 根据实体配置更新对应的系统字段为当前时间
+   * @param {Object[]} data - 写入后的完整数据
+   * @param {Object} [delta] - 变化的记录 {inserted, removed}
+   * @returns {Object} 事件对象，结构见 subscribe
    */
-  updateSystemRecord(entityName, dateField) {
-    if (
-      !this._importableEntities.includes(entityName) &&
-      dateField === "importDate"
-    )
-      return;
-    if (
-      !this._updatableEntities.includes(entityName) &&
-      dateField === "updateDate"
-    )
-      return;
-
+  _createEvent(type, entityName, data, delta) {
     const entityConfig = this._config.get(entityName);
-    const updateField = entityConfig?.[dateField];
-    if (!updateField) return;
+    const changes = entityConfig?.audit
+      ? this._pendingChanges.filter(
+          (change) => change.entity === entityConfig.worksheet,
+        )
+      : null;
+
+    return {
+      type,
+      entityName,
+      data,
+      inserted: delta?.inserted,
+      removed: delta?.removed,
+      changes,
+      operation: this._operation,
+    };
+  }
 
-    const systemRecord = this.getSystemRecord();
-    const now = new Date();
+  /**
+   * 派发变更事件：执行 after 钩子并通知订阅者
+   * @private
+   * @param {Object} [event] - 事件对象
+   */
+  _dispatch(event) {
+    if (!event || this._dispatching.has(event.entityName)) return;
 
-    systemRecord[updateField] = now;
+    const { entityName } = event;
+    this._dispatching.add(entityName);
+    try {
+      this._runHooks(
+        entityName,
+        event.type === "delete" ? "afterDelete" : "afterSave",
+        event,
+      );
 
-    this.save("SystemRecord", [systemRecord]);
+      const listeners = [
+        ...(this._listeners.get(entityName) || []),
+        ...(this._listeners.get("*") || []),
+      ];
+      listeners.forEach((listener) => listener(event));
+    } finally {
+      this._dispatching.delete(entityName);
+    }
   }
 }
@@ -0,0 +1,376 @@
+/**
+ * 销售归档服务 - 将历史销售数据移出【商品销售】工作表
+ *
+ * @class SalesArchiveService
+ * @description 【商品销售】每个货号每天一行，持续增长且每次都被完整加载。本服务负责：
+ * - 将早于保留天数（ProductSales 的 archive.keepDays）的销售数据移入按年份的归档工作表【商品销售归档YYYY】
+ * - 在【销售汇总】中保存已归档数据的年/月汇总，年/月销量统计无需读取归档
+ * - 在系统记录中保存归档截止日期：截止日期及以前的销售数据只从归档中读取
+ * - 按日期范围读取归档数据（按年份加载并缓存），供周/日/近N天统计使用
+ *
+ * 归档工作表不记入操作日志。撤销归档会恢复【商品销售】【销售汇总】和归档截止日期，
+ * 归档工作表中多出的数据晚于恢复后的截止日期，不会被读取，下次归档时按货号+日期覆盖。
+ *
+ * 该类采用单例模式，确保全局只有一个归档服务实例。
+ *
+ * @example
+ * const archiveService = SalesArchiveService.getInstance(repository, excelDAO);
+ *
+ * // 归档保留天数以前的销售数据
+ * const result = archiveService.archive();
+ * // { archived: 1520, years: [2023, 2024], archivedThroughDate: "2024-09-15" }
+ *
+ * // 读取归档中的销售数据
+ * archiveService.findArchivedSales("A001", "2024-01-01", "2024-01-31");
+ *
+ * // 已归档部分的月销量
+ * archiveService.getArchivedTotal("A001", 2024, 1);
+ */
+class SalesArchiveService {
+  /** @type {SalesArchiveService} 单例实例 */
+  static _instance = null;
+
+  /** @type {string} 系统记录中保存归档截止日期的字段 */
+  static THROUGH_DATE_FIELD = "archivedThroughDateOfProductSales";
+
+  /**
+   * 创建销售归档服务实例
+   * @param {Repository} [repository] - 数据仓库实例，若不提供则自动获取
+   * @param {ExcelDAO} [excelDAO] - Excel 数据访问对象，若不提供则自动获取
+   */
+  constructor(repository, excelDAO) {
+    if (SalesArchiveService._instance) {
+      return SalesArchiveService._instance;
+    }
+
+    this._repository = repository || Repository.getInstance();
+    this._excelDAO = excelDAO || ExcelDAO.getInstance();
+    this._config = DataConfig.getInstance();
+    this._converter = Converter.getInstance();
+
+    // 已加载的归档：年份 -> Map<货号, 销售记录数组>
+    this._archives = new Map();
+
+    SalesArchiveService._instance = this;
+  }
+
+  /**
+   * 获取销售归档服务的单例实例
+   * @static
+   * @param {Repository} [repository] - 数据仓库实例
+   * @param {ExcelDAO} [excelDAO] - Excel 数据访问对象
+   * @returns {SalesArchiveService} 销售归档服务实例
+   */
+  static getInstance(repository, excelDAO) {
+    if (!SalesArchiveService._instance) {
+      SalesArchiveService._instance = new SalesArchiveService(
+        repository,
+        excelDAO,
+      );
+    }
+    return SalesArchiveService._instance;
+  }
+
+  /**
+   * 获取【商品销售】中保留的天数
+   * @returns {number} 保留天数
+   * @throws {Error} 未配置保留天数时抛出
+   */
+  getKeepDays() {
+    const keepDays = this._config.get("ProductSales").archive?.keepDays;
+    if (!(keepDays > 0)) {
+      throw new Error("【商品销售】未配置归档保留天数（archive.keepDays）");
+    }
+    return keepDays;
+  }
+
+  /**
+   * 获取指定年份的归档工作表名称
+   * @param {number} year - 年份
+   * @returns {string} 工作表名称，如 "商品销售归档2024"
+   */
+  getArchiveSheetName(year) {
+    return `${this._config.get("ProductSales").worksheet}归档${year}`;
+  }
+
+  /**
+   * 获取归档截止日期
+   * @returns {string|undefined} 截止日期（YYYY-MM-DD），从未归档或系统记录无法读取时返回 undefined
+   */
+  getArchivedThroughDate() {
+    try {
+      return this._converter.toDateStr(
+        this._repository.getSystemRecord()[
+          SalesArchiveService.THROUGH_DATE_FIELD
+        ],
+      );
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * 归档历史销售数据
+   * @param {Object} [options] - 选项
+   * @param {number} [options.keepDays] - 保留天数，默认使用实体配置
+   * @param {Date|string} [options.today] - 计算保留范围的基准日期，默认今天
+   * @returns {Object} 归档结果 {archived, years, archivedThroughDate}
+   * @throws {Error} 读取归档或保存失败时抛出
+   * @description
+   * 归档流程：
+   * 1. 截止日期为基准日期往前 keepDays 天的前一天（不早于已有的截止日期）
+   * 2. 截止日期及以前的销售数据按年份合并到归档工作表（货号+日期相同时覆盖）
+   * 3. 按合并后的归档重新计算涉及年份的年/月汇总
+   * 4. 在同一事务中保存剩余的销售数据、销售汇总和新的截止日期
+   */
+  archive(options = {}) {
+    const keepDays = options.keepDays ?? this.getKeepDays();
+    const cutoff = options.today ? new Date(options.today) : new Date();
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - keepDays - 1);
+
+    const previous = this.getArchivedThroughDate();
+    let throughDate = this._converter.toDateStr(cutoff);
+    if (previous && previous > throughDate) {
+      throughDate = previous;
+    }
+
+    const sales = this._repository.findAll("ProductSales");
+    const archived = sales.filter(
+      (sale) => sale.salesDate && sale.salesDate <= throughDate,
+    );
+    if (archived.length === 0) {
+      return { archived: 0, years: [], archivedThroughDate: previous };
+    }
+
+    const byYear = new Map();
+    archived.forEach((sale) => {
+      const year = Number(sale.salesDate.slice(0, 4));
+      if (!byYear.has(year)) byYear.set(year, []);
+      byYear.get(year).push(sale);
+    });
+
+    return this._repository.runOperation("归档商品销售", () => {
+      // 1.写入归档并重新计算涉及年份的汇总
+      const summaries = this._readSummaries().filter(
+        (summary) => !byYear.has(summary.year),
+      );
+      byYear.forEach((rows, year) => {
+        const merged = this._writeArchive(year, rows);
+        summaries.push(
+          ...this._summarize(
+            merged.filter((sale) => sale.salesDate <= throughDate),
+          ),
+        );
+      });
+      this._excelDAO.saveWorkbook();
+      this._archives.clear();
+
+      // 2.移出已归档的销售数据
+      const archivedSet = new Set(archived);
+      const systemRecord = this._repository.getSystemRecord();
+      systemRecord[SalesArchiveService.THROUGH_DATE_FIELD] = throughDate;
+
+      this._repository.withOperation("归档商品销售", () =>
+        this._repository.transaction({
+          ProductSales: sales.filter((sale) => !archivedSet.has(sale)),
+          SalesSummary: summaries,
+          SystemRecord: [systemRecord],
+        }),
+      );
+
+      return {
+        archived: archived.length,
+        years: [...byYear.keys()].sort((a, b) => a - b),
+        archivedThroughDate: throughDate,
+      };
+    });
+  }
+
+  /**
+   * 查询归档中的销售数据
+   * @param {string} itemNumber - 货号
+   * @param {Date|string} startDate - 开始日期（含）
+   * @param {Date|string} endDate - 结束日期（含），晚于归档截止日期时按截止日期
+   * @returns {Object[]} 销售记录数组，范围不涉及已归档日期时返回空数组
+   */
+  findArchivedSales(itemNumber, startDate, endDate) {
+    const through = this.getArchivedThroughDate();
+    const start = this._converter.toDateStr(startDate);
+    if (!through || !start || start > through) return [];
+
+    let end = this._converter.toDateStr(endDate);
+    if (!end || end > through) end = through;
+
+    const results = [];
+    for (
+      let year = Number(start.slice(0, 4));
+      year <= Number(end.slice(0, 4));
+      year++
+    ) {
+      const sales = this._loadArchive(year).get(String(itemNumber)) || [];
+      sales.forEach((sale) => {
+        if (sale.salesDate >= start && sale.salesDate <= end) {
+          results.push(sale);
+        }
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * 获取已归档销售数据的年/月汇总值
+   * @param {string} itemNumber - 货号
+   * @param {number} year - 年份
+   * @param {number} [month=0] - 月份，0 表示全年
+   * @param {string} [field="salesQuantity"] - 汇总字段（salesQuantity/salesAmount）
+   * @returns {number} 汇总值，没有归档数据时返回 0
+   */
+  getArchivedTotal(itemNumber, year, month = 0, field = "salesQuantity") {
+    if (!itemNumber || !this.getArchivedThroughDate()) return 0;
+
+    let summary;
+    try {
+      [summary] = this._repository.find("SalesSummary", {
+        itemNumber,
+        year,
+        month,
+      });
+    } catch (e) {
+      // 【销售汇总】不存在
+      return 0;
+    }
+    return Number(summary?.[field]) || 0;
+  }
+
+  /**
+   * 丢弃已加载的归档数据
+   */
+  clearCache() {
+    this._archives.clear();
+  }
+
+  /**
+   * 读取归档工作表
+   * @private
+   * @param {number} year - 年份
+   * @returns {Object[]} 销售记录数组，工作表不存在或为空时返回空数组
+   * @throws {Error} 工作表存在但无法解析时抛出（避免覆盖已有归档）
+   */
+  _readArchiveSheet(year) {
+    const sheetName = this.getArchiveSheetName(year);
+
+    let rows;
+    try {
+      rows = this._excelDAO.readRaw("ProductSales", sheetName);
+    } catch (e) {
+      // 归档工作表不存在
+      return [];
+    }
+
+    return rows.length > 0
+      ? this._excelDAO.parseRows("ProductSales", rows, sheetName)
+      : [];
+  }
+
+  /**
+   * 加载指定年份的归档（按货号分组并缓存）
+   * @private
+   * @param {number} year - 年份
+   * @returns {Map<string, Object[]>} 货号到销售记录数组的映射
+   */
+  _loadArchive(year) {
+    if (!this._archives.has(year)) {
+      const byItem = new Map();
+      this._readArchiveSheet(year).forEach((sale) => {
+        const key = String(sale.itemNumber);
+        if (!byItem.has(key)) byItem.set(key, []);
+        byItem.get(key).push(sale);
+      });
+      this._archives.set(year, byItem);
+    }
+    return this._archives.get(year);
+  }
+
+  /**
+   * 将销售记录合并到归档工作表
+   * @private
+   * @param {number} year - 年份
+   * @param {Object[]} sales - 要归档的销售记录
+   * @returns {Object[]} 合并后该年份的全部归档记录（按日期、货号排序）
+   */
+  _writeArchive(year, sales) {
+    const keyOf = (sale) => `${sale.itemNumber}¦${sale.salesDate}`;
+
+    const merged = new Map(
+      this._readArchiveSheet(year).map((sale) => [keyOf(sale), sale]),
+    );
+    sales.forEach((sale) => merged.set(keyOf(sale), sale));
+
+    const result = [...merged.values()].sort(
+      (a, b) =>
+        String(a.salesDate).localeCompare(String(b.salesDate)) ||
+        String(a.itemNumber).localeCompare(String(b.itemNumber)),
+    );
+
+    this._excelDAO.writeSheet(
+      this.getArchiveSheetName(year),
+      this._excelDAO.toRows("ProductSales", result),
+    );
+
+    return result;
+  }
+
+  /**
+   * 按货号汇总销售记录的年/月销量和销售额
+   * @private
+   * @param {Object[]} sales - 销售记录
+   * @returns {Object[]} 销售汇总记录 {itemNumber, year, month, salesQuantity, salesAmount}
+   */
+  _summarize(sales) {
+    const totals = new Map();
+    const add = (sale, year, month) => {
+      const key = `${sale.itemNumber}¦${year}¦${month}`;
+      if (!totals.has(key)) {
+        totals.set(key, {
+          itemNumber: sale.itemNumber,
+          year,
+          month,
+          salesQuantity: 0,
+          salesAmount: 0,
+        });
+      }
+      const total = totals.get(key);
+      total.salesQuantity += Number(sale.salesQuantity) || 0;
+      total.salesAmount += Number(sale.salesAmount) || 0;
+    };
+
+    sales.forEach((sale) => {
+      const year = Number(sale.salesDate.slice(0, 4));
+      add(sale, year, 0);
+      add(sale, year, Number(sale.salesDate.slice(5, 7)));
+    });
+
+    return [...totals.values()];
+  }
+
+  /**
+   * 读取【销售汇总】
+   * @private
+   * @returns {Object[]} 销售汇总记录，工作表不存在时返回空数组
+   */
+  _readSummaries() {
+    try {
+      return this._repository.findAll("SalesSummary");
+    } catch (e) {
+      try {
+        this._excelDAO.readRaw("SalesSummary");
+      } catch (readError) {
+        // 工作表不存在，保存时自动创建
+        return [];
+      }
+      throw e;
+    }
+  }
+}
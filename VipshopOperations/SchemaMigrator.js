@@ -0,0 +1,510 @@
+/**
+ * 结构迁移 - 按版本升级工作簿中各工作表的列结构
+ *
+ * @class SchemaMigrator
+ * @description DataConfig 中增删改字段后，已有工作簿的列与配置不再一致
+ * （缺少新列时读取失败，多余的旧列在下次保存时被丢弃）。本类负责：
+ * - 在【结构版本】工作表中记录工作簿已升级到的版本
+ * - 按版本顺序执行尚未执行的迁移（新增、改名、转换类型、删除列），保留原有数据
+ * - 执行迁移后补齐 DataConfig 中有而工作表中缺少的列，并提示未定义的列
+ * - 汇总每一步做了什么，供界面提示
+ *
+ * 新增或修改字段时，应在 MIGRATIONS 末尾增加一个版本；只新增字段时可以只写 add 步骤。
+ * 迁移直接改写工作表，不记入操作日志（不可撤销），也不写入变更日志。
+ *
+ * 该类采用单例模式，确保全局只有一个迁移器实例。
+ *
+ * @example
+ * const migrator = SchemaMigrator.getInstance(excelDAO, repository);
+ * const result = migrator.run();
+ * // { fromVersion: 0, toVersion: 1, actions: ["【货号总表】新增列【拒退率】"], warnings: [] }
+ *
+ * if (result.actions.length > 0) {
+ *   MsgBox(migrator.formatReport(result));
+ * }
+ */
+class SchemaMigrator {
+  /** @type {SchemaMigrator} 单例实例 */
+  static _instance = null;
+
+  /** @type {Object.<string, string>} 字段类型的中文名称 */
+  static TYPE_NAMES = {
+    string: "文本",
+    number: "数字",
+    date: "日期",
+    datetime: "日期时间",
+  };
+
+  /**
+   * @type {Array<Object>} 迁移列表，按版本递增
+   * @description 每个迁移为 {version, description, steps}，支持的步骤：
+   * - { op: "add", entity, field, value }：新增字段 field 的列（追加在最后），value 为填充值，默认留空
+   * - { op: "rename", entity, from, field }：将标题为 from 的列改为字段 field 的当前标题
+   * - { op: "retype", entity, field }：按字段 field 的当前类型转换列中的值，无法转换的值保留原样
+   * - { op: "drop", entity, title }：删除标题为 title 的列
+   *
+   * 步骤可重复执行：要新增的列已存在、要改名/转换/删除的列不存在时跳过。
+   */
+  static MIGRATIONS = [
+    {
+      version: 1,
+      description: "货号总表新增拒退率、通货款号",
+      steps: [
+        { op: "add", entity: "Product", field: "rejectAndReturnRate" },
+        { op: "add", entity: "Product", field: "generalGoodsStyleNumber" },
+      ],
+    },
+    {
+      version: 2,
+      description: "系统记录新增商品销售归档截止日期",
+      steps: [
+        {
+          op: "add",
+          entity: "SystemRecord",
+          field: "archivedThroughDateOfProductSales",
+        },
+      ],
+    },
+  ];
+
+  /**
+   * 创建结构迁移器实例
+   * @param {ExcelDAO} [excelDAO] - Excel 数据访问对象，若不提供则自动获取
+   * @param {Repository} [repository] - 数据仓库实例，迁移后用于丢弃缓存
+   */
+  constructor(excelDAO, repository) {
+    if (SchemaMigrator._instance) {
+      return SchemaMigrator._instance;
+    }
+
+    this._excelDAO = excelDAO || ExcelDAO.getInstance();
+    this._repository = repository || Repository.getInstance();
+    this._config = DataConfig.getInstance();
+    this._converter = Converter.getInstance();
+
+    SchemaMigrator._instance = this;
+  }
+
+  /**
+   * 获取结构迁移器的单例实例
+   * @static
+   * @param {ExcelDAO} [excelDAO] - Excel 数据访问对象
+   * @param {Repository} [repository] - 数据仓库实例
+   * @returns {SchemaMigrator} 结构迁移器实例
+   */
+  static getInstance(excelDAO, repository) {
+    if (!SchemaMigrator._instance) {
+      SchemaMigrator._instance = new SchemaMigrator(excelDAO, repository);
+    }
+    return SchemaMigrator._instance;
+  }
+
+  /**
+   * 获取程序要求的结构版本
+   * @returns {number} 最后一个迁移的版本号，没有迁移时为 0
+   */
+  getTargetVersion() {
+    return SchemaMigrator.MIGRATIONS.reduce(
+      (max, migration) => Math.max(max, migration.version),
+      0,
+    );
+  }
+
+  /**
+   * 获取工作簿当前的结构版本
+   * @returns {number} 【结构版本】中最大的版本号，工作表不存在或为空时为 0
+   */
+  getWorkbookVersion() {
+    return this._readVersionRecords().reduce(
+      (max, record) => Math.max(max, record.version || 0),
+      0,
+    );
+  }
+
+  /**
+   * 执行尚未执行的迁移
+   * @param {Object} [options] - 选项
+   * @param {Object[]} [options.renames] - 【字段配置】修改的标题 {entityName, fieldName, from}（见 DataConfig.applyOverrides）
+   * @returns {Object} 迁移结果 {fromVersion, toVersion, actions, warnings}
+   * @throws {Error} 工作簿版本高于程序版本，或某个迁移步骤失败时抛出（此时不写入任何工作表）
+   * @description
+   * 迁移流程：
+   * 1. 读取工作簿版本，已是最新版本且没有要改名的标题时直接返回
+   * 2. 在内存中依次执行各版本的迁移步骤
+   * 3. 将列【from】改名为字段覆盖后的标题（新标题已存在时只提示）
+   * 4. 补齐所有工作表中缺少的列，记录未定义的列
+   * 5. 写回有变化的工作表，在【结构版本】中追加本次执行的版本
+   * 6. 丢弃仓库缓存，之后按新结构重新读取
+   */
+  run(options = {}) {
+    const renames = options.renames || [];
+    const fromVersion = this.getWorkbookVersion();
+    const toVersion = this.getTargetVersion();
+    const result = { fromVersion, toVersion, actions: [], warnings: [] };
+
+    if (fromVersion > toVersion) {
+      throw new Error(
+        `工作簿结构版本【${fromVersion}】高于程序支持的版本【${toVersion}】，请使用新版本程序`,
+      );
+    }
+    if (fromVersion === toVersion && renames.length === 0) {
+      return result;
+    }
+
+    const sheets = new Map();
+    const applied = [];
+
+    SchemaMigrator.MIGRATIONS.filter(
+      (migration) => migration.version > fromVersion,
+    )
+      .sort((a, b) => a.version - b.version)
+      .forEach((migration) => {
+        const details = [];
+        migration.steps.forEach((step) => {
+          try {
+            const detail = this._applyStep(sheets, step);
+            if (detail) details.push(detail);
+          } catch (e) {
+            throw new Error(
+              `结构迁移到版本【${migration.version}】失败：${e.message}`,
+            );
+          }
+        });
+
+        applied.push({ ...migration, details });
+        result.actions.push(...details);
+      });
+
+    renames.forEach(({ entityName, fieldName, from }) => {
+      try {
+        const detail = this._applyStep(sheets, {
+          op: "rename",
+          entity: entityName,
+          from,
+          field: fieldName,
+        });
+        if (detail) result.actions.push(detail);
+      } catch (e) {
+        result.warnings.push(e.message);
+      }
+    });
+
+    Object.keys(this._config.getAll()).forEach((entityName) => {
+      const { actions, warnings } = this._syncColumns(sheets, entityName);
+      result.actions.push(...actions);
+      result.warnings.push(...warnings);
+    });
+
+    sheets.forEach((sheet, entityName) => {
+      if (sheet?.changed) {
+        this._excelDAO.writeRaw(entityName, sheet.rows);
+      }
+    });
+    this._writeVersionRecords(applied);
+    this._repository.clearAllCache();
+
+    return result;
+  }
+
+  /**
+   * 格式化迁移结果
+   * @param {Object} result - run 的返回值
+   * @returns {string} 供提示的文本
+   */
+  formatReport(result) {
+    const lines = [
+      result.fromVersion === result.toVersion
+        ? "工作簿结构已按字段配置调整："
+        : `工作簿结构已从版本 ${result.fromVersion} 升级到 ${result.toVersion}：`,
+    ];
+
+    if (result.actions.length === 0) {
+      lines.push("工作表无需调整");
+    } else {
+      result.actions.forEach((action) => lines.push(`- ${action}`));
+    }
+
+    if (result.warnings.length > 0) {
+      lines.push("", "请注意：");
+      result.warnings.forEach((warning) => lines.push(`- ${warning}`));
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * 执行一个迁移步骤
+   * @private
+   * @param {Map<string, Object>} sheets - 已读取的工作表 实体 -> {rows, changed}
+   * @param {Object} step - 迁移步骤
+   * @returns {string|null} 执行内容说明，无需执行时返回 null
+   * @throws {Error} 实体、字段或操作无效，或改名目标列已存在时抛出
+   */
+  _applyStep(sheets, step) {
+    const entityConfig = this._config.get(step.entity);
+    if (!entityConfig) {
+      throw new Error(`未知实体：${step.entity}`);
+    }
+
+    let fieldConfig = null;
+    if (step.op !== "drop") {
+      fieldConfig = entityConfig.fields[step.field];
+      if (!fieldConfig) {
+        throw new Error(`实体【${step.entity}】中不存在字段【${step.field}】`);
+      }
+    }
+
+    const sheet = this._loadSheet(sheets, step.entity);
+    if (!sheet) return null;
+
+    const wsName = entityConfig.worksheet;
+    const header = sheet.rows[0];
+
+    switch (step.op) {
+      case "add": {
+        const title = fieldConfig.title || step.field;
+        if (this._findColumn(header, title) !== -1) return null;
+
+        this._appendColumn(sheet, title, step.value);
+        return `【${wsName}】新增列【${title}】`;
+      }
+
+      case "rename": {
+        const title = fieldConfig.title || step.field;
+        const index = this._findColumn(header, step.from);
+        if (index === -1) return null;
+        if (this._findColumn(header, title) !== -1) {
+          throw new Error(
+            `【${wsName}】中已存在列【${title}】，无法将【${step.from}】改名`,
+          );
+        }
+
+        header[index] = title;
+        sheet.changed = true;
+        return `【${wsName}】列【${step.from}】改名为【${title}】`;
+      }
+
+      case "retype": {
+        const title = fieldConfig.title || step.field;
+        const index = this._findColumn(header, title);
+        if (index === -1) return null;
+
+        const failed = this._convertColumn(sheet, index, fieldConfig.type);
+        return (
+          `【${wsName}】列【${title}】转换为${SchemaMigrator.TYPE_NAMES[fieldConfig.type] || fieldConfig.type}类型` +
+          (failed > 0 ? `，${failed}个值无法转换，已保留原值` : "")
+        );
+      }
+
+      case "drop": {
+        const index = this._findColumn(header, step.title);
+        if (index === -1) return null;
+
+        sheet.rows.forEach((row) => row.splice(index, 1));
+        sheet.changed = true;
+        return `【${wsName}】删除列【${step.title}】`;
+      }
+
+      default:
+        throw new Error(`未知的迁移操作【${step.op}】`);
+    }
+  }
+
+  /**
+   * 补齐工作表中缺少的列，并找出未定义的列
+   * @private
+   * @param {Map<string, Object>} sheets - 已读取的工作表
+   * @param {string} entityName - 实体名称
+   * @returns {Object} {actions, warnings}
+   * @description 计算字段的列（写入时一并输出的计算结果）不会补齐，也不视为未定义的列
+   */
+  _syncColumns(sheets, entityName) {
+    const actions = [];
+    const warnings = [];
+
+    const sheet = this._loadSheet(sheets, entityName);
+    if (!sheet) return { actions, warnings };
+
+    const entityConfig = this._config.get(entityName);
+    const wsName = entityConfig.worksheet;
+    const titles = this._getStoredTitles(entityConfig);
+    const knownTitles = Object.entries(entityConfig.fields).map(
+      ([field, config]) => config.title || field,
+    );
+
+    titles.forEach((title) => {
+      if (this._findColumn(sheet.rows[0], title) !== -1) return;
+
+      this._appendColumn(sheet, title);
+      actions.push(`【${wsName}】新增列【${title}】`);
+    });
+
+    sheet.rows[0].forEach((cell) => {
+      const title = cell == null ? "" : String(cell).trim();
+      if (title && !knownTitles.includes(title)) {
+        warnings.push(
+          `【${wsName}】中的列【${title}】未在配置中定义，保存时将被丢弃`,
+        );
+      }
+    });
+
+    return { actions, warnings };
+  }
+
+  /**
+   * 读取实体对应的工作表（同一工作表只读取一次）
+   * @private
+   * @param {Map<string, Object>} sheets - 已读取的工作表
+   * @param {string} entityName - 实体名称
+   * @returns {Object|null} {rows, changed}，工作表不存在、为空或实体没有存储字段时返回 null
+   */
+  _loadSheet(sheets, entityName) {
+    if (sheets.has(entityName)) {
+      return sheets.get(entityName);
+    }
+
+    let sheet = null;
+    const entityConfig = this._config.get(entityName);
+    if (
+      entityConfig?.worksheet &&
+      this._getStoredTitles(entityConfig).length > 0
+    ) {
+      try {
+        const rows = this._excelDAO.readRaw(entityName);
+        if (rows.length > 0) {
+          sheet = { rows: rows.map((row) => [...row]), changed: false };
+        }
+      } catch (e) {
+        // 工作表不存在，首次写入时按配置创建
+      }
+    }
+
+    sheets.set(entityName, sheet);
+    return sheet;
+  }
+
+  /**
+   * 获取实体存储在工作表中的列标题
+   * @private
+   * @param {Object} entityConfig - 实体配置
+   * @returns {string[]} 列标题数组
+   */
+  _getStoredTitles(entityConfig) {
+    return Object.entries(entityConfig.fields)
+      .filter(
+        ([, config]) => config.type !== "computed" && config.persist !== false,
+      )
+      .map(([field, config]) => config.title || field);
+  }
+
+  /**
+   * 查找列标题所在的位置
+   * @private
+   * @param {Array} header - 标题行
+   * @param {string} title - 列标题
+   * @returns {number} 列索引，不存在时返回 -1
+   */
+  _findColumn(header, title) {
+    return header.findIndex(
+      (cell) => cell != null && String(cell).trim() === title,
+    );
+  }
+
+  /**
+   * 在工作表最后追加一列
+   * @private
+   * @param {Object} sheet - 工作表 {rows, changed}
+   * @param {string} title - 列标题
+   * @param {*} [value] - 数据行的填充值
+   * @description 追加在最后，不影响已有列的位置（列格式按位置设置）
+   */
+  _appendColumn(sheet, title, value) {
+    const width = sheet.rows[0].length;
+    sheet.rows.forEach((row, index) => {
+      while (row.length < width) row.push(undefined);
+      row.push(index === 0 ? title : value);
+    });
+    sheet.changed = true;
+  }
+
+  /**
+   * 按字段类型转换一列的值（格式与 ExcelDAO.write 写入时一致）
+   * @private
+   * @param {Object} sheet - 工作表 {rows, changed}
+   * @param {number} index - 列索引
+   * @param {string} type - 字段类型
+   * @returns {number} 无法转换而保留原值的单元格数量
+   */
+  _convertColumn(sheet, index, type) {
+    let failed = 0;
+
+    sheet.rows.slice(1).forEach((row) => {
+      const raw = row[index];
+      if (raw == null || String(raw).trim() === "") return;
+
+      let value;
+      switch (type) {
+        case "number":
+          value = this._converter.toNumber(raw);
+          break;
+        case "date":
+          value = this._converter.formatDate(raw);
+          break;
+        case "datetime":
+          value = this._converter.formatDateTime(raw);
+          break;
+        default:
+          value = this._converter.toString(raw);
+      }
+
+      if (value === undefined) {
+        failed++;
+        return;
+      }
+      if (value !== raw) {
+        row[index] = value;
+        sheet.changed = true;
+      }
+    });
+
+    return failed;
+  }
+
+  /**
+   * 读取【结构版本】中的记录
+   * @private
+   * @returns {Object[]} 版本记录，工作表不存在或为空时返回空数组
+   */
+  _readVersionRecords() {
+    try {
+      return this._excelDAO.read("SchemaVersion");
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * 在【结构版本】中追加本次执行的迁移
+   * @private
+   * @param {Object[]} applied - 已执行的迁移 {version, description, details}
+   */
+  _writeVersionRecords(applied) {
+    if (applied.length === 0) return;
+
+    const migratedAt = this._converter.toDateTimeStr(new Date());
+    const records = this._readVersionRecords();
+    applied.forEach((migration) => {
+      records.push({
+        version: migration.version,
+        description: migration.description,
+        migratedAt,
+        details:
+          migration.details.length > 0
+            ? migration.details.join("；")
+            : "无需调整",
+      });
+    });
+
+    this._excelDAO.write("SchemaVersion", records);
+  }
+}
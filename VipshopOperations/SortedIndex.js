@@ -0,0 +1,219 @@
+/**
+ * 有序索引 - 支持范围查询的索引结构
+ *
+ * @class SortedIndex
+ * @description 为 Repository 提供范围查询能力，与哈希索引互为补充：
+ * - 索引字段按声明顺序组织：前面的字段为等值前缀，最后一个字段为范围字段
+ * - 相同前缀的记录放在同一分组内，分组内按范围字段有序排列
+ * - 查询时先按前缀定位分组，再用二分查找截取范围
+ *
+ * 范围字段的值必须可以统一比较（全部为数字，或全部为日期），
+ * 否则该索引不提供范围查询，由 Repository 回退到全表扫描。
+ * 范围字段为空的记录不进入索引（空值不满足任何比较条件）。
+ *
+ * 新增、删除单条记录时可用 insert/remove 增量维护，无需重建。
+ *
+ * @example
+ * // 货号 + 销售日期：查询某货号某段时间的销售记录
+ * const index = new SortedIndex(["itemNumber", "salesDate"]);
+ * index.build(sales);
+ *
+ * index.lookup(["A001"], { min: "2024-01-01", max: "2024-01-31" });
+ * // 返回 A001 在 2024 年 1 月的销售记录（按日期正序）
+ *
+ * // 单字段：查询 2024 年以后上架的商品
+ * const listingIndex = new SortedIndex(["firstListingTime"]);
+ * listingIndex.build(products);
+ * listingIndex.lookup([], { min: "2024-01-01" });
+ */
+class SortedIndex {
+  /**
+   * 创建有序索引
+   * @param {string[]} fields - 索引字段（顺序有意义，最后一个为范围字段）
+   */
+  constructor(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+      throw new Error("有序索引至少需要一个字段");
+    }
+
+    this.fields = [...fields];
+    this.prefixFields = fields.slice(0, -1);
+    this.rangeField = fields[fields.length - 1];
+
+    this._queryEngine = QueryEngine.getInstance();
+    this._groups = new Map();
+    this._kind = null;
+    this._rangeable = true;
+  }
+
+  /**
+   * 根据数据重建索引
+   * @param {Object[]} data - 数据数组
+   */
+  build(data) {
+    this._groups.clear();
+    this._kind = null;
+    this._rangeable = true;
+
+    data.forEach((item) => {
+      const entry = this._toEntry(item);
+      if (!entry) return;
+
+      const prefix = this._getPrefixKey(item);
+      if (!this._groups.has(prefix)) {
+        this._groups.set(prefix, []);
+      }
+      this._groups.get(prefix).push(entry);
+    });
+
+    this._groups.forEach((entries) => entries.sort((a, b) => a.key - b.key));
+  }
+
+  /**
+   * 增量插入一条记录
+   * @param {Object} item - 数据项
+   */
+  insert(item) {
+    const entry = this._toEntry(item);
+    if (!entry) return;
+
+    const prefix = this._getPrefixKey(item);
+    if (!this._groups.has(prefix)) {
+      this._groups.set(prefix, []);
+    }
+
+    const entries = this._groups.get(prefix);
+    entries.splice(this._bisect(entries, entry.key, true), 0, entry);
+  }
+
+  /**
+   * 增量删除一条记录
+   * @param {Object} item - 数据项（与插入时为同一对象）
+   * @description 记录在插入后被修改过前缀字段时，会在所有分组中查找
+   */
+  remove(item) {
+    const prefix = this._getPrefixKey(item);
+    const groups = this._groups.has(prefix)
+      ? [[prefix, this._groups.get(prefix)]]
+      : [];
+
+    for (const [key, entries] of [...groups, ...this._groups]) {
+      const index = entries.findIndex((entry) => entry.item === item);
+      if (index === -1) continue;
+
+      entries.splice(index, 1);
+      if (entries.length === 0) {
+        this._groups.delete(key);
+      }
+      return;
+    }
+  }
+
+  /**
+   * 按前缀和范围查询
+   * @param {Array} prefixValues - 前缀字段的值（与 prefixFields 一一对应）
+   * @param {Object} range - 范围条件
+   * @param {*} [range.min] - 最小值
+   * @param {*} [range.max] - 最大值
+   * @param {boolean} [range.minExclusive=false] - 是否不含最小值
+   * @param {boolean} [range.maxExclusive=false] - 是否不含最大值
+   * @returns {Object[]|null} 匹配的记录（按范围字段正序），无法用该索引查询时返回 null
+   */
+  lookup(prefixValues, range) {
+    if (!this._rangeable || prefixValues.length !== this.prefixFields.length) {
+      return null;
+    }
+
+    const min = this._toBound(range.min);
+    const max = this._toBound(range.max);
+    if (min === null || max === null) return null;
+
+    const entries = this._groups.get(this._getPrefixKey(prefixValues)) || [];
+
+    const start =
+      min === undefined
+        ? 0
+        : this._bisect(entries, min.key, Boolean(range.minExclusive));
+    const end =
+      max === undefined
+        ? entries.length
+        : this._bisect(entries, max.key, !range.maxExclusive);
+
+    return entries.slice(start, Math.max(start, end)).map((e) => e.item);
+  }
+
+  /**
+   * 生成记录的索引条目
+   * @private
+   * @param {Object} item - 数据项
+   * @returns {Object|null} 条目 {key, item}，范围字段为空或类型不一致时返回 null
+   * @description 范围字段类型与已有记录不一致时，索引不再提供范围查询
+   */
+  _toEntry(item) {
+    const value = item[this.rangeField];
+    if (value == null || String(value).trim() === "") return null;
+
+    const orderKey = this._queryEngine.toOrderKey(value);
+    if (!orderKey || (this._kind && orderKey.kind !== this._kind)) {
+      this._rangeable = false;
+      return null;
+    }
+    this._kind = orderKey.kind;
+
+    return { key: orderKey.key, item };
+  }
+
+  /**
+   * 转换范围边界
+   * @private
+   * @param {*} value - 边界值
+   * @returns {Object|undefined|null} 排序键；未指定边界返回 undefined；类型与索引不一致返回 null
+   */
+  _toBound(value) {
+    if (value == null || String(value).trim() === "") return undefined;
+
+    const orderKey = this._queryEngine.toOrderKey(value);
+    if (!orderKey) return null;
+    if (this._kind && orderKey.kind !== this._kind) return null;
+    return orderKey;
+  }
+
+  /**
+   * 二分查找位置
+   * @private
+   * @param {Object[]} entries - 有序条目
+   * @param {number} key - 排序键
+   * @param {boolean} after - true 返回第一个大于 key 的位置，false 返回第一个不小于 key 的位置
+   * @returns {number} 位置
+   */
+  _bisect(entries, key, after) {
+    let low = 0;
+    let high = entries.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      const current = entries[mid].key;
+      if (current < key || (after && current === key)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * 获取前缀分组键
+   * @private
+   * @param {Object|Array} source - 数据项或前缀值数组
+   * @returns {string} 分组键
+   */
+  _getPrefixKey(source) {
+    return this.prefixFields
+      .map((field, i) => {
+        const value = Array.isArray(source) ? source[i] : source[field];
+        return value != undefined ? String(value) : "";
+      })
+      .join("¦");
+  }
+}
@@ -10,7 +10,9 @@
  * - 销售数据缓存管理
  *
  * 该类采用单例模式，确保全局只有一个统计服务实例。
- * 所有统计方法都基于 ProductSales 实体数据计算。
+ * 所有统计方法都基于 ProductSales 实体数据计算：
+ * - 归档截止日期之后的数据从【商品销售】读取
+ * - 截止日期及以前的数据年/月销量取自【销售汇总】，周/日销量从归档工作表读取（见 SalesArchiveService）
  *
  * @example
  * // 获取统计服务实例
@@ -40,6 +42,7 @@ class StatisticsService {
 
     this._repository = repository || Repository.getInstance();
     this._converter = Converter.getInstance();
+    this._archive = SalesArchiveService.getInstance(this._repository);
 
     this._salesCache = null;
     this._currentDate = new Date();
@@ -73,19 +76,35 @@ class StatisticsService {
   }
 
   /**
-   * 计算数据集中指定字段的总和
+   * 计算符合条件的销售记录中指定字段的总和
    * @private
-   * @param {Object[]} items - 数据项数组
+   * @param {Object} match - 过滤条件
    * @param {string} field - 字段名
    * @returns {number} 字段总和
    * @description
-   * 遍历数组，累加每个元素的指定字段值。
-   * 如果字段值不存在，按0处理。
+   * 通过仓库的 aggregate 方法一次遍历完成求和，字段值不是数字时按0处理。
+   * 只统计归档截止日期之后的记录，更早的记录以归档为准。
    */
-  _sumField(items, field) {
-    return items.reduce((sum, item) => {
-      return sum + item[field] || 0;
-    }, 0);
+  _sumSales(match, field) {
+    const through = this._archive.getArchivedThroughDate();
+    const [row] = this._repository.aggregate("ProductSales", {
+      match: through
+        ? { $and: [match, { salesDate: { $gt: through } }] }
+        : match,
+      measures: { sum: field },
+    });
+    return row[`${field}_sum`];
+  }
+
+  /**
+   * 计算归档销售记录中指定字段的总和
+   * @private
+   * @param {Object[]} sales - 销售记录数组
+   * @param {string} field - 字段名
+   * @returns {number} 字段总和，字段值不是数字时按0处理
+   */
+  _sumArchived(sales, field) {
+    return sales.reduce((sum, sale) => sum + (Number(sale[field]) || 0), 0);
   }
 
   /**
@@ -94,16 +113,15 @@ class StatisticsService {
    * @param {number} year - 年份
    * @returns {number} 全年销量总和
    * @description
-   * 调用仓库的 findSalesByItemAndYear 方法查询该年份的所有销售记录，
-   * 然后累加 salesQuantity 字段。
+   * 汇总该货号该年份所有销售记录的 salesQuantity 字段（含已归档部分的年汇总）。
    */
   getYearTotalSales(itemNumber, year) {
     if (!itemNumber) return 0;
 
-    // 查询销售数据
-    const sales = this._repository.findSalesByItemAndYear(itemNumber, year);
-
-    return this._sumField(sales, "salesQuantity");
+    return (
+      this._sumSales({ itemNumber, salesYear: year }, "salesQuantity") +
+      this._archive.getArchivedTotal(itemNumber, year)
+    );
   }
 
   /**
@@ -113,20 +131,16 @@ class StatisticsService {
    * @param {number} month - 月份（1-12）
    * @returns {number} 月销量总和
    * @description
-   * 调用仓库的 findSalesByItemAndYearMonth 方法查询该月的所有销售记录，
-   * 然后累加 salesQuantity 字段。
+   * 汇总该货号该月所有销售记录的 salesQuantity 字段（含已归档部分的月汇总）。
    */
   getMonthSales(itemNumber, year, month) {
     if (!itemNumber) return 0;
 
-    // 查询销售数据
-    const sales = this._repository.findSalesByItemAndYearMonth(
-      itemNumber,
-      year,
-      month,
+    const yearMonth = `${year}-${String(month).padStart(2, "0")}`;
+    return (
+      this._sumSales({ itemNumber, yearMonth }, "salesQuantity") +
+      this._archive.getArchivedTotal(itemNumber, year, month)
     );
-
-    return this._sumField(sales, "salesQuantity");
   }
 
   /**
@@ -136,20 +150,25 @@ class StatisticsService {
    * @param {number} week - 周数（1-53）
    * @returns {number} 周销量总和
    * @description
-   * 调用仓库的 findSalesByItemAndYearWeek 方法查询该周的所有销售记录，
-   * 然后累加 salesQuantity 字段。
+   * 汇总该货号该周所有销售记录的 salesQuantity 字段。
+   * 周与年份的对应规则与 ProductSales 的 yearWeek 一致（自然年 + ISO周数），已归档部分从归档中读取。
    */
   getWeekSales(itemNumber, year, week) {
     if (!itemNumber) return 0;
 
-    // 查询销售数据
-    const sales = this._repository.findSalesByItemAndYearWeek(
-      itemNumber,
-      year,
-      week,
-    );
+    const yearWeek = `${year}-${String(week).padStart(2, "0")}`;
+    const archived = this._archive
+      .findArchivedSales(itemNumber, `${year}-01-01`, `${year}-12-31`)
+      .filter(
+        (sale) =>
+          this._getISOWeekNumber(this._converter.parseDate(sale.salesDate)) ===
+          week,
+      );
 
-    return this._sumField(sales, "salesQuantity");
+    return (
+      this._sumSales({ itemNumber, yearWeek }, "salesQuantity") +
+      this._sumArchived(archived, "salesQuantity")
+    );
   }
 
   /**
@@ -160,12 +179,17 @@ class StatisticsService {
    * @description
    * 调用仓库的 findSalesByItemAndDate 方法查询该日期的销售记录，
    * 返回 salesQuantity 字段，如果没有记录则返回0。
+   * 日期不晚于归档截止日期时从归档中查询。
    */
   getDaySales(itemNumber, date) {
     if (!itemNumber) return 0;
 
     // 查询销售数据
-    const sale = this._repository.findSalesByItemAndDate(itemNumber, date);
+    const through = this._archive.getArchivedThroughDate();
+    const sale =
+      through && this._converter.toDateStr(date) <= through
+        ? this._archive.findArchivedSales(itemNumber, date, date)[0]
+        : this._repository.findSalesByItemAndDate(itemNumber, date);
 
     return sale ? sale.salesQuantity : 0;
   }
@@ -177,8 +201,8 @@ class StatisticsService {
    * @param {string} field - 字段名（如 salesQuantity, exposureUV, productDetailsUV 等）
    * @returns {number} 指定字段的总和
    * @description
-   * 调用仓库的 findSalesLastNDays 方法查询近N天的所有销售记录，
-   * 然后累加指定字段的值。
+   * 汇总该货号近N天（销售日期不早于今天往前N天）所有销售记录的指定字段。
+   * 范围涉及已归档日期时，一并汇总归档中的记录。
    *
    * @example
    * // 获取近7天曝光UV总和
@@ -187,10 +211,22 @@ class StatisticsService {
   getLastNDaysSum(itemNumber, days, field) {
     if (!itemNumber) return 0;
 
-    // 查询销售数据
-    const sales = this._repository.findSalesLastNDays(itemNumber, days);
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
 
-    return this._sumField(sales, field);
+    return (
+      this._sumSales(
+        {
+          itemNumber,
+          salesDate: { $gte: this._converter.toDateStr(startDate) },
+        },
+        field,
+      ) +
+      this._sumArchived(
+        this._archive.findArchivedSales(itemNumber, startDate, new Date()),
+        field,
+      )
+    );
   }
 
   /**
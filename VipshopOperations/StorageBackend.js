@@ -0,0 +1,192 @@
+/**
+ * 存储后端基类 - 定义 ExcelDAO 所依赖的底层存储接口
+ *
+ * @class StorageBackend
+ * @description ExcelDAO 不再直接操作 WPS 对象模型，而是通过存储后端读写“工作表”。
+ * 一个存储后端负责：
+ * - 定位主工作簿（提供工作簿名称，用于提取品牌）
+ * - 以二维数组的形式读取/写入/清空工作表
+ * - 在工作表末尾追加行（可选，变更日志使用，不支持时 ExcelDAO 退回整表写入）
+ * - 复制工作表、基于工作表创建新工作簿、删除工作表（报表输出使用）
+ * - 设置列宽、数字格式、标题颜色等展示格式（不支持时可忽略）
+ *
+ * 方法中的 `workbook` 参数均为后端自身的工作簿句柄（由 getWorkbook/createWorkbook 返回），
+ * 省略时表示主工作簿。上层代码应把句柄视为不透明对象。
+ *
+ * 内置实现：
+ * - WpsStorageBackend：基于 WPS/Excel 对象模型（默认）
+ * - FileStorageBackend：基于 .xlsx 文件或 CSV 文件夹，可在 Node 中无界面运行
+ *
+ * 由于宏模块的加载顺序不固定，实现类不使用 `extends` 继承本类，
+ * 而是按相同的方法签名实现接口，由 ExcelDAO 在创建时调用 `StorageBackend.assertImplemented` 校验。
+ *
+ * @example
+ * // 自定义后端只需实现以下方法
+ * class MemoryBackend {
+ *   getWorkbookName() { ... }
+ *   readSheet(wsName) { ... }
+ *   writeSheet(wsName, rows) { ... }
+ *   ...
+ * }
+ */
+class StorageBackend {
+  /** @type {string[]} 存储后端必须实现的方法 */
+  static REQUIRED_METHODS = [
+    "getWorkbookName",
+    "getWorkbook",
+    "readSheet",
+    "writeSheet",
+    "clearSheet",
+    "copySheet",
+    "createWorkbook",
+    "deleteSheet",
+    "save",
+  ];
+
+  /**
+   * 校验对象是否实现了存储后端接口
+   * @static
+   * @param {Object} backend - 存储后端实例
+   * @returns {Object} 原样返回存储后端
+   * @throws {Error} 缺少必需方法时抛出
+   */
+  static assertImplemented(backend) {
+    const missing = StorageBackend.REQUIRED_METHODS.filter(
+      (method) => typeof backend?.[method] !== "function",
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `存储后端【${backend?.constructor?.name}】缺少方法：${missing.join("、")}`,
+      );
+    }
+    return backend;
+  }
+
+  /**
+   * 获取主工作簿名称
+   * @abstract
+   * @returns {string} 工作簿名称（需包含应用名称及【品牌】）
+   */
+  getWorkbookName() {
+    throw new Error(
+      `存储后端【${this.constructor.name}】未实现 getWorkbookName`,
+    );
+  }
+
+  /**
+   * 获取主工作簿句柄
+   * @abstract
+   * @returns {*} 工作簿句柄
+   */
+  getWorkbook() {
+    throw new Error(`存储后端【${this.constructor.name}】未实现 getWorkbook`);
+  }
+
+  /**
+   * 获取工作表的原生对象（仅对象模型类后端可用）
+   * @param {string} wsName - 工作表名称
+   * @param {*} [workbook] - 工作簿句柄
+   * @returns {Object|null} 原生工作表对象，不支持或不存在时返回 null
+   */
+  getSheet(wsName, workbook = null) {
+    return null;
+  }
+
+  /**
+   * 读取工作表的已使用区域
+   * @abstract
+   * @param {string} wsName - 工作表名称
+   * @param {*} [workbook] - 工作簿句柄
+   * @returns {Array<Array<*>>|null} 二维数组（首行为标题），工作表为空时返回 null
+   * @throws {Error} 工作表不存在时抛出
+   */
+  readSheet(wsName, workbook = null) {
+    throw new Error(`存储后端【${this.constructor.name}】未实现 readSheet`);
+  }
+
+  /**
+   * 清空工作表内容后从 A1 开始写入二维数组，工作表不存在时自动创建
+   * @abstract
+   * @param {string} wsName - 工作表名称
+   * @param {Array<Array<*>>} rows - 要写入的二维数组
+   * @param {*} [workbook] - 工作簿句柄
+   */
+  writeSheet(wsName, rows, workbook = null) {
+    throw new Error(`存储后端【${this.constructor.name}】未实现 writeSheet`);
+  }
+
+  /**
+   * 在工作表已使用区域的下方追加数据行（不支持追加的后端可不实现）
+   * @param {string} wsName - 工作表名称
+   * @param {Array<Array<*>>} rows - 二维数组，首行为标题行，只用于与工作表的表头核对
+   * @param {*} [workbook] - 工作簿句柄
+   * @returns {boolean} 是否已追加；表头与工作表不一致或不支持追加时返回 false，由调用方整表写入
+   * @description 工作表不存在或为空时连同标题行一起写入
+   */
+  appendRows(wsName, rows, workbook = null) {
+    return false;
+  }
+
+  /**
+   * 清空工作表的内容和格式
+   * @abstract
+   * @param {string} wsName - 工作表名称
+   * @param {*} [workbook] - 工作簿句柄
+   */
+  clearSheet(wsName, workbook = null) {
+    throw new Error(`存储后端【${this.constructor.name}】未实现 clearSheet`);
+  }
+
+  /**
+   * 将主工作簿中的工作表复制到目标工作簿末尾
+   * @abstract
+   * @param {string} wsName - 源工作表名称
+   * @param {*} targetWorkbook - 目标工作簿句柄
+   * @param {string} [newName] - 新工作表名称，不提供时由后端决定
+   * @returns {string} 新工作表名称
+   */
+  copySheet(wsName, targetWorkbook, newName = null) {
+    throw new Error(`存储后端【${this.constructor.name}】未实现 copySheet`);
+  }
+
+  /**
+   * 以主工作簿中的某个工作表为模板创建新工作簿
+   * @abstract
+   * @param {string} wsName - 模板工作表名称
+   * @returns {*} 新工作簿句柄（仅包含该工作表的副本）
+   */
+  createWorkbook(wsName) {
+    throw new Error(
+      `存储后端【${this.constructor.name}】未实现 createWorkbook`,
+    );
+  }
+
+  /**
+   * 删除工作表
+   * @abstract
+   * @param {string} wsName - 工作表名称
+   * @param {*} [workbook] - 工作簿句柄
+   */
+  deleteSheet(wsName, workbook = null) {
+    throw new Error(`存储后端【${this.constructor.name}】未实现 deleteSheet`);
+  }
+
+  /**
+   * 设置工作表格式（不支持格式的后端可忽略）
+   * @param {string} wsName - 工作表名称
+   * @param {Object} format - 格式配置
+   * @param {Array<Object>} [format.columns] - 按列顺序的格式 {width, format, color}
+   * @param {Object} [format.header] - 标题行格式 {bold, rowHeight}
+   * @param {*} [workbook] - 工作簿句柄
+   */
+  formatSheet(wsName, format, workbook = null) {}
+
+  /**
+   * 保存工作簿
+   * @abstract
+   * @param {*} [workbook] - 工作簿句柄
+   */
+  save(workbook = null) {
+    throw new Error(`存储后端【${this.constructor.name}】未实现 save`);
+  }
+}
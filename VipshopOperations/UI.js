@@ -1,7 +1,10 @@
 // 全局服务实例
+let _repository = null;
 let _dataImportService = null;
 let _productService = null;
 let _reportEngine = null;
+let _salesArchiveService = null;
+let _validationReportWriter = null;
 
 // 程序主入口
 function Main() {
@@ -14,7 +17,21 @@ function _initializeServices() {
   try {
     // 初始化底层基础服务
     const _excelDAO = new ExcelDAO();
-    const _repository = new Repository(_excelDAO);
+    _repository = new Repository(_excelDAO);
+
+    // 合并【字段配置】中的覆盖
+    const overrides = _applyFieldOverrides(_excelDAO);
+
+    // 检查配置，有错误时停止初始化
+    const _configLinter = new ConfigLinter();
+    const lintReport = _configLinter.lint();
+    if (lintReport.errors.length > 0) {
+      throw new Error(_configLinter.formatReport(lintReport));
+    }
+    if (lintReport.warnings.length > 0) {
+      MsgBox(_configLinter.formatReport(lintReport), 48, "配置检查");
+    }
+
     const _profitCalculator = new ProfitCalculator(_repository);
 
     // 注册上下文
@@ -31,9 +48,18 @@ function _initializeServices() {
       _repository.registerIndexes(entityName, indexConfigs);
     }
 
+    // 升级工作簿结构
+    const _schemaMigrator = new SchemaMigrator(_excelDAO, _repository);
+    const migration = _schemaMigrator.run({ renames: overrides.renames });
+    if (migration.actions.length > 0 || migration.warnings.length > 0) {
+      MsgBox(_schemaMigrator.formatReport(migration), 64, "结构迁移");
+    }
+
     // 初始化服务实例
     _dataImportService = new DataImportService(_repository, _excelDAO);
     _productService = new ProductService(_repository);
+    _salesArchiveService = new SalesArchiveService(_repository, _excelDAO);
+    _validationReportWriter = new ValidationReportWriter(_excelDAO);
 
     // 初始化报表模板
     _reportEngine = new ReportEngine(_repository, _excelDAO);
@@ -44,14 +70,71 @@ function _initializeServices() {
   }
 }
 
+// 读取【字段配置】并应用到数据配置，工作表不存在或有误时使用内置配置
+function _applyFieldOverrides(excelDAO) {
+  const dataConfig = DataConfig.getInstance();
+
+  let overrides;
+  try {
+    overrides = _repository.findAll("FieldConfig");
+  } catch (e) {
+    try {
+      excelDAO.readRaw("FieldConfig");
+    } catch (readError) {
+      return dataConfig.applyOverrides([]);
+    }
+    MsgBox(`读取字段配置失败：${e.message}\n本次使用内置配置`, 48, "字段配置");
+    return dataConfig.applyOverrides([]);
+  }
+
+  try {
+    return dataConfig.applyOverrides(overrides);
+  } catch (e) {
+    MsgBox(`${e.message}\n本次使用内置配置`, 48, "字段配置");
+    return dataConfig.applyOverrides([]);
+  }
+}
+
 // 导入数据
 function UserForm1_CommandButton6_Click() {
   try {
-    const result = _dataImportService.import();
+    const result = _importWithConfirm();
+    if (!result) return;
+
+    MsgBox(_withWarnings(result.message), 64, "导入成功");
+  } catch (err) {
+    MsgBox(_withWarnings(_describeError("导入失败", err)), 16, "错误");
+  }
+}
+
+// 宽松导入：未通过验证的行移入【异常数据】
+function UserForm1_CommandButton7_Click() {
+  try {
+    const result = _importWithConfirm({ lenient: true });
+    if (!result) return;
+
+    MsgBox(
+      _withWarnings(result.message),
+      result.rejected > 0 ? 48 : 64,
+      "导入完成",
+    );
+  } catch (err) {
+    MsgBox(_withWarnings(_describeError("导入失败", err)), 16, "错误");
+  }
+}
+
+// 重新导入【异常数据】
+function UserForm1_CommandButton9_Click() {
+  try {
+    const result = _dataImportService.reimportQuarantine();
 
-    MsgBox(result.message, 64, "导入成功");
+    MsgBox(
+      _withWarnings(result.message),
+      result.rejected > 0 ? 48 : 64,
+      "重新导入完成",
+    );
   } catch (err) {
-    MsgBox(`导入失败：${err.message}`, 16, "错误");
+    MsgBox(_withWarnings(_describeError("重新导入失败", err)), 16, "错误");
   }
 }
 
@@ -64,9 +147,9 @@ function UserForm1_CommandButton1_Click() {
     const result = _productService.updateFromPriceData();
     const updateReport = _productService.generateUpdateReport(result);
 
-    MsgBox(updateReport, 64, "商品价格更新成功");
+    MsgBox(_withWarnings(updateReport), 64, "商品价格更新成功");
   } catch (err) {
-    MsgBox(`商品价格更新失败：${err.message}`, 16, "错误");
+    MsgBox(_withWarnings(_describeError("商品价格更新失败", err)), 16, "错误");
   }
 }
 
@@ -79,9 +162,9 @@ function UserForm1_CommandButton2_Click() {
     const result = _productService.updateFromRegularProducts();
     const updateReport = _productService.generateUpdateReport(result);
 
-    MsgBox(updateReport, 64, "常态商品更新成功");
+    MsgBox(_withWarnings(updateReport), 64, "常态商品更新成功");
   } catch (err) {
-    MsgBox(`常态商品更新失败：${err.message}`, 16, "错误");
+    MsgBox(_withWarnings(_describeError("常态商品更新失败", err)), 16, "错误");
   }
 }
 
@@ -94,9 +177,9 @@ function UserForm1_CommandButton4_Click() {
     const result = _productService.updateFromInventory();
     const updateReport = _productService.generateUpdateReport(result);
 
-    MsgBox(updateReport, 64, "商品库存更新成功");
+    MsgBox(_withWarnings(updateReport), 64, "商品库存更新成功");
   } catch (err) {
-    MsgBox(`商品库存更新失败：${err.message}`, 16, "错误");
+    MsgBox(_withWarnings(_describeError("商品库存更新失败", err)), 16, "错误");
   }
 }
 
@@ -109,9 +192,9 @@ function UserForm1_CommandButton10_Click() {
     const result = _productService.updateFromSalesData();
     const updateReport = _productService.generateUpdateReport(result);
 
-    MsgBox(updateReport, 64, "商品销售更新成功");
+    MsgBox(_withWarnings(updateReport), 64, "商品销售更新成功");
   } catch (err) {
-    MsgBox(`商品销售更新失败：${err.message}`, 16, "错误");
+    MsgBox(_withWarnings(_describeError("商品销售更新失败", err)), 16, "错误");
   }
 }
 
@@ -124,9 +207,126 @@ function UserForm1_CommandButton5_Click() {
     const results = _productService.updateAll();
     const updateReport = _productService.generateUpdateReport(results);
 
-    MsgBox(updateReport, 64, "一键更新");
+    MsgBox(_withWarnings(updateReport), 64, "一键更新");
+  } catch (err) {
+    MsgBox(_withWarnings(_describeError("一键更新失败", err)), 16, "错误");
+  }
+}
+
+// 归档历史销售数据
+function UserForm1_CommandButton12_Click() {
+  try {
+    const result = _salesArchiveService.archive();
+    if (result.archived === 0) {
+      MsgBox("没有需要归档的销售数据", 64, "归档");
+      return;
+    }
+
+    MsgBox(
+      `已归档 ${result.archived} 条销售数据（截至 ${result.archivedThroughDate}）\n归档年份：${result.years.join("、")}`,
+      64,
+      "归档成功",
+    );
   } catch (err) {
-    MsgBox(`一键更新失败：${err.message}`, 16, "错误");
+    MsgBox(`归档失败：${err.message}`, 16, "错误");
+  }
+}
+
+// 撤销上一步操作
+function UserForm1_CommandButton8_Click() {
+  try {
+    const [last] = _repository.getUndoableOperations();
+    if (!last) {
+      MsgBox("没有可撤销的操作", 64, "撤销");
+      return;
+    }
+
+    const confirmed = MsgBox(
+      `确定撤销【${last.label}】吗？\n将恢复以下工作表：${last.worksheets.join("、")}`,
+      4 + 32,
+      "撤销",
+    );
+    if (confirmed !== 6) return;
+
+    const result = _repository.undoLast();
+
+    MsgBox(
+      `已撤销【${result.label}】\n已恢复：${result.worksheets.join("、")}`,
+      64,
+      "撤销成功",
+    );
+  } catch (err) {
+    MsgBox(`撤销失败：${err.message}`, 16, "错误");
+  }
+}
+
+// 孤立数据报告
+function UserForm1_CommandButton14_Click() {
+  try {
+    const report = _repository.findOrphans();
+
+    MsgBox(_repository.formatOrphanReport(report), 64, "孤立数据");
+  } catch (err) {
+    MsgBox(`检查孤立数据失败：${err.message}`, 16, "错误");
+  }
+}
+
+// 清除【校验结果】在源工作表中的标记
+function UserForm1_CommandButton11_Click() {
+  try {
+    const cleared = _validationReportWriter.clearHighlights();
+
+    MsgBox(
+      cleared > 0 ? `已清除 ${cleared} 个单元格的标记` : "没有需要清除的标记",
+      64,
+      "清除标记",
+    );
+  } catch (err) {
+    MsgBox(`清除标记失败：${err.message}`, 16, "错误");
+  }
+}
+
+// 导入数据，表头同时符合多个工作表时询问是否导入到得分最高的工作表，取消时返回 null
+function _importWithConfirm(options = {}) {
+  try {
+    return _dataImportService.import(options);
+  } catch (err) {
+    if (!err.candidates) throw err;
+
+    const [best] = err.candidates;
+    const confirmed = MsgBox(
+      `${err.message}\n\n是否导入到【${best.worksheet}】？`,
+      4 + 32,
+      "确认导入类型",
+    );
+    if (confirmed !== 6) return null;
+
+    return _dataImportService.import({
+      ...options,
+      targetEntity: best.entityName,
+    });
+  }
+}
+
+// 在提示信息后附加保存时产生的警告（如 warn 级别的外键问题）
+function _withWarnings(message) {
+  const warnings = _repository.drainWarnings();
+  if (warnings.length === 0) return message;
+
+  return `${message}\n\n警告：\n${warnings.join("\n")}`;
+}
+
+// 验证失败时将错误明细写入【校验结果】并标出出错的单元格，提示框只显示汇总
+function _describeError(prefix, err) {
+  if (!err.validations) return `${prefix}：${err.message}`;
+
+  try {
+    const summary = _validationReportWriter.write(err.validations, {
+      highlight: true,
+    });
+    return `${prefix}：数据验证失败，${_validationReportWriter.formatSummary(summary)}`;
+  } catch (e) {
+    return `${prefix}：${err.message}`;
   }
 }
 
@@ -170,29 +370,11 @@ function _buildQueryFromUI() {
     Object.assign(query, { offlineReason: { $in: reasons } });
 
   // 售龄
-  const ageRange = [];
-  if (isFinite(UserForm1.TextEdit31?.Value))
-    ageRange[0] = Number(UserForm1.TextEdit31?.Value);
-  if (isFinite(UserForm1.TextEdit32?.Value))
-    ageRange[1] = Number(UserForm1.TextEdit32?.Value);
-
-  if (ageRange.length === 1) {
-    Object.assign(query, {
-      salesAge: { $gte: ageRange[0] },
-    });
-  }
-
-  if (ageRange.length === 2) {
-    if (ageRange[0]) {
-      Object.assign(query, {
-        salesAge: { $between: [ageRange[0], ageRange[1]] },
-      });
-    } else {
-      Object.assign(query, {
-        salesAge: { $lte: ageRange[1] },
-      });
-    }
-  }
+  _addSalesAgeCondition(
+    query,
+    _readNumber(UserForm1.TextEdit31),
+    _readNumber(UserForm1.TextEdit32),
+  );
 
   // 营销定位
   const positions = [];
@@ -229,54 +411,70 @@ function _buildQueryFromUI() {
   if (UserForm1.CheckBox23?.Value) stockModes.push("现货");
   if (UserForm1.CheckBox24?.Value) stockModes.push("通版通货");
   if (UserForm1.CheckBox25?.Value) stockModes.push("专版通货");
-  if (stockModes.length > 0) query.stockingMode = stockModes;
+  if (stockModes.length > 0)
+    Object.assign(query, { stockingMode: { $in: stockModes } });
 
   // 数值范围
-  if (UserForm1.TextEdit1?.Value || UserForm1.TextEdit11?.Value) {
-    query.salesAge = [
-      UserForm1.TextEdit1?.Value
-        ? Number(UserForm1.TextEdit1.Value)
-        : undefined,
-      UserForm1.TextEdit11?.Value
-        ? Number(UserForm1.TextEdit11.Value)
-        : undefined,
-    ];
-  }
+  _addSalesAgeCondition(
+    query,
+    _readNumber(UserForm1.TextEdit1),
+    _readNumber(UserForm1.TextEdit11),
+  );
+  _addRangeCondition(
+    query,
+    "profit",
+    _readNumber(UserForm1.TextEdit3),
+    _readNumber(UserForm1.TextEdit4),
+  );
+  _addRangeCondition(
+    query,
+    "sellableInventory",
+    _readNumber(UserForm1.TextEdit7),
+    _readNumber(UserForm1.TextEdit8),
+  );
+  _addRangeCondition(
+    query,
+    "salesQuantityOfLast7Days",
+    _readNumber(UserForm1.TextEdit14),
+    _readNumber(UserForm1.TextEdit15),
+  );
 
-  if (UserForm1.TextEdit3?.Value || UserForm1.TextEdit4?.Value) {
-    query.profit = [
-      UserForm1.TextEdit3?.Value
-        ? Number(UserForm1.TextEdit3.Value)
-        : undefined,
-      UserForm1.TextEdit4?.Value
-        ? Number(UserForm1.TextEdit4.Value)
-        : undefined,
-    ];
-  }
+  return query;
+}
 
-  if (UserForm1.TextEdit7?.Value || UserForm1.TextEdit8?.Value) {
-    query.sellableInventory = [
-      UserForm1.TextEdit7?.Value
-        ? Number(UserForm1.TextEdit7.Value)
-        : undefined,
-      UserForm1.TextEdit8?.Value
-        ? Number(UserForm1.TextEdit8.Value)
-        : undefined,
-    ];
-  }
+// 读取文本框中的数字，空白或非数字时返回undefined
+function _readNumber(textEdit) {
+  const text = String(textEdit?.Value ?? "").trim();
+  if (text === "") return undefined;
+
+  const value = Number(text);
+  return isFinite(value) ? value : undefined;
+}
+
+// 添加数值范围条件，同一字段的多个范围同时生效
+function _addRangeCondition(query, field, min, max) {
+  if (min === undefined && max === undefined) return;
+
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
 
-  if (UserForm1.TextEdit14?.Value || UserForm1.TextEdit15?.Value) {
-    query.salesQuantityOfLast7Days = [
-      UserForm1.TextEdit14?.Value
-        ? Number(UserForm1.TextEdit14.Value)
-        : undefined,
-      UserForm1.TextEdit15?.Value
-        ? Number(UserForm1.TextEdit15.Value)
-        : undefined,
-    ];
+  if (query[field] === undefined) {
+    query[field] = range;
+  } else {
+    query.$and = [...(query.$and || []), { [field]: range }];
   }
+}
 
-  return query;
+// 添加售龄范围条件：转换为上架日期范围，以便使用上架日期的有序索引
+// 售龄 = 距上架日期的天数，售龄 >= min 即上架日期 <= 今天 - min 天
+function _addSalesAgeCondition(query, min, max) {
+  const daysAgo = (days) =>
+    days === undefined
+      ? undefined
+      : new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+
+  _addRangeCondition(query, "firstListingTime", daysAgo(max), daysAgo(min));
 }
 
 // 从UI获取排序条件
@@ -284,8 +482,13 @@ function _bulidSortFromUI() {}
 
 // 生成报表
 function UserForm1_CommandButton13_Click() {
-  _reportEngine.setCurrentTemplate("库存预警报表");
-  _reportEngine.generateReport();
+  try {
+    _reportEngine.setContext({ query: _buildQueryFromUI() });
+    _reportEngine.setCurrentTemplate("库存预警报表");
+    _reportEngine.generateReport();
+  } catch (err) {
+    MsgBox(`报表生成失败：${err.message}`, 16, "错误");
+  }
 }
 // let _repository = null;
 // let _excelDAO = null;
@@ -21,6 +21,18 @@
  * - year: 年份范围验证
  * - month: 月份验证（1-12）
  * - week: 周数验证（1-53）
+ * - notFuture: 日期不能晚于今天
+ *
+ * 验证级别（验证规则和实体规则的 severity）：
+ * - error（默认）: 验证失败，阻止保存
+ * - warning: 只记为警告（结果中的 warnings），数据照常保存
+ *
+ * 内置实体规则（跨字段，在实体配置的 rules 中声明）：
+ * - compare: 比较相邻字段的大小，如 { type: "compare", fields: ["finalPrice", "vipshopPrice", "tagPrice"], operator: "<=" }
+ *   表示 到手价 ≤ 唯品价 ≤ 市场价；任一字段为空或不是数字/日期时跳过（格式由字段验证规则负责）
+ * - computed: 对计算字段执行一条验证规则（计算字段不参与字段验证），如
+ *   { type: "computed", fields: ["profitRate"], validator: { type: "nonNegative" }, severity: "warning" }；
+ *   计算字段须已安装在实体上（Repository 验证前安装），值为空时跳过
  *
  * 该类采用单例模式，确保全局只有一个验证引擎实例。
  *
@@ -36,6 +48,9 @@
  * // 验证整个实体
  * const entityResult = validator.validateEntity(product, productConfig, { allData: products });
  *
+ * // 注册自定义实体规则
+ * validator.registerRule("sumEquals", (entity, rule, entityConfig) => [...]);
+ *
  * // 验证实体集合并格式化错误
  * const results = validator.validateAll(products, productConfig);
  * const errorMsg = validator.formatErrors(results, "商品");
@@ -44,6 +59,16 @@ class ValidationEngine {
   /** @type {ValidationEngine} 单例实例 */
   static _instance = null;
 
+  /** @type {Object.<string, Object>} compare 规则支持的比较符及其不满足时的描述 */
+  static COMPARE_OPERATORS = {
+    "<": { test: (a, b) => a < b, text: "必须小于" },
+    "<=": { test: (a, b) => a <= b, text: "不能大于" },
+    ">": { test: (a, b) => a > b, text: "必须大于" },
+    ">=": { test: (a, b) => a >= b, text: "不能小于" },
+    "==": { test: (a, b) => a === b, text: "必须等于" },
+    "!=": { test: (a, b) => a !== b, text: "不能等于" },
+  };
+
   /**
    * 创建验证引擎实例
    * @private
@@ -54,6 +79,8 @@ class ValidationEngine {
     }
 
     this._config = DataConfig.getInstance();
+    this._queryEngine = QueryEngine.getInstance();
+    this._converter = Converter.getInstance();
 
     // 默认验证规则
     this._validators = {
@@ -196,6 +223,69 @@ class ValidationEngine {
           message: "周数必须在1-53之间",
         };
       },
+
+      // 日期不晚于今天（不是有效日期时由 date 规则负责）
+      notFuture: (value, params) => {
+        const dateStr = this._converter.toDateStr(value);
+        if (!dateStr) return { valid: true };
+
+        const today = this._converter.toDateStr(new Date());
+        return {
+          valid: dateStr <= today,
+          message: params?.message || "不能晚于今天",
+        };
+      },
+    };
+
+    // 默认实体规则：返回错误信息数组
+    this._rules = {
+      compare: (entity, rule, entityConfig) => {
+        const operator = rule.operator || "<=";
+        const errors = [];
+
+        for (let i = 0; i < rule.fields.length - 1; i++) {
+          const [left, right] = [rule.fields[i], rule.fields[i + 1]];
+          const leftKey = this._queryEngine.toOrderKey(entity[left]);
+          const rightKey = this._queryEngine.toOrderKey(entity[right]);
+          if (!leftKey || !rightKey || leftKey.kind !== rightKey.kind) continue;
+
+          if (
+            !ValidationEngine.COMPARE_OPERATORS[operator].test(
+              leftKey.key,
+              rightKey.key,
+            )
+          ) {
+            const leftTitle = this._getFieldTitle(
+              left,
+              entityConfig.fields[left],
+            );
+            const rightTitle = this._getFieldTitle(
+              right,
+              entityConfig.fields[right],
+            );
+            errors.push(
+              rule.message
+                ? `${rule.message}（${leftTitle}:${entity[left]}，${rightTitle}:${entity[right]}）`
+                : `【${leftTitle}】(${entity[left]})${ValidationEngine.COMPARE_OPERATORS[operator].text}【${rightTitle}】(${entity[right]})`,
+            );
+          }
+        }
+
+        return errors;
+      },
+
+      computed: (entity, rule, entityConfig) =>
+        rule.fields.flatMap(
+          (field) =>
+            this.validateField(
+              entity[field],
+              {
+                ...entityConfig.fields[field],
+                validators: [{ ...rule.validator, severity: "error" }],
+              },
+              field,
+            ).errors,
+        ),
     };
 
     ValidationEngine._instance = this;
@@ -352,6 +442,75 @@ class ValidationEngine {
     this._validators[name] = validatorFn;
   }
 
+  /**
+   * 检查验证规则是否存在
+   * @param {string} name - 规则名称
+   * @returns {boolean} 内置或已注册的规则返回 true
+   */
+  hasValidator(name) {
+    return typeof this._validators[name] === "function";
+  }
+
+  /**
+   * 注册自定义实体规则
+   * @param {string} name - 规则名称
+   * @param {Function} ruleFn - 规则函数 (entity, rule, entityConfig) => string[]
+   * @description 规则函数返回错误信息数组，通过时返回空数组；rule 为实体配置 rules 中的规则对象
+   */
+  registerRule(name, ruleFn) {
+    this._rules[name] = ruleFn;
+  }
+
+  /**
+   * 检查实体规则是否存在
+   * @param {string} name - 规则名称
+   * @returns {boolean} 内置或已注册的规则返回 true
+   */
+  hasRule(name) {
+    return typeof this._rules[name] === "function";
+  }
+
+  /**
+   * 验证实体的跨字段规则
+   * @param {Object} entity - 实体对象
+   * @param {Object} entityConfig - 实体配置
+   * @param {string} [severity="error"] - 只验证该级别的规则（error/warning）
+   * @returns {string[]} 错误信息数组，全部通过时为空数组
+   * @throws {Error} 规则类型未注册时抛出
+   */
+  validateRules(entity, entityConfig, severity = "error") {
+    return this._checkRules(entity, entityConfig, severity).map(
+      ({ message }) => message,
+    );
+  }
+
+  /**
+   * 验证实体的跨字段规则，保留错误对应的规则
+   * @private
+   * @param {Object} entity - 实体对象
+   * @param {Object} entityConfig - 实体配置
+   * @param {string} severity - 只验证该级别的规则（error/warning）
+   * @returns {Object[]} 错误数组 [{rule, message}]，rule 为实体配置中的规则对象
+   * @throws {Error} 规则类型未注册时抛出
+   */
+  _checkRules(entity, entityConfig, severity) {
+    const failures = [];
+
+    (entityConfig.rules || []).forEach((rule) => {
+      if ((rule.severity || "error") !== severity) return;
+
+      const ruleFn = this._rules[rule.type];
+      if (!ruleFn) {
+        throw new Error(`未知的实体规则【${rule.type}】`);
+      }
+      ruleFn(entity, rule, entityConfig).forEach((message) =>
+        failures.push({ rule, message }),
+      );
+    });
+
+    return failures;
+  }
+
   /**
    * 验证单个值
    * @param {*} value - 要验证的值
@@ -382,21 +541,25 @@ class ValidationEngine {
    * @param {Object} fieldConfig - 字段配置
    * @param {string} fieldName - 字段名
    * @returns {Object} 验证结果
-   * @returns {boolean} return.valid - 是否通过验证
+   * @returns {boolean} return.valid - 是否通过验证（不受警告影响）
    * @returns {string[]} return.errors - 错误信息数组
+   * @returns {string[]} return.warnings - 警告信息数组（severity 为 warning 的规则）
+   * @returns {Object[]} return.failures - 未通过的规则 [{rule, message, severity}]，rule 为规则类型
    * @description
    * 验证逻辑：
    * 1. 如果字段没有验证规则，直接通过
    * 2. 遍历字段配置的所有验证规则
    * 3. 对于非 required 规则，如果值为空则跳过验证
-   * 4. 收集所有验证失败的错误信息
+   * 4. 收集所有验证失败的错误信息，warning 级别的规则记入警告
    */
   validateField(value, fieldConfig, fieldName) {
     if (!fieldConfig.validators || fieldConfig.validators.length === 0) {
-      return { valid: true, errors: [] };
+      return { valid: true, errors: [], warnings: [], failures: [] };
     }
 
     const errors = [];
+    const warnings = [];
+    const failures = [];
     const fieldTitle = fieldConfig.title || fieldName;
 
     // 遍历验证字段的所有验证规则
@@ -411,13 +574,21 @@ class ValidationEngine {
 
       const result = this.validateValue(value, validator, fieldTitle);
       if (!result.valid) {
-        errors.push(result.message);
+        const severity = validator.severity || "error";
+        (severity === "warning" ? warnings : errors).push(result.message);
+        failures.push({
+          rule: validator.type,
+          message: result.message,
+          severity,
+        });
       }
     }
 
     return {
       valid: errors.length === 0,
       errors,
+      warnings,
+      failures,
     };
   }
 
@@ -432,16 +603,23 @@ class ValidationEngine {
    * @returns {Object} return.errors - 错误信息映射
    * @returns {string[]} return.errors[fieldName] - 字段的错误信息数组
    * @returns {string[]} return.errors._composite - 联合主键的错误信息
+   * @returns {string[]} return.errors._rules - 跨字段规则的错误信息
+   * @returns {Object} return.warnings - 警告信息映射，结构同 errors（不含 _composite），不影响 valid
+   * @returns {Object[]} return.details - 错误明细 [{fields, value, rule, message}]，
+   *   fields 为涉及的字段名数组，rule 为规则类型（主键重复时为 "uniqueKey"），用于生成【校验结果】
    * @returns {number} return.rowNumber - 实体在Excel中的行号
    * @description
    * 验证流程：
    * 1. 遍历实体配置中的所有字段（跳过计算字段）
    * 2. 对每个字段调用 validateField 进行验证
-   * 3. 如果提供了 allData，调用 _validateCompositeKey 验证主键唯一性
-   * 4. 收集所有验证错误
+   * 3. 调用 validateRules 验证实体配置中的跨字段规则
+   * 4. 如果提供了 allData，调用 _validateCompositeKey 验证主键唯一性
+   * 5. 收集所有验证错误和警告
    */
   validateEntity(entity, entityConfig, context = {}) {
     const errors = {};
+    const warnings = {};
+    const details = [];
 
     // 验证各个字段
     Object.entries(entityConfig.fields).forEach(([fieldName, fieldConfig]) => {
@@ -454,9 +632,35 @@ class ValidationEngine {
 
       if (!result.valid) {
         errors[fieldName] = result.errors;
+        result.failures
+          .filter((failure) => failure.severity === "error")
+          .forEach(({ rule, message }) =>
+            details.push({ fields: [fieldName], value, rule, message }),
+          );
+      }
+      if (result.warnings.length > 0) {
+        warnings[fieldName] = result.warnings;
       }
     });
 
+    // 验证跨字段规则
+    const ruleErrors = this._checkRules(entity, entityConfig, "error");
+    if (ruleErrors.length > 0) {
+      errors._rules = ruleErrors.map(({ message }) => message);
+      ruleErrors.forEach(({ rule, message }) =>
+        details.push({
+          fields: rule.fields || [],
+          value: (rule.fields || []).map((f) => entity[f]).join("、"),
+          rule: rule.type,
+          message,
+        }),
+      );
+    }
+    const ruleWarnings = this.validateRules(entity, entityConfig, "warning");
+    if (ruleWarnings.length > 0) {
+      warnings._rules = ruleWarnings;
+    }
+
     // 验证主键唯一性
     if (context.allData) {
       const compositeResult = this._validateCompositeKey(
@@ -466,12 +670,26 @@ class ValidationEngine {
       );
       if (!compositeResult.valid) {
         errors._composite = compositeResult.errors;
+
+        const fields = this._config.parseUniqueKey(
+          entityConfig.uniqueKey,
+        ).fields;
+        compositeResult.errors.forEach((message) =>
+          details.push({
+            fields,
+            value: this._getCompositeKeyValue(entity, fields),
+            rule: "uniqueKey",
+            message,
+          }),
+        );
       }
     }
 
     return {
       valid: Object.keys(errors).length === 0,
       errors,
+      warnings,
+      details,
       rowNumber: entity._rowNumber,
     };
   }
@@ -487,11 +705,13 @@ class ValidationEngine {
    * @returns {number} return.summary.total - 总实体数
    * @returns {number} return.summary.valid - 有效实体数
    * @returns {number} return.summary.invalid - 无效实体数
+   * @returns {number} return.summary.warned - 有警告的实体数
+   * @returns {Object[]} return.warnings - 有警告的实体 [{data, index, rowNumber, messages}]
    * @description
    * 验证流程：
    * 1. 遍历所有实体
    * 2. 对每个实体调用 validateEntity（传入整个数据集用于唯一性验证）
-   * 3. 收集统计信息
+   * 3. 收集统计信息和警告
    */
   validateAll(entities, entityConfig) {
     const results = {
@@ -501,7 +721,9 @@ class ValidationEngine {
         total: entities.length,
         valid: 0,
         invalid: 0,
+        warned: 0,
       },
+      warnings: [],
     };
 
     entities.forEach((entity, index) => {
@@ -521,6 +743,17 @@ class ValidationEngine {
         results.summary.invalid++;
         results.valid = false;
       }
+
+      const messages = Object.values(result.warnings).flat();
+      if (messages.length > 0) {
+        results.summary.warned++;
+        results.warnings.push({
+          data: entity,
+          index,
+          rowNumber: result.rowNumber,
+          messages,
+        });
+      }
     });
 
     return results;
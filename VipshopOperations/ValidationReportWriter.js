@@ -0,0 +1,252 @@
+/**
+ * 校验结果输出器 - 将验证错误逐条写入【校验结果】工作表
+ *
+ * @class ValidationReportWriter
+ * @description ValidationEngine.formatErrors 把所有错误拼成一段文本，错误多时在提示框中无法阅读。
+ * 本类将验证失败的错误（error.validations，见 Repository._prepare 和 DataImportService）
+ * 按 行号、主键、字段、值、规则、错误信息 逐条写入【校验结果】：
+ * - 每次生成时整表替换，并先清除上一次的标记
+ * - 可选在源工作表（如【导入数据】）中用浅红色标出出错的单元格
+ * - clearHighlights 按【校验结果】中记录的位置一键清除标记
+ *
+ * 【校验结果】是临时的排查结果，不记入操作日志，撤销操作不会恢复它。
+ *
+ * 该类采用单例模式，确保全局只有一个输出器实例。
+ *
+ * @example
+ * const writer = ValidationReportWriter.getInstance(excelDAO);
+ *
+ * try {
+ *   dataImportService.import();
+ * } catch (e) {
+ *   if (e.validations) {
+ *     const summary = writer.write(e.validations, { highlight: true });
+ *     MsgBox(writer.formatSummary(summary));
+ *   }
+ * }
+ *
+ * // 修正数据后清除标记
+ * writer.clearHighlights();
+ */
+class ValidationReportWriter {
+  /** @type {ValidationReportWriter} 单例实例 */
+  static _instance = null;
+
+  /** @type {number} 标记出错单元格的颜色（浅红，VBA 颜色值） */
+  static HIGHLIGHT_COLOR = 13421823;
+
+  /**
+   * 创建校验结果输出器实例
+   * @param {ExcelDAO} [excelDAO] - Excel 数据访问对象，若不提供则自动获取
+   */
+  constructor(excelDAO) {
+    if (ValidationReportWriter._instance) {
+      return ValidationReportWriter._instance;
+    }
+
+    this._excelDAO = excelDAO || ExcelDAO.getInstance();
+    this._config = DataConfig.getInstance();
+    this._headerMatcher = HeaderMatcher.getInstance();
+
+    ValidationReportWriter._instance = this;
+  }
+
+  /**
+   * 获取校验结果输出器的单例实例
+   * @static
+   * @param {ExcelDAO} [excelDAO] - Excel 数据访问对象
+   * @returns {ValidationReportWriter} 校验结果输出器实例
+   */
+  static getInstance(excelDAO) {
+    if (!ValidationReportWriter._instance) {
+      ValidationReportWriter._instance = new ValidationReportWriter(excelDAO);
+    }
+    return ValidationReportWriter._instance;
+  }
+
+  /**
+   * 生成【校验结果】
+   * @param {Object[]} validations - 验证失败的结果 [{entityName, worksheet, result}]，
+   *   worksheet 为数据所在的工作表，result 为 ValidationEngine.validateAll 的结果
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.highlight=false] - 是否在源工作表中标出出错的单元格
+   * @returns {Object} 汇总 {errors, rows, worksheets, highlighted}
+   * @returns {number} return.errors - 错误条数
+   * @returns {number} return.rows - 出错的行数
+   * @returns {string[]} return.worksheets - 出错数据所在的工作表
+   * @returns {number} return.highlighted - 已标出的单元格数（后端不支持颜色时为 0）
+   */
+  write(validations, options = {}) {
+    this.clearHighlights();
+
+    const records = this.buildRecords(validations);
+    this._excelDAO.write("ValidationResult", records);
+
+    const highlighted = options.highlight ? this._highlight(records) : 0;
+
+    return {
+      errors: records.length,
+      rows: new Set(records.map((r) => `${r.worksheet}|${r.rowNumber}`)).size,
+      worksheets: [...new Set(records.map((r) => r.worksheet))],
+      highlighted,
+    };
+  }
+
+  /**
+   * 将验证结果转换为【校验结果】的记录
+   * @param {Object[]} validations - 验证失败的结果 [{entityName, worksheet, result}]
+   * @returns {Object[]} 记录数组，每条错误一条记录；columns 为涉及字段在源工作表中的列号（逗号分隔）
+   */
+  buildRecords(validations) {
+    const records = [];
+
+    validations.forEach(({ entityName, worksheet, result }) => {
+      const entityConfig = this._config.get(entityName);
+      const keyFields = entityConfig.uniqueKey
+        ? this._config.parseUniqueKey(entityConfig.uniqueKey).fields
+        : [];
+      const columns = this._readColumns(entityName, worksheet);
+
+      result.items
+        .filter((item) => !item.valid)
+        .forEach((item) => {
+          const key = keyFields
+            .map((f) => item.data[f] ?? "")
+            .join("¦")
+            .replace(/^¦+$/, "");
+
+          (item.details || []).forEach((detail) => {
+            records.push({
+              worksheet,
+              rowNumber: item.rowNumber,
+              columns: detail.fields
+                .filter((f) => f in columns)
+                .map((f) => columns[f] + 1)
+                .join(","),
+              key,
+              field: detail.fields
+                .map((f) => entityConfig.fields[f]?.title || f)
+                .join("、"),
+              value: detail.value == null ? "" : String(detail.value),
+              rule: detail.rule,
+              message: detail.message,
+            });
+          });
+        });
+    });
+
+    return records;
+  }
+
+  /**
+   * 清除上一次在源工作表中标出的单元格
+   * @returns {number} 清除标记的单元格数
+   */
+  clearHighlights() {
+    let records;
+    try {
+      records = this._excelDAO.read("ValidationResult");
+    } catch (e) {
+      // 尚未生成过【校验结果】
+      return 0;
+    }
+
+    // 只清除仍是标记颜色的单元格，用户已改为其他颜色的保留
+    let cleared = 0;
+    this._forEachCell(records, (cell) => {
+      if (
+        ExcelColorReader.getCellColor(cell) !==
+        ValidationReportWriter.HIGHLIGHT_COLOR
+      ) {
+        return;
+      }
+      ExcelColorReader.clearColor(cell);
+      cleared++;
+    });
+    return cleared;
+  }
+
+  /**
+   * 格式化汇总信息
+   * @param {Object} summary - write 的返回值
+   * @returns {string} 汇总文本
+   */
+  formatSummary(summary) {
+    const worksheet = this._config.get("ValidationResult").worksheet;
+    let message = `共${summary.rows}行${summary.errors}个错误，详见【${worksheet}】`;
+    if (summary.highlighted > 0) {
+      message += `，出错的单元格已在${summary.worksheets.map((ws) => `【${ws}】`).join("")}中标出`;
+    }
+    return message;
+  }
+
+  /**
+   * 在源工作表中标出出错的单元格
+   * @private
+   * @param {Object[]} records - 【校验结果】记录
+   * @returns {number} 标出的单元格数
+   */
+  _highlight(records) {
+    return this._forEachCell(records, (cell) =>
+      ExcelColorReader.applyColorToRange(
+        cell,
+        ValidationReportWriter.HIGHLIGHT_COLOR,
+      ),
+    );
+  }
+
+  /**
+   * 遍历记录对应的源单元格（同一单元格只处理一次）
+   * @private
+   * @param {Object[]} records - 【校验结果】记录
+   * @param {Function} callback - (cell) => void
+   * @returns {number} 处理的单元格数
+   */
+  _forEachCell(records, callback) {
+    const backend = this._excelDAO.getBackend();
+    const sheets = new Map();
+    const visited = new Set();
+
+    records.forEach((record) => {
+      if (!record.rowNumber || !record.columns) return;
+
+      if (!sheets.has(record.worksheet)) {
+        sheets.set(record.worksheet, backend.getSheet?.(record.worksheet));
+      }
+      const sheet = sheets.get(record.worksheet);
+      if (!sheet) return;
+
+      String(record.columns)
+        .split(",")
+        .forEach((column) => {
+          const address = `${record.worksheet}|${record.rowNumber}|${column}`;
+          if (visited.has(address)) return;
+
+          visited.add(address);
+          callback(sheet.Cells(record.rowNumber, Number(column)));
+        });
+    });
+
+    return visited.size;
+  }
+
+  /**
+   * 读取源工作表的表头，得到字段对应的列（与解析时一样按标题、别名或近似标题匹配）
+   * @private
+   * @param {string} entityName - 实体名称
+   * @param {string} worksheet - 数据所在的工作表
+   * @returns {Object.<string, number>} 字段名 -> 列下标（从 0 开始），工作表不存在时为空对象
+   */
+  _readColumns(entityName, worksheet) {
+    let header;
+    try {
+      header = this._excelDAO.readRaw(entityName, worksheet)[0];
+    } catch (e) {
+      // 工作表不存在时不标出单元格
+    }
+    if (!header) return {};
+
+    return this._headerMatcher.match(this._config.get(entityName), header)
+      .columns;
+  }
+}
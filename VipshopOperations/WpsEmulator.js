@@ -0,0 +1,1143 @@
+// ============================================================================
+// WpsEmulator.js - WPS 对象模型的内存模拟
+// 功能：在 Node 中模拟系统用到的 WPS/Excel 对象模型子集（Workbooks、Sheets、
+//       UsedRange.Value2、Range.Resize、Cells、Columns、Rows、Interior.Color、
+//       Copy/Delete/Add、Application.DisplayAlerts、MsgBox、UserForm1），
+//       使导入、更新、活动提报、报表生成等完整流程可以在 Linux 上执行并断言结果
+// ============================================================================
+
+/**
+ * WPS 模拟器
+ *
+ * @class WpsEmulator
+ * @description 持有所有模拟工作簿以及活动工作簿、消息框记录、窗体控件等状态，
+ * 通过 install() 把 `Workbooks`、`ActiveWorkbook`、`ActiveSheet`、`Application`、
+ * `MsgBox`、`UserForm1` 注册为全局变量，供业务代码原样使用。
+ *
+ * 模拟的 Excel 行为：
+ * - 通过 Value2 写入字符串时，前导单引号表示文本，数字/日期字符串会被转换为数值/日期序列号
+ *   （单元格或整列的数字格式为文本 "@" 时保持原样）
+ * - UsedRange 为所有非空或带格式单元格的外接矩形，空表时为 A1
+ * - 工作簿中只剩一张工作表时不能删除
+ * - 复制工作表时自动生成“名称 (2)”形式的不重名名称
+ *
+ * 在 Node 中启动：宏模块以脚本方式在全局作用域中执行，FileStorageBackend 等通过全局的
+ * `require` 加载 Node 模块，因此入口脚本需要先把 `require` 注册为全局变量。
+ *
+ * @example
+ * // node run.js
+ * globalThis.require = require;
+ * const WpsEmulator = require("/path/to/VipshopOperations/WpsEmulator.js");
+ *
+ * WpsEmulator.loadScripts("/path/to/VipshopOperations");
+ * const wps = new WpsEmulator();
+ * wps.addWorkbook("商品运营表【史努比】.xlsx", {
+ *   导入数据: [["货号", "款号"], ["A001", "K01"]],
+ *   货号总表: [["货号"]],
+ * });
+ * wps.install();
+ * wps.setControl("ComboBox3", "白金限量");
+ *
+ * UserForm1_CommandButton6_Click();
+ * wps.messages; // [{prompt, buttons, title}]
+ * wps.getWorkbook("商品运营表【史努比】.xlsx").toObject(); // {工作表名: 二维数组}
+ */
+class WpsEmulator {
+  /**
+   * 创建模拟器
+   */
+  constructor() {
+    /** @type {FakeWorkbook[]} 已打开的工作簿 */
+    this.workbooks = [];
+    /** @type {FakeWorkbook|null} 活动工作簿 */
+    this.activeWorkbook = null;
+    /** @type {Array<Object>} MsgBox 调用记录 {prompt, buttons, title} */
+    this.messages = [];
+    /** @type {Object} Application 对象 */
+    this.application = { DisplayAlerts: true, ScreenUpdating: true };
+    /** @type {number[]} MsgBox 依次返回的按钮值 */
+    this._msgBoxResults = [];
+    this._controls = new Map();
+    this._installed = null;
+    this._workbookSeq = 0;
+
+    this.userForm = this._createUserForm();
+  }
+
+  /**
+   * 在全局作用域中按顺序执行脚本文件（模拟 WPS 加载宏模块），
+   * 需要 Node 模块的脚本使用全局的 `require`（见类说明中的启动方式）
+   * @static
+   * @param {string} dir - 脚本所在目录
+   * @param {Object} [options] - 选项
+   * @param {string[]} [options.files] - 要加载的文件，默认目录下所有 .js 文件
+   * @param {string[]} [options.exclude] - 排除的文件，默认排除旧版 VipshopOperations.js
+   * 以及已经加载的 WpsEmulator.js 本身
+   */
+  static loadScripts(dir, options = {}) {
+    const vm = require("vm");
+    const fs = require("fs");
+    const path = require("path");
+    const exclude = options.exclude || [
+      "VipshopOperations.js",
+      "WpsEmulator.js",
+    ];
+
+    const files =
+      options.files ||
+      fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith(".js") && !exclude.includes(file))
+        .sort();
+
+    files.forEach((file) => {
+      const code = fs.readFileSync(path.join(dir, file), "utf8");
+      vm.runInThisContext(code, { filename: file });
+    });
+  }
+
+  /**
+   * 将 Excel 列号转换为列字母
+   * @static
+   * @param {number} column - 列号（从1开始）
+   * @returns {string} 列字母，如 1 → "A"、28 → "AB"
+   */
+  static columnToLetters(column) {
+    let letters = "";
+    while (column > 0) {
+      const mod = (column - 1) % 26;
+      letters = String.fromCharCode(65 + mod) + letters;
+      column = Math.floor((column - 1) / 26);
+    }
+    return letters;
+  }
+
+  /**
+   * 将列字母转换为列号
+   * @static
+   * @param {string} letters - 列字母
+   * @returns {number} 列号（从1开始）
+   */
+  static lettersToColumn(letters) {
+    return letters
+      .toUpperCase()
+      .split("")
+      .reduce((sum, ch) => sum * 26 + (ch.charCodeAt(0) - 64), 0);
+  }
+
+  /**
+   * 新建并打开一个工作簿
+   * @param {string} name - 工作簿名称
+   * @param {Object<string, Array<Array<*>>>} [sheets] - 工作表名称到二维数组的映射
+   * @returns {FakeWorkbook} 新工作簿（成为活动工作簿）
+   */
+  addWorkbook(name, sheets = {}) {
+    const workbook = new FakeWorkbook(this, name);
+    const entries = Object.entries(sheets);
+
+    if (entries.length === 0) {
+      workbook._addSheet("Sheet1");
+    }
+
+    entries.forEach(([sheetName, rows]) => {
+      const sheet = workbook._addSheet(sheetName);
+      sheet.setValues(rows);
+    });
+
+    this.workbooks.push(workbook);
+    this.activeWorkbook = workbook;
+    workbook.activeSheet = workbook.sheets[0];
+    return workbook;
+  }
+
+  /**
+   * 按名称或序号获取工作簿
+   * @param {string|number} key - 工作簿名称或序号（从1开始）
+   * @returns {FakeWorkbook} 工作簿
+   * @throws {Error} 不存在时抛出“下标越界”
+   */
+  getWorkbook(key) {
+    const workbook =
+      typeof key === "number"
+        ? this.workbooks[key - 1]
+        : this.workbooks.find((wb) => wb.Name === key);
+
+    if (!workbook) {
+      throw new Error(`下标越界：${key}`);
+    }
+    return workbook;
+  }
+
+  /**
+   * 设置窗体控件的值
+   * @param {string} name - 控件名称，如 "CheckBox17"、"ComboBox3"
+   * @param {*} value - 控件值
+   */
+  setControl(name, value) {
+    this.userForm[name].Value = value;
+  }
+
+  /**
+   * 预设 MsgBox 接下来依次返回的按钮值（如 6=是、7=否）
+   * @param {...number} results - 按钮值
+   */
+  queueMsgBoxResults(...results) {
+    this._msgBoxResults.push(...results);
+  }
+
+  /**
+   * 将模拟对象注册为全局变量
+   * @param {Object} [target] - 全局对象，默认 globalThis
+   * @returns {WpsEmulator} 当前模拟器
+   */
+  install(target = globalThis) {
+    const emulator = this;
+    const names = [
+      "Workbooks",
+      "ActiveWorkbook",
+      "ActiveSheet",
+      "Application",
+      "MsgBox",
+      "UserForm1",
+    ];
+
+    this._installed = {
+      target,
+      previous: names.map((name) => [
+        name,
+        Object.getOwnPropertyDescriptor(target, name),
+      ]),
+    };
+
+    const workbooks = (key) => emulator.getWorkbook(key);
+    Object.defineProperty(workbooks, "Count", {
+      get: () => emulator.workbooks.length,
+    });
+    workbooks.Item = workbooks;
+    workbooks.Add = () => {
+      emulator._workbookSeq++;
+      return emulator.addWorkbook(`工作簿${emulator._workbookSeq}`);
+    };
+
+    const define = (name, descriptor) =>
+      Object.defineProperty(target, name, {
+        configurable: true,
+        ...descriptor,
+      });
+
+    define("Workbooks", { value: workbooks, writable: true });
+    define("ActiveWorkbook", { get: () => emulator.activeWorkbook });
+    define("ActiveSheet", {
+      get: () => emulator.activeWorkbook?.activeSheet || null,
+    });
+    define("Application", { value: this.application, writable: true });
+    define("MsgBox", {
+      value: (prompt, buttons = 0, title = "") =>
+        emulator._msgBox(prompt, buttons, title),
+      writable: true,
+    });
+    define("UserForm1", { value: this.userForm, writable: true });
+
+    return this;
+  }
+
+  /**
+   * 撤销 install() 注册的全局变量
+   */
+  uninstall() {
+    if (!this._installed) return;
+
+    const { target, previous } = this._installed;
+    previous.forEach(([name, descriptor]) => {
+      if (descriptor) {
+        Object.defineProperty(target, name, descriptor);
+      } else {
+        delete target[name];
+      }
+    });
+    this._installed = null;
+  }
+
+  /**
+   * 模拟 MsgBox：记录调用并返回按钮值
+   * @private
+   * @param {string} prompt - 消息内容
+   * @param {number} buttons - 按钮及图标组合
+   * @param {string} title - 标题
+   * @returns {number} 按钮值（默认：是/否类返回6，其他返回1）
+   */
+  _msgBox(prompt, buttons, title) {
+    this.messages.push({ prompt: String(prompt), buttons, title });
+
+    if (this._msgBoxResults.length > 0) {
+      return this._msgBoxResults.shift();
+    }
+    return (buttons & 7) === 4 || (buttons & 7) === 3 ? 6 : 1;
+  }
+
+  /**
+   * 创建模拟窗体：访问任意控件名都会得到一个控件对象
+   * @private
+   * @returns {Object} 窗体对象
+   */
+  _createUserForm() {
+    const controls = this._controls;
+    const form = {
+      Show() {},
+      Hide() {},
+    };
+
+    return new Proxy(form, {
+      get(target, prop) {
+        if (prop in target || typeof prop !== "string") {
+          return target[prop];
+        }
+        if (!controls.has(prop)) {
+          const items = [];
+          controls.set(prop, {
+            Name: prop,
+            Value: undefined,
+            Caption: "",
+            Enabled: true,
+            Visible: true,
+            List: items,
+            Clear() {
+              items.length = 0;
+            },
+            AddItem(item) {
+              items.push(item);
+            },
+          });
+        }
+        return controls.get(prop);
+      },
+    });
+  }
+}
+
+/**
+ * 模拟工作簿
+ * @class FakeWorkbook
+ */
+class FakeWorkbook {
+  /**
+   * @param {WpsEmulator} emulator - 所属模拟器
+   * @param {string} name - 工作簿名称
+   */
+  constructor(emulator, name) {
+    this._emulator = emulator;
+    this.Name = name;
+    /** @type {FakeWorksheet[]} */
+    this.sheets = [];
+    /** @type {FakeWorksheet|null} */
+    this.activeSheet = null;
+    /** @type {number} 保存次数 */
+    this.saveCount = 0;
+    this.closed = false;
+
+    this.Sheets = this._createSheetsCollection();
+    this.Worksheets = this.Sheets;
+  }
+
+  /**
+   * 创建可调用的工作表集合：Sheets(name|index)、Sheets.Count、Sheets.Add()
+   * @private
+   * @returns {Function} 工作表集合
+   */
+  _createSheetsCollection() {
+    const workbook = this;
+    const sheets = (key) => workbook._getSheet(key);
+    Object.defineProperty(sheets, "Count", {
+      get: () => workbook.sheets.length,
+    });
+    sheets.Item = sheets;
+    sheets.Add = (before = null, after = null) => {
+      let seq = workbook.sheets.length + 1;
+      while (workbook.sheets.some((s) => s.Name === `Sheet${seq}`)) seq++;
+
+      let position = workbook.sheets.indexOf(workbook.activeSheet);
+      if (before) position = workbook.sheets.indexOf(before);
+      if (after) position = workbook.sheets.indexOf(after) + 1;
+      if (position < 0) position = 0;
+
+      const sheet = workbook._addSheet(`Sheet${seq}`, position);
+      workbook._activate(sheet);
+      return sheet;
+    };
+    return sheets;
+  }
+
+  /**
+   * @private
+   * @param {string|number} key - 工作表名称或序号
+   * @returns {FakeWorksheet} 工作表
+   */
+  _getSheet(key) {
+    const sheet =
+      typeof key === "number"
+        ? this.sheets[key - 1]
+        : this.sheets.find((s) => s.Name === key);
+
+    if (!sheet) {
+      throw new Error(`下标越界：${key}`);
+    }
+    return sheet;
+  }
+
+  /**
+   * @private
+   * @param {string} name - 工作表名称
+   * @param {number} [position] - 插入位置，默认末尾
+   * @returns {FakeWorksheet} 新工作表
+   */
+  _addSheet(name, position = this.sheets.length) {
+    const sheet = new FakeWorksheet(this, name);
+    this.sheets.splice(position, 0, sheet);
+    return sheet;
+  }
+
+  /**
+   * 生成不与现有工作表重名的名称
+   * @private
+   * @param {string} name - 期望名称
+   * @returns {string} 可用名称
+   */
+  _uniqueSheetName(name) {
+    let result = name;
+    for (let i = 2; this.sheets.some((s) => s.Name === result); i++) {
+      result = `${name} (${i})`;
+    }
+    return result;
+  }
+
+  /**
+   * @private
+   * @param {FakeWorksheet} sheet - 要激活的工作表
+   */
+  _activate(sheet) {
+    this.activeSheet = sheet;
+    this._emulator.activeWorkbook = this;
+  }
+
+  /** 保存工作簿 */
+  Save() {
+    this.saveCount++;
+  }
+
+  /** 激活工作簿 */
+  Activate() {
+    this._emulator.activeWorkbook = this;
+  }
+
+  /** 关闭工作簿 */
+  Close() {
+    const list = this._emulator.workbooks;
+    list.splice(list.indexOf(this), 1);
+    this.closed = true;
+    if (this._emulator.activeWorkbook === this) {
+      this._emulator.activeWorkbook = list[list.length - 1] || null;
+    }
+  }
+
+  /**
+   * 导出所有工作表的值（用于断言）
+   * @returns {Object<string, Array<Array<*>>>} 工作表名称到二维数组的映射
+   */
+  toObject() {
+    const result = {};
+    this.sheets.forEach((sheet) => {
+      result[sheet.Name] = sheet.getValues();
+    });
+    return result;
+  }
+}
+
+/**
+ * 模拟工作表
+ * @class FakeWorksheet
+ */
+class FakeWorksheet {
+  /**
+   * @param {FakeWorkbook} workbook - 所属工作簿
+   * @param {string} name - 工作表名称
+   */
+  constructor(workbook, name) {
+    this.Parent = workbook;
+    this._name = name;
+    /** @type {Map<string, Object>} "行,列" → {value, color, bold, numberFormat} */
+    this._cells = new Map();
+    /** @type {Map<number, Object>} 列号 → {ColumnWidth, NumberFormat} */
+    this._columns = new Map();
+    /** @type {Map<number, Object>} 行号 → {RowHeight, Bold} */
+    this._rows = new Map();
+
+    const sheet = this;
+    const cells = (row, column) =>
+      new FakeRange(sheet, row, column, row, column);
+    cells.ClearContents = () => sheet._allRange().ClearContents();
+    cells.Clear = () => sheet._allRange().Clear();
+    Object.defineProperty(cells, "Interior", {
+      get: () => sheet._allRange().Interior,
+    });
+    this.Cells = cells;
+  }
+
+  /** @type {string} 工作表名称 */
+  get Name() {
+    return this._name;
+  }
+
+  set Name(value) {
+    const name = String(value);
+    if (!name || name.length > 31 || /[\\/:*?\[\]]/.test(name)) {
+      throw new Error(`工作表名称无效：${name}`);
+    }
+    if (this.Parent.sheets.some((s) => s !== this && s.Name === name)) {
+      throw new Error(`工作表名称已存在：${name}`);
+    }
+    this._name = name;
+  }
+
+  /** @type {number} 工作表序号（从1开始） */
+  get Index() {
+    return this.Parent.sheets.indexOf(this) + 1;
+  }
+
+  /** @type {FakeRange} 已使用区域 */
+  get UsedRange() {
+    let minRow = Infinity;
+    let minCol = Infinity;
+    let maxRow = 0;
+    let maxCol = 0;
+
+    this._cells.forEach((cell, key) => {
+      const [row, col] = key.split(",").map(Number);
+      minRow = Math.min(minRow, row);
+      minCol = Math.min(minCol, col);
+      maxRow = Math.max(maxRow, row);
+      maxCol = Math.max(maxCol, col);
+    });
+
+    if (maxRow === 0) {
+      return new FakeRange(this, 1, 1, 1, 1);
+    }
+    return new FakeRange(this, minRow, minCol, maxRow, maxCol);
+  }
+
+  /**
+   * 获取区域
+   * @param {string|FakeRange} cell1 - 地址，如 "A1"、"A1:C3"、"1:1"、"A:A"
+   * @param {string|FakeRange} [cell2] - 结束地址
+   * @returns {FakeRange} 区域
+   */
+  Range(cell1, cell2 = null) {
+    const first = this._parseAddress(cell1);
+    const last = cell2 ? this._parseAddress(cell2) : first;
+    return new FakeRange(
+      this,
+      Math.min(first.row1, last.row1),
+      Math.min(first.col1, last.col1),
+      Math.max(first.row2, last.row2),
+      Math.max(first.col2, last.col2),
+    );
+  }
+
+  /**
+   * 获取整列区域
+   * @param {number|string} column - 列号或列字母
+   * @returns {FakeRange} 整列区域
+   */
+  Columns(column) {
+    const index =
+      typeof column === "number" ? column : WpsEmulator.lettersToColumn(column);
+    return new FakeRange(this, 1, index, FakeRange.MAX_ROWS, index);
+  }
+
+  /**
+   * 获取整行区域
+   * @param {number|string} row - 行号或 "1:3" 形式的地址
+   * @returns {FakeRange} 整行区域
+   */
+  Rows(row) {
+    if (typeof row === "number") {
+      return new FakeRange(this, row, 1, row, FakeRange.MAX_COLUMNS);
+    }
+    return this.Range(row);
+  }
+
+  /**
+   * 复制工作表
+   * @param {FakeWorksheet} [before] - 复制到该工作表之前
+   * @param {FakeWorksheet} [after] - 复制到该工作表之后
+   * @description 两者都不提供时复制到新工作簿，新工作簿成为活动工作簿
+   */
+  Copy(before = null, after = null) {
+    const emulator = this.Parent._emulator;
+    let target;
+    let position;
+
+    if (!before && !after) {
+      emulator._workbookSeq++;
+      target = new FakeWorkbook(emulator, `工作簿${emulator._workbookSeq}`);
+      emulator.workbooks.push(target);
+      position = 0;
+    } else {
+      target = (before || after).Parent;
+      position = before
+        ? target.sheets.indexOf(before)
+        : target.sheets.indexOf(after) + 1;
+    }
+
+    const copy = target._addSheet(target._uniqueSheetName(this.Name), position);
+    this._cells.forEach((cell, key) => copy._cells.set(key, { ...cell }));
+    this._columns.forEach((col, key) => copy._columns.set(key, { ...col }));
+    this._rows.forEach((row, key) => copy._rows.set(key, { ...row }));
+
+    target._activate(copy);
+  }
+
+  /**
+   * 删除工作表
+   * @throws {Error} 工作簿中只剩一张工作表时抛出
+   */
+  Delete() {
+    const workbook = this.Parent;
+    if (workbook.sheets.length <= 1) {
+      throw new Error("工作簿中至少需要包含一张可视工作表");
+    }
+
+    const index = workbook.sheets.indexOf(this);
+    workbook.sheets.splice(index, 1);
+    if (workbook.activeSheet === this) {
+      workbook.activeSheet = workbook.sheets[Math.max(0, index - 1)];
+    }
+  }
+
+  /** 激活工作表 */
+  Activate() {
+    this.Parent._activate(this);
+  }
+
+  /**
+   * 读取已使用区域的值（从 A1 开始，便于断言）
+   * @returns {Array<Array<*>>} 二维数组，空表返回空数组
+   */
+  getValues() {
+    const used = this.UsedRange;
+    if (used.Value2 == null) return [];
+
+    const range = new FakeRange(this, 1, 1, used.row2, used.col2);
+    const values = range.Value2;
+    return Array.isArray(values) ? values : [[values]];
+  }
+
+  /**
+   * 从 A1 开始写入二维数组（测试数据准备用，不做类型转换）
+   * @param {Array<Array<*>>} rows - 二维数组
+   */
+  setValues(rows) {
+    (rows || []).forEach((row, r) => {
+      row.forEach((value, c) => {
+        if (value == null || value === "") return;
+        this._cell(r + 1, c + 1, true).value = value;
+      });
+    });
+  }
+
+  /**
+   * 读取单元格背景色
+   * @param {number} row - 行号
+   * @param {number} column - 列号
+   * @returns {number|undefined} 颜色值
+   */
+  getColor(row, column) {
+    return this._cells.get(`${row},${column}`)?.color;
+  }
+
+  /**
+   * @private
+   * @param {number} row - 行号
+   * @param {number} column - 列号
+   * @param {boolean} [create] - 不存在时是否创建
+   * @returns {Object|undefined} 单元格记录
+   */
+  _cell(row, column, create = false) {
+    const key = `${row},${column}`;
+    let cell = this._cells.get(key);
+    if (!cell && create) {
+      cell = {};
+      this._cells.set(key, cell);
+    }
+    return cell;
+  }
+
+  /**
+   * @private
+   * @returns {FakeRange} 整个工作表区域
+   */
+  _allRange() {
+    return new FakeRange(this, 1, 1, FakeRange.MAX_ROWS, FakeRange.MAX_COLUMNS);
+  }
+
+  /**
+   * 解析 A1 样式地址
+   * @private
+   * @param {string|FakeRange} address - 地址或区域
+   * @returns {Object} {row1, col1, row2, col2}
+   */
+  _parseAddress(address) {
+    if (address instanceof FakeRange) {
+      return address;
+    }
+
+    const text = String(address).replace(/\$/g, "").toUpperCase();
+    const [start, end = start] = text.split(":");
+
+    const parse = (part, isEnd) => {
+      let match = part.match(/^([A-Z]+)(\d+)$/);
+      if (match) {
+        const col = WpsEmulator.lettersToColumn(match[1]);
+        const row = Number(match[2]);
+        return { row, col };
+      }
+      match = part.match(/^(\d+)$/);
+      if (match) {
+        return {
+          row: Number(match[1]),
+          col: isEnd ? FakeRange.MAX_COLUMNS : 1,
+        };
+      }
+      match = part.match(/^([A-Z]+)$/);
+      if (match) {
+        return {
+          row: isEnd ? FakeRange.MAX_ROWS : 1,
+          col: WpsEmulator.lettersToColumn(match[1]),
+        };
+      }
+      throw new Error(`无效的单元格地址：${address}`);
+    };
+
+    const first = parse(start, false);
+    const last = parse(end, true);
+    return { row1: first.row, col1: first.col, row2: last.row, col2: last.col };
+  }
+}
+
+/**
+ * 模拟单元格区域
+ * @class FakeRange
+ */
+class FakeRange {
+  /** @type {number} 最大行数 */
+  static MAX_ROWS = 1048576;
+  /** @type {number} 最大列数 */
+  static MAX_COLUMNS = 16384;
+  /** @type {number} 逐个单元格处理的最大区域面积，超过时只处理已存在的单元格 */
+  static MAX_ENUMERATED_CELLS = 100000;
+
+  /**
+   * @param {FakeWorksheet} sheet - 所属工作表
+   * @param {number} row1 - 起始行
+   * @param {number} col1 - 起始列
+   * @param {number} row2 - 结束行
+   * @param {number} col2 - 结束列
+   */
+  constructor(sheet, row1, col1, row2, col2) {
+    this.Worksheet = sheet;
+    this.row1 = row1;
+    this.col1 = col1;
+    this.row2 = row2;
+    this.col2 = col2;
+  }
+
+  /** @type {number} 起始行号 */
+  get Row() {
+    return this.row1;
+  }
+
+  /** @type {number} 起始列号 */
+  get Column() {
+    return this.col1;
+  }
+
+  /** @type {number} 单元格数量 */
+  get Count() {
+    return (this.row2 - this.row1 + 1) * (this.col2 - this.col1 + 1);
+  }
+
+  /** @type {{Count: number}} 行集合 */
+  get Rows() {
+    return { Count: this.row2 - this.row1 + 1 };
+  }
+
+  /** @type {{Count: number}} 列集合 */
+  get Columns() {
+    return { Count: this.col2 - this.col1 + 1 };
+  }
+
+  /** @type {string} 绝对地址，如 "$A$1:$C$3" */
+  get Address() {
+    const cell = (row, col) => `$${WpsEmulator.columnToLetters(col)}$${row}`;
+    const first = cell(this.row1, this.col1);
+    return this.Count === 1 ? first : `${first}:${cell(this.row2, this.col2)}`;
+  }
+
+  /**
+   * 单元格值：单个单元格返回标量，多个单元格返回二维数组
+   * @type {*|Array<Array<*>>}
+   */
+  get Value2() {
+    if (this.Count === 1) {
+      return this.Worksheet._cell(this.row1, this.col1)?.value;
+    }
+
+    const rows = [];
+    for (let r = this.row1; r <= this.row2; r++) {
+      const row = [];
+      for (let c = this.col1; c <= this.col2; c++) {
+        row.push(this.Worksheet._cell(r, c)?.value);
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  set Value2(value) {
+    const isMatrix = Array.isArray(value);
+
+    for (let r = this.row1; r <= this.row2; r++) {
+      for (let c = this.col1; c <= this.col2; c++) {
+        const cellValue = isMatrix
+          ? value[r - this.row1]?.[c - this.col1]
+          : value;
+        const isText =
+          (this.Worksheet._cell(r, c)?.numberFormat ??
+            this.Worksheet._columns.get(c)?.NumberFormat) === "@";
+        this._setCellValue(
+          r,
+          c,
+          isText && cellValue != null && cellValue !== ""
+            ? String(cellValue)
+            : FakeRange.coerce(cellValue),
+        );
+      }
+    }
+  }
+
+  /** @type {*} 同 Value2 */
+  get Value() {
+    return this.Value2;
+  }
+
+  set Value(value) {
+    this.Value2 = value;
+  }
+
+  /**
+   * 模拟 Excel 在常规格式下写入字符串时的类型识别
+   * @static
+   * @param {*} value - 写入的值
+   * @returns {*} 实际存储的值
+   */
+  static coerce(value) {
+    if (value == null || value === "") return undefined;
+    if (typeof value !== "string") return value;
+
+    // 前导单引号：强制文本
+    if (value.startsWith("'")) {
+      return value.length > 1 ? value.substring(1) : undefined;
+    }
+
+    const text = value.trim();
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+      return Number(text);
+    }
+
+    const date = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    if (date) {
+      const [, y, m, d] = date.map(Number);
+      const utc = Date.UTC(y, m - 1, d);
+      const check = new Date(utc);
+      if (check.getUTCMonth() === m - 1 && check.getUTCDate() === d) {
+        // Excel 日期序列号：1899-12-30 为 0
+        return Math.round((utc - Date.UTC(1899, 11, 30)) / 86400000);
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * 调整区域大小（以左上角为基准）
+   * @param {number} [rows] - 行数
+   * @param {number} [columns] - 列数
+   * @returns {FakeRange} 新区域
+   */
+  Resize(rows = null, columns = null) {
+    const rowCount = rows || this.row2 - this.row1 + 1;
+    const colCount = columns || this.col2 - this.col1 + 1;
+    return new FakeRange(
+      this.Worksheet,
+      this.row1,
+      this.col1,
+      this.row1 + rowCount - 1,
+      this.col1 + colCount - 1,
+    );
+  }
+
+  /**
+   * 偏移区域
+   * @param {number} [rowOffset] - 行偏移
+   * @param {number} [columnOffset] - 列偏移
+   * @returns {FakeRange} 新区域
+   */
+  Offset(rowOffset = 0, columnOffset = 0) {
+    return new FakeRange(
+      this.Worksheet,
+      this.row1 + rowOffset,
+      this.col1 + columnOffset,
+      this.row2 + rowOffset,
+      this.col2 + columnOffset,
+    );
+  }
+
+  /**
+   * 获取区域内的单元格（相对位置，从1开始）
+   * @param {number} row - 相对行号
+   * @param {number} column - 相对列号
+   * @returns {FakeRange} 单元格
+   */
+  Cells(row, column) {
+    const r = this.row1 + row - 1;
+    const c = this.col1 + column - 1;
+    return new FakeRange(this.Worksheet, r, c, r, c);
+  }
+
+  /** 清除内容（保留格式） */
+  ClearContents() {
+    this._forEachCell((cell, key) => {
+      delete cell.value;
+      this._dropIfEmpty(key, cell);
+    });
+  }
+
+  /** 清除内容和格式 */
+  Clear() {
+    this._forEachCell((cell, key) => this.Worksheet._cells.delete(key));
+
+    if (this._isWholeColumns()) {
+      for (let c = this.col1; c <= this.col2; c++) {
+        this.Worksheet._columns.delete(c);
+      }
+    }
+    if (this._isWholeRows()) {
+      for (let r = this.row1; r <= this.row2; r++) {
+        this.Worksheet._rows.delete(r);
+      }
+    }
+  }
+
+  /** @type {{Color: number}} 填充 */
+  get Interior() {
+    const range = this;
+    return {
+      get Color() {
+        const color = range.Worksheet._cell(range.row1, range.col1)?.color;
+        return color == null ? 16777215 : color;
+      },
+      set Color(value) {
+        range._setFormat("color", value === -4142 ? undefined : value);
+      },
+      get ColorIndex() {
+        return range.Worksheet._cell(range.row1, range.col1)?.color == null
+          ? -4142
+          : 1;
+      },
+      set ColorIndex(value) {
+        if (value === -4142) range._setFormat("color", undefined);
+      },
+    };
+  }
+
+  /** @type {{Bold: boolean}} 字体 */
+  get Font() {
+    const range = this;
+    return {
+      get Bold() {
+        const rowFormat = range.Worksheet._rows.get(range.row1);
+        return Boolean(
+          range.Worksheet._cell(range.row1, range.col1)?.bold ||
+          rowFormat?.Bold,
+        );
+      },
+      set Bold(value) {
+        if (range._isWholeRows()) {
+          for (let r = range.row1; r <= range.row2; r++) {
+            range._rowFormat(r).Bold = Boolean(value);
+          }
+          return;
+        }
+        range._setFormat("bold", Boolean(value) || undefined);
+      },
+    };
+  }
+
+  /** @type {number} 列宽 */
+  get ColumnWidth() {
+    return this.Worksheet._columns.get(this.col1)?.ColumnWidth ?? 8.38;
+  }
+
+  set ColumnWidth(value) {
+    for (let c = this.col1; c <= this.col2; c++) {
+      this._columnFormat(c).ColumnWidth = value;
+    }
+  }
+
+  /** @type {string} 数字格式 */
+  get NumberFormat() {
+    return (
+      this.Worksheet._cell(this.row1, this.col1)?.numberFormat ??
+      this.Worksheet._columns.get(this.col1)?.NumberFormat ??
+      "General"
+    );
+  }
+
+  set NumberFormat(value) {
+    if (this._isWholeColumns()) {
+      for (let c = this.col1; c <= this.col2; c++) {
+        this._columnFormat(c).NumberFormat = value;
+      }
+      return;
+    }
+    this._setFormat("numberFormat", value);
+  }
+
+  /** @type {number} 行高 */
+  get RowHeight() {
+    return this.Worksheet._rows.get(this.row1)?.RowHeight ?? 13.5;
+  }
+
+  set RowHeight(value) {
+    for (let r = this.row1; r <= this.row2; r++) {
+      this._rowFormat(r).RowHeight = value;
+    }
+  }
+
+  /**
+   * @private
+   * @returns {boolean} 是否为整列区域
+   */
+  _isWholeColumns() {
+    return this.row1 === 1 && this.row2 === FakeRange.MAX_ROWS;
+  }
+
+  /**
+   * @private
+   * @returns {boolean} 是否为整行区域
+   */
+  _isWholeRows() {
+    return this.col1 === 1 && this.col2 === FakeRange.MAX_COLUMNS;
+  }
+
+  /**
+   * @private
+   * @param {number} column - 列号
+   * @returns {Object} 列格式记录
+   */
+  _columnFormat(column) {
+    if (!this.Worksheet._columns.has(column)) {
+      this.Worksheet._columns.set(column, {});
+    }
+    return this.Worksheet._columns.get(column);
+  }
+
+  /**
+   * @private
+   * @param {number} row - 行号
+   * @returns {Object} 行格式记录
+   */
+  _rowFormat(row) {
+    if (!this.Worksheet._rows.has(row)) {
+      this.Worksheet._rows.set(row, {});
+    }
+    return this.Worksheet._rows.get(row);
+  }
+
+  /**
+   * @private
+   * @param {number} row - 行号
+   * @param {number} column - 列号
+   * @param {*} value - 值
+   */
+  _setCellValue(row, column, value) {
+    const key = `${row},${column}`;
+    const cell = this.Worksheet._cell(row, column, value !== undefined);
+    if (!cell) return;
+
+    if (value === undefined) {
+      delete cell.value;
+      this._dropIfEmpty(key, cell);
+    } else {
+      cell.value = value;
+    }
+  }
+
+  /**
+   * 设置单元格级格式
+   * @private
+   * @param {string} prop - 格式属性
+   * @param {*} value - 值，undefined 表示清除
+   */
+  _setFormat(prop, value) {
+    if (this.Count > FakeRange.MAX_ENUMERATED_CELLS || value === undefined) {
+      this._forEachCell((cell, key) => {
+        if (value === undefined) {
+          delete cell[prop];
+          this._dropIfEmpty(key, cell);
+        } else {
+          cell[prop] = value;
+        }
+      });
+      return;
+    }
+
+    for (let r = this.row1; r <= this.row2; r++) {
+      for (let c = this.col1; c <= this.col2; c++) {
+        this.Worksheet._cell(r, c, true)[prop] = value;
+      }
+    }
+  }
+
+  /**
+   * 遍历区域内已存在的单元格
+   * @private
+   * @param {Function} callback - (cell, key) => void
+   */
+  _forEachCell(callback) {
+    Array.from(this.Worksheet._cells.entries()).forEach(([key, cell]) => {
+      const [row, col] = key.split(",").map(Number);
+      if (
+        row >= this.row1 &&
+        row <= this.row2 &&
+        col >= this.col1 &&
+        col <= this.col2
+      ) {
+        callback(cell, key);
+      }
+    });
+  }
+
+  /**
+   * 单元格既无值也无格式时移除记录，使 UsedRange 收缩
+   * @private
+   * @param {string} key - 单元格键
+   * @param {Object} cell - 单元格记录
+   */
+  _dropIfEmpty(key, cell) {
+    if (Object.values(cell).every((v) => v === undefined)) {
+      this.Worksheet._cells.delete(key);
+    }
+  }
+}
+
+if (typeof module !== "undefined") module.exports = WpsEmulator;
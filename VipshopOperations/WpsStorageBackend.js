@@ -0,0 +1,285 @@
+/**
+ * WPS 存储后端 - 基于 WPS/Excel 对象模型的存储实现
+ *
+ * @class WpsStorageBackend
+ * @implements {StorageBackend}
+ * @description 系统默认的存储后端，封装了对 `Workbooks`、`ActiveWorkbook`、
+ * `Sheets`、`UsedRange.Value2` 等对象模型的全部访问。
+ * 工作簿句柄即 Excel.Workbook 对象。
+ *
+ * @example
+ * const backend = new WpsStorageBackend("商品运营表");
+ * const excelDAO = ExcelDAO.getInstance(backend);
+ */
+class WpsStorageBackend {
+  /**
+   * 创建 WPS 存储后端
+   * @param {string} appName - 应用名称，主工作簿名称必须包含该名称
+   */
+  constructor(appName) {
+    this._appName = appName;
+    this._workbookName = null;
+  }
+
+  /**
+   * 获取主工作簿名称（首次调用时自动检测）
+   * @returns {string} 工作簿名称
+   */
+  getWorkbookName() {
+    if (!this._workbookName) {
+      this._workbookName = this._detectWorkbookName();
+    }
+    return this._workbookName;
+  }
+
+  /**
+   * 自动检测并返回符合要求的工作簿名称。
+   * @private
+   * @returns {string} 找到的工作簿名称。
+   * @throws {Error} 如果未找到包含配置的应用名称（如“商品运营表”）的工作簿，则抛出错误。
+   * @description
+   * 检测策略如下：
+   * 1. 优先检查当前活动工作簿 (`ActiveWorkbook`)，验证其名称是否包含配置的应用名称。
+   * 2. 如果活动工作簿不符合要求，则遍历所有已打开的工作簿，查找名称中包含应用名称的工作簿。
+   * 3. 如果都未找到，则抛出错误。
+   */
+  _detectWorkbookName() {
+    const appName = this._appName;
+    try {
+      // 1. 尝试获取当前活动工作簿
+      const activeWb = ActiveWorkbook;
+      if (activeWb?.Name) {
+        // 验证文件名格式：必须包含"商品运营表"
+        if (!activeWb.Name.includes(appName)) {
+          throw new Error(
+            `工作簿名称必须包含"${appName}"，当前名称：${activeWb.Name}`,
+          );
+        }
+        return activeWb.Name;
+      }
+    } catch (e) {
+      // 忽略，继续尝试其他方法
+    }
+
+    // 2. 遍历所有打开的工作簿
+    try {
+      for (let i = 1; i <= Workbooks.Count; i++) {
+        const wb = Workbooks(i);
+        if (wb.Name.includes(appName)) {
+          return wb.Name;
+        }
+      }
+    } catch (e) {
+      // 忽略
+    }
+
+    throw new Error(`未找到包含"${appName}"的工作簿，请先打开文件`);
+  }
+
+  /**
+   * 获取主工作簿对象
+   * @returns {Excel.Workbook} Excel 工作簿对象
+   * @throws {Error} 找不到工作簿时抛出
+   */
+  getWorkbook() {
+    const name = this.getWorkbookName();
+    try {
+      return Workbooks(name);
+    } catch (e) {
+      throw new Error(`找不到工作簿：${name}`);
+    }
+  }
+
+  /**
+   * 获取工作表对象
+   * @param {string} wsName - 工作表名称
+   * @param {Excel.Workbook} [workbook] - 工作簿，默认主工作簿
+   * @returns {Excel.Worksheet|null} 工作表对象，不存在时返回 null
+   */
+  getSheet(wsName, workbook = null) {
+    try {
+      return (workbook || this.getWorkbook()).Sheets(wsName) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 读取工作表的已使用区域
+   * @param {string} wsName - 工作表名称
+   * @param {Excel.Workbook} [workbook] - 工作簿，默认主工作簿
+   * @returns {Array<Array<*>>|null} 二维数组，工作表为空时返回 null
+   */
+  readSheet(wsName, workbook = null) {
+    const sheet = (workbook || this.getWorkbook()).Sheets(wsName);
+    const usedRange = sheet.UsedRange;
+
+    if (!usedRange || usedRange.Value2 == null) {
+      return null;
+    }
+
+    const values = usedRange.Value2;
+    // 只有一个单元格时 Value2 为标量
+    return Array.isArray(values) ? values : [[values]];
+  }
+
+  /**
+   * 清空工作表内容后写入二维数组
+   * @param {string} wsName - 工作表名称
+   * @param {Array<Array<*>>} rows - 二维数组
+   * @param {Excel.Workbook} [workbook] - 工作簿，默认主工作簿
+   */
+  writeSheet(wsName, rows, workbook = null) {
+    const wb = workbook || this.getWorkbook();
+    let sheet = this.getSheet(wsName, wb);
+    if (!sheet) {
+      sheet = wb.Worksheets.Add(null, wb.Sheets(wb.Sheets.Count));
+      sheet.Name = wsName;
+    }
+
+    sheet.Cells.ClearContents();
+
+    if (rows.length > 0 && rows[0].length > 0) {
+      const range = sheet.Range("A1").Resize(rows.length, rows[0].length);
+      range.Value2 = rows;
+    }
+  }
+
+  /**
+   * 在已使用区域的下方追加数据行，只读取表头，不读取整个工作表
+   * @param {string} wsName - 工作表名称
+   * @param {Array<Array<*>>} rows - 二维数组，首行为标题行
+   * @param {Excel.Workbook} [workbook] - 工作簿，默认主工作簿
+   * @returns {boolean} 是否已追加，表头与工作表不一致时返回 false
+   */
+  appendRows(wsName, rows, workbook = null) {
+    const wb = workbook || this.getWorkbook();
+    const sheet = this.getSheet(wsName, wb);
+    const header = rows[0] || [];
+    const usedRange = sheet?.UsedRange;
+
+    // 工作表不存在或为空
+    if (
+      !usedRange ||
+      (usedRange.Rows.Count === 1 &&
+        usedRange.Columns.Count === 1 &&
+        usedRange.Value2 == null)
+    ) {
+      this.writeSheet(wsName, rows, wb);
+      return true;
+    }
+
+    if (header.length === 0) return true;
+
+    // 只有一个单元格时 Value2 为标量
+    const values = sheet.Range("A1").Resize(1, header.length).Value2;
+    const existing = Array.isArray(values) ? values[0] : [values];
+    if (header.some((title, index) => title !== existing[index])) {
+      return false;
+    }
+
+    if (rows.length > 1) {
+      const lastRow = usedRange.Row + usedRange.Rows.Count - 1;
+      sheet
+        .Range(`A${lastRow + 1}`)
+        .Resize(rows.length - 1, header.length).Value2 = rows.slice(1);
+    }
+    return true;
+  }
+
+  /**
+   * 清空工作表的内容和格式
+   * @param {string} wsName - 工作表名称
+   * @param {Excel.Workbook} [workbook] - 工作簿，默认主工作簿
+   */
+  clearSheet(wsName, workbook = null) {
+    (workbook || this.getWorkbook()).Sheets(wsName).Cells.Clear();
+  }
+
+  /**
+   * 将主工作簿中的工作表复制到目标工作簿末尾
+   * @param {string} wsName - 源工作表名称
+   * @param {Excel.Workbook} targetWorkbook - 目标工作簿
+   * @param {string} [newName] - 新工作表名称
+   * @returns {string} 新工作表名称
+   */
+  copySheet(wsName, targetWorkbook, newName = null) {
+    this.getWorkbook()
+      .Sheets(wsName)
+      .Copy(null, targetWorkbook.Sheets(targetWorkbook.Sheets.Count));
+
+    const sheet = ActiveSheet;
+    if (newName) {
+      sheet.Name = newName;
+    }
+    return sheet.Name;
+  }
+
+  /**
+   * 以工作表为模板创建新工作簿
+   * @param {string} wsName - 模板工作表名称
+   * @returns {Excel.Workbook} 新工作簿
+   */
+  createWorkbook(wsName) {
+    this.getWorkbook().Sheets(wsName).Copy();
+    return ActiveWorkbook;
+  }
+
+  /**
+   * 删除工作表（不弹出确认框）
+   * @param {string} wsName - 工作表名称
+   * @param {Excel.Workbook} [workbook] - 工作簿，默认主工作簿
+   */
+  deleteSheet(wsName, workbook = null) {
+    try {
+      Application.DisplayAlerts = false;
+      (workbook || this.getWorkbook()).Sheets(wsName).Delete();
+    } finally {
+      Application.DisplayAlerts = true;
+    }
+  }
+
+  /**
+   * 设置列宽、数字格式、标题颜色及标题行格式
+   * @param {string} wsName - 工作表名称
+   * @param {Object} format - 格式配置 {columns, header}
+   * @param {Excel.Workbook} [workbook] - 工作簿，默认主工作簿
+   */
+  formatSheet(wsName, format, workbook = null) {
+    const sheet = (workbook || this.getWorkbook()).Sheets(wsName);
+
+    (format.columns || []).forEach((col, index) => {
+      const columnIndex = index + 1;
+      const column = sheet.Columns(columnIndex);
+
+      if (col.width) {
+        column.ColumnWidth = col.width;
+      }
+
+      if (col.format) {
+        column.NumberFormat = col.format;
+      }
+
+      if (col.color) {
+        const headerCell = sheet.Cells(1, columnIndex);
+        excelColorReader.applyColorToRange(headerCell, col.color);
+      }
+    });
+
+    if (format.header) {
+      const headerRange = sheet.Rows("1:1");
+      if (format.header.bold) headerRange.Font.Bold = true;
+      if (format.header.rowHeight) {
+        headerRange.RowHeight = format.header.rowHeight;
+      }
+    }
+  }
+
+  /**
+   * 保存工作簿
+   * @param {Excel.Workbook} [workbook] - 工作簿，默认主工作簿
+   */
+  save(workbook = null) {
+    (workbook || this.getWorkbook()).Save();
+  }
+}